@@ -0,0 +1,176 @@
+/**
+ * Extraction Schema
+ * Formal schema for the financial statement returned by the `extract` action
+ *
+ * Amounts are in millions of the reporting currency, margins and returns in
+ * percent, ratios as multiples and per-share values in currency units.
+ */
+
+export const EXTRACTION_SCHEMA = {
+    companyName: { type: 'string', required: true },
+    fiscalYear: { type: 'string', required: true, pattern: /^(19|20)\d{2}$/ },
+    currency: { type: 'string', pattern: /^[A-Z]{3}$/ },
+
+    // Income statement (millions)
+    revenue: { type: 'number', unit: 'millions', required: true, min: 0, max: 2000000 },
+    costOfSales: { type: 'number', unit: 'millions', min: 0, max: 2000000 },
+    grossProfit: { type: 'number', unit: 'millions', min: -2000000, max: 2000000 },
+    sgaExpenses: { type: 'number', unit: 'millions', min: 0, max: 2000000 },
+    depreciationAmortization: { type: 'number', unit: 'millions', min: 0, max: 2000000 },
+    operatingProfit: { type: 'number', unit: 'millions', min: -2000000, max: 2000000 },
+    financeCosts: { type: 'number', unit: 'millions', min: 0, max: 2000000 },
+    zakat: { type: 'number', unit: 'millions', min: -2000000, max: 2000000 },
+    netProfit: { type: 'number', unit: 'millions', required: true, min: -2000000, max: 2000000 },
+
+    // Margins (%)
+    grossMargin: { type: 'number', unit: '%', min: -100, max: 100 },
+    operatingMargin: { type: 'number', unit: '%', min: -500, max: 100 },
+    netMargin: { type: 'number', unit: '%', min: -500, max: 100 },
+
+    // Balance sheet (millions)
+    totalAssets: { type: 'number', unit: 'millions', min: 0, max: 10000000 },
+    currentAssets: { type: 'number', unit: 'millions', min: 0, max: 10000000 },
+    totalLiabilities: { type: 'number', unit: 'millions', min: 0, max: 10000000 },
+    currentLiabilities: { type: 'number', unit: 'millions', min: 0, max: 10000000 },
+    shareholderEquity: { type: 'number', unit: 'millions', min: -10000000, max: 10000000 },
+    cash: { type: 'number', unit: 'millions', min: 0, max: 10000000 },
+    receivables: { type: 'number', unit: 'millions', min: 0, max: 10000000 },
+    inventories: { type: 'number', unit: 'millions', min: 0, max: 10000000 },
+    payables: { type: 'number', unit: 'millions', min: 0, max: 10000000 },
+    borrowings: { type: 'number', unit: 'millions', min: 0, max: 10000000 },
+
+    // Cash-flow statement (millions); capex and lease payments as positive outflows
+    operatingCashFlow: { type: 'number', unit: 'millions', min: -2000000, max: 2000000 },
+    capex: { type: 'number', unit: 'millions', min: 0, max: 2000000 },
+    leasePayments: { type: 'number', unit: 'millions', min: 0, max: 2000000 },
+    investingCashFlow: { type: 'number', unit: 'millions', min: -2000000, max: 2000000 },
+    financingCashFlow: { type: 'number', unit: 'millions', min: -2000000, max: 2000000 },
+
+    // Per share and ratios
+    eps: { type: 'number', unit: 'per share', min: -1000, max: 1000 },
+    roe: { type: 'number', unit: '%', min: -1000, max: 1000 },
+    currentRatio: { type: 'number', unit: 'x', min: 0, max: 100 },
+    debtToEquity: { type: 'number', unit: 'x', min: -100, max: 100 }
+};
+
+/**
+ * Coerce a model value to a number
+ * Handles plain numbers, { value: X } objects and strings such as "9,446.4" or "(120.5)"
+ * @returns {number|null|undefined} - undefined when the value cannot be read as a number
+ */
+function toNumber(value) {
+    if (value === null || value === undefined || value === '') return null;
+    if (typeof value === 'number') return Number.isFinite(value) ? value : undefined;
+    if (typeof value === 'object' && 'value' in value) return toNumber(value.value);
+    if (typeof value === 'string') {
+        const negative = /^\s*\(.*\)\s*$/.test(value) || /^\s*-/.test(value);
+        const digits = value.replace(/[^0-9.]/g, '');
+        if (!digits || isNaN(parseFloat(digits))) return undefined;
+        return negative ? -parseFloat(digits) : parseFloat(digits);
+    }
+    return undefined;
+}
+
+/**
+ * Keep well-formed source citations for numeric fields
+ * Citations are informative, so malformed entries are dropped instead of failing the extraction
+ * @returns {Object} - { field: { page, raw, unit, snippet } }
+ */
+export function sanitizeSources(sources, schema = EXTRACTION_SCHEMA) {
+    if (!sources || typeof sources !== 'object' || Array.isArray(sources)) return {};
+
+    const clean = {};
+    Object.entries(sources).forEach(([field, source]) => {
+        if ((schema[field] && schema[field].type !== 'number') || !source || typeof source !== 'object') return;
+
+        const page = Number(source.page);
+        if (!Number.isInteger(page) || page < 1) return;
+
+        clean[field] = {
+            page,
+            raw: source.raw !== undefined && source.raw !== null ? String(source.raw).trim() : null,
+            unit: source.unit ? String(source.unit).trim() : null,
+            snippet: source.snippet ? String(source.snippet).trim().slice(0, 300) : null
+        };
+    });
+    return clean;
+}
+
+/**
+ * Validate and coerce an extraction against the schema
+ * Fields not declared in the schema are passed through unchanged
+ * @param {Object} raw - Parsed model output
+ * @param {Object} options - partial: skip required checks (excerpt covering a single statement)
+ * @returns {{ valid: boolean, errors: Array<{field: string, message: string}>, value: Object }}
+ */
+export function validateExtraction(raw, { schema = EXTRACTION_SCHEMA, partial = false } = {}) {
+    const errors = [];
+
+    if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+        return {
+            valid: false,
+            errors: [{ field: '$', message: 'Expected a JSON object' }],
+            value: null
+        };
+    }
+
+    const value = { ...raw };
+
+    Object.entries(schema).forEach(([field, rule]) => {
+        let fieldValue = raw[field];
+
+        if (rule.type === 'number') {
+            fieldValue = toNumber(fieldValue);
+            if (fieldValue === undefined) {
+                errors.push({ field, message: `${field} must be a number` });
+                value[field] = null;
+                return;
+            }
+        } else if (rule.type === 'string' && fieldValue !== null && fieldValue !== undefined) {
+            fieldValue = String(fieldValue).trim() || null;
+        }
+
+        if (fieldValue === null || fieldValue === undefined) {
+            value[field] = null;
+            if (rule.required && !partial) {
+                errors.push({ field, message: `${field} is required` });
+            }
+            return;
+        }
+
+        if (rule.pattern && !rule.pattern.test(fieldValue)) {
+            errors.push({ field, message: `${field} "${fieldValue}" does not match the expected format` });
+        }
+
+        if (rule.min !== undefined && fieldValue < rule.min) {
+            errors.push({ field, message: `${field} ${fieldValue} is below the plausible minimum ${rule.min} (${rule.unit})` });
+        }
+
+        if (rule.max !== undefined && fieldValue > rule.max) {
+            errors.push({ field, message: `${field} ${fieldValue} is above the plausible maximum ${rule.max} (${rule.unit})` });
+        }
+
+        value[field] = fieldValue;
+    });
+
+    if (raw.sources !== undefined) {
+        value.sources = sanitizeSources(raw.sources, schema);
+    }
+
+    return { valid: errors.length === 0, errors, value };
+}
+
+/**
+ * Describe the schema for repair prompts
+ */
+export function describeSchema(schema = EXTRACTION_SCHEMA) {
+    return Object.entries(schema).map(([field, rule]) => {
+        const parts = [rule.type];
+        if (rule.unit) parts.push(rule.unit);
+        if (rule.min !== undefined && rule.max !== undefined) parts.push(`range ${rule.min} to ${rule.max}`);
+        parts.push(rule.required ? 'required' : 'optional, null if not found');
+        return `- ${field}: ${parts.join(', ')}`;
+    }).join('\n');
+}
+
+export default { EXTRACTION_SCHEMA, sanitizeSources, validateExtraction, describeSchema };
@@ -0,0 +1,137 @@
+/**
+ * Tests for the Extraction Schema
+ */
+
+import { describe, it, expect, afterEach, vi } from 'vitest';
+import { validateExtraction, describeSchema } from './extractionSchema.js';
+import { parseModelJSON } from './json.js';
+import mock from './providers/mock.js';
+import handler from '../chat.js';
+
+const validExtraction = {
+    companyName: 'Nahdi Medical Company',
+    fiscalYear: '2024',
+    revenue: 9446.4,
+    netProfit: 820.7,
+    grossMargin: 32.4,
+    currentRatio: 1.33
+};
+
+describe('validateExtraction', () => {
+    it('should accept a valid extraction', () => {
+        const result = validateExtraction(validExtraction);
+        expect(result.valid).toBe(true);
+        expect(result.errors).toEqual([]);
+        expect(result.value.revenue).toBe(9446.4);
+    });
+
+    it('should default missing optional fields to null', () => {
+        const result = validateExtraction(validExtraction);
+        expect(result.value.totalAssets).toBeNull();
+    });
+
+    it('should coerce {value: X} objects and formatted strings', () => {
+        const result = validateExtraction({
+            ...validExtraction,
+            fiscalYear: 2024,
+            revenue: { value: '9,446.4' },
+            netProfit: '(120.5)'
+        });
+        expect(result.valid).toBe(true);
+        expect(result.value.fiscalYear).toBe('2024');
+        expect(result.value.revenue).toBe(9446.4);
+        expect(result.value.netProfit).toBe(-120.5);
+    });
+
+    it('should report missing required fields', () => {
+        const result = validateExtraction({ ...validExtraction, revenue: null });
+        expect(result.valid).toBe(false);
+        expect(result.errors).toContainEqual({ field: 'revenue', message: 'revenue is required' });
+    });
+
+    it('should reject non-numeric values and implausible ranges', () => {
+        const result = validateExtraction({ ...validExtraction, grossMargin: 324, currentRatio: 'n/a' });
+        const fields = result.errors.map(e => e.field);
+        expect(fields).toContain('grossMargin');
+        expect(fields).toContain('currentRatio');
+    });
+
+    it('should reject non-objects', () => {
+        expect(validateExtraction([1, 2]).valid).toBe(false);
+        expect(validateExtraction(null).valid).toBe(false);
+    });
+
+    it('should keep well-formed source citations and drop the rest', () => {
+        const result = validateExtraction({
+            ...validExtraction,
+            sources: {
+                revenue: { page: '41', raw: 9446412, unit: "SAR '000" },
+                netProfit: { page: 0, raw: '820,700' },
+                companyName: { page: 1 },
+                operatingCashFlow: { page: 43, raw: '1,368,700' }
+            }
+        });
+        expect(result.valid).toBe(true);
+        expect(result.value.sources).toEqual({
+            revenue: { page: 41, raw: '9446412', unit: "SAR '000", snippet: null },
+            operatingCashFlow: { page: 43, raw: '1,368,700', unit: null, snippet: null }
+        });
+    });
+
+    it('should describe every field', () => {
+        expect(describeSchema()).toContain('- revenue: number, millions');
+    });
+});
+
+describe('parseModelJSON', () => {
+    it('should parse fenced and bare JSON', () => {
+        expect(parseModelJSON('```json\n{"a":1}\n```')).toEqual({ a: 1 });
+        expect(parseModelJSON('Here you go: [1, 2]')).toEqual([1, 2]);
+    });
+
+    it('should return null when there is no JSON', () => {
+        expect(parseModelJSON('No data found')).toBeNull();
+    });
+});
+
+describe('extract repair loop', () => {
+    afterEach(() => {
+        vi.restoreAllMocks();
+        delete process.env.AI_PROVIDER;
+    });
+
+    function createResponse() {
+        return {
+            setHeader() {},
+            status(code) { this.statusCode = code; return this; },
+            json(body) { this.body = body; return this; }
+        };
+    }
+
+    it('should re-ask the model until the extraction is valid', async () => {
+        process.env.AI_PROVIDER = 'mock';
+        const complete = vi.spyOn(mock, 'complete')
+            .mockResolvedValueOnce('{"companyName": "Nahdi"}')
+            .mockResolvedValueOnce(JSON.stringify(validExtraction));
+        const res = createResponse();
+
+        await handler({ method: 'POST', body: { action: 'extract', data: 'text' } }, res);
+
+        expect(complete).toHaveBeenCalledTimes(2);
+        expect(complete.mock.calls[1][0].user).toContain('fiscalYear is required');
+        expect(res.statusCode).toBe(200);
+        expect(res.body.result.revenue).toBe(9446.4);
+    });
+
+    it('should return a typed error after the repair attempts run out', async () => {
+        process.env.AI_PROVIDER = 'mock';
+        vi.spyOn(mock, 'complete').mockResolvedValue('Sorry, I cannot find the data.');
+        const res = createResponse();
+
+        await handler({ method: 'POST', body: { action: 'extract', data: 'text' } }, res);
+
+        expect(res.statusCode).toBe(422);
+        expect(res.body.code).toBe('EXTRACTION_UNPARSEABLE');
+        expect(res.body.details.length).toBeGreaterThan(0);
+    });
+});
@@ -0,0 +1,25 @@
+/**
+ * JSON helpers for model replies
+ */
+
+/**
+ * Parse JSON out of a model reply
+ * Accepts fenced ```json blocks, a bare object or a bare array
+ * @returns {Object|Array|null} - Parsed value, or null if no valid JSON was found
+ */
+export function parseModelJSON(content) {
+    if (typeof content !== 'string') return null;
+
+    const jsonMatch = content.match(/```json\n?([\s\S]*?)\n?```/) ||
+        content.match(/\{[\s\S]*\}/) ||
+        content.match(/\[[\s\S]*\]/);
+    if (!jsonMatch) return null;
+
+    try {
+        return JSON.parse(jsonMatch[1] || jsonMatch[0]);
+    } catch {
+        return null;
+    }
+}
+
+export default { parseModelJSON };
@@ -0,0 +1,59 @@
+/**
+ * Anthropic Provider
+ * Messages API (https://api.anthropic.com/v1/messages)
+ */
+
+const API_URL = 'https://api.anthropic.com/v1/messages';
+const API_VERSION = '2023-06-01';
+
+// Models per request profile
+const MODELS = {
+    extraction: process.env.ANTHROPIC_EXTRACTION_MODEL || process.env.ANTHROPIC_MODEL || 'claude-3-opus-20240229',
+    chat: process.env.ANTHROPIC_MODEL || 'claude-3-opus-20240229'
+};
+
+export const label = 'Anthropic';
+
+/**
+ * List missing environment variables
+ */
+export function missingConfig() {
+    return process.env.ANTHROPIC_API_KEY ? [] : ['ANTHROPIC_API_KEY'];
+}
+
+/**
+ * Send a system + user prompt and return the reply text
+ */
+export async function complete({ system, user, profile, maxTokens, temperature }) {
+    const response = await fetch(API_URL, {
+        method: 'POST',
+        headers: {
+            'Content-Type': 'application/json',
+            'x-api-key': process.env.ANTHROPIC_API_KEY,
+            'anthropic-version': API_VERSION
+        },
+        body: JSON.stringify({
+            model: MODELS[profile] || MODELS.chat,
+            system,
+            messages: [
+                { role: 'user', content: user }
+            ],
+            max_tokens: maxTokens,
+            temperature
+        })
+    });
+
+    if (!response.ok) {
+        const error = await response.json();
+        throw new Error(error.error?.message || 'Anthropic API error');
+    }
+
+    const result = await response.json();
+    // Messages API returns a list of content blocks; join the text ones
+    return (result.content || [])
+        .filter(block => block.type === 'text')
+        .map(block => block.text)
+        .join('');
+}
+
+export default { label, missingConfig, complete };
@@ -0,0 +1,61 @@
+/**
+ * Azure OpenAI Provider
+ * Chat Completions against an Azure OpenAI deployment
+ */
+
+const API_VERSION = process.env.AZURE_OPENAI_API_VERSION || '2024-02-15-preview';
+
+export const label = 'Azure OpenAI';
+
+/**
+ * List missing environment variables
+ */
+export function missingConfig() {
+    return ['AZURE_OPENAI_API_KEY', 'AZURE_OPENAI_ENDPOINT', 'AZURE_OPENAI_DEPLOYMENT']
+        .filter(key => !process.env[key]);
+}
+
+/**
+ * Resolve the deployment for a request profile
+ * Extraction can run on a separate deployment (e.g. a gpt-4o deployment)
+ */
+function getDeployment(profile) {
+    if (profile === 'extraction' && process.env.AZURE_OPENAI_EXTRACTION_DEPLOYMENT) {
+        return process.env.AZURE_OPENAI_EXTRACTION_DEPLOYMENT;
+    }
+    return process.env.AZURE_OPENAI_DEPLOYMENT;
+}
+
+/**
+ * Send a system + user prompt and return the reply text
+ */
+export async function complete({ system, user, profile, maxTokens, temperature }) {
+    const endpoint = process.env.AZURE_OPENAI_ENDPOINT.replace(/\/+$/, '');
+    const url = `${endpoint}/openai/deployments/${encodeURIComponent(getDeployment(profile))}/chat/completions?api-version=${API_VERSION}`;
+
+    const response = await fetch(url, {
+        method: 'POST',
+        headers: {
+            'Content-Type': 'application/json',
+            'api-key': process.env.AZURE_OPENAI_API_KEY
+        },
+        body: JSON.stringify({
+            messages: [
+                { role: 'system', content: system },
+                { role: 'user', content: user }
+            ],
+            max_tokens: maxTokens,
+            temperature
+        })
+    });
+
+    if (!response.ok) {
+        const error = await response.json();
+        throw new Error(error.error?.message || 'Azure OpenAI API error');
+    }
+
+    const result = await response.json();
+    return result.choices[0]?.message?.content;
+}
+
+export default { label, missingConfig, complete };
@@ -0,0 +1,47 @@
+/**
+ * LLM Provider Registry
+ * Selects the provider used by the chat API from the AI_PROVIDER environment variable
+ *
+ * Every provider exposes the same interface:
+ * - label: display name for error messages
+ * - missingConfig(): names of required environment variables that are not set
+ * - complete({ action, system, user, profile, maxTokens, temperature }): reply text
+ *   where profile is 'extraction' or 'chat'
+ */
+
+import openai from './openai.js';
+import anthropic from './anthropic.js';
+import azure from './azure.js';
+import mock from './mock.js';
+
+export const DEFAULT_PROVIDER = 'openai';
+
+const providers = {
+    openai,
+    anthropic,
+    azure,
+    mock
+};
+
+/**
+ * List registered provider names
+ */
+export function getProviderNames() {
+    return Object.keys(providers);
+}
+
+/**
+ * Get a provider by name (defaults to AI_PROVIDER, then openai)
+ */
+export function getProvider(name = process.env.AI_PROVIDER) {
+    const key = (name || DEFAULT_PROVIDER).toLowerCase();
+    const provider = providers[key];
+
+    if (!provider) {
+        throw new Error(`Unknown AI provider "${name}". Expected one of: ${getProviderNames().join(', ')}`);
+    }
+
+    return provider;
+}
+
+export default { getProvider, getProviderNames, DEFAULT_PROVIDER };
@@ -0,0 +1,84 @@
+/**
+ * Tests for the LLM Provider Registry
+ */
+
+import { describe, it, expect, afterEach } from 'vitest';
+import { getProvider, getProviderNames } from './index.js';
+import handler from '../../chat.js';
+
+// Minimal stand-in for the Vercel response object
+function createResponse() {
+    return {
+        statusCode: null,
+        body: null,
+        headers: {},
+        setHeader(key, value) { this.headers[key] = value; },
+        status(code) { this.statusCode = code; return this; },
+        json(body) { this.body = body; return this; },
+        end() { return this; }
+    };
+}
+
+describe('getProvider', () => {
+    afterEach(() => {
+        delete process.env.AI_PROVIDER;
+    });
+
+    it('should register openai, anthropic, azure and mock', () => {
+        expect(getProviderNames()).toEqual(['openai', 'anthropic', 'azure', 'mock']);
+    });
+
+    it('should default to openai', () => {
+        expect(getProvider().label).toBe('OpenAI');
+    });
+
+    it('should read AI_PROVIDER case-insensitively', () => {
+        process.env.AI_PROVIDER = 'Azure';
+        expect(getProvider().label).toBe('Azure OpenAI');
+    });
+
+    it('should throw for unknown providers', () => {
+        expect(() => getProvider('cohere')).toThrow('Unknown AI provider');
+    });
+});
+
+describe('mock provider', () => {
+    it('should need no configuration', () => {
+        expect(getProvider('mock').missingConfig()).toEqual([]);
+    });
+
+    it('should return the same reply for the same request', async () => {
+        const mock = getProvider('mock');
+        const first = await mock.complete({ action: 'query', user: 'ROE?' });
+        const second = await mock.complete({ action: 'query', user: 'ROE?' });
+        expect(first).toBe(second);
+    });
+});
+
+describe('chat handler', () => {
+    afterEach(() => {
+        delete process.env.AI_PROVIDER;
+    });
+
+    it('should run the extract action against the mock provider', async () => {
+        process.env.AI_PROVIDER = 'mock';
+        const res = createResponse();
+
+        await handler({ method: 'POST', body: { action: 'extract', data: 'report text' } }, res);
+
+        expect(res.statusCode).toBe(200);
+        expect(res.body.result.companyName).toBe('Nahdi Medical Company');
+        expect(res.body.result.revenue).toBe(8713.7);
+    });
+
+    it('should report missing provider configuration', async () => {
+        process.env.AI_PROVIDER = 'anthropic';
+        delete process.env.ANTHROPIC_API_KEY;
+        const res = createResponse();
+
+        await handler({ method: 'POST', body: { action: 'query', messages: 'Hi' } }, res);
+
+        expect(res.statusCode).toBe(500);
+        expect(res.body.error).toContain('ANTHROPIC_API_KEY');
+    });
+});
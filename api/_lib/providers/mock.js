@@ -0,0 +1,79 @@
+/**
+ * Mock Provider
+ * Deterministic local stub for offline development and tests - no network calls
+ */
+
+const EXTRACTION = {
+    companyName: 'Nahdi Medical Company',
+    fiscalYear: '2023',
+    revenue: 8713.7,
+    grossProfit: 2823.2,
+    operatingProfit: 1005.4,
+    netProfit: 892.6,
+    grossMargin: 32.4,
+    operatingMargin: 11.54,
+    netMargin: 10.24,
+    totalAssets: 5371.4,
+    currentAssets: 4200,
+    totalLiabilities: 2908.6,
+    currentLiabilities: 2485,
+    shareholderEquity: 2462.8,
+    cash: 1240,
+    eps: 6.87,
+    roe: 36.24,
+    currentRatio: 1.69,
+    debtToEquity: 1.18,
+    sources: {
+        revenue: { page: 34, raw: '8,713,700,412', unit: 'SAR', snippet: 'Revenue 5 8,713,700,412 8,616,200,118' },
+        netProfit: { page: 34, raw: '892,600,155', unit: 'SAR', snippet: 'Profit for the year 892,600,155 887,800,642' }
+    }
+};
+
+const QUALITATIVE_EVENTS = [
+    {
+        description: 'Finance income from bank deposits',
+        amount: 64727602,
+        year: '2023',
+        nature: 'recurring',
+        category: 'non-operational',
+        trend: 'positive'
+    },
+    {
+        description: 'Write-off of old distribution center',
+        amount: -6950568,
+        year: '2022',
+        nature: 'one-time',
+        category: 'non-operational',
+        trend: 'negative'
+    }
+];
+
+// Canned replies per action; JSON actions are returned as strings like a real model reply
+const RESPONSES = {
+    extract: () => JSON.stringify(EXTRACTION),
+    extractQualitative: () => JSON.stringify(QUALITATIVE_EVENTS),
+    anomalies: () => 'Mock anomaly narrative: the flagged checks point to working-capital pressure.',
+    insights: () => '### Key Insights\n\n**Mock provider** - revenue grew modestly while margins stayed stable.',
+    risk: () => 'Mock risk analysis: liquidity is adequate with a current ratio above 1.5x.',
+    summary: () => 'Mock executive summary generated by the local stub provider.',
+    query: ({ user }) => `Mock answer to: ${user}`
+};
+
+export const label = 'Mock';
+
+/**
+ * The mock provider never needs credentials
+ */
+export function missingConfig() {
+    return [];
+}
+
+/**
+ * Return the canned reply for the action
+ */
+export async function complete(request) {
+    const reply = RESPONSES[request.action];
+    return reply ? reply(request) : `Mock response for action "${request.action}"`;
+}
+
+export default { label, missingConfig, complete };
@@ -0,0 +1,53 @@
+/**
+ * OpenAI Provider
+ * Chat Completions API (https://api.openai.com/v1/chat/completions)
+ */
+
+const API_URL = 'https://api.openai.com/v1/chat/completions';
+
+// Models per request profile
+const MODELS = {
+    extraction: process.env.OPENAI_EXTRACTION_MODEL || 'gpt-4o',
+    chat: process.env.OPENAI_MODEL || 'gpt-4-turbo-preview'
+};
+
+export const label = 'OpenAI';
+
+/**
+ * List missing environment variables
+ */
+export function missingConfig() {
+    return process.env.OPENAI_API_KEY ? [] : ['OPENAI_API_KEY'];
+}
+
+/**
+ * Send a system + user prompt and return the reply text
+ */
+export async function complete({ system, user, profile, maxTokens, temperature }) {
+    const response = await fetch(API_URL, {
+        method: 'POST',
+        headers: {
+            'Content-Type': 'application/json',
+            'Authorization': `Bearer ${process.env.OPENAI_API_KEY}`
+        },
+        body: JSON.stringify({
+            model: MODELS[profile] || MODELS.chat,
+            messages: [
+                { role: 'system', content: system },
+                { role: 'user', content: user }
+            ],
+            max_tokens: maxTokens,
+            temperature
+        })
+    });
+
+    if (!response.ok) {
+        const error = await response.json();
+        throw new Error(error.error?.message || 'OpenAI API error');
+    }
+
+    const result = await response.json();
+    return result.choices[0]?.message?.content;
+}
+
+export default { label, missingConfig, complete };
@@ -1,8 +1,23 @@
 /**
- * Vercel Serverless Function - OpenAI Chat API
- * Keeps API key secure on the server side
+ * Vercel Serverless Function - AI Chat API
+ * Keeps API keys secure on the server side
+ * The LLM provider is selected with AI_PROVIDER (openai, anthropic, azure, mock)
  */
 
+import { getProvider } from './_lib/providers/index.js';
+import { parseModelJSON } from './_lib/json.js';
+import { validateExtraction, describeSchema } from './_lib/extractionSchema.js';
+
+// Re-asks allowed when the extraction fails schema validation
+const MAX_REPAIR_ATTEMPTS = 2;
+
+// Statements that can be extracted on their own
+const SECTION_LABELS = {
+    incomeStatement: 'Statement of Profit or Loss',
+    financialPosition: 'Statement of Financial Position',
+    cashFlow: 'Statement of Cash Flows'
+};
+
 export default async function handler(req, res) {
     // CORS headers
     res.setHeader('Access-Control-Allow-Origin', '*');
@@ -17,10 +32,16 @@ export default async function handler(req, res) {
         return res.status(405).json({ error: 'Method not allowed' });
     }
 
-    const apiKey = process.env.OPENAI_API_KEY;
+    let provider;
+    try {
+        provider = getProvider();
+    } catch (error) {
+        return res.status(500).json({ error: error.message });
+    }
 
-    if (!apiKey) {
-        return res.status(500).json({ error: 'OpenAI API key not configured' });
+    const missing = provider.missingConfig();
+    if (missing.length > 0) {
+        return res.status(500).json({ error: `${provider.label} not configured (missing ${missing.join(', ')})` });
     }
 
     try {
@@ -29,13 +50,21 @@ export default async function handler(req, res) {
         let systemPrompt = '';
         let userContent = '';
 
+        // Extraction requests send either the report text or { text, section, fiscalYear }
+        const extractOptions = typeof data === 'object' && data !== null ? data : { text: data };
+        const extractText = extractOptions.text;
+        const extractSection = SECTION_LABELS[extractOptions.section] || null;
+        const columnHint = extractOptions.fiscalYear
+            ? `\n\nTables are laid out as "Line item | <year> | <year>" rows. Take every figure from the ${extractOptions.fiscalYear} column and set fiscalYear to "${extractOptions.fiscalYear}".`
+            : '';
+
         switch (action) {
             case 'query':
                 systemPrompt = `You are a financial analyst assistant for Nahdi Medical Company investment analysis.
                     You have access to the following financial data: ${JSON.stringify(data)}
                     Answer questions about this data clearly and concisely.
                     Always cite specific numbers and trends when relevant.
-                    Format currency in SAR (Saudi Riyals) with millions abbreviated as M.`;
+                    Amounts are in millions of ${data?.currency || 'SAR'}; format currency as ${data?.currency || 'SAR'} with millions abbreviated as M.`;
                 userContent = messages;
                 break;
 
@@ -53,8 +82,9 @@ export default async function handler(req, res) {
 TASK: Extract ALL financial metrics from the text. Search the ENTIRE document thoroughly.
 
 WHERE TO FIND KEY DATA:
-- "Statement of Profit or Loss" / "Income Statement": Revenue, Cost of Sales, Gross Profit, Operating Expenses, Net Profit
-- "Statement of Financial Position" / "Balance Sheet": Total Assets, Current Assets, Non-Current Assets, Total Liabilities, Current Liabilities, Shareholders' Equity
+- "Statement of Profit or Loss" / "Income Statement": Revenue, Cost of Sales, Gross Profit, Selling, General and Administrative Expenses, Operating Profit, Finance Costs, Zakat and Income Tax, Net Profit
+- "Statement of Financial Position" / "Balance Sheet": Total Assets, Current Assets, Cash, Trade Receivables, Inventories, Total Liabilities, Current Liabilities, Trade Payables, Borrowings, Shareholders' Equity
+- "Statement of Cash Flows": Net Cash from Operating / Investing / Financing Activities, Depreciation and Amortisation, Purchase of Property and Equipment (capex), Payment of Lease Liabilities
 - "Statement of Changes in Equity": Total Equity figures
 - Look for tables with column headers like "2024", "2023", "31 December"
 
@@ -62,9 +92,15 @@ REQUIRED JSON FORMAT (return ONLY this JSON, no markdown):
 {
     "companyName": "Nahdi Medical Company",
     "fiscalYear": "2024",
+    "currency": "SAR",
     "revenue": 9446.4,
+    "costOfSales": 6383.9,
     "grossProfit": 3062.5,
+    "sgaExpenses": 1968.3,
+    "depreciationAmortization": 512.6,
     "operatingProfit": 1094.2,
+    "financeCosts": 98.4,
+    "zakat": 52.1,
     "netProfit": 820.7,
     "grossMargin": 32.4,
     "operatingMargin": 11.6,
@@ -75,10 +111,23 @@ REQUIRED JSON FORMAT (return ONLY this JSON, no markdown):
     "currentLiabilities": 2400.1,
     "shareholderEquity": 2586.1,
     "cash": 1240.5,
+    "receivables": 410.8,
+    "inventories": 1710.2,
+    "payables": 1530.6,
+    "borrowings": 0,
+    "operatingCashFlow": 1415.3,
+    "capex": 286.4,
+    "leasePayments": 402.7,
+    "investingCashFlow": -301.2,
+    "financingCashFlow": -1108.9,
     "eps": 6.31,
     "roe": 31.7,
     "currentRatio": 1.33,
-    "debtToEquity": 1.39
+    "debtToEquity": 1.39,
+    "sources": {
+        "revenue": { "page": 12, "raw": "9,446,412", "unit": "SAR '000", "snippet": "Revenue 5 9,446,412 8,713,700" },
+        "netProfit": { "page": 12, "raw": "820,652", "unit": "SAR '000", "snippet": "Profit for the year 820,652 892,600" }
+    }
 }
 
 CALCULATION RULES - ALWAYS calculate if base values found:
@@ -89,20 +138,25 @@ CALCULATION RULES - ALWAYS calculate if base values found:
 - debtToEquity = totalLiabilities / shareholderEquity
 
 CRITICAL INSTRUCTIONS:
-1. Values in MILLIONS SAR (if document shows thousands, divide by 1000)
+1. Values in MILLIONS of the reporting currency (if document shows thousands, divide by 1000); "currency" is its ISO code
 2. Return plain NUMBERS, not objects
 3. Search for "Total current assets", "Total current liabilities", "Total equity attributable to"
 4. Use the MOST RECENT year's data (latest column)
 5. ALWAYS calculate derived metrics when base values exist
-6. Only use null if data truly cannot be found AND cannot be calculated`;
-                userContent = `Extract ALL financial data from this annual report. Pay special attention to the Statement of Financial Position (Balance Sheet) for assets, liabilities, and equity figures:\n\n${data}`;
+6. Only use null if data truly cannot be found AND cannot be calculated; never estimate a line item from another
+7. In "sources", cite every figure you read from the document: the page number from the "--- Page N ---" marker, the figure exactly as printed, the unit stated in the table header and the line it appears on. Omit calculated metrics from "sources"
+8. Report costOfSales, sgaExpenses, depreciationAmortization, financeCosts, zakat, capex and leasePayments as POSITIVE amounts even when printed in brackets; keep the printed sign of the net cash flows`;
+                userContent = extractSection
+                    ? `This excerpt contains only the ${extractSection} of an annual report. Extract the figures it contains and use null for fields that are not in this excerpt.${columnHint}\n\n${extractText}`
+                    : `Extract ALL financial data from this annual report. Pay special attention to the Statement of Financial Position (Balance Sheet) for assets, liabilities, and equity figures.${columnHint}\n\n${extractText}`;
                 break;
 
             case 'anomalies':
-                systemPrompt = `You are a financial anomaly detection specialist.
-                    Analyze the data for unusual patterns, significant changes, or potential red flags.
-                    Return a JSON array of anomalies with: metric, description, severity (low/medium/high), recommendation.`;
-                userContent = `Detect anomalies in this financial data:\n${JSON.stringify(data, null, 2)}`;
+                systemPrompt = `You are a financial analyst explaining the results of deterministic anomaly checks to investors.
+                    The anomalies, their figures and their severities are given: do not add, drop or re-grade any of them.
+                    Write a concise narrative (1-2 paragraphs) of what they suggest together, most severe first.
+                    If the list is empty, say that no check flagged the year.`;
+                userContent = `Explain these detected anomalies:\n${JSON.stringify(data, null, 2)}`;
                 break;
 
             case 'extractQualitative':
@@ -123,7 +177,7 @@ WHAT TO LOOK FOR:
 
 For each event, determine:
 1. Description (brief, specific)
-2. Financial impact (SAR amount, positive or negative)
+2. Financial impact (amount in the report's currency, positive or negative)
 3. Nature: "recurring" (normal operations) or "one-time" (non-recurring)
 4. Category: "operational" or "non-operational"
 5. Trend: "positive" (increases profit) or "negative" (decreases profit)
@@ -173,7 +227,9 @@ IMPORTANT:
                     2. Key financial highlights
                     3. Risk factors
                     4. Outlook
-                    Use specific numbers from the data. Be objective and professional.`;
+                    Use specific numbers from the data. Be objective and professional.
+                    If the data includes a valuation object, it is the user's discounted cash flow valuation:
+                    cite its per-share value with its WACC and terminal assumptions as given, without recomputing them.`;
                 userContent = `Generate an executive summary for:\n${JSON.stringify(data, null, 2)}`;
                 break;
 
@@ -182,43 +238,37 @@ IMPORTANT:
                 userContent = messages;
         }
 
-        const response = await fetch('https://api.openai.com/v1/chat/completions', {
-            method: 'POST',
-            headers: {
-                'Content-Type': 'application/json',
-                'Authorization': `Bearer ${apiKey}`
-            },
-            body: JSON.stringify({
-                model: (action === 'extract' || action === 'extractQualitative') ? 'gpt-4o' : 'gpt-4-turbo-preview',
-                messages: [
-                    { role: 'system', content: systemPrompt },
-                    { role: 'user', content: userContent }
-                ],
-                max_tokens: 4096,
-                temperature: (action === 'extract' || action === 'extractQualitative') ? 0.2 : 0.7
-            })
-        });
+        const isExtraction = action === 'extract' || action === 'extractQualitative';
 
-        if (!response.ok) {
-            const error = await response.json();
-            throw new Error(error.error?.message || 'OpenAI API error');
-        }
+        const request = {
+            action,
+            system: systemPrompt,
+            user: userContent,
+            profile: isExtraction ? 'extraction' : 'chat',
+            maxTokens: 4096,
+            temperature: isExtraction ? 0.2 : 0.7
+        };
 
-        const result = await response.json();
-        const content = result.choices[0]?.message?.content;
+        const content = await provider.complete(request);
+
+        // Financial statement extraction is validated against the schema, re-asking on invalid output
+        if (action === 'extract') {
+            const outcome = await extractWithRepair(provider, request, content, { partial: Boolean(extractSection) });
+            if (outcome.valid) {
+                return res.status(200).json({ result: outcome.value });
+            }
+            return res.status(422).json({
+                error: outcome.parsed ? 'Extracted data failed schema validation' : 'Model did not return JSON',
+                code: outcome.parsed ? 'EXTRACTION_INVALID' : 'EXTRACTION_UNPARSEABLE',
+                details: outcome.errors
+            });
+        }
 
         // Try to parse JSON for structured responses
-        if (action === 'extract' || action === 'anomalies' || action === 'extractQualitative') {
-            try {
-                const jsonMatch = content.match(/```json\n?([\s\S]*?)\n?```/) ||
-                    content.match(/\{[\s\S]*\}/) ||
-                    content.match(/\[[\s\S]*\]/);
-                if (jsonMatch) {
-                    const parsed = JSON.parse(jsonMatch[1] || jsonMatch[0]);
-                    return res.status(200).json({ result: parsed });
-                }
-            } catch {
-                // Return as text if JSON parsing fails
+        if (action === 'extractQualitative') {
+            const parsed = parseModelJSON(content);
+            if (parsed !== null) {
+                return res.status(200).json({ result: parsed });
             }
         }
 
@@ -229,3 +279,41 @@ IMPORTANT:
         return res.status(500).json({ error: error.message || 'Internal server error' });
     }
 }
+
+/**
+ * Validate an extraction reply, re-asking the model with the errors until it passes
+ * @returns {Promise<{valid: boolean, parsed: boolean, value: Object|null, errors: Array}>}
+ */
+async function extractWithRepair(provider, request, content, { partial = false } = {}) {
+    let reply = content;
+
+    for (let attempt = 0; ; attempt++) {
+        const parsed = parseModelJSON(reply);
+        const { valid, errors, value } = parsed === null
+            ? { valid: false, errors: [{ field: '$', message: 'Reply did not contain a JSON object' }], value: null }
+            : validateExtraction(parsed, { partial });
+
+        if (valid) {
+            return { valid: true, parsed: true, value, errors };
+        }
+
+        if (attempt >= MAX_REPAIR_ATTEMPTS) {
+            return { valid: false, parsed: parsed !== null, value: null, errors };
+        }
+
+        console.warn(`Extraction attempt ${attempt + 1} invalid, re-asking:`, errors);
+        reply = await provider.complete({
+            ...request,
+            user: `${request.user}
+
+Your previous reply was:
+${reply}
+
+It failed validation with these errors:
+${errors.map(e => `- ${e.message}`).join('\n')}
+
+Return ONLY the corrected JSON object. Expected fields:
+${describeSchema()}`
+        });
+    }
+}
@@ -28,6 +28,7 @@ export const aiConfig = {
     },
 
     // Default provider
+    // The serverless API (api/chat.js) reads AI_PROVIDER instead: openai, anthropic, azure or mock
     defaultProvider: 'openai',
 
     // Feature flags
@@ -36,7 +37,7 @@ export const aiConfig = {
         insightGeneration: true,
         naturalLanguageQuery: true,
         anomalyDetection: true,
-        benchmarkComparison: false // Requires additional data sources
+        benchmarkComparison: true // Local sector dataset (src/scripts/data/benchmarks.js)
     }
 };
 
@@ -3,13 +3,23 @@
  * Initializes all dashboard charts
  */
 
-import { initChartDefaults, colors, tooltipConfig, gridConfig, legendConfig } from '../config/chartConfig.js';
+import { initChartDefaults, colors, tooltipConfig, gridConfig, axisTitle, legendConfig } from '../config/chartConfig.js';
 import { getFinancialData } from '../data/financialData.js';
 import { createRevenueChart } from './revenueChart.js';
 import { createMarginsChart } from './marginsChart.js';
+import { citationFooter, citationClickHandler } from '../components/sourceCitations.js';
+import { renderKpiGrid } from '../components/kpiGrid.js';
+import { currencyOf } from '../data/currency.js';
+import { restatementFooter, restatementMarkers } from './restatementMarkers.js';
+import { provenanceFooter, provenanceMarkers } from './provenanceMarkers.js';
+import { projectionLabels, padSeries, projectionDataset, projectionBand } from './projectionMarkers.js';
+import { chartProjection } from '../components/forecastPanel.js';
+import { PROVENANCE } from '../data/provenance.js';
+import { KPIS } from '../data/kpis.js';
 
 // Store chart instances for cleanup
 let chartInstances = {};
+let peerChartInstances = {};
 
 /**
  * Destroy all existing charts before creating new ones
@@ -35,112 +45,68 @@ export function initializeCharts(Chart) {
     // Set global defaults
     initChartDefaults(Chart);
 
+    // Forecast years extend the revenue, profit and FCF charts when the user shows them,
+    // each only when the forecast projects its series
+    const projection = chartProjection(data);
+    const projectionOf = field => (projection?.[field] ? projection : null);
+
     // Initialize individual charts and store references
-    chartInstances.revenue = createRevenueChart(Chart, 'revenueChart', data);
+    chartInstances.revenue = createRevenueChart(Chart, 'revenueChart', data, projection);
     chartInstances.margins = createMarginsChart(Chart, 'marginsChart', data);
     chartInstances.segment = createSegmentChart(Chart, data);
-    chartInstances.profit = createProfitChart(Chart, data);
+    chartInstances.profit = createProfitChart(Chart, data, projectionOf('netProfit'));
     chartInstances.capital = createCapitalChart(Chart, data);
     chartInstances.ratios = createRatiosChart(Chart, data);
     chartInstances.cashflow = createCashflowChart(Chart, data);
-    chartInstances.fcf = createFcfChart(Chart, data);
+    chartInstances.fcf = createFcfChart(Chart, data, projectionOf('fcf'));
 
     // Update KPIs
-    updateKPIs(data);
+    renderKpiGrid(data);
 }
 
 /**
- * Format number safely
+ * Create the peer comparison charts, one per metric, into the canvases `peerChart-<metric>`
+ * Amounts are overlaid on the revenue chart and percentages on the margins chart.
+ * @param {Object} Chart - Chart.js
+ * @param {Object} comparison - As returned by alignPeers
+ * @param {string[]} metrics - Keys of KPIS aligned in the comparison
  */
-function formatNum(val, decimals = 2) {
-    if (val === null || val === undefined || isNaN(val)) return 'N/A';
-    return Number(val).toFixed(decimals);
-}
+export function initializePeerCharts(Chart, comparison, metrics) {
+    Object.values(peerChartInstances).forEach(chart => {
+        if (chart) chart.destroy();
+    });
+    peerChartInstances = {};
 
-/**
- * Format ratio - returns N/A for 0 or missing values (ratios should never be exactly 0)
- */
-function formatRatio(val, decimals = 2) {
-    if (val === null || val === undefined || isNaN(val) || val === 0) return 'N/A';
-    return Number(val).toFixed(decimals);
+    initChartDefaults(Chart);
+    const data = { years: comparison.years, currency: comparison.currency };
+    metrics.forEach(metric => {
+        const canvasId = `peerChart-${metric}`;
+        const peers = comparison.peers.map(peer => ({ label: peer.name, values: peer.values[metric] }));
+        peerChartInstances[metric] = KPIS[metric].unit === 'money'
+            ? createRevenueChart(Chart, canvasId, data, null, peers)
+            : createMarginsChart(Chart, canvasId, data, peers);
+    });
 }
 
 /**
- * Format large number without locale-specific separators
+ * Show or clear a "not available" note in place of a chart
  */
-function formatLargeNum(val) {
-    if (val === null || val === undefined || isNaN(val)) return 'N/A';
-    return new Intl.NumberFormat('en-US', { maximumFractionDigits: 1 }).format(val);
-}
-
-/**
- * Update KPIs with dynamic data
- */
-function updateKPIs(data) {
-    const kpiCards = document.querySelectorAll('.kpi-card');
-    if (!kpiCards.length) return;
-
-    // Get the last value from arrays (most recent year)
-    const getLatest = (arr) => Array.isArray(arr) ? arr[arr.length - 1] : arr;
-
-    // Get values with safe defaults
-    const netMargin = getLatest(data.netMargin);
-    const roe = data.roe;
-    const currentRatio = getLatest(data.currentRatio);
-    const debtToEquity = getLatest(data.debtToEquity);
-    const revenue = getLatest(data.revenue);
-    const netProfit = getLatest(data.netProfit);
-
-    const kpiData = [
-        {
-            label: 'Net Profit Margin',
-            value: `${formatRatio(netMargin)}%`,
-            subtitle: data.companyName || 'Company'
-        },
-        {
-            label: 'Return on Equity (ROE)',
-            value: `${formatRatio(roe)}%`,
-            subtitle: `FY ${data.fiscalYear || 'N/A'}`
-        },
-        {
-            label: 'Current Ratio',
-            value: `${formatRatio(currentRatio)}x`,
-            subtitle: 'Liquidity position'
-        },
-        {
-            label: 'Debt-to-Equity Ratio',
-            value: `${formatRatio(debtToEquity)}x`,
-            subtitle: 'Capital structure'
-        },
-        {
-            label: 'Revenue',
-            value: `${formatNum(revenue / 1000)}B`,
-            subtitle: 'SAR'
-        },
-        {
-            label: 'Net Profit',
-            value: `${formatLargeNum(netProfit)}M`,
-            subtitle: 'SAR'
-        }
-    ];
-
-    kpiCards.forEach((card, index) => {
-        if (kpiData[index]) {
-            const labelEl = card.querySelector('.kpi-label');
-            const valueEl = card.querySelector('.kpi-value');
-            const subtitleEl = card.querySelector('.kpi-subtitle');
-
-            if (labelEl) labelEl.textContent = kpiData[index].label;
-            if (valueEl) valueEl.textContent = kpiData[index].value;
-            if (subtitleEl) subtitleEl.textContent = kpiData[index].subtitle;
-        }
-    });
+function setChartUnavailable(canvas, message) {
+    const container = canvas.parentElement;
+    container.querySelector('.chart-unavailable')?.remove();
+    canvas.hidden = Boolean(message);
+    if (message) container.insertAdjacentHTML('beforeend', `<p class="chart-unavailable">${message}</p>`);
 }
 
 function createSegmentChart(Chart, data) {
     const ctx = document.getElementById('segmentChart');
     if (!ctx) return null;
 
+    // The breakdown is only shown when the report discloses it
+    const available = typeof data.segmentPharma === 'number' && typeof data.segmentFrontShop === 'number';
+    setChartUnavailable(ctx, available ? null : `${PROVENANCE.missing.label}: the report does not break revenue down by segment`);
+    if (!available) return null;
+
     return new Chart(ctx, {
         type: 'doughnut',
         data: {
@@ -171,50 +137,70 @@ function createSegmentChart(Chart, data) {
     });
 }
 
-function createProfitChart(Chart, data) {
+function createProfitChart(Chart, data, projection) {
     const ctx = document.getElementById('profitChart');
     if (!ctx) return null;
 
+    const currency = currencyOf(data);
+    const datasets = [{
+        label: 'Net Profit',
+        data: padSeries(data.netProfit, projection),
+        backgroundColor: colors.tealDim,
+        borderColor: colors.teal,
+        borderWidth: 2,
+        borderRadius: 8,
+        barThickness: projection ? 36 : 50
+    }];
+    if (projection) {
+        datasets.push(projectionDataset(data, projection, 'netProfit', { color: colors.teal, label: 'Projection' }));
+    }
+
     return new Chart(ctx, {
         type: 'bar',
         data: {
-            labels: data.years,
-            datasets: [{
-                label: 'Net Profit',
-                data: data.netProfit,
-                backgroundColor: colors.tealDim,
-                borderColor: colors.teal,
-                borderWidth: 2,
-                borderRadius: 8,
-                barThickness: 50
-            }]
+            labels: projectionLabels(data, projection),
+            datasets
         },
         options: {
             responsive: true,
             maintainAspectRatio: false,
+            onClick: citationClickHandler(data, ['netProfit']),
             plugins: {
                 legend: { display: false },
                 tooltip: {
                     ...tooltipConfig,
-                    callbacks: { label: ctx => `SAR ${ctx.raw.toLocaleString()}M` }
+                    filter: item => item.raw !== null,
+                    callbacks: {
+                        label: ctx => `${ctx.dataset.projection ? 'Projection: ' : ''}${currency} ${ctx.raw.toLocaleString()}M`,
+                        footer: restatementFooter(data, ['netProfit'], provenanceFooter(data, ['netProfit'], citationFooter(data, ['netProfit'])))
+                    }
                 }
             },
             scales: {
                 y: {
                     beginAtZero: true,
                     grid: gridConfig,
+                    title: axisTitle(`${currency} millions`),
                     ticks: { callback: v => v + 'M' }
                 },
                 x: { grid: { display: false } }
             }
-        }
+        },
+        plugins: [projectionBand(projection), restatementMarkers(data, ['netProfit']), provenanceMarkers(data, ['netProfit'])]
     });
 }
 
+// Extraction fields behind each dataset, for source citations
+const CAPITAL_FIELDS = ['totalLiabilities', 'shareholderEquity'];
+const CASHFLOW_FIELDS = ['operatingCashFlow', 'investingCashFlow', 'financingCashFlow'];
+const RATIO_FIELDS = ['currentRatio', 'debtToEquity'];
+
 function createCapitalChart(Chart, data) {
     const ctx = document.getElementById('capitalChart');
     if (!ctx) return null;
 
+    const currency = currencyOf(data);
+
     return new Chart(ctx, {
         type: 'bar',
         data: {
@@ -243,21 +229,27 @@ function createCapitalChart(Chart, data) {
         options: {
             responsive: true,
             maintainAspectRatio: false,
+            onClick: citationClickHandler(data, CAPITAL_FIELDS),
             plugins: {
                 legend: legendConfig,
                 tooltip: {
                     ...tooltipConfig,
-                    callbacks: { label: ctx => `${ctx.dataset.label}: SAR ${ctx.raw.toLocaleString()}M` }
+                    callbacks: {
+                        label: ctx => `${ctx.dataset.label}: ${currency} ${ctx.raw.toLocaleString()}M`,
+                        footer: restatementFooter(data, CAPITAL_FIELDS, provenanceFooter(data, CAPITAL_FIELDS, citationFooter(data, CAPITAL_FIELDS)))
+                    }
                 }
             },
             scales: {
                 y: {
                     grid: gridConfig,
+                    title: axisTitle(`${currency} billions`),
                     ticks: { callback: v => (v/1000).toFixed(1) + 'B' }
                 },
                 x: { grid: { display: false } }
             }
-        }
+        },
+        plugins: [restatementMarkers(data, CAPITAL_FIELDS), provenanceMarkers(data, CAPITAL_FIELDS)]
     });
 }
 
@@ -303,12 +295,16 @@ function createRatiosChart(Chart, data) {
         options: {
             responsive: true,
             maintainAspectRatio: false,
+            onClick: citationClickHandler(data, RATIO_FIELDS),
             interaction: { mode: 'index', intersect: false },
             plugins: {
                 legend: legendConfig,
                 tooltip: {
                     ...tooltipConfig,
-                    callbacks: { label: ctx => `${ctx.dataset.label}: ${ctx.raw}x` }
+                    callbacks: {
+                        label: ctx => `${ctx.dataset.label}: ${ctx.raw}x`,
+                        footer: provenanceFooter(data, RATIO_FIELDS, citationFooter(data, RATIO_FIELDS))
+                    }
                 }
             },
             scales: {
@@ -332,7 +328,8 @@ function createRatiosChart(Chart, data) {
                 },
                 x: { grid: { display: false } }
             }
-        }
+        },
+        plugins: [provenanceMarkers(data, RATIO_FIELDS)]
     });
 }
 
@@ -340,6 +337,8 @@ function createCashflowChart(Chart, data) {
     const ctx = document.getElementById('cashflowChart');
     if (!ctx) return null;
 
+    const currency = currencyOf(data);
+
     return new Chart(ctx, {
         type: 'bar',
         data: {
@@ -377,62 +376,81 @@ function createCashflowChart(Chart, data) {
         options: {
             responsive: true,
             maintainAspectRatio: false,
+            onClick: citationClickHandler(data, CASHFLOW_FIELDS),
             plugins: {
                 legend: legendConfig,
                 tooltip: {
                     ...tooltipConfig,
-                    callbacks: { label: ctx => `${ctx.dataset.label}: SAR ${ctx.raw.toLocaleString()}M` }
+                    callbacks: {
+                        label: ctx => `${ctx.dataset.label}: ${currency} ${ctx.raw.toLocaleString()}M`,
+                        footer: restatementFooter(data, CASHFLOW_FIELDS, provenanceFooter(data, CASHFLOW_FIELDS, citationFooter(data, CASHFLOW_FIELDS)))
+                    }
                 }
             },
             scales: {
                 y: {
                     grid: gridConfig,
+                    title: axisTitle(`${currency} millions`),
                     ticks: { callback: v => (v >= 0 ? '+' : '') + v + 'M' }
                 },
                 x: { grid: { display: false } }
             }
-        }
+        },
+        plugins: [restatementMarkers(data, CASHFLOW_FIELDS), provenanceMarkers(data, CASHFLOW_FIELDS)]
     });
 }
 
-function createFcfChart(Chart, data) {
+function createFcfChart(Chart, data, projection) {
     const ctx = document.getElementById('fcfChart');
     if (!ctx) return null;
 
+    const currency = currencyOf(data);
+    const datasets = [{
+        label: 'Free Cash Flow',
+        data: padSeries(data.fcf, projection),
+        borderColor: colors.gold,
+        backgroundColor: colors.goldDim,
+        fill: true,
+        tension: 0.4,
+        pointRadius: 8,
+        pointHoverRadius: 10,
+        pointBackgroundColor: colors.gold
+    }];
+    if (projection) {
+        datasets.push(projectionDataset(data, projection, 'fcf', { color: colors.gold, label: 'Projection' }));
+    }
+
     return new Chart(ctx, {
         type: 'line',
         data: {
-            labels: data.years,
-            datasets: [{
-                label: 'Free Cash Flow',
-                data: data.fcf,
-                borderColor: colors.gold,
-                backgroundColor: colors.goldDim,
-                fill: true,
-                tension: 0.4,
-                pointRadius: 8,
-                pointHoverRadius: 10,
-                pointBackgroundColor: colors.gold
-            }]
+            labels: projectionLabels(data, projection),
+            datasets
         },
         options: {
             responsive: true,
             maintainAspectRatio: false,
+            onClick: citationClickHandler(data, ['fcf']),
             plugins: {
                 legend: { display: false },
                 tooltip: {
                     ...tooltipConfig,
-                    callbacks: { label: ctx => `FCF: SAR ${ctx.raw.toLocaleString()}M` }
+                    filter: item => item.raw !== null,
+                    callbacks: {
+                        label: ctx => `${ctx.dataset.projection ? 'Projected FCF' : 'FCF'}: ${currency} ${ctx.raw.toLocaleString()}M`,
+                        footer: provenanceFooter(data, ['fcf'], citationFooter(data, ['fcf']))
+                    }
                 }
             },
             scales: {
                 y: {
                     grid: gridConfig,
+                    title: axisTitle(`${currency} millions`),
                     ticks: { callback: v => v + 'M' }
                 },
                 x: { grid: { display: false } }
             }
-        }
+        },
+        plugins: [projectionBand(projection), provenanceMarkers(data, ['fcf'])]
     });
 }
 
@@ -2,55 +2,81 @@
  * Margins Chart Module
  */
 
-import { colors, tooltipConfig, gridConfig, legendConfig } from '../config/chartConfig.js';
+import { colors, seriesColors, tooltipConfig, gridConfig, legendConfig } from '../config/chartConfig.js';
+import { citationFooter, citationClickHandler } from '../components/sourceCitations.js';
+import { provenanceFooter, provenanceMarkers } from './provenanceMarkers.js';
 
-export function createMarginsChart(Chart, canvasId, data) {
+const MARGIN_FIELDS = ['grossMargin', 'netMargin'];
+
+/**
+ * Gross and net margin lines
+ * Given peers, one percentage of each company is overlaid instead, without source markers.
+ * @param {Array<{ label: string, values: Array<number|null> }>|null} [peers] - Percentages of each
+ *        company, aligned with `data.years`
+ */
+export function createMarginsChart(Chart, canvasId, data, peers = null) {
     const ctx = document.getElementById(canvasId);
     if (!ctx) return null;
 
-    // Calculate dynamic y-axis range
-    const allValues = [...data.grossMargin, ...data.netMargin];
-    const minVal = Math.min(...allValues);
-    const maxVal = Math.max(...allValues);
-    const yMin = Math.max(0, minVal - 5);
+    const datasets = peers
+        ? peers.map((peer, i) => ({
+            label: peer.label,
+            data: peer.values,
+            borderColor: seriesColors[i % seriesColors.length],
+            backgroundColor: seriesColors[i % seriesColors.length],
+            fill: false,
+            tension: 0.4,
+            pointRadius: 6,
+            pointHoverRadius: 8
+        }))
+        : [
+            {
+                label: 'Gross Margin',
+                data: data.grossMargin,
+                borderColor: colors.blue,
+                backgroundColor: colors.blueDim,
+                fill: true,
+                tension: 0.4,
+                pointRadius: 6,
+                pointHoverRadius: 8
+            },
+            {
+                label: 'Net Margin',
+                data: data.netMargin,
+                borderColor: colors.gold,
+                backgroundColor: colors.goldDim,
+                fill: true,
+                tension: 0.4,
+                pointRadius: 6,
+                pointHoverRadius: 8
+            }
+        ];
+
+    // Calculate dynamic y-axis range, below zero only for losses
+    const allValues = datasets.flatMap(dataset => dataset.data).filter(v => typeof v === 'number');
+    const minVal = allValues.length > 0 ? Math.min(...allValues) : 0;
+    const maxVal = allValues.length > 0 ? Math.max(...allValues) : 0;
+    const yMin = minVal < 0 ? minVal - 5 : Math.max(0, minVal - 5);
     const yMax = maxVal + 5;
 
     return new Chart(ctx, {
         type: 'line',
         data: {
             labels: data.years,
-            datasets: [
-                {
-                    label: 'Gross Margin',
-                    data: data.grossMargin,
-                    borderColor: colors.blue,
-                    backgroundColor: colors.blueDim,
-                    fill: true,
-                    tension: 0.4,
-                    pointRadius: 6,
-                    pointHoverRadius: 8
-                },
-                {
-                    label: 'Net Margin',
-                    data: data.netMargin,
-                    borderColor: colors.gold,
-                    backgroundColor: colors.goldDim,
-                    fill: true,
-                    tension: 0.4,
-                    pointRadius: 6,
-                    pointHoverRadius: 8
-                }
-            ]
+            datasets
         },
         options: {
             responsive: true,
             maintainAspectRatio: false,
+            onClick: peers ? undefined : citationClickHandler(data, MARGIN_FIELDS),
             plugins: {
                 legend: legendConfig,
                 tooltip: {
                     ...tooltipConfig,
+                    filter: item => item.raw !== null,
                     callbacks: {
-                        label: ctx => `${ctx.dataset.label}: ${ctx.raw}%`
+                        label: ctx => `${ctx.dataset.label}: ${peers ? ctx.raw.toFixed(2) : ctx.raw}%`,
+                        footer: peers ? undefined : provenanceFooter(data, MARGIN_FIELDS, citationFooter(data, MARGIN_FIELDS))
                     }
                 }
             },
@@ -63,7 +89,8 @@ export function createMarginsChart(Chart, canvasId, data) {
                 },
                 x: { grid: { display: false } }
             }
-        }
+        },
+        plugins: peers ? [] : [provenanceMarkers(data, MARGIN_FIELDS)]
     });
 }
 
@@ -0,0 +1,95 @@
+/**
+ * Projection Markers Module
+ * Extends a chart with forecast years: a dashed series continuing from the last reported year,
+ * "E" year labels and a shaded band captioned "Projection", so forecasts cannot pass for reported figures
+ */
+
+import { figureOf } from '../data/statements.js';
+
+/**
+ * Axis label of a forecast year
+ */
+export const projectionLabel = year => `${year}E`;
+
+/**
+ * Chart labels: the fiscal years followed by the forecast years
+ * @param {Object} data - Dashboard data
+ * @param {Object|null} projection - As returned by forecast
+ */
+export function projectionLabels(data, projection) {
+    return projection ? [...data.years, ...projection.years.map(projectionLabel)] : data.years;
+}
+
+/**
+ * Pad a historical series with empty forecast years
+ */
+export function padSeries(series, projection) {
+    return projection ? [...(series || []), ...projection.years.map(() => null)] : series;
+}
+
+/**
+ * Dashed line continuing a field from its last reported year into the forecast years
+ * @param {Object} data - Dashboard data
+ * @param {Object} projection - As returned by forecast
+ * @param {string} field - revenue, netProfit or fcf
+ * @param {Object} options - color, label, scale (divisor applied to every value)
+ */
+export function projectionDataset(data, projection, field, { color, label, scale = 1 }) {
+    const anchor = figureOf(data, field, projection.baseYear);
+    const history = data.years.map(year => (String(year) === projection.baseYear && anchor !== null ? anchor / scale : null));
+
+    return {
+        type: 'line',
+        label,
+        projection: true,
+        data: [...history, ...projection[field].map(value => value / scale)],
+        borderColor: color,
+        backgroundColor: 'transparent',
+        borderDash: [6, 4],
+        borderWidth: 2,
+        fill: false,
+        tension: 0,
+        pointRadius: 4,
+        pointStyle: 'rectRot',
+        pointBackgroundColor: '#1c1e23',
+        pointBorderColor: color,
+        spanGaps: false
+    };
+}
+
+/**
+ * Chart.js plugin shading the forecast years and captioning them "Projection"
+ * @param {Object|null} projection - As returned by forecast
+ */
+export function projectionBand(projection) {
+    return {
+        id: 'projectionBand',
+        beforeDatasetsDraw(chart) {
+            if (!projection) return;
+            const { ctx, chartArea, scales } = chart;
+            const first = chart.data.labels.indexOf(projectionLabel(projection.years[0]));
+            if (first < 0) return;
+
+            const step = chart.data.labels.length > 1 ? scales.x.getPixelForValue(1) - scales.x.getPixelForValue(0) : 0;
+            const left = scales.x.getPixelForValue(first) - step / 2;
+
+            ctx.save();
+            ctx.fillStyle = 'rgba(255, 255, 255, 0.03)';
+            ctx.fillRect(left, chartArea.top, chartArea.right - left, chartArea.bottom - chartArea.top);
+            ctx.strokeStyle = 'rgba(255, 255, 255, 0.15)';
+            ctx.setLineDash([4, 4]);
+            ctx.beginPath();
+            ctx.moveTo(left, chartArea.top);
+            ctx.lineTo(left, chartArea.bottom);
+            ctx.stroke();
+            ctx.fillStyle = '#71717a';
+            ctx.font = "11px 'DM Sans', sans-serif";
+            ctx.textAlign = 'left';
+            ctx.textBaseline = 'top';
+            ctx.fillText('Projection', left + 6, chartArea.top + 4);
+            ctx.restore();
+        }
+    };
+}
+
+export default { projectionLabel, projectionLabels, padSeries, projectionDataset, projectionBand };
@@ -0,0 +1,66 @@
+/**
+ * Provenance Markers Module
+ * Marks estimated chart points so they cannot pass for reported figures, and explains them in the tooltip
+ */
+
+import { colors } from '../config/chartConfig.js';
+import { provenanceOf, estimateMethod } from '../data/provenance.js';
+
+/**
+ * Tooltip footer naming estimates before the lines of the wrapped footer
+ * @param {Object} data - Dashboard data with `_estimates`
+ * @param {string[]} fields - Field behind each dataset
+ * @param {Function} footer - Footer callback to extend, e.g. citationFooter
+ */
+export function provenanceFooter(data, fields, footer) {
+    return items => {
+        const estimated = items
+            .filter(item => provenanceOf(data, fields[item.datasetIndex], item.label) === 'estimated')
+            .map(item => `Estimate: ${estimateMethod(data, fields[item.datasetIndex], item.label)}`);
+        const rest = footer ? footer(items) : '';
+        return [...estimated, ...(Array.isArray(rest) ? rest : rest ? [rest] : [])];
+    };
+}
+
+/**
+ * Chart.js plugin drawing a dashed "E" badge above estimated points
+ * @param {Object} data - Dashboard data with `_estimates`
+ * @param {string[]} fields - Field behind each dataset
+ */
+export function provenanceMarkers(data, fields) {
+    return {
+        id: 'provenanceMarkers',
+        afterDatasetsDraw(chart) {
+            if (!data._estimates || Object.keys(data._estimates).length === 0) return;
+            const { ctx } = chart;
+
+            chart.data.datasets.forEach((dataset, datasetIndex) => {
+                const meta = chart.getDatasetMeta(datasetIndex);
+                if (meta.hidden) return;
+
+                meta.data.forEach((element, index) => {
+                    if (provenanceOf(data, fields[datasetIndex], chart.data.labels[index]) !== 'estimated') return;
+                    const { x, y } = element.tooltipPosition();
+
+                    ctx.save();
+                    ctx.beginPath();
+                    ctx.arc(x, y - 14, 7, 0, Math.PI * 2);
+                    ctx.fillStyle = '#1c1e23';
+                    ctx.strokeStyle = colors.gray;
+                    ctx.setLineDash([2, 2]);
+                    ctx.lineWidth = 1.5;
+                    ctx.fill();
+                    ctx.stroke();
+                    ctx.fillStyle = '#a1a1aa';
+                    ctx.font = "bold 9px 'DM Sans', sans-serif";
+                    ctx.textAlign = 'center';
+                    ctx.textBaseline = 'middle';
+                    ctx.fillText('E', x, y - 14);
+                    ctx.restore();
+                });
+            });
+        }
+    };
+}
+
+export default { provenanceFooter, provenanceMarkers };
@@ -0,0 +1,74 @@
+/**
+ * Restatement Markers Module
+ * Marks chart points whose value a later report restated, and explains them in the tooltip
+ */
+
+import { colors } from '../config/chartConfig.js';
+import { findRestatement } from '../data/restatements.js';
+
+/**
+ * Tooltip line for a restated value
+ */
+export function describeRestatement(entry) {
+    const change = entry.change === null ? '' : `: ${entry.change > 0 ? '+' : ''}${entry.change.toFixed(1)}%`;
+    return `Restated in FY${entry.restatedSource.fiscalYear} report${change}`;
+}
+
+/**
+ * Tooltip footer listing restatements before the citation lines
+ * @param {Object} data - Dashboard data with `_restatements`
+ * @param {string[]} fields - Extraction field behind each dataset
+ * @param {Function} footer - Footer callback to extend, e.g. citationFooter
+ */
+export function restatementFooter(data, fields, footer) {
+    return items => {
+        const restated = items
+            .map(item => findRestatement(data._restatements, fields[item.datasetIndex], item.label))
+            .filter(Boolean)
+            .map(describeRestatement);
+        const rest = footer ? footer(items) : '';
+        return [...restated, ...(Array.isArray(rest) ? rest : rest ? [rest] : [])];
+    };
+}
+
+/**
+ * Chart.js plugin drawing an "R" badge above restated points
+ * @param {Object} data - Dashboard data with `_restatements`
+ * @param {string[]} fields - Extraction field behind each dataset
+ */
+export function restatementMarkers(data, fields) {
+    return {
+        id: 'restatementMarkers',
+        afterDatasetsDraw(chart) {
+            if (!data._restatements?.length) return;
+            const { ctx } = chart;
+
+            chart.data.datasets.forEach((dataset, datasetIndex) => {
+                const meta = chart.getDatasetMeta(datasetIndex);
+                if (meta.hidden) return;
+
+                meta.data.forEach((element, index) => {
+                    if (!findRestatement(data._restatements, fields[datasetIndex], chart.data.labels[index])) return;
+                    const { x, y } = element.tooltipPosition();
+
+                    ctx.save();
+                    ctx.beginPath();
+                    ctx.arc(x, y - 14, 7, 0, Math.PI * 2);
+                    ctx.fillStyle = '#1c1e23';
+                    ctx.strokeStyle = colors.gold;
+                    ctx.lineWidth = 1.5;
+                    ctx.fill();
+                    ctx.stroke();
+                    ctx.fillStyle = colors.gold;
+                    ctx.font = "bold 9px 'DM Sans', sans-serif";
+                    ctx.textAlign = 'center';
+                    ctx.textBaseline = 'middle';
+                    ctx.fillText('R', x, y - 14);
+                    ctx.restore();
+                });
+            });
+        }
+    };
+}
+
+export default { describeRestatement, restatementFooter, restatementMarkers };
@@ -2,35 +2,68 @@
  * Revenue Chart Module
  */
 
-import { colors, tooltipConfig, gridConfig } from '../config/chartConfig.js';
+import { colors, seriesColors, tooltipConfig, gridConfig, axisTitle, legendConfig } from '../config/chartConfig.js';
+import { citationFooter, citationClickHandler } from '../components/sourceCitations.js';
+import { currencyOf } from '../data/currency.js';
+import { restatementFooter, restatementMarkers } from './restatementMarkers.js';
+import { provenanceFooter, provenanceMarkers } from './provenanceMarkers.js';
+import { projectionLabels, padSeries, projectionDataset, projectionBand } from './projectionMarkers.js';
 
-export function createRevenueChart(Chart, canvasId, data) {
+const inBillions = values => values.map(v => (typeof v === 'number' ? v / 1000 : null));
+
+/**
+ * Revenue bars, extended by a dashed projection when one is given
+ * Given peers, the bars of each company are grouped by fiscal year instead; they have
+ * no single report to cite, so source markers are left out.
+ * @param {Object|null} [projection] - As returned by forecast
+ * @param {Array<{ label: string, values: Array<number|null> }>|null} [peers] - Revenue in millions
+ *        of each company, aligned with `data.years`
+ */
+export function createRevenueChart(Chart, canvasId, data, projection = null, peers = null) {
     const ctx = document.getElementById(canvasId);
     if (!ctx) return null;
 
+    const currency = currencyOf(data);
+    const datasets = peers
+        ? peers.map((peer, i) => ({
+            label: peer.label,
+            data: inBillions(peer.values),
+            backgroundColor: seriesColors[i % seriesColors.length],
+            borderColor: seriesColors[i % seriesColors.length],
+            borderWidth: 2,
+            borderRadius: 6
+        }))
+        : [{
+            label: `Revenue (${currency} Billions)`,
+            data: padSeries(inBillions(data.revenue), projection),
+            backgroundColor: colors.goldDim,
+            borderColor: colors.gold,
+            borderWidth: 2,
+            borderRadius: 8,
+            barThickness: projection ? 40 : 60
+        }];
+    if (projection) {
+        datasets.push(projectionDataset(data, projection, 'revenue', { color: colors.gold, label: 'Projection', scale: 1000 }));
+    }
+
     return new Chart(ctx, {
         type: 'bar',
         data: {
-            labels: data.years,
-            datasets: [{
-                label: 'Revenue (SAR Billions)',
-                data: data.revenue.map(v => v / 1000),
-                backgroundColor: colors.goldDim,
-                borderColor: colors.gold,
-                borderWidth: 2,
-                borderRadius: 8,
-                barThickness: 60
-            }]
+            labels: projectionLabels(data, projection),
+            datasets
         },
         options: {
             responsive: true,
             maintainAspectRatio: false,
+            onClick: peers ? undefined : citationClickHandler(data, ['revenue']),
             plugins: {
-                legend: { display: false },
+                legend: peers ? legendConfig : { display: false },
                 tooltip: {
                     ...tooltipConfig,
+                    filter: item => item.raw !== null,
                     callbacks: {
-                        label: ctx => `SAR ${(ctx.raw * 1000).toLocaleString()}M`
+                        label: ctx => `${peers ? `${ctx.dataset.label}: ` : ''}${ctx.dataset.projection ? 'Projection: ' : ''}${currency} ${(ctx.raw * 1000).toLocaleString()}M`,
+                        footer: peers ? undefined : restatementFooter(data, ['revenue'], provenanceFooter(data, ['revenue'], citationFooter(data, ['revenue'])))
                     }
                 }
             },
@@ -38,11 +71,13 @@ export function createRevenueChart(Chart, canvasId, data) {
                 y: {
                     beginAtZero: true,
                     grid: gridConfig,
+                    title: axisTitle(`${currency} billions`),
                     ticks: { callback: v => v + 'B' }
                 },
                 x: { grid: { display: false } }
             }
-        }
+        },
+        plugins: peers ? [] : [projectionBand(projection), restatementMarkers(data, ['revenue']), provenanceMarkers(data, ['revenue'])]
     });
 }
 
@@ -4,7 +4,7 @@
  */
 
 import { queryFinancialData, generateInsights } from '../../services/openaiService.js';
-import { financialData } from '../data/financialData.js';
+import { getFinancialData } from '../data/financialData.js';
 
 let isOpen = false;
 let isLoading = false;
@@ -148,7 +148,7 @@ async function sendMessage(query) {
 
     try {
         // Call OpenAI
-        const response = await queryFinancialData(query, financialData);
+        const response = await queryFinancialData(query, getFinancialData());
 
         // Remove loading and add response
         removeLoading();
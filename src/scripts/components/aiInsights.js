@@ -3,8 +3,9 @@
  * Displays AI-generated investment insights
  */
 
-import { generateInsights, generateExecutiveSummary, detectAnomalies } from '../../services/openaiService.js';
+import { generateInsights, generateExecutiveSummary, detectAnomalies, narrateAnomalies } from '../../services/openaiService.js';
 import { getFinancialData } from '../data/financialData.js';
+import { escapeHTML } from '../utils/html.js';
 
 /**
  * Create AI Insights Panel HTML
@@ -24,6 +25,7 @@ function createInsightsPanelHTML() {
                     <span>Generating AI insights...</span>
                 </div>
             </div>
+            <div class="ai-anomalies" id="aiAnomalies"></div>
         </div>
     `;
 }
@@ -78,8 +80,20 @@ async function loadInsights() {
         </div>
     `;
 
+    const data = getFinancialData();
+    loadAnomalies(data).catch(error => {
+        const anomaliesEl = document.getElementById('aiAnomalies');
+        if (anomaliesEl) {
+            anomaliesEl.innerHTML = `
+                <h4>Anomaly checks</h4>
+                <p style="color: var(--negative);">Failed to run anomaly checks: ${escapeHTML(error.message)}</p>
+            `;
+        }
+        console.error('Failed to load anomalies:', error);
+    });
+
     try {
-        const insights = await generateInsights(getFinancialData());
+        const insights = await generateInsights(data);
         contentEl.innerHTML = formatInsights(insights);
     } catch (error) {
         contentEl.innerHTML = `
@@ -94,6 +108,31 @@ async function loadInsights() {
     }
 }
 
+/**
+ * Show the detected anomalies, then the model's narrative of them
+ * The list comes from the local checks and stays on screen when the narrative fails.
+ */
+async function loadAnomalies(data) {
+    const anomaliesEl = document.getElementById('aiAnomalies');
+    if (!anomaliesEl) return;
+
+    const anomalies = await detectAnomalies(data);
+    anomaliesEl.innerHTML = `
+        <h4>Anomaly checks</h4>
+        ${anomalies.length > 0 ? '<p class="anomaly-narrative" id="aiAnomalyNarrative">Summarising findings...</p>' : ''}
+        ${createAnomaliesHTML(anomalies)}
+    `;
+    if (anomalies.length === 0) return;
+
+    const narrativeEl = document.getElementById('aiAnomalyNarrative');
+    try {
+        narrativeEl.innerHTML = formatInsights(await narrateAnomalies(anomalies, data));
+    } catch (error) {
+        narrativeEl.remove();
+        console.error('Failed to narrate anomalies:', error);
+    }
+}
+
 /**
  * Retry loading insights
  */
@@ -0,0 +1,297 @@
+/**
+ * Benchmark Scoring Component
+ * Places the company's latest KPIs within its sector distribution, from the local benchmark
+ * dataset, and lets the user import, export and edit that dataset
+ */
+
+import {
+    DEFAULT_REGION,
+    parseBenchmarkCSV,
+    toBenchmarkCSV,
+    mergeBenchmarks,
+    listSectors,
+    listRegions,
+    scoreAgainstBenchmarks,
+    loadBenchmarks,
+    saveBenchmarks,
+    resetBenchmarks,
+    usingSampleBenchmarks
+} from '../data/benchmarks.js';
+import { DEFAULT_BENCHMARK_CSV, SAMPLE_BENCHMARK_NOTICE } from '../data/benchmarkDataset.js';
+import { formatKpiValue } from '../data/kpis.js';
+import { currencyOf } from '../data/currency.js';
+import { getCompany } from './companyStore.js';
+import { getCurrentReport } from './reportStore.js';
+import { escapeHTML } from '../utils/html.js';
+
+let currentData = null;
+let editorElement = null;
+
+// Sector and region picked by the user, for the company they were picked for
+const view = { companyId: null, sector: null, region: null };
+
+/**
+ * Peer group to score against: the user's pick, else the company's registry sector, else the first sector
+ */
+function peerGroupOf(rows) {
+    const companyId = getCurrentReport()?.companyId || null;
+    if (companyId !== view.companyId) {
+        Object.assign(view, { companyId, sector: null, region: null });
+    }
+
+    const sectors = listSectors(rows);
+    const companySector = getCompany(companyId)?.sector;
+    const sector = [view.sector, companySector].find(candidate => sectors.includes(candidate)) || sectors[0] || null;
+
+    const regions = listRegions(rows, sector);
+    const region = [view.region, DEFAULT_REGION].find(candidate => regions.includes(candidate)) || regions[0] || DEFAULT_REGION;
+
+    return { sector, region, sectors, regions };
+}
+
+/**
+ * Create the position of a percentile on a bar marked at the quartiles
+ */
+function createPositionHTML(entry) {
+    if (entry.percentile === null) return '<span class="benchmark-missing">—</span>';
+    return `
+        <div class="benchmark-bar" title="Around the ${entry.percentile}th percentile of the sector">
+            <span class="benchmark-quartile" style="left: 25%"></span>
+            <span class="benchmark-quartile" style="left: 50%"></span>
+            <span class="benchmark-quartile" style="left: 75%"></span>
+            <span class="benchmark-marker" data-band="${Math.min(3, Math.floor(entry.score / 25))}" style="left: ${entry.percentile}%"></span>
+        </div>
+    `;
+}
+
+/**
+ * Create the scoring table: one row per metric
+ */
+function createScoresHTML(result, currency) {
+    const rows = result.scores.map(entry => {
+        const benchmark = entry.benchmark;
+        const quartile = key => (benchmark ? formatKpiValue(benchmark[key], entry.unit, currency) : '—');
+        const asOf = benchmark && benchmark.year !== result.year ? ` title="Latest sector data: ${benchmark.year}"` : '';
+
+        return `
+            <tr>
+                <td class="statement-label">${entry.label}</td>
+                <td>${formatKpiValue(entry.value, entry.unit, currency)}</td>
+                <td${asOf}>${quartile('p25')}</td>
+                <td${asOf}>${quartile('median')}</td>
+                <td${asOf}>${quartile('p75')}</td>
+                <td class="benchmark-position">${createPositionHTML(entry)}</td>
+                <td>${entry.score ?? '—'}</td>
+                <td class="benchmark-band">${entry.band || (benchmark ? 'No company value' : 'No sector data')}</td>
+            </tr>
+        `;
+    }).join('');
+
+    return `
+        <div class="statement-table-wrap">
+            <table class="statement-table benchmark-table">
+                <thead>
+                    <tr>
+                        <th class="statement-label">KPI, FY ${result.year}</th>
+                        <th>Company</th>
+                        <th>P25</th>
+                        <th>Median</th>
+                        <th>P75</th>
+                        <th>Position</th>
+                        <th>Score</th>
+                        <th>Band</th>
+                    </tr>
+                </thead>
+                <tbody>${rows}</tbody>
+            </table>
+        </div>
+    `;
+}
+
+/**
+ * Create the section: peer-group pickers, dataset actions, overall score and table
+ * Scores against the bundled dataset are labelled as sample data.
+ */
+function createBenchmarksHTML(data, rows, sample) {
+    const { sector, region, sectors, regions } = peerGroupOf(rows);
+    const toolbar = `
+        <div class="benchmark-toolbar">
+            <label class="statement-toggle">
+                Sector
+                <select id="benchmarkSector">
+                    ${sectors.map(s => `<option value="${escapeHTML(s)}" ${s === sector ? 'selected' : ''}>${escapeHTML(s)}</option>`).join('')}
+                </select>
+            </label>
+            <label class="statement-toggle">
+                Region
+                <select id="benchmarkRegion">
+                    ${regions.map(r => `<option value="${escapeHTML(r)}" ${r === region ? 'selected' : ''}>${escapeHTML(r)}</option>`).join('')}
+                </select>
+            </label>
+            <div class="benchmark-actions">
+                <button class="review-btn secondary" id="benchmarkImport">Import CSV</button>
+                <button class="review-btn secondary" id="benchmarkExport">Export CSV</button>
+                <button class="review-btn secondary" id="benchmarkEdit">Edit dataset</button>
+                <input type="file" id="benchmarkFile" accept=".csv,text/csv" hidden>
+            </div>
+        </div>
+        <p class="benchmark-message" id="benchmarkMessage"></p>
+    `;
+
+    if (!sector) {
+        return `${toolbar}<p class="statement-note">The benchmark dataset is empty. Import a CSV or restore the bundled dataset.</p>`;
+    }
+
+    const result = scoreAgainstBenchmarks(data, rows, { sector, region });
+    const overall = result.overall === null
+        ? '<p class="statement-note">No KPI of this company can be compared with the selected sector.</p>'
+        : `
+            <div class="benchmark-overall">
+                <span class="benchmark-overall-score">${result.overall}</span>
+                <span>Overall score against ${escapeHTML(sector)}, ${escapeHTML(region)}: 100 is best in sector, 50 the median company.</span>
+            </div>
+        `;
+
+    return `
+        ${toolbar}
+        ${sample ? `<p class="benchmark-sample">${SAMPLE_BENCHMARK_NOTICE} Import your provider's dataset before relying on these scores.</p>` : ''}
+        ${overall}
+        ${createScoresHTML(result, currencyOf(data))}
+        <p class="statement-note">
+            Percentiles are interpolated from the sector quartiles; for debt and leverage the score is reversed, so a higher score is always better.
+            ${sample ? 'Import or edit the dataset to use your own figures.' : 'Scored against your imported or edited dataset.'}
+        </p>
+    `;
+}
+
+/**
+ * Render the benchmark scoring of the dashboard data
+ * @param {Object} data - Dashboard data
+ */
+export function renderBenchmarks(data) {
+    const container = document.getElementById('benchmarksContainer');
+    if (!container || !data) return;
+
+    currentData = data;
+    container.innerHTML = createBenchmarksHTML(data, loadBenchmarks(), usingSampleBenchmarks());
+}
+
+function showMessage(text, isError = false) {
+    const message = document.getElementById('benchmarkMessage');
+    if (!message) return;
+    message.textContent = text;
+    message.classList.toggle('error', isError);
+}
+
+/**
+ * Merge a CSV file into the dataset
+ */
+async function importFile(file) {
+    const { rows, errors } = parseBenchmarkCSV(await file.text());
+    if (errors.length > 0) {
+        showMessage(`${file.name}: ${errors[0]}${errors.length > 1 ? ` (and ${errors.length - 1} more)` : ''}`, true);
+        return;
+    }
+
+    saveBenchmarks(mergeBenchmarks(loadBenchmarks(), rows));
+    renderBenchmarks(currentData);
+    showMessage(`Imported ${rows.length} benchmark row${rows.length === 1 ? '' : 's'} from ${file.name}.`);
+}
+
+/**
+ * Download the dataset in the import format
+ */
+function exportFile() {
+    const blob = new Blob([toBenchmarkCSV(loadBenchmarks())], { type: 'text/csv' });
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(blob);
+    link.download = 'sector-benchmarks.csv';
+    link.click();
+    URL.revokeObjectURL(link.href);
+}
+
+function closeEditor() {
+    if (editorElement) editorElement.remove();
+    editorElement = null;
+}
+
+/**
+ * Open the dataset editor: the whole dataset as CSV text
+ */
+export function openBenchmarkEditor() {
+    closeEditor();
+
+    document.body.insertAdjacentHTML('beforeend', `
+        <div class="review-overlay" id="benchmarkEditorOverlay">
+            <div class="review-dialog benchmark-dialog" role="dialog" aria-modal="true" aria-labelledby="benchmarkEditorTitle">
+                <div class="review-header">
+                    <div>
+                        <h2 id="benchmarkEditorTitle">Benchmark dataset</h2>
+                        <p>One row per sector, region, year and metric. Margins and returns in percent, the other metrics as multiples.</p>
+                    </div>
+                </div>
+                <div class="review-body">
+                    <textarea class="benchmark-csv" id="benchmarkCsv" spellcheck="false">${escapeHTML(toBenchmarkCSV(loadBenchmarks()))}</textarea>
+                </div>
+                <div class="review-footer">
+                    <span class="review-error" id="benchmarkError"></span>
+                    <button class="review-btn secondary" id="benchmarkReset">Restore defaults</button>
+                    <button class="review-btn secondary" id="benchmarkCancel">Cancel</button>
+                    <button class="review-btn primary" id="benchmarkSave">Save dataset</button>
+                </div>
+            </div>
+        </div>
+    `);
+    editorElement = document.getElementById('benchmarkEditorOverlay');
+    const overlay = editorElement;
+    const textarea = overlay.querySelector('#benchmarkCsv');
+
+    overlay.querySelector('#benchmarkReset').addEventListener('click', () => {
+        textarea.value = DEFAULT_BENCHMARK_CSV;
+    });
+
+    overlay.querySelector('#benchmarkCancel').addEventListener('click', closeEditor);
+
+    overlay.querySelector('#benchmarkSave').addEventListener('click', () => {
+        const { rows, errors } = parseBenchmarkCSV(textarea.value);
+        if (errors.length > 0) {
+            overlay.querySelector('#benchmarkError').textContent = errors[0];
+            return;
+        }
+
+        if (textarea.value.trim() === DEFAULT_BENCHMARK_CSV.trim()) {
+            resetBenchmarks();
+        } else {
+            saveBenchmarks(rows);
+        }
+        closeEditor();
+        renderBenchmarks(currentData);
+    });
+}
+
+/**
+ * Initialize the section's controls (delegated, so they survive re-renders)
+ */
+export function initBenchmarkScoring() {
+    const container = document.getElementById('benchmarksContainer');
+    if (!container) return;
+
+    container.addEventListener('click', (e) => {
+        if (e.target.id === 'benchmarkImport') container.querySelector('#benchmarkFile').click();
+        if (e.target.id === 'benchmarkExport') exportFile();
+        if (e.target.id === 'benchmarkEdit') openBenchmarkEditor();
+    });
+
+    container.addEventListener('change', (e) => {
+        if (e.target.id === 'benchmarkFile') {
+            const file = e.target.files[0];
+            if (file) importFile(file);
+            return;
+        }
+        if (e.target.id === 'benchmarkSector') Object.assign(view, { sector: e.target.value, region: null });
+        if (e.target.id === 'benchmarkRegion') view.region = e.target.value;
+        renderBenchmarks(currentData);
+    });
+}
+
+export default { renderBenchmarks, initBenchmarkScoring, openBenchmarkEditor };
@@ -0,0 +1,134 @@
+/**
+ * Company Editor Component
+ * Edits a registry entry (canonical name, aliases, ticker, sector, reporting currency)
+ * and merges companies registered twice for the same issuer
+ */
+
+import { CURRENCIES } from '../data/currency.js';
+import { getCompanies, getCompany, updateCompany } from './companyStore.js';
+import { getCompanyReports, mergeCompanies } from './reportStore.js';
+import { getYearConflicts, openYearSources } from './yearSources.js';
+import { escapeHTML } from '../utils/html.js';
+
+let editorElement = null;
+
+/**
+ * Create the editor HTML
+ */
+function createEditorHTML(company) {
+    const others = getCompanies().filter(other => other.id !== company.id);
+    const sectors = [...new Set(getCompanies().map(other => other.sector).filter(Boolean))].sort();
+    const reportCount = getCompanyReports(company.id).length;
+    const conflictCount = getYearConflicts(company.id).length;
+
+    const currencyOptions = Object.entries(CURRENCIES).map(([code, name]) => `
+        <option value="${code}" ${code === company.currency ? 'selected' : ''}>${code} · ${name}</option>
+    `).join('');
+
+    return `
+        <div class="review-overlay" id="companyEditorOverlay">
+            <div class="review-dialog company-dialog" role="dialog" aria-modal="true" aria-labelledby="companyEditorTitle">
+                <div class="review-header">
+                    <div>
+                        <h2 id="companyEditorTitle">${escapeHTML(company.name)}</h2>
+                        ${company.unidentified ? '<p class="company-unidentified">The report does not name its company: enter the name, or merge it into the company it belongs to.</p>' : ''}
+                        <p>${reportCount} linked report${reportCount === 1 ? '' : 's'}. New uploads are linked to this company when their name matches the name or an alias, or their ticker matches.</p>
+                    </div>
+                </div>
+                <div class="review-body company-form">
+                    <label>Canonical name
+                        <input type="text" id="companyName" value="${escapeHTML(company.name)}" maxlength="120">
+                    </label>
+                    <label>Aliases <span class="company-hint">one per line, as printed in reports</span>
+                        <textarea id="companyAliases" rows="3">${escapeHTML((company.aliases || []).join('\n'))}</textarea>
+                    </label>
+                    <div class="company-row">
+                        <label>Ticker
+                            <input type="text" id="companyTicker" value="${escapeHTML(company.ticker || '')}" maxlength="12" placeholder="4164">
+                        </label>
+                        <label>Sector
+                            <input type="text" id="companySector" list="companySectorList" value="${escapeHTML(company.sector || '')}" maxlength="60" placeholder="Health Care">
+                        </label>
+                        <label>Reporting currency
+                            <select id="companyCurrency">
+                                <option value="" ${!company.currency ? 'selected' : ''}>Unknown</option>
+                                ${currencyOptions}
+                            </select>
+                        </label>
+                    </div>
+                    <datalist id="companySectorList">${sectors.map(sector => `<option value="${escapeHTML(sector)}">`).join('')}</datalist>
+                    ${others.length > 0 ? `
+                        <label>Merge into <span class="company-hint">moves every report to the chosen company and removes this one</span>
+                            <select id="companyMerge">
+                                <option value="">Keep as a separate company</option>
+                                ${others.map(other => `<option value="${other.id}">${escapeHTML(other.name)}${other.ticker ? ` (${escapeHTML(other.ticker)})` : ''}</option>`).join('')}
+                            </select>
+                        </label>
+                    ` : ''}
+                </div>
+                <div class="review-footer">
+                    <span class="review-error" id="companyError"></span>
+                    ${conflictCount > 0 ? `<button class="review-btn secondary" id="companyYears">Years reported twice (${conflictCount})</button>` : ''}
+                    <button class="review-btn secondary" id="companyCancel">Cancel</button>
+                    <button class="review-btn primary" id="companySave">Save company</button>
+                </div>
+            </div>
+        </div>
+    `;
+}
+
+function closeEditor() {
+    if (editorElement) editorElement.remove();
+    editorElement = null;
+}
+
+/**
+ * Open the editor of a company
+ * @param {string} companyId
+ * @param {Function} onSaved - Called after the company is saved or merged
+ */
+export function openCompanyEditor(companyId, onSaved = () => {}) {
+    const company = getCompany(companyId);
+    if (!company) return;
+
+    closeEditor();
+    document.body.insertAdjacentHTML('beforeend', createEditorHTML(company));
+    editorElement = document.getElementById('companyEditorOverlay');
+    const overlay = editorElement;
+
+    overlay.querySelector('#companyCancel').addEventListener('click', closeEditor);
+
+    overlay.querySelector('#companyYears')?.addEventListener('click', () => {
+        closeEditor();
+        openYearSources(companyId).then(onSaved);
+    });
+
+    overlay.querySelector('#companySave').addEventListener('click', () => {
+        const name = overlay.querySelector('#companyName').value.trim();
+        if (!name) {
+            overlay.querySelector('#companyError').textContent = 'The company needs a name';
+            return;
+        }
+
+        const aliases = overlay.querySelector('#companyAliases').value
+            .split('\n')
+            .map(alias => alias.trim())
+            .filter(alias => alias && alias !== name);
+
+        updateCompany(companyId, {
+            name,
+            aliases: [...new Set(aliases)],
+            ticker: overlay.querySelector('#companyTicker').value,
+            sector: overlay.querySelector('#companySector').value.trim() || null,
+            currency: overlay.querySelector('#companyCurrency').value || null
+        });
+
+        const mergeTarget = overlay.querySelector('#companyMerge')?.value;
+        if (mergeTarget) mergeCompanies(companyId, mergeTarget);
+
+        closeEditor();
+        onSaved();
+    });
+}
+
+export default { openCompanyEditor };
@@ -0,0 +1,114 @@
+/**
+ * Company Store Module
+ * In-memory company registry, persisted to the report library
+ * Uploads are linked to a company by name, alias or ticker; unknown issuers are registered.
+ * A report that does not name its issuer gets an unidentified company of its own.
+ */
+
+import { loadCompanies, saveCompanies, deleteCompanies } from '../data/reportLibrary.js';
+import { createCompany, matchCompany, addAlias, normalizeTicker } from '../data/companies.js';
+
+let companies = [];
+
+/**
+ * Initialize the registry from the report library
+ */
+export async function initCompanyStore() {
+    try {
+        companies = await loadCompanies();
+    } catch (e) {
+        console.warn('Failed to load companies from the library, companies will not persist:', e);
+        companies = [];
+    }
+}
+
+/**
+ * Log failed library writes; the in-memory registry stays usable
+ */
+function persist(promise) {
+    return promise.catch(e => console.warn('Failed to save companies to the library:', e));
+}
+
+/**
+ * Get all companies, A–Z
+ */
+export function getCompanies() {
+    return [...companies].sort((a, b) => a.name.localeCompare(b.name));
+}
+
+/**
+ * Get a company by id
+ */
+export function getCompany(id) {
+    return companies.find(company => company.id === id) || null;
+}
+
+/**
+ * Find or register the company of a report
+ * The name as extracted is kept as an alias, so later uploads spelling it the same way match.
+ * @param {Object} identity - name, ticker and currency of the report
+ * @returns {Object} - Company
+ */
+export function linkCompany({ name, ticker = null, currency = null }) {
+    const existing = matchCompany(companies, { name, ticker });
+
+    if (!existing) {
+        const company = createCompany({ name, ticker, currency });
+        companies.push(company);
+        persist(saveCompanies([company]));
+        return company;
+    }
+
+    let linked = addAlias(existing, name);
+    if (!linked.currency && currency) linked = { ...linked, currency };
+    if (!linked.ticker && ticker) linked = { ...linked, ticker: normalizeTicker(ticker) };
+
+    if (linked !== existing) {
+        companies[companies.indexOf(existing)] = linked;
+        persist(saveCompanies([linked]));
+    }
+    return linked;
+}
+
+/**
+ * Update registry fields of a company (name, aliases, ticker, sector, currency)
+ * Renaming an unidentified company marks it identified.
+ * @returns {Object|null} - Updated company
+ */
+export function updateCompany(id, changes) {
+    const index = companies.findIndex(company => company.id === id);
+    if (index < 0) return null;
+
+    const renamed = 'name' in changes && changes.name !== companies[index].name;
+    companies[index] = { ...companies[index], ...changes };
+    if ('ticker' in changes) companies[index].ticker = normalizeTicker(changes.ticker);
+    if (renamed) companies[index].unidentified = false;
+    persist(saveCompanies([companies[index]]));
+    return companies[index];
+}
+
+/**
+ * Remove companies from the registry
+ * @param {string[]} ids
+ */
+export function removeCompanies(ids) {
+    companies = companies.filter(company => !ids.includes(company.id));
+    persist(deleteCompanies(ids));
+}
+
+/**
+ * Forget every company (the library itself is cleared by the report store)
+ */
+export function resetCompanies() {
+    companies = [];
+}
+
+export default {
+    initCompanyStore,
+    getCompanies,
+    getCompany,
+    linkCompany,
+    updateCompany,
+    removeCompanies,
+    resetCompanies
+};
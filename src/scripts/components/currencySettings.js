@@ -0,0 +1,176 @@
+/**
+ * Currency Settings Component
+ * Display-currency switch in the header and an editor for the local FX-rate table
+ */
+
+import {
+    CURRENCIES,
+    DEFAULT_RATES,
+    loadRates,
+    saveRates,
+    validateRates,
+    getDisplayCurrency,
+    setDisplayCurrency
+} from '../data/currency.js';
+
+let editorElement = null;
+
+/**
+ * Create the header switch HTML
+ */
+function createSwitchHTML() {
+    const current = getDisplayCurrency();
+    const options = Object.entries(CURRENCIES).map(([code, name]) => `
+        <option value="${code}" ${code === current ? 'selected' : ''}>${code} · ${name}</option>
+    `).join('');
+
+    return `
+        <div class="currency-switch">
+            <label for="displayCurrency">Currency</label>
+            <select id="displayCurrency" title="Display currency">
+                <option value="" ${!current ? 'selected' : ''}>As reported</option>
+                ${options}
+            </select>
+            <button class="currency-rates-btn" id="currencyRatesBtn" title="Edit FX rates">FX</button>
+        </div>
+    `;
+}
+
+/**
+ * Create one editable FX-table row
+ */
+function createRateRowHTML(entry = { currency: '', rate: '', date: '' }) {
+    return `
+        <tr>
+            <td><input type="text" class="fx-currency" maxlength="3" value="${entry.currency}" placeholder="SAR"></td>
+            <td><input type="text" class="fx-rate" inputmode="decimal" value="${entry.rate}" placeholder="3.75"></td>
+            <td><input type="date" class="fx-date" value="${entry.date}"></td>
+            <td><button class="fx-remove" title="Remove rate">&times;</button></td>
+        </tr>
+    `;
+}
+
+/**
+ * Create the FX-table editor HTML
+ */
+function createEditorHTML(rates) {
+    const sorted = [...rates].sort((a, b) => a.currency.localeCompare(b.currency) || a.date.localeCompare(b.date));
+
+    return `
+        <div class="review-overlay" id="fxEditorOverlay">
+            <div class="review-dialog fx-dialog" role="dialog" aria-modal="true" aria-labelledby="fxEditorTitle">
+                <div class="review-header">
+                    <div>
+                        <h2 id="fxEditorTitle">FX rates</h2>
+                        <p>Units of each currency per US dollar. Each fiscal year is converted at the latest rate dated on or before its year end.</p>
+                    </div>
+                </div>
+                <div class="review-body">
+                    <table class="review-table fx-table">
+                        <thead>
+                            <tr><th>Currency</th><th>Per USD</th><th>Effective from</th><th></th></tr>
+                        </thead>
+                        <tbody>${sorted.map(createRateRowHTML).join('')}</tbody>
+                    </table>
+                    <button class="review-btn secondary fx-add" id="fxAddRow">Add rate</button>
+                </div>
+                <div class="review-footer">
+                    <span class="review-error" id="fxError"></span>
+                    <button class="review-btn secondary" id="fxReset">Restore defaults</button>
+                    <button class="review-btn secondary" id="fxCancel">Cancel</button>
+                    <button class="review-btn primary" id="fxSave">Save rates</button>
+                </div>
+            </div>
+        </div>
+    `;
+}
+
+/**
+ * Read the FX table from the editor rows, skipping empty rows
+ */
+function collectRates(overlay) {
+    return Array.from(overlay.querySelectorAll('.fx-table tbody tr'))
+        .map(row => ({
+            currency: row.querySelector('.fx-currency').value.trim().toUpperCase(),
+            rate: parseFloat(row.querySelector('.fx-rate').value.replace(/,/g, '')),
+            date: row.querySelector('.fx-date').value
+        }))
+        .filter(entry => entry.currency || !isNaN(entry.rate) || entry.date);
+}
+
+function closeEditor() {
+    if (editorElement) editorElement.remove();
+    editorElement = null;
+}
+
+/**
+ * Notify the dashboard that figures must be re-rendered in another currency or at other rates
+ */
+function notifyChange() {
+    window.dispatchEvent(new CustomEvent('displayCurrencyChanged', {
+        detail: { currency: getDisplayCurrency() }
+    }));
+}
+
+/**
+ * Open the FX-rate editor
+ */
+export function openRatesEditor() {
+    closeEditor();
+
+    document.body.insertAdjacentHTML('beforeend', createEditorHTML(loadRates()));
+    editorElement = document.getElementById('fxEditorOverlay');
+    const overlay = editorElement;
+    const tbody = overlay.querySelector('.fx-table tbody');
+
+    tbody.addEventListener('click', (e) => {
+        if (e.target.closest('.fx-remove')) e.target.closest('tr').remove();
+    });
+
+    overlay.querySelector('#fxAddRow').addEventListener('click', () => {
+        tbody.insertAdjacentHTML('beforeend', createRateRowHTML({
+            currency: '',
+            rate: '',
+            date: new Date().toISOString().slice(0, 10)
+        }));
+        tbody.querySelector('tr:last-child .fx-currency').focus();
+    });
+
+    overlay.querySelector('#fxReset').addEventListener('click', () => {
+        tbody.innerHTML = DEFAULT_RATES.map(createRateRowHTML).join('');
+    });
+
+    overlay.querySelector('#fxCancel').addEventListener('click', closeEditor);
+
+    overlay.querySelector('#fxSave').addEventListener('click', () => {
+        const rates = collectRates(overlay);
+        const errors = validateRates(rates);
+        if (errors.length > 0) {
+            overlay.querySelector('#fxError').textContent = errors[0];
+            return;
+        }
+
+        saveRates(rates);
+        closeEditor();
+        notifyChange();
+    });
+}
+
+/**
+ * Initialize the display-currency switch
+ */
+export function initCurrencySettings() {
+    const container = document.getElementById('currencySettingsContainer');
+    if (!container) return;
+
+    container.innerHTML = createSwitchHTML();
+
+    container.querySelector('#displayCurrency').addEventListener('change', (e) => {
+        setDisplayCurrency(e.target.value || null);
+        notifyChange();
+    });
+
+    container.querySelector('#currencyRatesBtn').addEventListener('click', openRatesEditor);
+}
+
+export default { initCurrencySettings, openRatesEditor };
@@ -4,6 +4,13 @@
  */
 
 import { generateExecutiveSummary, generateRiskAnalysis } from '../../services/openaiService.js';
+import { renderDataQualityPanel } from './dataQualityPanel.js';
+import { renderStatements } from './statementsViewer.js';
+import { renderForecast } from './forecastPanel.js';
+import { renderValuation, valuationSummary } from './valuationPanel.js';
+import { renderBenchmarks } from './benchmarkScoring.js';
+import { currencyOf, formatMoney } from '../data/currency.js';
+import { PROVENANCE, provenanceOf, estimateMethod } from '../data/provenance.js';
 
 /**
  * Update all dashboard content with new data
@@ -16,10 +23,15 @@ export async function updateDashboardContent(data) {
 
     // Call all update functions
     updateHeader(data);
-    updateKPIs(data);
+    updateCurrencyLabels(data);
+    renderDataQualityPanel(data);
     updatePerformanceSection(data);
     updateRiskSection(data);
     updateCashFlowSection(data);
+    renderStatements(data);
+    renderForecast(data);
+    renderValuation(data);
+    renderBenchmarks(data);
     updateQualitativeSection(data);
 }
 
@@ -51,6 +63,21 @@ function updateHeader(data) {
     updateBadge(data);
 }
 
+/**
+ * Show the display currency wherever static labels name it
+ */
+function updateCurrencyLabels(data) {
+    const currency = currencyOf(data);
+    document.querySelectorAll('.currency-code').forEach(el => {
+        el.textContent = currency;
+    });
+
+    const note = document.querySelector('.header-content .currency-note');
+    if (note) {
+        note.textContent = data._fx ? `Converted from ${data._fx.from} at year-end FX rates` : '';
+    }
+}
+
 /**
  * Update Profitable/Loss badge
  */
@@ -81,84 +108,6 @@ function updateBadge(data) {
     }
 }
 
-/**
- * Calculate CAGR (Compound Annual Growth Rate)
- * Formula: CAGR = (EndValue / StartValue)^(1/n) - 1
- */
-function calculateCAGR(values) {
-    if (!Array.isArray(values) || values.length < 2) return 0;
-    const startValue = values[0];
-    const endValue = values[values.length - 1];
-    const years = values.length - 1;
-    if (startValue <= 0 || endValue <= 0) return 0;
-    return ((Math.pow(endValue / startValue, 1 / years)) - 1) * 100;
-}
-
-/**
- * Update KPI Grid
- */
-function updateKPIs(data) {
-    const kpiGrid = document.querySelector('.kpi-grid');
-    if (!kpiGrid) return;
-
-    const getLast = (arr) => Array.isArray(arr) ? arr[arr.length - 1] : arr;
-
-    const netMargin = getLast(data.netMargin);
-    const roe = data.roe;
-    const currentRatio = getLast(data.currentRatio);
-    const debtToEquity = getLast(data.debtToEquity);
-    const fcf = getLast(data.fcf);
-
-    // Calculate true CAGR for revenue
-    const revenueCAGR = calculateCAGR(data.revenue);
-
-    const kpiConfig = [
-        {
-            label: 'Net Profit Margin',
-            value: formatPercent(netMargin),
-            subtitle: 'Profitability'
-        },
-        {
-            label: 'Return on Equity (ROE)',
-            value: formatPercent(roe),
-            subtitle: 'Efficiency'
-        },
-        {
-            label: 'Current Ratio',
-            value: formatNumber(currentRatio) + 'x',
-            subtitle: 'Liquidity'
-        },
-        {
-            label: 'Debt-to-Equity Ratio',
-            value: formatNumber(debtToEquity) + 'x',
-            subtitle: 'Solvency'
-        },
-        {
-            label: 'Revenue CAGR',
-            value: formatPercent(revenueCAGR),
-            subtitle: 'Compound Growth'
-        },
-        {
-            label: 'Free Cash Flow',
-            value: formatLargeMoney(fcf),
-            subtitle: 'Cash Generation'
-        }
-    ];
-
-    const cards = kpiGrid.querySelectorAll('.kpi-card');
-    cards.forEach((card, i) => {
-        if (kpiConfig[i]) {
-            const label = card.querySelector('.kpi-label');
-            const value = card.querySelector('.kpi-value');
-            const subtitle = card.querySelector('.kpi-subtitle');
-
-            if (label) label.textContent = kpiConfig[i].label;
-            if (value) value.textContent = kpiConfig[i].value;
-            if (subtitle) subtitle.textContent = kpiConfig[i].subtitle;
-        }
-    });
-}
-
 /**
  * Update Performance & Growth headers
  */
@@ -196,15 +145,10 @@ async function updateRiskSection(data) {
         const currentYear = data.years[data.years.length - 1];
         const prevYear = data.years.length > 1 ? data.years[data.years.length - 2] : null;
 
-        const currentCash = data.cashEquivalents?.[currentYear] || (data.revenue?.[data.years.length - 1] * 0.1) || 0;
-
-        cashItems[0].querySelector('.label').textContent = `Est. Cash & Equivalents ${currentYear}`;
-        cashItems[0].querySelector('.value').textContent = formatLargeMoneyShort(currentCash);
+        updateCashItem(cashItems[0], data, currentYear);
 
         if (prevYear) {
-            const prevCash = data.cashEquivalents?.[prevYear] || (data.revenue?.[data.years.length - 2] * 0.1) || 0;
-            cashItems[1].querySelector('.label').textContent = `Est. Cash & Equivalents ${prevYear}`;
-            cashItems[1].querySelector('.value').textContent = formatLargeMoneyShort(prevCash);
+            updateCashItem(cashItems[1], data, prevYear);
             cashItems[1].style.display = 'block';
         } else {
             cashItems[1].style.display = 'none';
@@ -212,6 +156,20 @@ async function updateRiskSection(data) {
     }
 }
 
+/**
+ * Show a year's cash position, labelled as an estimate when the report does not print it
+ */
+function updateCashItem(item, data, year) {
+    const provenance = provenanceOf(data, 'cashEquivalents', year);
+    item.dataset.provenance = provenance;
+    item.querySelector('.label').textContent = provenance === 'estimated'
+        ? `Est. Cash & Equivalents ${year} (${estimateMethod(data, 'cashEquivalents', year)})`
+        : `Cash & Equivalents ${year}`;
+    item.querySelector('.value').textContent = provenance === 'missing'
+        ? PROVENANCE.missing.label
+        : formatMoney(data.cashEquivalents[year], currencyOf(data), { short: true });
+}
+
 /**
  * Update Cash Flow & Dividends
  */
@@ -224,7 +182,7 @@ function updateCashFlowSection(data) {
             <div class="dividend-item">
                 <div class="year">${year}</div>
                 <div class="amount">${amount.toFixed(2)}</div>
-                <div class="note">SAR per share</div>
+                <div class="note">${currencyOf(data)} per share</div>
             </div>
         `).join('');
 
@@ -252,7 +210,7 @@ async function updateQualitativeSection(data) {
                 <tr>
                     <td>${event.description}</td>
                     <td style="color: ${event.trend === 'positive' ? 'var(--positive)' : 'var(--negative)'}">
-                        ${event.trend === 'positive' ? '+' : ''}${formatEventAmount(event.amount)}
+                        ${event.trend === 'positive' ? '+' : ''}${formatEventAmount(event.amount, currencyOf(data))}
                     </td>
                     <td>${event.year || '-'}</td>
                     <td>
@@ -279,28 +237,36 @@ async function updateQualitativeSection(data) {
     if (conclusionContent) {
         conclusionContent.innerHTML = `<p class="loading-dots">Generating investment conclusion based on ${data.companyName}'s data...</p>`;
 
+        // The saved DCF is sent for the model to cite, and cited verbatim below its text
+        const valuation = valuationSummary(data);
+        const citation = valuation
+            ? `<p id="conclusionValuation"><strong>Valuation basis:</strong> ${valuation.citation}</p>`
+            : '<p id="conclusionValuation" hidden></p>';
+
         try {
-            const summary = await generateExecutiveSummary(data);
-            conclusionContent.innerHTML = markdownToHTML(summary);
+            const summary = await generateExecutiveSummary(valuation
+                ? { ...data, valuation: { ...valuation.assumptions, ...valuation.result } }
+                : data);
+            conclusionContent.innerHTML = markdownToHTML(summary) + citation;
         } catch (err) {
             console.warn('Conclusion generation failed:', err);
-            conclusionContent.innerHTML = '<p>Investment conclusion available via AI Insights.</p>';
+            conclusionContent.innerHTML = '<p>Investment conclusion available via AI Insights.</p>' + citation;
         }
     }
 }
 
 /**
- * Format event amount for display
+ * Format event amount (in currency units, not millions) for display
  */
-function formatEventAmount(amount) {
+function formatEventAmount(amount, currency) {
     if (!amount) return '-';
     const absAmount = Math.abs(amount);
     if (absAmount >= 1000000) {
-        return 'SAR ' + (absAmount / 1000000).toFixed(2) + 'M';
+        return currency + ' ' + (absAmount / 1000000).toFixed(2) + 'M';
     } else if (absAmount >= 1000) {
-        return 'SAR ' + (absAmount / 1000).toFixed(0) + 'K';
+        return currency + ' ' + (absAmount / 1000).toFixed(0) + 'K';
     }
-    return 'SAR ' + absAmount.toLocaleString();
+    return currency + ' ' + Math.round(absAmount).toLocaleString();
 }
 
 /**
@@ -323,25 +289,3 @@ function markdownToHTML(text) {
         .replace(/^(?!<[hp])/, '<p>')
         .replace(/(?<![>])$/, '</p>');
 }
-
-// Helpers
-function formatNumber(num) {
-    if (num === null || num === undefined || isNaN(num)) return '-';
-    return Number(num).toFixed(2);
-}
-
-function formatPercent(num) {
-    if (num === null || num === undefined || isNaN(num)) return '-';
-    return Number(num).toFixed(2) + '%';
-}
-
-function formatLargeMoney(num) {
-    if (num === null || num === undefined || isNaN(num)) return '-';
-    return 'SAR ' + new Intl.NumberFormat('en-US', { maximumFractionDigits: 1 }).format(num) + 'M';
-}
-
-function formatLargeMoneyShort(num) {
-    if (num === null || num === undefined || isNaN(num)) return '-';
-    if (num >= 1000) return 'SAR ' + (num / 1000).toFixed(2) + 'B';
-    return 'SAR ' + num.toFixed(1) + 'M';
-}
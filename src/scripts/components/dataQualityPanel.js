@@ -0,0 +1,107 @@
+/**
+ * Data Quality Panel Component
+ * Shows accounting-identity checks, restated figures and where the charted values come from next to the KPIs
+ */
+
+import { validateData, summarizeIssues } from '../data/validation.js';
+import { PROVENANCE, summarizeProvenance, getHideEstimates } from '../data/provenance.js';
+import { openRestatementLog } from './restatementLog.js';
+import { setEstimatesHidden } from './estimateSettings.js';
+
+// Values the KPIs and charts show, counted per provenance
+const CHARTED_FIELDS = [
+    'revenue', 'netProfit', 'grossMargin', 'netMargin', 'totalLiabilities', 'shareholderEquity',
+    'currentRatio', 'debtToEquity', 'operatingCashFlow', 'investingCashFlow', 'financingCashFlow', 'fcf',
+    'cashEquivalents'
+];
+
+const STATUS_TEXT = {
+    pass: 'All accounting checks passed',
+    review: 'Some figures need review',
+    fail: 'Figures failed accounting checks - verify before relying on them'
+};
+
+/**
+ * Create panel HTML
+ */
+function createPanelHTML(issues, summary, restatements, provenance) {
+    const items = issues.map(issue => `
+        <li class="dq-item dq-${issue.severity}">
+            <span class="dq-severity">${issue.severity}</span>
+            <span class="dq-year">${issue.year}</span>
+            <span class="dq-message">${issue.message}</span>
+        </li>
+    `).join('');
+
+    return `
+        <div class="data-quality-panel dq-status-${summary.status}" id="dataQualityPanel">
+            <button class="dq-header" id="dataQualityToggle" aria-expanded="${summary.status !== 'pass'}">
+                <svg xmlns="http://www.w3.org/2000/svg" fill="none" viewBox="0 0 24 24" stroke="currentColor">
+                    <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M9 12l2 2 4-4m5.618-4.016A11.955 11.955 0 0112 2.944a11.955 11.955 0 01-8.618 3.04A12.02 12.02 0 003 9c0 5.591 3.824 10.29 9 11.622 5.176-1.332 9-6.03 9-11.622 0-1.042-.133-2.052-.382-3.016z" />
+                </svg>
+                <span class="dq-title">Data Quality</span>
+                <span class="dq-status">${STATUS_TEXT[summary.status]}</span>
+                <span class="dq-counts">
+                    ${summary.counts.high ? `<span class="dq-count dq-high">${summary.counts.high} high</span>` : ''}
+                    ${summary.counts.medium ? `<span class="dq-count dq-medium">${summary.counts.medium} medium</span>` : ''}
+                    ${summary.counts.low ? `<span class="dq-count dq-low">${summary.counts.low} low</span>` : ''}
+                </span>
+            </button>
+            <ul class="dq-list" ${summary.status === 'pass' ? 'hidden' : ''}>
+                ${items || '<li class="dq-item dq-empty">No issues found.</li>'}
+            </ul>
+            ${restatements.length > 0 ? `
+                <div class="dq-restatements">
+                    <span class="dq-count dq-restated">R</span>
+                    <span>${restatements.length} figure${restatements.length > 1 ? 's were' : ' was'} restated by later reports</span>
+                    <button class="dq-link" id="restatementLogBtn">View restatement log</button>
+                </div>
+            ` : ''}
+            <div class="dq-provenance">
+                ${Object.entries(provenance)
+                    .filter(([, count]) => count > 0)
+                    .map(([flag, count]) => `<span class="dq-count dq-${flag}" title="${PROVENANCE[flag].description}">${count} ${PROVENANCE[flag].label.toLowerCase()}</span>`)
+                    .join('')}
+                ${provenance.estimated > 0 || getHideEstimates() ? `
+                    <button class="dq-link" id="estimatesToggleBtn">${getHideEstimates() ? 'Show estimates' : 'Hide estimates'}</button>
+                ` : ''}
+            </div>
+        </div>
+    `;
+}
+
+/**
+ * Render the data quality panel for the given dashboard data
+ * @param {Object} data - Dashboard data (transformed); raw extraction is read from _extracted when present
+ * @returns {Object} - Validation summary
+ */
+export function renderDataQualityPanel(data) {
+    const kpiGrid = document.querySelector('#summary .kpi-grid');
+    if (!kpiGrid || !data) return null;
+
+    const issues = validateData(data._extracted || data);
+    const summary = summarizeIssues(issues);
+
+    const existing = document.getElementById('dataQualityPanel');
+    if (existing) existing.remove();
+
+    const provenance = summarizeProvenance(data, CHARTED_FIELDS);
+    kpiGrid.insertAdjacentHTML('beforebegin', createPanelHTML(issues, summary, data._restatements || [], provenance));
+
+    // KPIs are flagged until the figures pass the high-severity checks
+    kpiGrid.classList.toggle('untrusted', summary.status === 'fail');
+
+    const toggle = document.getElementById('dataQualityToggle');
+    const list = document.querySelector('#dataQualityPanel .dq-list');
+    toggle.addEventListener('click', () => {
+        list.hidden = !list.hidden;
+        toggle.setAttribute('aria-expanded', String(!list.hidden));
+    });
+
+    document.getElementById('restatementLogBtn')?.addEventListener('click', () => openRestatementLog(data));
+    document.getElementById('estimatesToggleBtn')?.addEventListener('click', () => setEstimatesHidden(!getHideEstimates()));
+
+    return summary;
+}
+
+export default { renderDataQualityPanel };
@@ -0,0 +1,49 @@
+/**
+ * Estimate Settings Component
+ * Header switch hiding estimated values, for presentations where only reported and derived
+ * figures may be shown (e.g. investment committees)
+ */
+
+import { getHideEstimates, setHideEstimates } from '../data/provenance.js';
+
+/**
+ * Create the header switch HTML
+ */
+function createSwitchHTML() {
+    return `
+        <label class="estimate-switch" title="Show only figures reported in, or calculated from, the annual reports">
+            <input type="checkbox" id="hideEstimates" ${getHideEstimates() ? 'checked' : ''}>
+            <span>Hide estimates</span>
+        </label>
+    `;
+}
+
+/**
+ * Hide or show estimates and re-render the dashboard
+ * @param {boolean} hide
+ */
+export function setEstimatesHidden(hide) {
+    setHideEstimates(hide);
+
+    const checkbox = document.getElementById('hideEstimates');
+    if (checkbox) checkbox.checked = hide;
+
+    window.dispatchEvent(new CustomEvent('estimateSettingsChanged', {
+        detail: { hideEstimates: hide }
+    }));
+}
+
+/**
+ * Initialize the estimate switch
+ */
+export function initEstimateSettings() {
+    const container = document.getElementById('estimateSettingsContainer');
+    if (!container) return;
+
+    container.innerHTML = createSwitchHTML();
+    container.querySelector('#hideEstimates').addEventListener('change', (e) => {
+        setEstimatesHidden(e.target.checked);
+    });
+}
+
+export default { initEstimateSettings, setEstimatesHidden };
@@ -0,0 +1,270 @@
+/**
+ * Forecast Panel Component
+ * Forecast method, horizon and assumptions of the current report, the base, bull and bear projections,
+ * and the scenario extending the revenue, profit and FCF charts
+ */
+
+import {
+    FORECAST_METHODS,
+    FORECAST_HORIZON,
+    SCENARIOS,
+    DEFAULT_FORECAST_ASSUMPTIONS,
+    historicalDrivers,
+    availableMethods,
+    forecast,
+    forecastScenarios,
+    validateForecastAssumptions,
+    normalizeForecastAssumptions
+} from '../data/forecast.js';
+import { figureOf } from '../data/statements.js';
+import { currencyOf } from '../data/currency.js';
+import { getCurrentReport, updateReport } from './reportStore.js';
+
+let currentData = null;
+
+// Assumptions while no report is stored (demo data)
+let sessionAssumptions = DEFAULT_FORECAST_ASSUMPTIONS;
+
+const amountFormat = new Intl.NumberFormat('en-US', { minimumFractionDigits: 1, maximumFractionDigits: 1 });
+
+function formatAmount(value) {
+    if (value === null) return '—';
+    return value < 0 ? `(${amountFormat.format(-value)})` : amountFormat.format(value);
+}
+
+function formatPercent(value) {
+    return value === null ? '—' : `${value.toFixed(1)}%`;
+}
+
+/**
+ * Forecast assumptions of the current report, saved with it
+ */
+export function getForecastAssumptions() {
+    const report = getCurrentReport();
+    return report ? normalizeForecastAssumptions(report.forecast) : sessionAssumptions;
+}
+
+function saveForecastAssumptions(assumptions) {
+    const report = getCurrentReport();
+    if (report) {
+        updateReport(report.id, { forecast: assumptions });
+    } else {
+        sessionAssumptions = assumptions;
+    }
+    window.dispatchEvent(new CustomEvent('forecastChanged', { detail: { assumptions } }));
+}
+
+/**
+ * Projection the charts extend into, null when the user hides it
+ * @param {Object} data - Dashboard data
+ * @returns {Object|null} - As returned by forecast
+ */
+export function chartProjection(data) {
+    const assumptions = getForecastAssumptions();
+    return assumptions.showOnCharts ? forecast(data, assumptions) : null;
+}
+
+/**
+ * Create one assumption input; empty driver inputs fall back to history, shown as placeholder
+ */
+function createInputHTML(id, label, value, { placeholder = '', disabled = false } = {}) {
+    return `
+        <label class="forecast-input">
+            <span>${label}</span>
+            <input type="text" inputmode="decimal" id="${id}" value="${value ?? ''}" placeholder="${placeholder}" ${disabled ? 'disabled' : ''}>
+        </label>
+    `;
+}
+
+/**
+ * Create the method, horizon and chart toolbar
+ */
+function createToolbarHTML(assumptions, methods) {
+    return `
+        <div class="forecast-toolbar">
+            <label class="statement-toggle">
+                Method
+                <select id="forecastMethod">
+                    ${methods.map(method => `<option value="${method}" ${method === assumptions.method ? 'selected' : ''}>${FORECAST_METHODS[method].label}</option>`).join('')}
+                </select>
+            </label>
+            <label class="statement-toggle">
+                Horizon
+                <select id="forecastHorizon">
+                    ${Array.from({ length: FORECAST_HORIZON.max - FORECAST_HORIZON.min + 1 }, (_, i) => FORECAST_HORIZON.min + i)
+                        .map(years => `<option value="${years}" ${years === assumptions.horizon ? 'selected' : ''}>${years} years</option>`).join('')}
+                </select>
+            </label>
+            <label class="statement-toggle">
+                Charts
+                <select id="forecastScenario">
+                    ${Object.entries(SCENARIOS).map(([key, label]) => `<option value="${key}" ${key === assumptions.scenario ? 'selected' : ''}>${label} case</option>`).join('')}
+                </select>
+            </label>
+            <label class="statement-toggle">
+                <input type="checkbox" id="forecastShowOnCharts" ${assumptions.showOnCharts ? 'checked' : ''}>
+                Show projections on charts
+            </label>
+        </div>
+    `;
+}
+
+/**
+ * Create the driver and scenario inputs
+ */
+function createAssumptionsHTML(assumptions, drivers) {
+    const isDriver = assumptions.method === 'driver';
+    const hint = value => (value === null ? '' : `${value.toFixed(1)}`);
+    const { bull, bear } = assumptions.scenarios;
+
+    return `
+        <div class="forecast-assumptions">
+            <div class="forecast-group">
+                <h4>Drivers ${isDriver ? '' : '<span>(driver-based method)</span>'}</h4>
+                ${createInputHTML('forecastGrowth', 'Revenue growth, %/yr', assumptions.growth, { placeholder: hint(drivers.growth), disabled: !isDriver })}
+                ${createInputHTML('forecastMargin', 'Net margin, %', assumptions.netMargin, { placeholder: hint(drivers.netMargin), disabled: !isDriver })}
+                ${createInputHTML('forecastConversion', 'FCF ÷ Net profit, %', assumptions.fcfConversion, { placeholder: hint(drivers.fcfConversion), disabled: !isDriver })}
+            </div>
+            <div class="forecast-group">
+                <h4>Bull case <span>(points over base)</span></h4>
+                ${createInputHTML('forecastBullGrowth', 'Growth', bull.growth)}
+                ${createInputHTML('forecastBullMargin', 'Net margin', bull.margin)}
+            </div>
+            <div class="forecast-group">
+                <h4>Bear case <span>(points over base)</span></h4>
+                ${createInputHTML('forecastBearGrowth', 'Growth', bear.growth)}
+                ${createInputHTML('forecastBearMargin', 'Net margin', bear.margin)}
+            </div>
+        </div>
+        <p class="forecast-error" id="forecastError"></p>
+    `;
+}
+
+/**
+ * Create the projections table: the last reported year, then each forecast year, per scenario
+ */
+function createProjectionTableHTML(data, projections) {
+    const { base } = projections;
+    const actual = field => figureOf(data, field, base.baseYear);
+    const revenue = actual('revenue');
+    const netProfit = actual('netProfit');
+    const actualMargin = revenue && netProfit !== null ? (netProfit / revenue) * 100 : null;
+
+    const rows = [
+        { key: 'revenue', label: 'Revenue', format: formatAmount, actual: revenue },
+        { key: 'netMargin', label: 'Net margin', format: formatPercent, actual: actualMargin },
+        { key: 'netProfit', label: 'Net profit', format: formatAmount, actual: netProfit },
+        { key: 'fcf', label: 'Free cash flow', format: formatAmount, actual: actual('fcf') }
+    ].map(({ key, label, format, actual: reported }) => `
+        <tr class="statement-subtotal"><td class="statement-label" colspan="${base.years.length + 2}">${label}</td></tr>
+        ${Object.entries(SCENARIOS).map(([scenario, name]) => `
+            <tr class="forecast-${scenario}">
+                <td class="statement-label">${name}</td>
+                <td>${format(reported)}</td>
+                ${projections[scenario].years.map((year, i) => `<td class="forecast-value">${format(projections[scenario][key]?.[i] ?? null)}</td>`).join('')}
+            </tr>
+        `).join('')}
+    `).join('');
+
+    return `
+        <div class="statement-table-wrap">
+            <table class="statement-table forecast-table">
+                <thead>
+                    <tr>
+                        <th class="statement-label">Scenario</th>
+                        <th class="statement-year">FY ${base.baseYear}</th>
+                        ${base.years.map(year => `<th class="statement-year forecast-year">FY ${year}E</th>`).join('')}
+                    </tr>
+                </thead>
+                <tbody>${rows}</tbody>
+            </table>
+        </div>
+    `;
+}
+
+/**
+ * Render the forecast of the dashboard data
+ * @param {Object} data - Dashboard data
+ */
+export function renderForecast(data) {
+    const container = document.getElementById('forecastContainer');
+    if (!container || !data) return;
+
+    currentData = data;
+    const assumptions = getForecastAssumptions();
+    const projections = forecastScenarios(data, assumptions);
+
+    if (!projections) {
+        container.innerHTML = '<p class="statement-note">A forecast needs at least one year of reported revenue.</p>';
+        return;
+    }
+
+    const method = projections.base.method;
+    const fallback = method !== assumptions.method
+        ? `<p class="forecast-error">${FORECAST_METHODS[assumptions.method].label} needs two years of revenue: showing the driver-based forecast.</p>`
+        : '';
+    const unprojected = !projections.base.netProfit
+        ? '<p class="forecast-error">Net profit and free cash flow are not projected: the reports give no net margin. Enter one under the driver-based method.</p>'
+        : !projections.base.fcf
+            ? '<p class="forecast-error">Free cash flow is not projected: the reports give no cash conversion (FCF ÷ Net profit). Enter one under the driver-based method.</p>'
+            : '';
+
+    container.innerHTML = `
+        ${createToolbarHTML(assumptions, availableMethods(data))}
+        ${createAssumptionsHTML({ ...assumptions, method }, historicalDrivers(data))}
+        ${fallback}
+        ${unprojected}
+        ${createProjectionTableHTML(data, projections)}
+        <p class="statement-note">
+            ${FORECAST_METHODS[method].description} Net profit is revenue × net margin and free cash flow is net profit × cash conversion.
+            ${currencyOf(data)} millions. Projections are mechanical extrapolations of reported figures, not company guidance;
+            on the charts they are dashed and labelled with an "E".
+        </p>
+    `;
+}
+
+/**
+ * Read the assumptions from the panel; empty driver inputs stay null (taken from history)
+ */
+function collectAssumptions(container) {
+    const number = id => {
+        const text = container.querySelector(`#${id}`).value.trim().replace(/[,%]/g, '');
+        return text === '' ? null : Number(text);
+    };
+
+    return {
+        method: container.querySelector('#forecastMethod').value,
+        horizon: Number(container.querySelector('#forecastHorizon').value),
+        scenario: container.querySelector('#forecastScenario').value,
+        showOnCharts: container.querySelector('#forecastShowOnCharts').checked,
+        growth: number('forecastGrowth'),
+        netMargin: number('forecastMargin'),
+        fcfConversion: number('forecastConversion'),
+        scenarios: {
+            bull: { growth: number('forecastBullGrowth') ?? 0, margin: number('forecastBullMargin') ?? 0 },
+            bear: { growth: number('forecastBearGrowth') ?? 0, margin: number('forecastBearMargin') ?? 0 }
+        }
+    };
+}
+
+/**
+ * Initialize the panel's controls (delegated, so they survive re-renders)
+ */
+export function initForecastPanel() {
+    const container = document.getElementById('forecastContainer');
+    if (!container) return;
+
+    container.addEventListener('change', () => {
+        const assumptions = collectAssumptions(container);
+        const errors = validateForecastAssumptions(assumptions);
+        if (errors.length > 0) {
+            container.querySelector('#forecastError').textContent = errors[0];
+            return;
+        }
+
+        saveForecastAssumptions(assumptions);
+        renderForecast(currentData);
+    });
+}
+
+export default { initForecastPanel, renderForecast, getForecastAssumptions, chartProjection };
@@ -0,0 +1,256 @@
+/**
+ * KPI Grid Component
+ * Renders the user's KPIs with their YoY trend and threshold status, and the dialog
+ * in which the user chooses, orders and sets thresholds for them
+ */
+
+import {
+    KPIS,
+    DEFAULT_KPI_LAYOUT,
+    evaluateKpis,
+    formatKpiValue,
+    thresholdsOf,
+    validateKpiLayout,
+    loadKpiLayout,
+    saveKpiLayout,
+    resetKpiLayout
+} from '../data/kpis.js';
+import { PROVENANCE } from '../data/provenance.js';
+import { currencyOf } from '../data/currency.js';
+import { bindCitation } from './sourceCitations.js';
+
+const STATUS_LABELS = {
+    good: 'Good',
+    warning: 'Warning',
+    bad: 'Bad'
+};
+
+const ARROWS = {
+    up: 'M5 10l7-7m0 0l7 7m-7-7v18',
+    down: 'M19 14l-7 7m0 0l-7-7m7 7V3',
+    flat: 'M4 12h16'
+};
+
+let currentData = null;
+let dialogElement = null;
+
+function formatDelta(kpi) {
+    const decimals = kpi.unit === 'days' ? 0 : kpi.unit === 'money' ? 1 : 2;
+    return `${kpi.delta > 0 ? '+' : ''}${kpi.delta.toFixed(decimals)}${kpi.deltaUnit} vs ${kpi.previousYear}`;
+}
+
+function formatThresholds(kpi, thresholds) {
+    if (!thresholds) return '';
+    const { higherIsBetter } = KPIS[kpi.id];
+    const unit = kpi.unit === 'money' ? 'M' : kpi.unit === 'x' ? 'x' : kpi.unit === '%' ? '%' : '';
+    return higherIsBetter
+        ? `Good at ${thresholds.good}${unit} or more, warning from ${thresholds.warning}${unit}`
+        : `Good at ${thresholds.good}${unit} or less, warning up to ${thresholds.warning}${unit}`;
+}
+
+/**
+ * Create one KPI card
+ */
+function createCardHTML(kpi, data, thresholds) {
+    const trendClass = kpi.favourable === null ? 'neutral' : kpi.favourable ? 'positive' : 'negative';
+    const trend = kpi.trend ? `
+        <div class="kpi-trend ${trendClass}">
+            <svg xmlns="http://www.w3.org/2000/svg" fill="none" viewBox="0 0 24 24" stroke="currentColor">
+                <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="${ARROWS[kpi.trend]}" />
+            </svg>
+            ${formatDelta(kpi)}
+        </div>
+    ` : '<div class="kpi-trend neutral">No prior year to compare</div>';
+
+    const subtitle = kpi.provenance === 'estimated' ? `Estimate: ${kpi.method || PROVENANCE.estimated.label}` : `${kpi.subtitle} · FY ${kpi.year}`;
+    const status = kpi.status
+        ? `<span class="kpi-status" title="${STATUS_LABELS[kpi.status]}: ${formatThresholds(kpi, thresholds)}"></span>`
+        : '';
+
+    return `
+        <div class="kpi-card" data-kpi="${kpi.id}" data-provenance="${kpi.provenance}" ${kpi.status ? `data-status="${kpi.status}"` : ''}>
+            <div class="kpi-label">${status}${kpi.label}</div>
+            <div class="kpi-value">${formatKpiValue(kpi.value, kpi.unit, currencyOf(data))}</div>
+            ${trend}
+            <div class="kpi-subtitle">${subtitle}</div>
+        </div>
+    `;
+}
+
+/**
+ * Render the user's KPIs for the dashboard data
+ * @param {Object} data - Dashboard data
+ */
+export function renderKpiGrid(data) {
+    const grid = document.getElementById('kpiGrid');
+    if (!grid || !data) return;
+
+    currentData = data;
+    const layout = loadKpiLayout();
+    const kpis = evaluateKpis(data, layout);
+
+    grid.innerHTML = kpis.map(kpi => createCardHTML(kpi, data, thresholdsOf(layout, kpi.id))).join('');
+
+    // Missing figures have no source to open
+    grid.querySelectorAll('.kpi-card').forEach((card, i) => {
+        bindCitation(card, data, kpis[i].provenance === 'missing' ? null : kpis[i].field);
+    });
+}
+
+/**
+ * Create one row of the customize dialog
+ */
+function createSettingsRowHTML(id, selected, thresholds) {
+    const kpi = KPIS[id];
+    const value = key => (thresholds ? thresholds[key] : '');
+
+    return `
+        <tr data-kpi="${id}">
+            <td><input type="checkbox" class="kpi-select" ${selected ? 'checked' : ''}></td>
+            <td>
+                <div class="kpi-setting-label">${kpi.label}</div>
+                <div class="kpi-setting-hint">${kpi.higherIsBetter ? 'Higher is better' : 'Lower is better'}</div>
+            </td>
+            <td><input type="text" class="kpi-threshold" data-level="good" inputmode="decimal" value="${value('good')}" placeholder="—"></td>
+            <td><input type="text" class="kpi-threshold" data-level="warning" inputmode="decimal" value="${value('warning')}" placeholder="—"></td>
+            <td class="kpi-order">
+                <button class="kpi-move" data-move="-1" title="Move up">&uarr;</button>
+                <button class="kpi-move" data-move="1" title="Move down">&darr;</button>
+            </td>
+        </tr>
+    `;
+}
+
+/**
+ * Create the rows of the customize dialog: selected KPIs first, in grid order, then the others
+ */
+function createSettingsRowsHTML(layout) {
+    const others = Object.keys(KPIS).filter(id => !layout.kpis.includes(id));
+    return [
+        ...layout.kpis.map(id => createSettingsRowHTML(id, true, thresholdsOf(layout, id))),
+        ...others.map(id => createSettingsRowHTML(id, false, thresholdsOf(layout, id)))
+    ].join('');
+}
+
+/**
+ * Create the customize dialog
+ */
+function createDialogHTML(layout) {
+    return `
+        <div class="review-overlay" id="kpiSettingsOverlay">
+            <div class="review-dialog kpi-dialog" role="dialog" aria-modal="true" aria-labelledby="kpiSettingsTitle">
+                <div class="review-header">
+                    <div>
+                        <h2 id="kpiSettingsTitle">Customize KPIs</h2>
+                        <p>Tick the KPIs to show and order them with the arrows. Thresholds colour each KPI good, warning or bad; leave both empty to switch colouring off.</p>
+                    </div>
+                </div>
+                <div class="review-body">
+                    <table class="review-table kpi-settings-table">
+                        <thead>
+                            <tr><th>Show</th><th>KPI</th><th>Good</th><th>Warning</th><th>Order</th></tr>
+                        </thead>
+                        <tbody>${createSettingsRowsHTML(layout)}</tbody>
+                    </table>
+                </div>
+                <div class="review-footer">
+                    <span class="review-error" id="kpiSettingsError"></span>
+                    <button class="review-btn secondary" id="kpiSettingsReset">Restore defaults</button>
+                    <button class="review-btn secondary" id="kpiSettingsCancel">Cancel</button>
+                    <button class="review-btn primary" id="kpiSettingsSave">Save layout</button>
+                </div>
+            </div>
+        </div>
+    `;
+}
+
+/**
+ * Read the layout from the dialog rows
+ * Thresholds equal to the KPI's defaults are not stored, so later default changes apply.
+ */
+function collectLayout(overlay) {
+    const rows = Array.from(overlay.querySelectorAll('.kpi-settings-table tbody tr'));
+    const thresholds = {};
+
+    rows.forEach(row => {
+        const id = row.dataset.kpi;
+        const read = level => row.querySelector(`[data-level="${level}"]`).value.replace(/,/g, '').trim();
+        const good = read('good');
+        const warning = read('warning');
+
+        const custom = good === '' && warning === '' ? null : { good: parseFloat(good), warning: parseFloat(warning) };
+        const defaults = KPIS[id].thresholds;
+        const unchanged = custom === null
+            ? defaults === null
+            : defaults !== null && custom.good === defaults.good && custom.warning === defaults.warning;
+        if (!unchanged) thresholds[id] = custom;
+    });
+
+    return {
+        kpis: rows.filter(row => row.querySelector('.kpi-select').checked).map(row => row.dataset.kpi),
+        thresholds
+    };
+}
+
+function closeDialog() {
+    if (dialogElement) dialogElement.remove();
+    dialogElement = null;
+}
+
+/**
+ * Open the customize dialog
+ */
+export function openKpiSettings() {
+    closeDialog();
+
+    document.body.insertAdjacentHTML('beforeend', createDialogHTML(loadKpiLayout()));
+    dialogElement = document.getElementById('kpiSettingsOverlay');
+    const overlay = dialogElement;
+    const tbody = overlay.querySelector('.kpi-settings-table tbody');
+
+    tbody.addEventListener('click', (e) => {
+        const button = e.target.closest('.kpi-move');
+        if (!button) return;
+
+        const row = button.closest('tr');
+        const sibling = button.dataset.move === '-1' ? row.previousElementSibling : row.nextElementSibling;
+        if (!sibling) return;
+        if (button.dataset.move === '-1') {
+            sibling.before(row);
+        } else {
+            sibling.after(row);
+        }
+    });
+
+    overlay.querySelector('#kpiSettingsReset').addEventListener('click', () => {
+        tbody.innerHTML = createSettingsRowsHTML(DEFAULT_KPI_LAYOUT);
+    });
+
+    overlay.querySelector('#kpiSettingsCancel').addEventListener('click', closeDialog);
+
+    overlay.querySelector('#kpiSettingsSave').addEventListener('click', () => {
+        const layout = collectLayout(overlay);
+        const errors = validateKpiLayout(layout);
+        if (errors.length > 0) {
+            overlay.querySelector('#kpiSettingsError').textContent = errors[0];
+            return;
+        }
+
+        if (JSON.stringify(layout) === JSON.stringify(DEFAULT_KPI_LAYOUT)) {
+            resetKpiLayout();
+        } else {
+            saveKpiLayout(layout);
+        }
+        closeDialog();
+        renderKpiGrid(currentData);
+    });
+}
+
+/**
+ * Initialize the customize button
+ */
+export function initKpiGrid() {
+    document.getElementById('kpiCustomizeBtn')?.addEventListener('click', openKpiSettings);
+}
+
+export default { renderKpiGrid, initKpiGrid, openKpiSettings };
@@ -0,0 +1,341 @@
+/**
+ * Library Browser Component
+ * Lists every saved report with search, tags, folders, sorting and bulk delete
+ */
+
+import {
+    getReports,
+    getCurrentReport,
+    setCurrentIndex,
+    deleteReports,
+    updateReport
+} from './reportStore.js';
+import { getCompany } from './companyStore.js';
+import { openCompanyEditor } from './companyEditor.js';
+import {
+    PRESET_TAGS,
+    UNFILED,
+    SORT_OPTIONS,
+    reportYears,
+    reportFiles,
+    normalizeTag,
+    collectTags,
+    collectFolders,
+    queryReports
+} from '../data/libraryFilters.js';
+import { escapeHTML } from '../utils/html.js';
+
+let overlayElement = null;
+
+// View state, kept while the dialog is open
+const view = {
+    query: '',
+    tag: null,
+    folder: null,
+    sort: 'uploaded',
+    selected: new Set()
+};
+
+function formatDate(iso) {
+    if (!iso) return '—';
+    return new Date(iso).toLocaleDateString('en-US', { day: 'numeric', month: 'short', year: 'numeric' });
+}
+
+function formatYears(years) {
+    if (years.length === 0) return 'N/A';
+    return years.length > 1 ? `${years[0]}–${years[years.length - 1]}` : years[0];
+}
+
+/**
+ * Create the folder list
+ */
+function createFoldersHTML(reports) {
+    const folders = collectFolders(reports);
+    const item = (name, label, count) => `
+        <button class="library-folder ${view.folder === name ? 'active' : ''}" data-folder="${escapeHTML(name ?? '')}">
+            <span>${escapeHTML(label)}</span>
+            <span class="library-count">${count}</span>
+        </button>
+    `;
+
+    return `
+        ${item(null, 'All reports', reports.length)}
+        ${folders.map(folder => item(folder.name, folder.name, folder.count)).join('')}
+    `;
+}
+
+/**
+ * Create the tag filter chips
+ */
+function createTagFilterHTML(reports) {
+    return collectTags(reports).map(tag => `
+        <button class="library-tag-filter ${view.tag === tag ? 'active' : ''}" data-tag="${escapeHTML(tag)}">#${escapeHTML(tag)}</button>
+    `).join('');
+}
+
+/**
+ * Create one report row
+ */
+function createRowHTML(report) {
+    const current = getCurrentReport();
+    const tags = report.tags || [];
+    const presets = PRESET_TAGS.filter(tag => !tags.includes(tag));
+    const company = getCompany(report.companyId);
+
+    return `
+        <tr data-id="${report.id}" class="${current?.id === report.id ? 'is-current' : ''}">
+            <td><input type="checkbox" class="library-select" ${view.selected.has(report.id) ? 'checked' : ''} aria-label="Select report"></td>
+            <td>
+                <button class="library-open" title="Open on the dashboard">${escapeHTML(report.companyName)}</button>
+                ${current?.id === report.id ? '<span class="library-current">Viewing</span>' : ''}
+                ${company ? `
+                    <button class="library-company" title="${company.unidentified ? 'Name the company of this report' : 'Edit company'}">
+                        ${escapeHTML(company.name)}${company.ticker ? ` · ${escapeHTML(company.ticker)}` : ''}
+                    </button>
+                ` : ''}
+            </td>
+            <td class="library-mono">${escapeHTML(formatYears(reportYears(report)))}</td>
+            <td class="library-mono">${formatDate(report.uploadedAt)}</td>
+            <td class="library-files">${reportFiles(report).map(file => `<span title="${escapeHTML(file)}">${escapeHTML(file)}</span>`).join('')}</td>
+            <td class="library-tags">
+                ${tags.map(tag => `
+                    <span class="library-tag">#${escapeHTML(tag)}<button class="library-tag-remove" data-tag="${escapeHTML(tag)}" title="Remove tag">&times;</button></span>
+                `).join('')}
+                ${presets.map(tag => `<button class="library-tag-add" data-tag="${tag}">+ ${tag}</button>`).join('')}
+                <input type="text" class="library-tag-input" placeholder="Add tag" maxlength="30">
+            </td>
+            <td>
+                <input type="text" class="library-folder-input" list="libraryFolderList"
+                    value="${escapeHTML(report.folder || '')}" placeholder="${UNFILED}">
+            </td>
+        </tr>
+    `;
+}
+
+/**
+ * Create the report table body
+ */
+function createRowsHTML(reports) {
+    const listed = queryReports(reports, view);
+    if (listed.length === 0) {
+        return `<tr><td colspan="7" class="library-empty">${reports.length === 0 ? 'No saved reports yet. Upload a PDF to start your library.' : 'No report matches these filters.'}</td></tr>`;
+    }
+    return listed.map(createRowHTML).join('');
+}
+
+/**
+ * Create dialog HTML
+ */
+function createLibraryHTML() {
+    const sortOptions = Object.entries(SORT_OPTIONS).map(([key, option]) => `
+        <option value="${key}" ${view.sort === key ? 'selected' : ''}>${option.label}</option>
+    `).join('');
+
+    return `
+        <div class="library-overlay" id="libraryOverlay">
+            <div class="library-dialog" role="dialog" aria-modal="true" aria-labelledby="libraryTitle">
+                <div class="library-header">
+                    <h2 id="libraryTitle">Report library</h2>
+                    <button class="library-close" id="libraryClose" aria-label="Close">&times;</button>
+                </div>
+                <div class="library-layout">
+                    <aside class="library-folders" id="libraryFolders"></aside>
+                    <div class="library-main">
+                        <div class="library-toolbar">
+                            <input type="search" id="librarySearch" placeholder="Search company, year, file, tag…" value="${escapeHTML(view.query)}">
+                            <select id="librarySort" title="Sort">${sortOptions}</select>
+                        </div>
+                        <div class="library-tag-filters" id="libraryTagFilters"></div>
+                        <div class="library-bulk">
+                            <label><input type="checkbox" id="librarySelectAll"> Select all shown</label>
+                            <button class="review-btn secondary" id="libraryDelete" disabled>Delete selected</button>
+                        </div>
+                        <div class="library-table-wrap">
+                            <table class="library-table">
+                                <thead>
+                                    <tr><th></th><th>Company</th><th>Fiscal years</th><th>Uploaded</th><th>Source files</th><th>Tags</th><th>Folder</th></tr>
+                                </thead>
+                                <tbody id="libraryRows"></tbody>
+                            </table>
+                        </div>
+                        <datalist id="libraryFolderList"></datalist>
+                    </div>
+                </div>
+            </div>
+        </div>
+    `;
+}
+
+/**
+ * Re-render everything but the toolbar, so the search input keeps focus
+ */
+function render() {
+    if (!overlayElement) return;
+    const reports = getReports();
+
+    // Forget selections of deleted reports
+    view.selected = new Set([...view.selected].filter(id => reports.some(report => report.id === id)));
+
+    overlayElement.querySelector('#libraryFolders').innerHTML = createFoldersHTML(reports);
+    overlayElement.querySelector('#libraryTagFilters').innerHTML = createTagFilterHTML(reports);
+    overlayElement.querySelector('#libraryRows').innerHTML = createRowsHTML(reports);
+    overlayElement.querySelector('#libraryFolderList').innerHTML = collectFolders(reports)
+        .filter(folder => folder.name !== UNFILED)
+        .map(folder => `<option value="${escapeHTML(folder.name)}">`).join('');
+
+    const shown = queryReports(reports, view).map(report => report.id);
+    const selectAll = overlayElement.querySelector('#librarySelectAll');
+    selectAll.checked = shown.length > 0 && shown.every(id => view.selected.has(id));
+
+    const deleteBtn = overlayElement.querySelector('#libraryDelete');
+    deleteBtn.disabled = view.selected.size === 0;
+    deleteBtn.textContent = view.selected.size > 0 ? `Delete selected (${view.selected.size})` : 'Delete selected';
+}
+
+/**
+ * Index of a report in the store, as setCurrentIndex and deleteReports expect
+ */
+function indexOf(id) {
+    return getReports().findIndex(report => report.id === id);
+}
+
+function setTags(id, tags) {
+    updateReport(id, { tags: [...new Set(tags)] });
+    render();
+}
+
+/**
+ * Wire dialog events (delegated, rows are re-rendered)
+ */
+function setupEvents(overlay) {
+    overlay.querySelector('#libraryClose').addEventListener('click', closeLibrary);
+    overlay.addEventListener('click', (e) => {
+        if (e.target === overlay) closeLibrary();
+    });
+
+    overlay.querySelector('#librarySearch').addEventListener('input', (e) => {
+        view.query = e.target.value;
+        render();
+    });
+
+    overlay.querySelector('#librarySort').addEventListener('change', (e) => {
+        view.sort = e.target.value;
+        render();
+    });
+
+    overlay.querySelector('#libraryFolders').addEventListener('click', (e) => {
+        const button = e.target.closest('.library-folder');
+        if (!button) return;
+        view.folder = button.dataset.folder || null;
+        render();
+    });
+
+    overlay.querySelector('#libraryTagFilters').addEventListener('click', (e) => {
+        const button = e.target.closest('.library-tag-filter');
+        if (!button) return;
+        view.tag = view.tag === button.dataset.tag ? null : button.dataset.tag;
+        render();
+    });
+
+    overlay.querySelector('#librarySelectAll').addEventListener('change', (e) => {
+        queryReports(getReports(), view).forEach(report => {
+            if (e.target.checked) view.selected.add(report.id);
+            else view.selected.delete(report.id);
+        });
+        render();
+    });
+
+    overlay.querySelector('#libraryDelete').addEventListener('click', () => {
+        const count = view.selected.size;
+        if (count === 0) return;
+        if (!confirm(`Delete ${count} report${count > 1 ? 's' : ''} and ${count > 1 ? 'their' : 'its'} source PDFs? This cannot be undone.`)) return;
+
+        deleteReports([...view.selected].map(indexOf));
+        view.selected.clear();
+        render();
+    });
+
+    const rows = overlay.querySelector('#libraryRows');
+
+    rows.addEventListener('click', (e) => {
+        const row = e.target.closest('tr[data-id]');
+        if (!row) return;
+        const id = row.dataset.id;
+        const report = getReports().find(r => r.id === id);
+
+        if (e.target.closest('.library-open')) {
+            setCurrentIndex(indexOf(id));
+            closeLibrary();
+        } else if (e.target.closest('.library-company')) {
+            openCompanyEditor(report.companyId, render);
+        } else if (e.target.closest('.library-tag-add')) {
+            setTags(id, [...(report.tags || []), e.target.dataset.tag]);
+        } else if (e.target.closest('.library-tag-remove')) {
+            setTags(id, (report.tags || []).filter(tag => tag !== e.target.dataset.tag));
+        }
+    });
+
+    rows.addEventListener('change', (e) => {
+        const row = e.target.closest('tr[data-id]');
+        if (!row) return;
+        const id = row.dataset.id;
+
+        if (e.target.classList.contains('library-select')) {
+            if (e.target.checked) view.selected.add(id);
+            else view.selected.delete(id);
+            render();
+        } else if (e.target.classList.contains('library-folder-input')) {
+            updateReport(id, { folder: e.target.value.trim() || null });
+            render();
+        }
+    });
+
+    rows.addEventListener('keydown', (e) => {
+        if (e.key !== 'Enter' || !e.target.classList.contains('library-tag-input')) return;
+        const row = e.target.closest('tr[data-id]');
+        const tag = normalizeTag(e.target.value);
+        if (!tag) return;
+        const report = getReports().find(r => r.id === row.dataset.id);
+        setTags(row.dataset.id, [...(report.tags || []), tag]);
+    });
+
+    document.addEventListener('keydown', handleEscape);
+}
+
+function handleEscape(e) {
+    if (e.key === 'Escape') closeLibrary();
+}
+
+/**
+ * Close the library
+ */
+export function closeLibrary() {
+    if (overlayElement) overlayElement.remove();
+    overlayElement = null;
+    view.selected.clear();
+    document.removeEventListener('keydown', handleEscape);
+}
+
+/**
+ * Open the library
+ */
+export function openLibrary() {
+    closeLibrary();
+
+    document.body.insertAdjacentHTML('beforeend', createLibraryHTML());
+    overlayElement = document.getElementById('libraryOverlay');
+    setupEvents(overlayElement);
+    render();
+    overlayElement.querySelector('#librarySearch').focus();
+}
+
+/**
+ * Wire the library buttons (delegated: the report navigation is re-rendered)
+ */
+export function initLibraryBrowser() {
+    document.addEventListener('click', (e) => {
+        if (e.target.closest('[data-action="open-library"]')) openLibrary();
+    });
+}
+
+export default { initLibraryBrowser, openLibrary, closeLibrary };
@@ -33,7 +33,7 @@ function createOnboardingHTML() {
                     </div>
                     <h3>Upload Annual Reports</h3>
                     <p>Drop PDF files here or <span class="browse-link">browse</span></p>
-                    <div class="upload-badge">Up to 3 files for multi-year analysis</div>
+                    <div class="upload-badge">Several years at once, or add years later</div>
                 </div>
                 <div class="selected-files" id="selectedFiles"></div>
             </div>
@@ -143,8 +143,8 @@ function setupOnboardingEvents() {
  * Handle multiple file selection
  */
 function handleMultipleFiles(files) {
-    // Limit to 3 files
-    const filesToProcess = files.slice(0, 3);
+    // Any number of years; later uploads are added to the company's history
+    const filesToProcess = files;
     uploadedFiles = filesToProcess;
 
     // Show selected files
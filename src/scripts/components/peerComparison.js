@@ -0,0 +1,223 @@
+/**
+ * Peer Comparison Component
+ * Compares two to six stored companies: side-by-side KPIs, overlaid charts and a ranking,
+ * aligned by fiscal year and shown in one currency
+ */
+
+import {
+    PEER_LIMITS,
+    PEER_METRICS,
+    PEER_CHART_METRICS,
+    validatePeerSelection,
+    alignPeers,
+    comparisonYear,
+    rankPeers,
+    loadPeerSelection,
+    savePeerSelection
+} from '../data/peers.js';
+import { KPIS, formatKpiValue } from '../data/kpis.js';
+import { getCompanyFinancialData } from '../data/financialData.js';
+import { getDisplayCurrency } from '../data/currency.js';
+import { initializePeerCharts } from '../charts/index.js';
+import { getCompanies, getCompany } from './companyStore.js';
+import { getCompanyReports } from './reportStore.js';
+import { escapeHTML } from '../utils/html.js';
+
+let ChartRef = null;
+let selection = [];
+let selectedYear = null;
+
+/**
+ * Companies with at least one extracted report
+ */
+function comparableCompanies() {
+    return getCompanies().filter(company => getCompanyReports(company.id).some(report => report.extractedData));
+}
+
+/**
+ * Dashboard data of the selected companies in one currency: the display currency,
+ * or the first company's currency when reports are shown as reported
+ */
+function loadPeers(ids) {
+    const target = getDisplayCurrency() || getCompanyFinancialData(ids[0], null)?.currency;
+    return ids
+        .map(id => ({ id, name: getCompany(id)?.name || 'Company', data: getCompanyFinancialData(id, target) }))
+        .filter(peer => peer.data);
+}
+
+/**
+ * Create the company picker
+ */
+function createPickerHTML(companies) {
+    const full = selection.length >= PEER_LIMITS.max;
+    return `
+        <div class="peer-picker">
+            ${companies.map(company => {
+                const checked = selection.includes(company.id);
+                return `
+                    <label class="peer-option ${checked ? 'selected' : ''}">
+                        <input type="checkbox" data-company="${company.id}" ${checked ? 'checked' : ''} ${!checked && full ? 'disabled' : ''}>
+                        <span>${escapeHTML(company.name)}</span>
+                        ${company.ticker ? `<span class="peer-ticker">${escapeHTML(company.ticker)}</span>` : ''}
+                    </label>
+                `;
+            }).join('')}
+        </div>
+    `;
+}
+
+/**
+ * Create the side-by-side KPI table: one column per company, the best value of each row marked
+ */
+function createKpiTableHTML(comparison, ranking) {
+    const currency = comparison.currency;
+    const rows = ranking.metrics.map(metric => `
+        <tr>
+            <td class="statement-label">${metric.label}</td>
+            ${metric.entries.map(entry => `
+                <td class="${entry.rank === 1 ? 'peer-best' : ''}">
+                    ${formatKpiValue(entry.value, metric.unit, currency)}
+                    ${entry.rank ? `<span class="peer-rank">#${entry.rank}</span>` : ''}
+                </td>
+            `).join('')}
+        </tr>
+    `).join('');
+
+    return `
+        <div class="statement-table-wrap">
+            <table class="statement-table peer-table">
+                <thead>
+                    <tr><th class="statement-label">KPI, FY ${ranking.year}</th>${comparison.peers.map(peer => `<th>${escapeHTML(peer.name)}</th>`).join('')}</tr>
+                </thead>
+                <tbody>${rows}</tbody>
+            </table>
+        </div>
+    `;
+}
+
+/**
+ * Create the overall ranking table
+ */
+function createRankingHTML(ranking) {
+    const rows = ranking.overall.map(entry => `
+        <tr>
+            <td>${entry.rank ?? '—'}</td>
+            <td class="statement-label">${escapeHTML(entry.name)}</td>
+            <td>${entry.averageRank ?? '—'}</td>
+            <td>${entry.metricsRanked} of ${ranking.metrics.length}</td>
+        </tr>
+    `).join('');
+
+    return `
+        <div class="statement-table-wrap">
+            <table class="statement-table peer-ranking">
+                <thead>
+                    <tr><th>Rank</th><th class="statement-label">Company</th><th>Average rank</th><th>KPIs ranked</th></tr>
+                </thead>
+                <tbody>${rows}</tbody>
+            </table>
+        </div>
+    `;
+}
+
+/**
+ * Create the comparison of the selected companies
+ */
+function createComparisonHTML(comparison, peers) {
+    const year = comparison.years.includes(selectedYear) ? selectedYear : comparisonYear(comparison);
+    const ranking = rankPeers(comparison, year, PEER_METRICS);
+
+    // Without an FX rate a company stays in its own currency; say so rather than mixing silently
+    const unconverted = peers.filter(peer => peer.data.currency !== comparison.currency);
+    const currencyNote = unconverted.length
+        ? `<p class="peer-warning">${unconverted.map(peer => escapeHTML(peer.name)).join(', ')} could not be converted to ${comparison.currency} (no FX rate): compare amounts with care.</p>`
+        : '';
+
+    return `
+        <div class="peer-toolbar">
+            <label class="statement-toggle">
+                Fiscal year
+                <select id="peerYear">
+                    ${comparison.years.map(y => `<option value="${y}" ${y === year ? 'selected' : ''}>FY ${y}</option>`).join('')}
+                </select>
+            </label>
+            <span class="statement-note">Amounts in ${comparison.currency} millions. Ranks: #1 is best; ties share a rank.</span>
+        </div>
+        ${currencyNote}
+        ${createKpiTableHTML(comparison, ranking)}
+        <div class="chart-grid peer-charts">
+            ${PEER_CHART_METRICS.map(metric => `
+                <div class="chart-card">
+                    <h3>${KPIS[metric].label}</h3>
+                    <div class="chart-container"><canvas id="peerChart-${metric}"></canvas></div>
+                </div>
+            `).join('')}
+        </div>
+        <h3 class="peer-subtitle">Ranking, FY ${year}</h3>
+        ${createRankingHTML(ranking)}
+    `;
+}
+
+/**
+ * Render the peer comparison
+ */
+export function renderPeerComparison() {
+    const container = document.getElementById('peersContainer');
+    if (!container) return;
+
+    const companies = comparableCompanies();
+    selection = selection.filter(id => companies.some(company => company.id === id));
+
+    if (companies.length < PEER_LIMITS.min) {
+        container.innerHTML = `
+            <p class="statement-note">Upload the annual reports of at least ${PEER_LIMITS.min} companies to compare them side by side.</p>
+        `;
+        return;
+    }
+
+    const errors = validatePeerSelection(selection);
+    const peers = errors.length ? [] : loadPeers(selection);
+    const comparison = peers.length >= PEER_LIMITS.min ? alignPeers(peers, PEER_METRICS) : null;
+
+    container.innerHTML = `
+        <p class="statement-note">Select ${PEER_LIMITS.min} to ${PEER_LIMITS.max} companies to compare.</p>
+        ${createPickerHTML(companies)}
+        ${comparison ? createComparisonHTML(comparison, peers) : `<p class="statement-note">${errors[0] || 'No extracted data for the selected companies.'}</p>`}
+    `;
+
+    if (comparison && ChartRef) {
+        initializePeerCharts(ChartRef, comparison, PEER_CHART_METRICS);
+    }
+}
+
+/**
+ * Initialize the peer comparison
+ * @param {Object} Chart - Chart.js
+ */
+export function initPeerComparison(Chart) {
+    const container = document.getElementById('peersContainer');
+    if (!container) return;
+
+    ChartRef = Chart;
+    selection = loadPeerSelection();
+
+    container.addEventListener('change', (e) => {
+        if (e.target.dataset.company) {
+            const id = e.target.dataset.company;
+            selection = e.target.checked ? [...selection, id] : selection.filter(other => other !== id);
+            savePeerSelection(selection);
+        } else if (e.target.id === 'peerYear') {
+            selectedYear = e.target.value;
+        }
+        renderPeerComparison();
+    });
+
+    // Stored companies, currencies and estimates change outside this section
+    ['reportChanged', 'allFilesProcessed', 'displayCurrencyChanged', 'estimateSettingsChanged'].forEach(event => {
+        window.addEventListener(event, renderPeerComparison);
+    });
+
+    renderPeerComparison();
+}
+
+export default { initPeerComparison, renderPeerComparison };
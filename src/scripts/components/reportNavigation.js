@@ -47,6 +47,11 @@ function createNavigationHTML() {
                     <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M9 5l7 7-7 7" />
                 </svg>
             </button>
+            <button class="report-nav-btn library" data-action="open-library" title="Report library">
+                <svg xmlns="http://www.w3.org/2000/svg" fill="none" viewBox="0 0 24 24" stroke="currentColor">
+                    <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M3 7v10a2 2 0 002 2h14a2 2 0 002-2V9a2 2 0 00-2-2h-6l-2-2H5a2 2 0 00-2 2z" />
+                </svg>
+            </button>
             <button class="report-nav-btn reset" id="navResetBtn" title="Reinitialiser tout">
                 <svg xmlns="http://www.w3.org/2000/svg" fill="none" viewBox="0 0 24 24" stroke="currentColor">
                     <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M19 7l-.867 12.142A2 2 0 0116.138 21H7.862a2 2 0 01-1.995-1.858L5 7m5 4v6m4-6v6m1-10V4a1 1 0 00-1-1h-4a1 1 0 00-1 1v3M4 7h16" />
@@ -118,10 +123,10 @@ function setupNavigationButtons() {
 /**
  * Handle reset - clear all data and reload
  */
-function handleReset() {
+async function handleReset() {
     if (confirm('Supprimer tous les rapports et reinitialiser le dashboard ?')) {
-        // Clear all reports from store
-        clearReports();
+        // Clear all reports from store (and wait for the library before reloading)
+        await clearReports();
 
         // Clear other localStorage data
         localStorage.removeItem('dashboardData');
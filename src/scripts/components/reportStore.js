@@ -1,44 +1,99 @@
 /**
  * Report Store Module
  * Manages caching and navigation of multiple reports
+ * Reports are kept in memory for synchronous access and persisted to the IndexedDB report library
  */
 
-const STORAGE_KEY = 'wagdy_reports';
-const MAX_REPORTS = 5;
+import {
+    RECORD_VERSION,
+    loadLibrary,
+    saveReport,
+    deleteReports as deleteLibraryReports,
+    clearLibrary,
+    setCurrentReportId,
+    getReportFiles as getLibraryFiles
+} from '../data/reportLibrary.js';
+import { addAlias } from '../data/companies.js';
+import { initCompanyStore, linkCompany, getCompany, updateCompany, removeCompanies, resetCompanies } from './companyStore.js';
 
 let reports = [];
 let currentIndex = -1;
 
 /**
- * Initialize store from localStorage
+ * Initialize store from the report library
+ * Without IndexedDB the store still works, but reports only last for the session.
  */
-export function initReportStore() {
+export async function initReportStore() {
     try {
-        const saved = localStorage.getItem(STORAGE_KEY);
-        if (saved) {
-            const data = JSON.parse(saved);
-            reports = data.reports || [];
-            currentIndex = data.currentIndex ?? -1;
-        }
+        await initCompanyStore();
+        const { reports: stored, currentId } = await loadLibrary();
+        reports = stored.map(linkStoredReport);
+        const index = reports.findIndex(report => report.id === currentId);
+        currentIndex = index >= 0 ? index : (reports.length > 0 ? 0 : -1);
+
+        // Ask the browser not to evict the library under storage pressure
+        navigator.storage?.persist?.().catch(() => {});
     } catch (e) {
-        console.warn('Failed to load reports from storage:', e);
+        console.warn('Failed to load reports from the library, reports will not persist:', e);
         reports = [];
         currentIndex = -1;
     }
 }
 
 /**
- * Save store to localStorage
+ * Link a report saved before the company registry existed to its company
  */
-function saveStore() {
-    try {
-        localStorage.setItem(STORAGE_KEY, JSON.stringify({
-            reports,
-            currentIndex
-        }));
-    } catch (e) {
-        console.warn('Failed to save reports to storage:', e);
-    }
+function linkStoredReport(report) {
+    if (report.companyId) return report;
+    const linked = { ...report, companyId: companyIdOf(report) };
+    persist(saveReport(linked));
+    return linked;
+}
+
+/**
+ * Find or register the company of an uploaded report
+ */
+function companyIdOf(report) {
+    return linkCompany({
+        name: report.extractedData?.companyName || report.companyName,
+        ticker: report.extractedData?.ticker,
+        currency: report.extractedData?.currency
+    }).id;
+}
+
+/**
+ * Log failed library writes; the in-memory store stays usable
+ */
+function persist(promise) {
+    return promise.catch(e => console.warn('Failed to save reports to the library:', e));
+}
+
+/**
+ * Save the current report selection
+ */
+function saveCurrent() {
+    return persist(setCurrentReportId(getCurrentReport()?.id ?? null));
+}
+
+/**
+ * Store a new report with its source files and show it
+ * @param {Object} newReport - Report record
+ * @param {Array<{ fileName: string, blob: Blob, pages: Array }>} files - Source PDFs and extracted pages
+ */
+function insertReport(newReport, files = []) {
+    const fileRecords = files.map((file, i) => ({ id: `${newReport.id}-${i}`, ...file }));
+    newReport.fileIds = fileRecords.map(file => file.id);
+
+    // Add to beginning of array
+    reports.unshift(newReport);
+
+    // Set as current
+    currentIndex = 0;
+
+    persist(saveReport(newReport, fileRecords)).then(saveCurrent);
+    dispatchChangeEvent();
+
+    return newReport;
 }
 
 /**
@@ -47,28 +102,18 @@ function saveStore() {
 export function addReport(report) {
     const newReport = {
         id: Date.now().toString(),
+        schemaVersion: RECORD_VERSION,
         fileName: report.fileName,
         companyName: report.companyName || 'Unknown Company',
         fiscalYear: report.fiscalYear || 'N/A',
+        companyId: companyIdOf(report),
         extractedData: report.extractedData,
+        tags: [],
+        folder: null,
         uploadedAt: new Date().toISOString()
     };
 
-    // Add to beginning of array
-    reports.unshift(newReport);
-
-    // Limit to MAX_REPORTS
-    if (reports.length > MAX_REPORTS) {
-        reports = reports.slice(0, MAX_REPORTS);
-    }
-
-    // Set as current
-    currentIndex = 0;
-
-    saveStore();
-    dispatchChangeEvent();
-
-    return newReport;
+    return insertReport(newReport, report.files);
 }
 
 /**
@@ -82,30 +127,33 @@ export function addMergedReport(report) {
 
     const newReport = {
         id: Date.now().toString(),
+        schemaVersion: RECORD_VERSION,
         fileName: report.fileName,
         companyName: report.companyName || 'Unknown Company',
         fiscalYear: yearRange,
         fiscalYears: years,
+        companyId: companyIdOf(report),
         isMerged: true,
         extractedData: report.extractedData,
+        tags: [],
+        folder: null,
         uploadedAt: new Date().toISOString()
     };
 
-    // Add to beginning of array
-    reports.unshift(newReport);
+    return insertReport(newReport, report.files);
+}
 
-    // Limit to MAX_REPORTS
-    if (reports.length > MAX_REPORTS) {
-        reports = reports.slice(0, MAX_REPORTS);
+/**
+ * Get the source PDFs and extracted pages of a report
+ * @returns {Promise<Array>} - Empty for reports saved before PDFs were kept, or without IndexedDB
+ */
+export async function getReportFiles(reportId) {
+    try {
+        return await getLibraryFiles(reportId);
+    } catch (e) {
+        console.warn('Failed to load report files:', e);
+        return [];
     }
-
-    // Set as current
-    currentIndex = 0;
-
-    saveStore();
-    dispatchChangeEvent();
-
-    return newReport;
 }
 
 /**
@@ -115,6 +163,13 @@ export function getReports() {
     return [...reports];
 }
 
+/**
+ * Get every report of a company, newest first
+ */
+export function getCompanyReports(companyId) {
+    return reports.filter(report => report.companyId === companyId);
+}
+
 /**
  * Get current report
  */
@@ -145,7 +200,7 @@ export function getReportCount() {
 export function setCurrentIndex(index) {
     if (index >= 0 && index < reports.length) {
         currentIndex = index;
-        saveStore();
+        saveCurrent();
         dispatchChangeEvent();
         return true;
     }
@@ -158,7 +213,7 @@ export function setCurrentIndex(index) {
 export function navigatePrev() {
     if (currentIndex < reports.length - 1) {
         currentIndex++;
-        saveStore();
+        saveCurrent();
         dispatchChangeEvent();
         return true;
     }
@@ -171,7 +226,7 @@ export function navigatePrev() {
 export function navigateNext() {
     if (currentIndex > 0) {
         currentIndex--;
-        saveStore();
+        saveCurrent();
         dispatchChangeEvent();
         return true;
     }
@@ -193,30 +248,100 @@ export function canNavigateNext() {
  * Delete a report by index
  */
 export function deleteReport(index) {
-    if (index >= 0 && index < reports.length) {
-        reports.splice(index, 1);
-
-        // Adjust current index
-        if (reports.length === 0) {
-            currentIndex = -1;
-        } else if (currentIndex >= reports.length) {
-            currentIndex = reports.length - 1;
-        }
+    return deleteReports([index]);
+}
 
-        saveStore();
-        dispatchChangeEvent();
-        return true;
+/**
+ * Delete several reports at once, with a single change event
+ * The current report stays current unless it is deleted.
+ * @param {number[]} indices
+ */
+export function deleteReports(indices) {
+    const doomed = new Set(indices.filter(index => index >= 0 && index < reports.length));
+    if (doomed.size === 0) return false;
+
+    const current = getCurrentReport();
+    const removedIds = reports.filter((_, i) => doomed.has(i)).map(report => report.id);
+    reports = reports.filter((_, i) => !doomed.has(i));
+    persist(deleteLibraryReports(removedIds));
+
+    // Adjust current index
+    const kept = current ? reports.indexOf(current) : -1;
+    if (reports.length === 0) {
+        currentIndex = -1;
+    } else if (kept >= 0) {
+        currentIndex = kept;
+    } else {
+        currentIndex = Math.min(currentIndex, reports.length - 1);
     }
-    return false;
+
+    saveCurrent();
+    dispatchChangeEvent();
+    return true;
+}
+
+/**
+ * Update library fields of a report (tags, folder)
+ * Does not dispatch reportChanged: the figures on the dashboard are unchanged.
+ * @param {string} id
+ * @param {Object} changes
+ * @returns {Object|null} - Updated report
+ */
+export function updateReport(id, changes) {
+    const index = reports.findIndex(report => report.id === id);
+    if (index < 0) return null;
+
+    reports[index] = { ...reports[index], ...changes };
+    persist(saveReport(reports[index]));
+    return reports[index];
+}
+
+/**
+ * Move every report of one company to another and drop the first from the registry
+ * Used when the same issuer was registered twice, e.g. under a name no alias matched.
+ * @returns {Object|null} - The company kept
+ */
+export function mergeCompanies(fromId, toId) {
+    const from = getCompany(fromId);
+    const to = getCompany(toId);
+    if (!from || !to || fromId === toId) return null;
+
+    const merged = [from.name, ...(from.aliases || [])].reduce(addAlias, to);
+    const kept = updateCompany(toId, {
+        aliases: merged.aliases,
+        ticker: to.ticker || from.ticker,
+        sector: to.sector || from.sector,
+        currency: to.currency || from.currency
+    });
+
+    reports = reports.map(report => {
+        if (report.companyId !== fromId) return report;
+        const moved = { ...report, companyId: toId };
+        persist(saveReport(moved));
+        return moved;
+    });
+    removeCompanies([fromId]);
+
+    dispatchChangeEvent();
+    return kept;
 }
 
 /**
  * Clear all reports
+ * @returns {Promise} - Resolves once the library is cleared
  */
 export function clearReports() {
     reports = [];
     currentIndex = -1;
-    saveStore();
+    resetCompanies();
+    dispatchChangeEvent();
+    return persist(clearLibrary());
+}
+
+/**
+ * Re-render the current report, e.g. after the sources of its company's history changed
+ */
+export function refreshCurrentReport() {
     dispatchChangeEvent();
 }
 
@@ -233,9 +358,6 @@ function dispatchChangeEvent() {
     }));
 }
 
-// Initialize on module load
-initReportStore();
-
 export default {
     initReportStore,
     addReport,
@@ -244,11 +366,17 @@ export default {
     getCurrentReport,
     getCurrentIndex,
     getReportCount,
+    getCompanyReports,
     setCurrentIndex,
     navigatePrev,
     navigateNext,
     canNavigatePrev,
     canNavigateNext,
     deleteReport,
-    clearReports
+    deleteReports,
+    updateReport,
+    mergeCompanies,
+    refreshCurrentReport,
+    clearReports,
+    getReportFiles
 };
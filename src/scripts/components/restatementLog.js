@@ -0,0 +1,110 @@
+/**
+ * Restatement Log Component
+ * Lists, per metric, every figure a later report revised in its comparative column
+ */
+
+import { REVIEW_FIELDS } from '../data/overrides.js';
+import { groupByMetric } from '../data/restatements.js';
+import { formatMoney } from '../data/currency.js';
+import { openCitation } from './sourceCitations.js';
+import { escapeHTML } from '../utils/html.js';
+
+let dialogElement = null;
+
+const LABELS = Object.fromEntries(REVIEW_FIELDS.map(({ field, label }) => [field, label]));
+
+function formatFigure(field, value, currency) {
+    if (value === null || value === undefined) return '—';
+    return field === 'eps' ? `${currency} ${value.toFixed(2)}` : formatMoney(value, currency);
+}
+
+function formatChange(change) {
+    if (change === null) return '—';
+    return `${change > 0 ? '+' : ''}${change.toFixed(2)}%`;
+}
+
+/**
+ * Create one metric's log
+ */
+function createMetricHTML({ field, entries }, currency) {
+    return `
+        <section class="restatement-metric">
+            <h3>${LABELS[field] || field}</h3>
+            <table class="review-table restatement-table">
+                <thead>
+                    <tr><th>Year</th><th>As first reported</th><th>Restated</th><th>Change</th><th>Restated in</th></tr>
+                </thead>
+                <tbody>
+                    ${entries.map((entry, i) => `
+                        <tr>
+                            <td class="review-value">FY ${entry.year}</td>
+                            <td class="review-value" title="${escapeHTML(entry.originalSource.fileName)}">${formatFigure(field, entry.original, currency)}</td>
+                            <td class="review-value">${formatFigure(field, entry.restated, currency)}</td>
+                            <td class="review-value ${entry.change > 0 ? 'positive' : 'negative'}">${formatChange(entry.change)}</td>
+                            <td>
+                                FY ${entry.restatedSource.fiscalYear} report${entry.flagged ? ' <span class="restatement-flag">labelled restated</span>' : ''}
+                                ${entry.restatedSource.page ? `<button class="restatement-source" data-field="${field}" data-index="${i}">p. ${entry.restatedSource.page}</button>` : ''}
+                            </td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+        </section>
+    `;
+}
+
+/**
+ * Create dialog HTML
+ */
+function createDialogHTML(groups, currency) {
+    return `
+        <div class="review-overlay" id="restatementLogOverlay">
+            <div class="review-dialog" role="dialog" aria-modal="true" aria-labelledby="restatementLogTitle">
+                <div class="review-header">
+                    <div>
+                        <h2 id="restatementLogTitle">Restatement log</h2>
+                        <p>Figures a later annual report printed differently in its prior-year column. Charts keep the figure as first reported and mark restated points with an R. Amounts in ${currency} as reported.</p>
+                    </div>
+                </div>
+                <div class="review-body">
+                    ${groups.map(group => createMetricHTML(group, currency)).join('')}
+                </div>
+                <div class="review-footer">
+                    <button class="review-btn secondary" id="restatementLogClose">Close</button>
+                </div>
+            </div>
+        </div>
+    `;
+}
+
+function closeDialog() {
+    if (dialogElement) dialogElement.remove();
+    dialogElement = null;
+}
+
+/**
+ * Open the restatement log of the dashboard data
+ * @param {Object} data - Dashboard data with `_restatements`
+ */
+export function openRestatementLog(data) {
+    const groups = groupByMetric(data._restatements || [], REVIEW_FIELDS.map(({ field }) => field));
+    if (groups.length === 0) return;
+
+    // Restatements are logged in the report currency, before any display conversion
+    const currency = data.reportCurrency || data.currency;
+
+    closeDialog();
+    document.body.insertAdjacentHTML('beforeend', createDialogHTML(groups, currency));
+    dialogElement = document.getElementById('restatementLogOverlay');
+
+    dialogElement.querySelector('#restatementLogClose').addEventListener('click', closeDialog);
+    dialogElement.querySelector('.review-body').addEventListener('click', (e) => {
+        const button = e.target.closest('.restatement-source');
+        if (!button) return;
+        const group = groups.find(g => g.field === button.dataset.field);
+        const { restatedSource } = group.entries[Number(button.dataset.index)];
+        openCitation({ file: restatedSource.fileName, page: restatedSource.page });
+    });
+}
+
+export default { openRestatementLog };
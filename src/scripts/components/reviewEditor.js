@@ -0,0 +1,187 @@
+/**
+ * Review Editor Component
+ * Lets the user check and correct extracted figures before the report is saved
+ */
+
+import { REVIEW_FIELDS, parseInput, reviewFlags, applyOverrides } from '../data/overrides.js';
+import { escapeHTML } from '../utils/html.js';
+
+let overlayElement = null;
+
+/**
+ * Format an extracted value for the "Extracted" column
+ */
+function formatExtracted(value) {
+    if (value === null || value === undefined || value === '') return '—';
+    return typeof value === 'number' ? value.toLocaleString('en-US', { maximumFractionDigits: 2 }) : value;
+}
+
+/**
+ * Short source reference of a field, e.g. "p. 41"
+ */
+function sourceOf(data, field) {
+    const citation = data._citations?.[data.fiscalYear || 'N/A']?.[field];
+    if (!citation) return '';
+    return citation.page ? `p. ${citation.page}` : 'calc.';
+}
+
+/**
+ * Create the rows of one extraction
+ */
+function createRowsHTML(data, index) {
+    const { missing, suspicious } = reviewFlags(data);
+
+    return REVIEW_FIELDS.map(({ field, label, unit, type }) => {
+        const value = data[field];
+        const classes = [
+            missing.includes(field) ? 'is-missing' : '',
+            suspicious[field] ? 'is-suspicious' : ''
+        ].filter(Boolean).join(' ');
+        const hint = suspicious[field] ? escapeHTML(suspicious[field].join('\n')) : '';
+
+        return `
+            <tr class="${classes}" data-field="${field}" ${hint ? `title="${hint}"` : ''}>
+                <td class="review-label">${label}${unit ? ` <span class="review-unit">${unit}</span>` : ''}</td>
+                <td class="review-extracted">${escapeHTML(formatExtracted(value))}</td>
+                <td class="review-input">
+                    <input type="text" inputmode="${type === 'text' ? 'text' : 'decimal'}"
+                        data-index="${index}" data-field="${field}" data-type="${type || 'number'}"
+                        value="${value === null || value === undefined ? '' : escapeHTML(value)}">
+                </td>
+                <td class="review-source">${sourceOf(data, field)}</td>
+            </tr>
+        `;
+    }).join('');
+}
+
+/**
+ * Create editor HTML, one tab per extraction (per year for merged uploads)
+ */
+function createEditorHTML(dataArray) {
+    const tabs = dataArray.map((data, i) => `
+        <button class="review-tab ${i === 0 ? 'active' : ''}" data-index="${i}">
+            ${escapeHTML(data.fiscalYear || 'N/A')}
+            <span class="review-tab-file">${escapeHTML(data._fileName || '')}</span>
+        </button>
+    `).join('');
+
+    const panels = dataArray.map((data, i) => `
+        <div class="review-panel" data-index="${i}" ${i === 0 ? '' : 'hidden'}>
+            ${data._extractionMethod === 'rules' ? '<p class="review-note">AI extraction was unavailable; these figures were read by the rule-based extractor.</p>' : ''}
+            <table class="review-table">
+                <thead>
+                    <tr><th>Field</th><th>Extracted</th><th>Value</th><th>Source</th></tr>
+                </thead>
+                <tbody>${createRowsHTML(data, i)}</tbody>
+            </table>
+        </div>
+    `).join('');
+
+    return `
+        <div class="review-overlay" id="reviewOverlay">
+            <div class="review-dialog" role="dialog" aria-modal="true" aria-labelledby="reviewTitle">
+                <div class="review-header">
+                    <div>
+                        <h2 id="reviewTitle">Review extracted data</h2>
+                        <p>Correct any value before saving. Missing values are outlined, values that fail accounting checks are highlighted.</p>
+                    </div>
+                    <div class="review-legend">
+                        <span class="legend-missing">Missing</span>
+                        <span class="legend-suspicious">Check</span>
+                        <span class="legend-edited">Edited</span>
+                    </div>
+                </div>
+                ${dataArray.length > 1 ? `<div class="review-tabs">${tabs}</div>` : ''}
+                <div class="review-body">${panels}</div>
+                <div class="review-footer">
+                    <span class="review-error" id="reviewError"></span>
+                    <button class="review-btn secondary" id="reviewCancel">Discard</button>
+                    <button class="review-btn primary" id="reviewSave">Save report</button>
+                </div>
+            </div>
+        </div>
+    `;
+}
+
+/**
+ * Collect edits per extraction from the inputs
+ * @returns {{ edits: Array<Object>, invalid: HTMLInputElement[] }}
+ */
+function collectEdits(overlay, count) {
+    const edits = Array.from({ length: count }, () => ({}));
+    const invalid = [];
+
+    overlay.querySelectorAll('.review-input input').forEach(input => {
+        const value = parseInput(input.value, input.dataset.type);
+        if (value === undefined) {
+            invalid.push(input);
+            return;
+        }
+        edits[Number(input.dataset.index)][input.dataset.field] = value;
+    });
+
+    return { edits, invalid };
+}
+
+/**
+ * Close the editor
+ */
+function closeEditor() {
+    if (overlayElement) overlayElement.remove();
+    overlayElement = null;
+}
+
+/**
+ * Open the review editor
+ * @param {Array<Object>} dataArray - Extractions to review (one per year/file)
+ * @returns {Promise<Array<Object>|null>} - Corrected extractions with `_overrides`, or null when discarded
+ */
+export function openReviewEditor(dataArray) {
+    closeEditor();
+
+    document.body.insertAdjacentHTML('beforeend', createEditorHTML(dataArray));
+    overlayElement = document.getElementById('reviewOverlay');
+    const overlay = overlayElement;
+
+    // Tabs
+    overlay.querySelectorAll('.review-tab').forEach(tab => {
+        tab.addEventListener('click', () => {
+            overlay.querySelectorAll('.review-tab').forEach(t => t.classList.toggle('active', t === tab));
+            overlay.querySelectorAll('.review-panel').forEach(panel => {
+                panel.hidden = panel.dataset.index !== tab.dataset.index;
+            });
+        });
+    });
+
+    // Mark edited rows
+    overlay.querySelectorAll('.review-input input').forEach(input => {
+        input.addEventListener('input', () => {
+            const original = dataArray[Number(input.dataset.index)][input.dataset.field];
+            const value = parseInput(input.value, input.dataset.type);
+            const row = input.closest('tr');
+            row.classList.toggle('is-edited', value !== (original ?? null));
+            row.classList.toggle('is-invalid', value === undefined);
+        });
+    });
+
+    return new Promise(resolve => {
+        overlay.querySelector('#reviewCancel').addEventListener('click', () => {
+            closeEditor();
+            resolve(null);
+        });
+
+        overlay.querySelector('#reviewSave').addEventListener('click', () => {
+            const { edits, invalid } = collectEdits(overlay, dataArray.length);
+            if (invalid.length > 0) {
+                overlay.querySelector('#reviewError').textContent = `${invalid.length} value(s) are not numbers`;
+                invalid[0].focus();
+                return;
+            }
+
+            closeEditor();
+            resolve(dataArray.map((data, i) => applyOverrides(data, edits[i])));
+        });
+    });
+}
+
+export default { openReviewEditor };
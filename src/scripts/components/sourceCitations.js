@@ -0,0 +1,227 @@
+/**
+ * Source Citations Component
+ * Shows where a figure was read from on KPI hover and in chart tooltips,
+ * and opens the source PDF at the cited page on click
+ */
+
+import { getReportFiles } from './reportStore.js';
+import { escapeHTML } from '../utils/html.js';
+
+// Object URLs of PDFs uploaded in this session, keyed by file name
+const sourceFiles = new Map();
+
+// Elements already wired to the popover
+const boundElements = new WeakMap();
+
+let popoverElement = null;
+
+/**
+ * Remember an uploaded PDF so citations can open it
+ */
+export function registerSourceFile(fileName, file) {
+    if (!fileName || !file) return;
+    if (sourceFiles.has(fileName)) URL.revokeObjectURL(sourceFiles.get(fileName));
+    sourceFiles.set(fileName, URL.createObjectURL(file));
+}
+
+/**
+ * Register the PDFs saved with a report, so citations of reports from earlier sessions open too
+ */
+export async function restoreSourceFiles(report) {
+    if (!report?.id) return;
+    const files = await getReportFiles(report.id);
+    files.forEach(({ fileName, blob }) => {
+        if (!sourceFiles.has(fileName)) registerSourceFile(fileName, blob);
+    });
+}
+
+/**
+ * Get a per-year record (`_citations`, `_overrides`) of the latest or given year
+ * Single reports keep them on the raw extraction, merged reports at the top level
+ */
+function getYearRecord(data, key, year) {
+    const byYear = data?.[key] || data?._extracted?.[key];
+    if (!byYear) return null;
+    const targetYear = year ?? (Array.isArray(data.years) ? data.years[data.years.length - 1] : data.fiscalYear);
+    return byYear[targetYear] || null;
+}
+
+/**
+ * Get the citation of a field, resolving calculated metrics to the citations of their inputs
+ * User corrections are attached as `override`
+ * @returns {Object|null} - Citation, with `inputs` as citations for calculated metrics
+ */
+export function getCitation(data, field, year) {
+    const citations = getYearRecord(data, '_citations', year) || {};
+    const override = getYearRecord(data, '_overrides', year)?.[field] || null;
+    const citation = citations[field];
+    if (!citation && !override) return null;
+
+    if (citation?.formula) {
+        return {
+            ...citation,
+            override,
+            inputs: citation.inputs.map(input => ({ field: input, ...citations[input] })).filter(c => c.page)
+        };
+    }
+    return { field, ...citation, override };
+}
+
+/**
+ * First cited page of a citation (an input page for calculated metrics)
+ */
+function citedPage(citation) {
+    return citation?.page ? citation : citation?.inputs?.[0] || null;
+}
+
+/**
+ * Short one-line description, e.g. "p. 34 · 8,713,700 SAR '000"
+ */
+export function formatCitation(citation) {
+    if (!citation) return '';
+    const parts = [];
+    if (citation.formula) {
+        const pages = [...new Set(citation.inputs.map(input => input.page))];
+        parts.push(pages.length > 0 ? `${citation.formula} (p. ${pages.join(', ')})` : citation.formula);
+    } else if (citation.page) {
+        parts.push(`p. ${citation.page}`, [citation.raw, citation.unit].filter(Boolean).join(' '));
+    }
+    if (citation.override) parts.push(`corrected (extracted ${citation.override.extracted ?? 'none'})`);
+    return parts.filter(Boolean).join(' · ');
+}
+
+/**
+ * Open the source PDF at the cited page
+ * @returns {boolean} - false when the PDF is not available in this session
+ */
+export function openCitation(citation) {
+    const target = citedPage(citation);
+    const url = target && sourceFiles.get(target.file);
+    if (!url) return false;
+    window.open(`${url}#page=${target.page}`, '_blank', 'noopener');
+    return true;
+}
+
+/**
+ * Create popover HTML
+ */
+function createPopoverHTML(citation) {
+    const target = citedPage(citation);
+    const canOpen = Boolean(target && sourceFiles.has(target.file));
+
+    const override = citation.override
+        ? `<div class="citation-override">Corrected by user · extracted value ${citation.override.extracted ?? 'missing'}</div>`
+        : '';
+
+    const body = citation.formula
+        ? `
+            <div class="citation-formula">${citation.formula}</div>
+            ${citation.inputs.map(input => `
+                <div class="citation-input">
+                    <span class="citation-page">p. ${input.page}</span>
+                    <span class="citation-raw">${input.raw || ''} ${input.unit || ''}</span>
+                </div>
+            `).join('')}
+        `
+        : !citation.page ? '' : `
+            <div class="citation-meta">
+                <span class="citation-page">Page ${citation.page}</span>
+                <span class="citation-raw">${citation.raw || ''} ${citation.unit || ''}</span>
+            </div>
+            ${citation.snippet ? `<blockquote class="citation-snippet">${escapeHTML(citation.snippet)}</blockquote>` : ''}
+            ${citation.verified === false ? '<div class="citation-warning">Figure not found on the cited page</div>' : ''}
+        `;
+
+    return `
+        <div class="citation-title">Source${citation.method === 'rules' ? ' (rule-based)' : ''}</div>
+        ${override}
+        ${body}
+        ${target ? `
+            <div class="citation-action">
+                ${canOpen ? `Click to open page ${target.page}` : 'Re-upload the PDF to open the source page'}
+            </div>
+        ` : ''}
+    `;
+}
+
+/**
+ * Show the popover under an element
+ */
+function showPopover(element, citation) {
+    if (!popoverElement) {
+        popoverElement = document.createElement('div');
+        popoverElement.className = 'citation-popover';
+        popoverElement.setAttribute('role', 'tooltip');
+        document.body.appendChild(popoverElement);
+    }
+
+    popoverElement.innerHTML = createPopoverHTML(citation);
+    const rect = element.getBoundingClientRect();
+    popoverElement.style.top = `${rect.bottom + window.scrollY + 8}px`;
+    popoverElement.style.left = `${Math.min(rect.left + window.scrollX, window.innerWidth - 340)}px`;
+    popoverElement.classList.add('visible');
+}
+
+function hidePopover() {
+    if (popoverElement) popoverElement.classList.remove('visible');
+}
+
+/**
+ * Attach the citation of a field to an element (KPI card)
+ * Rebinding replaces the previous field, so cards can be reused across reports
+ */
+export function bindCitation(element, data, field) {
+    if (!element) return;
+
+    const citation = field ? getCitation(data, field) : null;
+    element.classList.toggle('has-citation', Boolean(citation));
+
+    if (!boundElements.has(element)) {
+        element.addEventListener('mouseenter', () => {
+            const current = boundElements.get(element);
+            if (current) showPopover(element, current);
+        });
+        element.addEventListener('mouseleave', hidePopover);
+        element.addEventListener('click', () => {
+            const current = boundElements.get(element);
+            if (current) openCitation(current);
+        });
+    }
+    boundElements.set(element, citation);
+}
+
+/**
+ * Chart.js tooltip footer showing the citation of the hovered point
+ * @param {Object} data - Dashboard data
+ * @param {string[]} fields - Extraction field per dataset index
+ */
+export function citationFooter(data, fields) {
+    return items => {
+        const lines = items
+            .map(item => formatCitation(getCitation(data, fields[item.datasetIndex], item.label)))
+            .filter(Boolean);
+        return lines.length > 0 ? [...lines, 'Click to open source'] : '';
+    };
+}
+
+/**
+ * Chart.js onClick handler opening the source page of the clicked point
+ */
+export function citationClickHandler(data, fields) {
+    return (event, elements, chart) => {
+        if (elements.length === 0) return;
+        const { datasetIndex, index } = elements[0];
+        openCitation(getCitation(data, fields[datasetIndex], chart.data.labels[index]));
+    };
+}
+
+export default {
+    registerSourceFile,
+    restoreSourceFiles,
+    getCitation,
+    formatCitation,
+    openCitation,
+    bindCitation,
+    citationFooter,
+    citationClickHandler
+};
@@ -0,0 +1,255 @@
+/**
+ * Statements Viewer Component
+ * Renders the income statement, balance sheet and cash-flow statement behind the charts
+ * as multi-year tables, with optional common-size and year-on-year columns, and the key ratios
+ * with the DuPont decomposition of ROE
+ */
+
+import { buildStatements } from '../data/statements.js';
+import { RATIO_CATEGORIES, DUPONT_FACTORS, computeRatios, dupontSeries } from '../data/ratios.js';
+import { PROVENANCE } from '../data/provenance.js';
+import { currencyOf } from '../data/currency.js';
+import { getCitation, formatCitation, openCitation } from './sourceCitations.js';
+
+const BASE_LABELS = {
+    revenue: '% of revenue',
+    totalAssets: '% of assets'
+};
+
+const RATIOS_TAB = { key: 'ratios', label: 'Key ratios' };
+
+const UNIT_SUFFIX = {
+    '%': '%',
+    x: 'x',
+    days: ' days'
+};
+
+// View state survives re-renders (report or currency changes)
+const view = {
+    statement: 'incomeStatement',
+    commonSize: true,
+    yoy: true
+};
+
+let currentData = null;
+
+const amountFormat = new Intl.NumberFormat('en-US', { minimumFractionDigits: 1, maximumFractionDigits: 1 });
+
+/**
+ * Statement-style amount: costs and outflows in brackets
+ */
+function formatAmount(value, outflow) {
+    if (value === null) return '—';
+    const text = amountFormat.format(Math.abs(value));
+    return outflow || value < 0 ? `(${text})` : text;
+}
+
+function formatPercent(value, signed = false) {
+    if (value === null) return '—';
+    return `${signed && value > 0 ? '+' : ''}${value.toFixed(1)}%`;
+}
+
+/**
+ * Create one amount cell, with its source citation as tooltip
+ */
+function createAmountCellHTML(row, cell) {
+    const citation = cell.provenance === 'missing' ? '' : formatCitation(getCitation(currentData, row.field, cell.year));
+    const title = [PROVENANCE[cell.provenance].label, citation].filter(Boolean).join(' · ');
+    return `
+        <td class="statement-amount provenance-${cell.provenance}" data-field="${row.field}" data-year="${cell.year}" title="${title}">
+            ${formatAmount(cell.value, row.outflow)}
+        </td>
+    `;
+}
+
+/**
+ * Create the table of one statement
+ */
+function createTableHTML(statement) {
+    const columnsPerYear = 1 + (view.commonSize ? 1 : 0) + (view.yoy ? 1 : 0);
+
+    const yearHeaders = statement.years.map(year => `<th colspan="${columnsPerYear}" class="statement-year">FY ${year}</th>`).join('');
+    const subHeaders = statement.years.map(() => `
+        <th>Amount</th>
+        ${view.commonSize ? `<th>${BASE_LABELS[statement.base]}</th>` : ''}
+        ${view.yoy ? '<th>YoY</th>' : ''}
+    `).join('');
+
+    const rows = statement.rows.map(row => `
+        <tr class="${row.subtotal ? 'statement-subtotal' : ''}">
+            <td class="statement-label">${row.label}</td>
+            ${row.cells.map(cell => `
+                ${createAmountCellHTML(row, cell)}
+                ${view.commonSize ? `<td class="statement-ratio">${formatPercent(cell.commonSize)}</td>` : ''}
+                ${view.yoy ? `<td class="statement-ratio ${cell.yoy > 0 ? 'positive' : cell.yoy < 0 ? 'negative' : ''}">${formatPercent(cell.yoy, true)}</td>` : ''}
+            `).join('')}
+        </tr>
+    `).join('');
+
+    return `
+        <div class="statement-table-wrap">
+            <table class="statement-table">
+                <thead>
+                    <tr><th rowspan="2" class="statement-label">Line item</th>${yearHeaders}</tr>
+                    <tr>${subHeaders}</tr>
+                </thead>
+                <tbody>${rows}</tbody>
+            </table>
+        </div>
+    `;
+}
+
+function formatRatio(value, unit) {
+    if (value === null) return '—';
+    return `${value.toFixed(unit === 'days' ? 0 : unit === 'x' ? 2 : 1)}${UNIT_SUFFIX[unit]}`;
+}
+
+/**
+ * DuPont factor: margins in percent, the other factors as multiples
+ */
+function formatFactor(id, value) {
+    return id.endsWith('Margin') ? formatRatio(value * 100, '%') : formatRatio(value, 'x');
+}
+
+/**
+ * Create the key ratios table, grouped by category, followed by the DuPont decomposition
+ */
+function createRatiosTableHTML(data) {
+    const years = Array.isArray(data.years) ? data.years.map(String) : [String(data.fiscalYear)];
+    const ratios = computeRatios(data);
+    const decomposition = dupontSeries(data);
+
+    const headerRow = label => `
+        <tr class="statement-subtotal"><td class="statement-label" colspan="${years.length + 1}">${label}</td></tr>
+    `;
+    const ratioRows = Object.entries(RATIO_CATEGORIES).map(([category, label]) => `
+        ${headerRow(label)}
+        ${ratios.filter(r => r.category === category).map(r => `
+            <tr title="${r.definition} ${r.formula}">
+                <td class="statement-label">${r.label}</td>
+                ${r.series.map(value => `<td>${formatRatio(value, r.unit)}</td>`).join('')}
+            </tr>
+        `).join('')}
+    `).join('');
+
+    const dupontRows = (key, label) => `
+        ${headerRow(label)}
+        ${DUPONT_FACTORS[key].map(factor => `
+            <tr title="${factor.formula}">
+                <td class="statement-label">${factor.label}</td>
+                ${decomposition.map(d => `<td>${d[key] ? formatFactor(factor.id, d[key][factor.id]) : '—'}</td>`).join('')}
+            </tr>
+        `).join('')}
+        <tr class="statement-subtotal">
+            <td class="statement-label">ROE</td>
+            ${decomposition.map(d => `<td>${d[key] ? formatRatio(d.roe, '%') : '—'}</td>`).join('')}
+        </tr>
+    `;
+
+    return `
+        <div class="statement-table-wrap">
+            <table class="statement-table ratio-table">
+                <thead>
+                    <tr><th class="statement-label">Ratio</th>${years.map(year => `<th class="statement-year">FY ${year}</th>`).join('')}</tr>
+                </thead>
+                <tbody>
+                    ${ratioRows}
+                    ${dupontRows('threeStep', 'DuPont: 3-step ROE')}
+                    ${dupontRows('fiveStep', 'DuPont: 5-step ROE')}
+                </tbody>
+            </table>
+        </div>
+    `;
+}
+
+/**
+ * Create the tab bar, with the statement toggles on statement tabs
+ */
+function createToolbarHTML(tabs, active) {
+    return `
+        <div class="statements-toolbar">
+            <div class="statement-tabs" role="tablist">
+                ${tabs.map(s => `
+                    <button class="statement-tab ${s.key === active ? 'active' : ''}" role="tab" data-statement="${s.key}" aria-selected="${s.key === active}">${s.label}</button>
+                `).join('')}
+            </div>
+            ${active === RATIOS_TAB.key ? '' : `
+                <label class="statement-toggle"><input type="checkbox" id="statementCommonSize" ${view.commonSize ? 'checked' : ''}> Common-size</label>
+                <label class="statement-toggle"><input type="checkbox" id="statementYoY" ${view.yoy ? 'checked' : ''}> YoY change</label>
+            `}
+        </div>
+    `;
+}
+
+/**
+ * Create the viewer HTML
+ */
+function createViewerHTML(data, statements, currency) {
+    const tabs = [...statements, RATIOS_TAB];
+
+    if (view.statement === RATIOS_TAB.key) {
+        return `
+            ${createToolbarHTML(tabs, RATIOS_TAB.key)}
+            ${createRatiosTableHTML(data)}
+            <p class="statement-note">
+                Balance-sheet figures at year end. Hover a ratio for its definition and formula;
+                — where an input is not available in the report. DuPont factors multiply to ROE.
+            </p>
+        `;
+    }
+
+    const statement = statements.find(s => s.key === view.statement) || statements[0];
+
+    return `
+        ${createToolbarHTML(tabs, statement.key)}
+        ${createTableHTML(statement)}
+        <p class="statement-note">
+            ${currency} millions. Costs and cash outflows in brackets.
+            <span class="provenance-derived">Italic</span>: derived from reported figures;
+            <span class="provenance-estimated">dashed</span>: estimated; — not available in the report.
+            Click a figure to open its source page.
+        </p>
+    `;
+}
+
+/**
+ * Render the statements of the dashboard data
+ * @param {Object} data - Dashboard data
+ */
+export function renderStatements(data) {
+    const container = document.getElementById('statementsContainer');
+    if (!container || !data) return;
+
+    currentData = data;
+    container.innerHTML = createViewerHTML(data, buildStatements(data), currencyOf(data));
+}
+
+/**
+ * Initialize the viewer's controls (delegated, so they survive re-renders)
+ */
+export function initStatementsViewer() {
+    const container = document.getElementById('statementsContainer');
+    if (!container) return;
+
+    container.addEventListener('click', (e) => {
+        const tab = e.target.closest('.statement-tab');
+        if (tab) {
+            view.statement = tab.dataset.statement;
+            renderStatements(currentData);
+            return;
+        }
+
+        const amount = e.target.closest('.statement-amount');
+        if (amount && currentData) {
+            openCitation(getCitation(currentData, amount.dataset.field, amount.dataset.year));
+        }
+    });
+
+    container.addEventListener('change', (e) => {
+        if (e.target.id === 'statementCommonSize') view.commonSize = e.target.checked;
+        if (e.target.id === 'statementYoY') view.yoy = e.target.checked;
+        renderStatements(currentData);
+    });
+}
+
+export default { renderStatements, initStatementsViewer };
@@ -0,0 +1,335 @@
+/**
+ * Valuation Panel Component
+ * DCF workspace of the current report: WACC and terminal value inputs, the discounted forecast
+ * free cash flow, the bridge to intrinsic value per share and its WACC × terminal sensitivity
+ */
+
+import {
+    TERMINAL_METHODS,
+    DEFAULT_VALUATION_ASSUMPTIONS,
+    capitalStructure,
+    computeWacc,
+    valuationIssues,
+    valueCompany,
+    sensitivityTable,
+    describeValuation,
+    validateValuationAssumptions,
+    normalizeValuationAssumptions
+} from '../data/valuation.js';
+import { FORECAST_METHODS, SCENARIOS } from '../data/forecast.js';
+import { currencyOf } from '../data/currency.js';
+import { getForecastAssumptions } from './forecastPanel.js';
+import { getCurrentReport, updateReport } from './reportStore.js';
+import { escapeHTML } from '../utils/html.js';
+
+let currentData = null;
+
+// Assumptions while no report is stored (demo data)
+let sessionAssumptions = DEFAULT_VALUATION_ASSUMPTIONS;
+
+const amountFormat = new Intl.NumberFormat('en-US', { minimumFractionDigits: 1, maximumFractionDigits: 1 });
+
+function formatAmount(value) {
+    if (value === null) return '—';
+    return value < 0 ? `(${amountFormat.format(-value)})` : amountFormat.format(value);
+}
+
+/**
+ * Valuation assumptions of the current report, saved with it
+ */
+export function getValuationAssumptions() {
+    const report = getCurrentReport();
+    return report ? normalizeValuationAssumptions(report.valuation) : sessionAssumptions;
+}
+
+function saveValuationAssumptions(assumptions) {
+    const report = getCurrentReport();
+    if (report) {
+        updateReport(report.id, { valuation: assumptions });
+    } else {
+        sessionAssumptions = assumptions;
+    }
+    window.dispatchEvent(new CustomEvent('valuationChanged', { detail: { assumptions } }));
+}
+
+/**
+ * Saved valuation of the dashboard data, for the executive summary to cite
+ * @param {Object} data - Dashboard data
+ * @returns {{ assumptions: Object, result: Object, citation: string }|null} - Null when it cannot be valued
+ */
+export function valuationSummary(data) {
+    const assumptions = getValuationAssumptions();
+    const result = valueCompany(data, assumptions, getForecastAssumptions());
+    return result ? { assumptions, result, citation: describeValuation(result, currencyOf(data)) } : null;
+}
+
+/**
+ * Keep the valuation cited under the investment conclusion in step with the panel
+ */
+function updateConclusionCitation(data) {
+    const element = document.getElementById('conclusionValuation');
+    if (!element) return;
+
+    const summary = valuationSummary(data);
+    element.hidden = !summary;
+    element.innerHTML = summary ? `<strong>Valuation basis:</strong> ${escapeHTML(summary.citation)}` : '';
+}
+
+/**
+ * Create one assumption input; empty derived inputs fall back to the reported figure, shown as placeholder
+ */
+function createInputHTML(id, label, value, { placeholder = '', disabled = false } = {}) {
+    return `
+        <label class="forecast-input">
+            <span>${label}</span>
+            <input type="text" inputmode="decimal" id="${id}" value="${value ?? ''}" placeholder="${placeholder}" ${disabled ? 'disabled' : ''}>
+        </label>
+    `;
+}
+
+/**
+ * Create the scenario and terminal method toolbar
+ */
+function createToolbarHTML(assumptions) {
+    return `
+        <div class="forecast-toolbar">
+            <label class="statement-toggle">
+                Cash flows
+                <select id="valuationScenario">
+                    ${Object.entries(SCENARIOS).map(([key, label]) => `<option value="${key}" ${key === assumptions.scenario ? 'selected' : ''}>${label} case</option>`).join('')}
+                </select>
+            </label>
+            <label class="statement-toggle">
+                Terminal value
+                <select id="valuationTerminalMethod">
+                    ${Object.entries(TERMINAL_METHODS).map(([key, label]) => `<option value="${key}" ${key === assumptions.terminalMethod ? 'selected' : ''}>${label}</option>`).join('')}
+                </select>
+            </label>
+        </div>
+    `;
+}
+
+/**
+ * Create the cost of capital, terminal value and equity bridge inputs
+ */
+function createAssumptionsHTML(data, assumptions) {
+    const structure = capitalStructure(data);
+    const wacc = computeWacc(data, assumptions);
+    const hint = (value, decimals = 1) => (value === null ? '' : value.toFixed(decimals));
+    const isMultiple = assumptions.terminalMethod === 'multiple';
+
+    return `
+        <div class="forecast-assumptions">
+            <div class="forecast-group">
+                <h4>Cost of equity <span>(CAPM)</span></h4>
+                ${createInputHTML('valuationRiskFree', 'Risk-free rate, %', assumptions.riskFreeRate)}
+                ${createInputHTML('valuationBeta', 'Beta', assumptions.beta)}
+                ${createInputHTML('valuationPremium', 'Equity risk premium, %', assumptions.equityRiskPremium)}
+            </div>
+            <div class="forecast-group">
+                <h4>Cost of debt <span>(WACC ${wacc.wacc.toFixed(2)}%)</span></h4>
+                ${createInputHTML('valuationCostOfDebt', 'Pre-tax cost of debt, %', assumptions.costOfDebt)}
+                ${createInputHTML('valuationTaxRate', 'Tax rate, %', assumptions.taxRate, { placeholder: hint(structure.taxRate ?? 0) })}
+                ${createInputHTML('valuationDebtWeight', 'Debt ÷ Capital, %', assumptions.debtWeight, { placeholder: hint(wacc.debtWeight) })}
+            </div>
+            <div class="forecast-group">
+                <h4>Terminal value</h4>
+                ${createInputHTML('valuationGrowth', 'Perpetual growth, %', assumptions.terminalGrowth, { disabled: isMultiple })}
+                ${createInputHTML('valuationMultiple', 'EV ÷ EBITDA, x', assumptions.exitMultiple, { disabled: !isMultiple })}
+            </div>
+            <div class="forecast-group">
+                <h4>Equity bridge <span>(FY ${structure.year})</span></h4>
+                ${createInputHTML('valuationNetDebt', 'Net debt, M', assumptions.netDebt, { placeholder: hint(structure.netDebt) })}
+                ${createInputHTML('valuationShares', 'Shares outstanding, M', assumptions.sharesOutstanding, { placeholder: hint(structure.shares, 3) })}
+            </div>
+        </div>
+        <p class="forecast-error" id="valuationError"></p>
+    `;
+}
+
+/**
+ * Create the discounted cash flow table: forecast FCF, discount factor and present value per year
+ */
+function createCashFlowTableHTML(result) {
+    const row = (label, values, format = formatAmount) => `
+        <tr>
+            <td class="statement-label">${label}</td>
+            ${values.map(value => `<td class="forecast-value">${format(value)}</td>`).join('')}
+        </tr>
+    `;
+
+    return `
+        <div class="statement-table-wrap">
+            <table class="statement-table forecast-table">
+                <thead>
+                    <tr>
+                        <th class="statement-label">${SCENARIOS[result.scenario]} case</th>
+                        ${result.years.map(year => `<th class="statement-year forecast-year">FY ${year}E</th>`).join('')}
+                    </tr>
+                </thead>
+                <tbody>
+                    ${row('Free cash flow', result.fcf)}
+                    ${row('Discount factor', result.discountFactors, value => value.toFixed(4))}
+                    ${row('Present value', result.presentValues)}
+                </tbody>
+            </table>
+        </div>
+    `;
+}
+
+/**
+ * Create the bridge from enterprise value to intrinsic value per share
+ */
+function createBridgeHTML(result, currency) {
+    const terminal = result.terminalMethod === 'multiple'
+        ? `${result.exitMultiple.toFixed(1)}x EBITDA`
+        : `${result.terminalGrowth.toFixed(1)}% growth`;
+    const presentCashFlows = result.enterpriseValue - result.presentTerminal;
+
+    return `
+        <div class="valuation-result">
+            <div class="valuation-headline">
+                <span class="valuation-label">Intrinsic value per share</span>
+                <span class="valuation-value">${currency} ${result.perShare.toFixed(2)}</span>
+                <span class="valuation-meta">WACC ${result.wacc.wacc.toFixed(2)}% · Cost of equity ${result.wacc.costOfEquity.toFixed(2)}% · After-tax cost of debt ${result.wacc.afterTaxCostOfDebt.toFixed(2)}%</span>
+            </div>
+            <table class="statement-table valuation-bridge">
+                <tbody>
+                    <tr><td class="statement-label">Present value of forecast FCF</td><td>${formatAmount(presentCashFlows)}</td></tr>
+                    <tr><td class="statement-label">Present value of terminal value (${terminal}: ${formatAmount(result.terminalValue)})</td><td>${formatAmount(result.presentTerminal)}</td></tr>
+                    <tr class="statement-subtotal"><td class="statement-label">Enterprise value</td><td>${formatAmount(result.enterpriseValue)}</td></tr>
+                    <tr><td class="statement-label">Less net debt</td><td>${formatAmount(-result.netDebt)}</td></tr>
+                    <tr class="statement-subtotal"><td class="statement-label">Equity value</td><td>${formatAmount(result.equityValue)}</td></tr>
+                    <tr><td class="statement-label">÷ Shares outstanding, M</td><td>${result.shares.toFixed(3)}</td></tr>
+                </tbody>
+            </table>
+        </div>
+        ${result.terminalShare > 75 ? `<p class="statement-note">The terminal value is ${result.terminalShare.toFixed(0)}% of enterprise value: the result rests mostly on the terminal assumption.</p>` : ''}
+    `;
+}
+
+/**
+ * Create the per-share sensitivity grid, the saved assumptions highlighted
+ */
+function createSensitivityHTML(table, result, currency) {
+    const isMultiple = table.terminalMethod === 'multiple';
+    const label = value => (isMultiple ? `${value.toFixed(1)}x` : `${value.toFixed(1)}%`);
+    const current = isMultiple ? result.exitMultiple : result.terminalGrowth;
+
+    return `
+        <h4 class="valuation-subtitle">Value per share: WACC × ${isMultiple ? 'exit multiple' : 'terminal growth'}</h4>
+        <div class="statement-table-wrap">
+            <table class="statement-table valuation-sensitivity">
+                <thead>
+                    <tr>
+                        <th class="statement-label">WACC</th>
+                        ${table.terminals.map(value => `<th class="statement-year">${label(value)}</th>`).join('')}
+                    </tr>
+                </thead>
+                <tbody>
+                    ${table.waccs.map((rate, i) => `
+                        <tr>
+                            <td class="statement-label">${rate.toFixed(2)}%</td>
+                            ${table.values[i].map((value, j) => {
+                                const isBase = rate === result.wacc.wacc && table.terminals[j] === current;
+                                const tone = value === null ? '' : value >= result.perShare ? 'valuation-up' : 'valuation-down';
+                                return `<td class="${isBase ? 'valuation-base' : tone}">${value === null ? '—' : `${currency} ${value.toFixed(2)}`}</td>`;
+                            }).join('')}
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+        </div>
+    `;
+}
+
+/**
+ * Render the valuation of the dashboard data
+ * @param {Object} data - Dashboard data
+ */
+export function renderValuation(data) {
+    const container = document.getElementById('valuationContainer');
+    if (!container || !data) return;
+
+    currentData = data;
+    const assumptions = getValuationAssumptions();
+    const forecastAssumptions = getForecastAssumptions();
+    const currency = currencyOf(data);
+    const result = valueCompany(data, assumptions, forecastAssumptions);
+
+    const body = result
+        ? `
+            ${result.conversionBasis === 'assumption'
+                ? `<p class="forecast-error">The reports give no free cash flow history: the forecast's ${result.cashConversion.toFixed(0)}% cash conversion (FCF ÷ Net profit) is your assumption, not a reported basis.</p>`
+                : ''}
+            ${createBridgeHTML(result, currency)}
+            ${createCashFlowTableHTML(result)}
+            ${createSensitivityHTML(sensitivityTable(data, assumptions, forecastAssumptions), result, currency)}
+        `
+        : `<ul class="valuation-issues">${valuationIssues(data, assumptions, forecastAssumptions).map(issue => `<li>${escapeHTML(issue)}</li>`).join('')}</ul>`;
+
+    container.innerHTML = `
+        ${createToolbarHTML(assumptions)}
+        ${createAssumptionsHTML(data, assumptions)}
+        ${body}
+        <p class="statement-note">
+            Free cash flow is the ${result ? `${FORECAST_METHODS[result.method].label.toLowerCase()} ` : ''}forecast of the Forecast &amp; Scenarios section, discounted from the end of each year.
+            Empty inputs are derived from the latest reported year: net debt as borrowings less cash, shares as net profit ÷ EPS.
+            ${currency} millions. The assumptions are saved with the report and cited in the investment conclusion.
+        </p>
+    `;
+
+    updateConclusionCitation(data);
+}
+
+/**
+ * Read the assumptions from the panel; empty derived inputs stay null (taken from the report)
+ */
+function collectAssumptions(container) {
+    const number = id => {
+        const text = container.querySelector(`#${id}`).value.trim().replace(/[,%x]/gi, '');
+        return text === '' ? null : Number(text);
+    };
+
+    return {
+        riskFreeRate: number('valuationRiskFree'),
+        beta: number('valuationBeta'),
+        equityRiskPremium: number('valuationPremium'),
+        costOfDebt: number('valuationCostOfDebt'),
+        taxRate: number('valuationTaxRate'),
+        debtWeight: number('valuationDebtWeight'),
+        terminalMethod: container.querySelector('#valuationTerminalMethod').value,
+        terminalGrowth: number('valuationGrowth'),
+        exitMultiple: number('valuationMultiple'),
+        scenario: container.querySelector('#valuationScenario').value,
+        netDebt: number('valuationNetDebt'),
+        sharesOutstanding: number('valuationShares')
+    };
+}
+
+/**
+ * Initialize the panel's controls (delegated, so they survive re-renders)
+ */
+export function initValuationPanel() {
+    const container = document.getElementById('valuationContainer');
+    if (!container) return;
+
+    container.addEventListener('change', () => {
+        const assumptions = collectAssumptions(container);
+        const errors = validateValuationAssumptions(assumptions);
+        if (errors.length > 0) {
+            container.querySelector('#valuationError').textContent = errors[0];
+            return;
+        }
+
+        saveValuationAssumptions(assumptions);
+        renderValuation(currentData);
+    });
+
+    // The discounted cash flows are the forecast's
+    window.addEventListener('forecastChanged', () => {
+        if (currentData) renderValuation(currentData);
+    });
+}
+
+export default { initValuationPanel, renderValuation, getValuationAssumptions, valuationSummary };
@@ -0,0 +1,174 @@
+/**
+ * Year Sources Component
+ * Shows fiscal years that several reports of a company cover, and lets the user
+ * pick which report a restated year is taken from
+ */
+
+import { REVIEW_FIELDS } from '../data/overrides.js';
+import { findYearConflicts } from '../data/history.js';
+import { currencyOf, formatMoney } from '../data/currency.js';
+import { getCompany, updateCompany } from './companyStore.js';
+import { getCompanyReports, refreshCurrentReport } from './reportStore.js';
+import { escapeHTML } from '../utils/html.js';
+
+let dialogElement = null;
+
+const LABELS = Object.fromEntries(REVIEW_FIELDS.map(({ field, label }) => [field, label]));
+
+function formatDate(iso) {
+    if (!iso) return '—';
+    return new Date(iso).toLocaleDateString('en-US', { day: 'numeric', month: 'short', year: 'numeric' });
+}
+
+function formatFigure(field, value, currency) {
+    if (value === null || value === undefined) return '—';
+    if (field === 'eps') return value.toFixed(2);
+    return formatMoney(value, currency);
+}
+
+/**
+ * Year conflicts of a company
+ * @param {string} companyId
+ * @param {string} [reportId] - Only years this report is involved in
+ */
+export function getYearConflicts(companyId, reportId = null) {
+    const conflicts = findYearConflicts(getCompanyReports(companyId));
+    return reportId
+        ? conflicts.filter(conflict => conflict.sources.some(source => source.reportId === reportId))
+        : conflicts;
+}
+
+/**
+ * Source chosen for a year: the user's pick, or else the latest upload
+ */
+function chosenSource(company, conflict) {
+    const picked = company.yearSources?.[conflict.year];
+    return conflict.sources.some(source => source.reportId === picked)
+        ? picked
+        : conflict.sources[conflict.sources.length - 1].reportId;
+}
+
+/**
+ * Create one restated year: its differing figures per source, with a choice of source
+ */
+function createRestatementHTML(company, conflict) {
+    const chosen = chosenSource(company, conflict);
+    const name = `yearSource-${conflict.year}`;
+
+    return `
+        <section class="year-source" data-year="${escapeHTML(conflict.year)}">
+            <h3>FY ${escapeHTML(conflict.year)} <span class="year-source-kind restated">Restated</span></h3>
+            <table class="review-table year-source-table">
+                <thead>
+                    <tr>
+                        <th>Figure</th>
+                        ${conflict.sources.map(source => `
+                            <th>
+                                <label class="year-source-option">
+                                    <input type="radio" name="${name}" value="${source.reportId}" ${source.reportId === chosen ? 'checked' : ''}>
+                                    <span title="${escapeHTML(source.fileName)}">${escapeHTML(source.fileName)}</span>
+                                    <small>uploaded ${formatDate(source.uploadedAt)}</small>
+                                </label>
+                            </th>
+                        `).join('')}
+                    </tr>
+                </thead>
+                <tbody>
+                    ${conflict.differences.map(({ field, values }) => `
+                        <tr>
+                            <td class="review-label">${LABELS[field] || field}</td>
+                            ${values.map(value => `<td class="review-value">${formatFigure(field, value, currencyOf(company))}</td>`).join('')}
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+        </section>
+    `;
+}
+
+/**
+ * Create one duplicated year (every figure agrees, nothing to choose)
+ */
+function createDuplicateHTML(conflict) {
+    return `
+        <li>
+            FY ${escapeHTML(conflict.year)} <span class="year-source-kind">Duplicate</span>
+            ${conflict.sources.map(source => escapeHTML(source.fileName)).join(', ')} report the same figures.
+        </li>
+    `;
+}
+
+/**
+ * Create dialog HTML
+ */
+function createDialogHTML(company, conflicts) {
+    const restated = conflicts.filter(conflict => conflict.kind === 'restatement');
+    const duplicates = conflicts.filter(conflict => conflict.kind === 'duplicate');
+
+    return `
+        <div class="review-overlay" id="yearSourcesOverlay">
+            <div class="review-dialog" role="dialog" aria-modal="true" aria-labelledby="yearSourcesTitle">
+                <div class="review-header">
+                    <div>
+                        <h2 id="yearSourcesTitle">${escapeHTML(company.name)}: years reported more than once</h2>
+                        <p>${restated.length > 0
+                            ? 'These reports disagree on the same fiscal year. Choose the report each year is taken from; the latest upload is used by default.'
+                            : 'Every report agrees on the years they share.'}</p>
+                    </div>
+                </div>
+                <div class="review-body">
+                    ${restated.map(conflict => createRestatementHTML(company, conflict)).join('')}
+                    ${duplicates.length > 0 ? `<ul class="year-source-duplicates">${duplicates.map(createDuplicateHTML).join('')}</ul>` : ''}
+                </div>
+                <div class="review-footer">
+                    <button class="review-btn secondary" id="yearSourcesCancel">${restated.length > 0 ? 'Keep current choice' : 'Close'}</button>
+                    ${restated.length > 0 ? '<button class="review-btn primary" id="yearSourcesSave">Use selected sources</button>' : ''}
+                </div>
+            </div>
+        </div>
+    `;
+}
+
+function closeDialog() {
+    if (dialogElement) dialogElement.remove();
+    dialogElement = null;
+}
+
+/**
+ * Open the year sources of a company
+ * @param {string} companyId
+ * @param {Object} options - reportId: only years this report is involved in
+ * @returns {Promise<boolean>} - Whether the chosen sources changed
+ */
+export function openYearSources(companyId, { reportId = null } = {}) {
+    const company = getCompany(companyId);
+    const conflicts = company ? getYearConflicts(companyId, reportId) : [];
+    if (conflicts.length === 0) return Promise.resolve(false);
+
+    closeDialog();
+    document.body.insertAdjacentHTML('beforeend', createDialogHTML(company, conflicts));
+    dialogElement = document.getElementById('yearSourcesOverlay');
+    const overlay = dialogElement;
+
+    return new Promise(resolve => {
+        overlay.querySelector('#yearSourcesCancel').addEventListener('click', () => {
+            closeDialog();
+            resolve(false);
+        });
+
+        overlay.querySelector('#yearSourcesSave')?.addEventListener('click', () => {
+            const yearSources = { ...company.yearSources };
+            overlay.querySelectorAll('.year-source').forEach(section => {
+                const checked = section.querySelector('input[type="radio"]:checked');
+                if (checked) yearSources[section.dataset.year] = checked.value;
+            });
+
+            updateCompany(companyId, { yearSources });
+            closeDialog();
+            refreshCurrentReport();
+            resolve(true);
+        });
+    });
+}
+
+export default { getYearConflicts, openYearSources };
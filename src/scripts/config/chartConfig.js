@@ -15,9 +15,14 @@ export const colors = {
     tealDim: 'rgba(20, 184, 166, 0.3)',
     positive: '#22c55e',
     negative: '#ef4444',
-    gray: '#71717a'
+    gray: '#71717a',
+    orange: '#f97316',
+    pink: '#ec4899'
 };
 
+// One colour per series when several companies share a chart
+export const seriesColors = [colors.gold, colors.blue, colors.teal, colors.purple, colors.orange, colors.pink];
+
 /**
  * Set Chart.js global defaults
  */
@@ -37,7 +42,9 @@ export const tooltipConfig = {
     borderColor: 'rgba(255,255,255,0.1)',
     borderWidth: 1,
     padding: 12,
-    displayColors: false
+    displayColors: false,
+    footerColor: '#d4af37',
+    footerFont: { weight: 'normal', size: 11 }
 };
 
 /**
@@ -47,6 +54,18 @@ export const gridConfig = {
     color: 'rgba(255,255,255,0.04)'
 };
 
+/**
+ * Axis title, e.g. the currency and scale of a money axis
+ */
+export function axisTitle(text) {
+    return {
+        display: true,
+        text,
+        color: '#71717a',
+        font: { size: 11 }
+    };
+}
+
 /**
  * Common legend configuration
  */
@@ -61,8 +80,10 @@ export const legendConfig = {
 
 export default {
     colors,
+    seriesColors,
     initChartDefaults,
     tooltipConfig,
     gridConfig,
+    axisTitle,
     legendConfig
 };
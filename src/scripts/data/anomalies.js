@@ -0,0 +1,397 @@
+/**
+ * Anomalies Module
+ * Deterministic checks of a fiscal year against the prior one: year-on-year jumps, margin compression,
+ * working-capital swings, accrual red flags, the Beneish M-score and the Altman Z''-score
+ *
+ * Each anomaly has the shape the insights panel renders, { metric, description, severity, recommendation },
+ * plus the check, year and value behind it. The same data always gives the same anomalies.
+ */
+
+import { STATEMENTS } from './statementModel.js';
+import { RATIOS, computeRatio } from './ratios.js';
+import { figureOf, yoyChange } from './statements.js';
+
+export const SEVERITIES = ['high', 'medium', 'low'];
+
+/**
+ * Default thresholds: a finding at or beyond `high` is high severity, at or beyond `medium` medium,
+ * and at or beyond `low` (where defined) low
+ */
+export const ANOMALY_THRESHOLDS = {
+    // Absolute change from the prior year, percent
+    yoyJump: { low: 25, medium: 40, high: 75 },
+    // Margin drop, percentage points
+    marginCompression: { low: 1, medium: 2.5, high: 5 },
+    // Change in receivable, inventory or payable days
+    workingCapitalSwing: { low: 10, medium: 20, high: 40 },
+    // (Net profit − Operating cash flow) ÷ Average total assets, percent
+    accrualRatio: { low: 5, medium: 10, high: 15 },
+    // Beneish M-score: above −2.22 is a warning, above −1.78 a likely manipulator
+    beneish: { medium: -2.22, high: -1.78 },
+    // Altman Z''-score: below 2.6 is the grey zone, below 1.1 distress
+    altman: { medium: 2.6, high: 1.1 }
+};
+
+// Line items whose year-on-year jumps are flagged
+export const JUMP_FIELDS = [
+    'revenue',
+    'costOfSales',
+    'sgaExpenses',
+    'operatingProfit',
+    'netProfit',
+    'receivables',
+    'inventories',
+    'payables',
+    'borrowings',
+    'totalAssets',
+    'operatingCashFlow',
+    'capex'
+];
+
+const MARGIN_RATIOS = ['grossMargin', 'operatingMargin', 'netMargin'];
+const WORKING_CAPITAL_RATIOS = ['receivableDays', 'inventoryDays', 'payableDays'];
+
+const LINE_ITEM_LABELS = Object.fromEntries(
+    Object.values(STATEMENTS).flatMap(statement => statement.items.map(item => [item.field, item.label]))
+);
+
+const round = (value, decimals = 2) => Math.round(value * 10 ** decimals) / 10 ** decimals;
+const divide = (numerator, denominator) => (numerator !== null && denominator ? numerator / denominator : null);
+
+/**
+ * Severity of a magnitude against { low, medium, high } thresholds, null below them all
+ */
+function severityOf(magnitude, thresholds) {
+    return SEVERITIES.find(severity => thresholds[severity] !== undefined && magnitude >= thresholds[severity]) || null;
+}
+
+function yearsOf(data) {
+    return Array.isArray(data.years) ? data.years.map(String) : [String(data.fiscalYear)];
+}
+
+/**
+ * Fiscal year checked and its prior year
+ */
+function periodOf(data, year) {
+    const years = yearsOf(data);
+    const index = year ? years.indexOf(String(year)) : years.length - 1;
+    return { year: years[index] ?? null, previous: index > 0 ? years[index - 1] : null };
+}
+
+/**
+ * Line items whose change from the prior year is beyond the thresholds
+ */
+export function checkYoyJumps(data, { year, previous }, thresholds = ANOMALY_THRESHOLDS.yoyJump) {
+    if (!previous) return [];
+
+    return JUMP_FIELDS.flatMap(field => {
+        const current = figureOf(data, field, year);
+        const prior = figureOf(data, field, previous);
+        const change = yoyChange(current, prior);
+        const severity = change === null ? null : severityOf(Math.abs(change), thresholds);
+        if (!severity) return [];
+
+        const label = LINE_ITEM_LABELS[field];
+        const direction = change > 0 ? 'rose' : 'fell';
+        return [{
+            check: 'yoyJump',
+            metric: label,
+            year,
+            value: change,
+            severity,
+            description: `${label} ${direction} ${Math.abs(change).toFixed(1)}% from FY ${previous} to FY ${year} (${round(prior, 1)} to ${round(current, 1)} million).`,
+            recommendation: `Check the notes for acquisitions, disposals, reclassifications or one-off items behind the change in ${label.toLowerCase()}.`
+        }];
+    });
+}
+
+/**
+ * Margins that fell from the prior year by more than the thresholds
+ */
+export function checkMarginCompression(data, { year, previous }, thresholds = ANOMALY_THRESHOLDS.marginCompression) {
+    if (!previous) return [];
+
+    return MARGIN_RATIOS.flatMap(id => {
+        const current = computeRatio(data, id, year);
+        const prior = computeRatio(data, id, previous);
+        if (current === null || prior === null) return [];
+
+        const drop = round(prior - current);
+        const severity = severityOf(drop, thresholds);
+        if (!severity) return [];
+
+        return [{
+            check: 'marginCompression',
+            metric: RATIOS[id].label,
+            year,
+            value: -drop,
+            severity,
+            description: `${RATIOS[id].label} compressed by ${drop.toFixed(1)} percentage points, from ${prior.toFixed(1)}% in FY ${previous} to ${current.toFixed(1)}% in FY ${year}.`,
+            recommendation: 'Separate price, mix and cost effects: compare revenue growth with the growth of cost of sales and operating expenses.'
+        }];
+    });
+}
+
+/**
+ * Receivable, inventory and payable days that moved by more than the thresholds
+ */
+export function checkWorkingCapital(data, { year, previous }, thresholds = ANOMALY_THRESHOLDS.workingCapitalSwing) {
+    if (!previous) return [];
+
+    const recommendations = {
+        receivableDays: 'Review the receivables ageing, credit terms and revenue recognised near year end.',
+        inventoryDays: 'Review inventory ageing, obsolescence provisions and purchasing ahead of demand.',
+        payableDays: 'Check whether supplier terms were stretched to support operating cash flow.'
+    };
+
+    return WORKING_CAPITAL_RATIOS.flatMap(id => {
+        const current = computeRatio(data, id, year);
+        const prior = computeRatio(data, id, previous);
+        if (current === null || prior === null) return [];
+
+        const change = round(current - prior);
+        const severity = severityOf(Math.abs(change), thresholds);
+        if (!severity) return [];
+
+        return [{
+            check: 'workingCapital',
+            metric: RATIOS[id].label,
+            year,
+            value: change,
+            severity,
+            description: `${RATIOS[id].label} ${change > 0 ? 'lengthened' : 'shortened'} by ${Math.abs(change).toFixed(0)} days, from ${prior.toFixed(0)} in FY ${previous} to ${current.toFixed(0)} in FY ${year}.`,
+            recommendation: recommendations[id]
+        }];
+    });
+}
+
+/**
+ * Balance-sheet accrual ratio: (Net profit − Operating cash flow) ÷ Average total assets, in percent
+ * Uses the year-end total assets when the prior year is not available.
+ * @returns {number|null}
+ */
+export function accrualRatio(data, year, previous = null) {
+    const netProfit = figureOf(data, 'netProfit', year);
+    const operatingCashFlow = figureOf(data, 'operatingCashFlow', year);
+    const assets = figureOf(data, 'totalAssets', year);
+    if (netProfit === null || operatingCashFlow === null || !assets) return null;
+
+    const priorAssets = previous ? figureOf(data, 'totalAssets', previous) : null;
+    const averageAssets = priorAssets ? (assets + priorAssets) / 2 : assets;
+    return round(((netProfit - operatingCashFlow) / averageAssets) * 100);
+}
+
+/**
+ * Profits not backed by operating cash flow
+ */
+export function checkAccruals(data, { year, previous }, thresholds = ANOMALY_THRESHOLDS.accrualRatio) {
+    const ratio = accrualRatio(data, year, previous);
+    if (ratio === null) return [];
+
+    const netProfit = figureOf(data, 'netProfit', year);
+    const operatingCashFlow = figureOf(data, 'operatingCashFlow', year);
+    const cashNegative = netProfit > 0 && operatingCashFlow < 0;
+    const severity = cashNegative ? 'high' : severityOf(ratio, thresholds);
+    if (!severity) return [];
+
+    return [{
+        check: 'accruals',
+        metric: 'Accrual ratio',
+        year,
+        value: ratio,
+        severity,
+        description: cashNegative
+            ? `FY ${year} reported a net profit of ${round(netProfit, 1)} million but an operating cash outflow of ${round(-operatingCashFlow, 1)} million.`
+            : `Net profit exceeded operating cash flow by ${ratio.toFixed(1)}% of average total assets in FY ${year}; earnings are largely accrual-based.`,
+        recommendation: 'Reconcile net profit to operating cash flow and look for growth in receivables, capitalised costs or non-cash gains.'
+    }];
+}
+
+/**
+ * Beneish M-score (eight-variable model) of a year against its prior year
+ * The stored statements carry no property, plant and equipment, so non-current assets stand in for
+ * it in the asset-quality and depreciation indices. An index whose inputs are missing is set to its
+ * neutral value (1, or 0 for TATA) and listed in `neutral`; the score needs at least DSRI, GMI, SGI and TATA.
+ * @returns {{ score: number, indices: Object, neutral: string[] }|null}
+ */
+export function beneishMScore(data, year, previous) {
+    if (!previous) return null;
+
+    const get = field => [figureOf(data, field, year), figureOf(data, field, previous)];
+    const [revenue, revenuePrior] = get('revenue');
+    const [receivables, receivablesPrior] = get('receivables');
+    const [costOfSales, costOfSalesPrior] = get('costOfSales');
+    const [currentAssets, currentAssetsPrior] = get('currentAssets');
+    const [assets, assetsPrior] = get('totalAssets');
+    const [depreciation, depreciationPrior] = get('depreciationAmortization');
+    const [sga, sgaPrior] = get('sgaExpenses');
+    const [liabilities, liabilitiesPrior] = get('totalLiabilities');
+    const netProfit = figureOf(data, 'netProfit', year);
+    const operatingCashFlow = figureOf(data, 'operatingCashFlow', year);
+
+    const known = (...values) => values.every(value => value !== null);
+    const ratioOfRatios = (a, b, c, d) => (known(a, b, c, d) ? divide(divide(a, b), divide(c, d)) : null);
+    const grossMargin = (sales, cost) => divide(sales - cost, sales);
+    const softAssets = (current, total) => (known(current, total) ? divide(total - current, total) : null);
+    const depreciationRate = (dep, current, total) => (known(dep, current, total) ? divide(dep, dep + total - current) : null);
+
+    const indices = {
+        DSRI: ratioOfRatios(receivables, revenue, receivablesPrior, revenuePrior),
+        GMI: known(revenue, revenuePrior, costOfSales, costOfSalesPrior)
+            ? divide(grossMargin(revenuePrior, costOfSalesPrior), grossMargin(revenue, costOfSales))
+            : null,
+        AQI: divide(softAssets(currentAssets, assets), softAssets(currentAssetsPrior, assetsPrior)),
+        SGI: known(revenue, revenuePrior) ? divide(revenue, revenuePrior) : null,
+        DEPI: divide(depreciationRate(depreciationPrior, currentAssetsPrior, assetsPrior), depreciationRate(depreciation, currentAssets, assets)),
+        SGAI: ratioOfRatios(sga, revenue, sgaPrior, revenuePrior),
+        LVGI: ratioOfRatios(liabilities, assets, liabilitiesPrior, assetsPrior),
+        TATA: known(netProfit, operatingCashFlow, assets) ? divide(netProfit - operatingCashFlow, assets) : null
+    };
+    if (['DSRI', 'GMI', 'SGI', 'TATA'].some(index => indices[index] === null || !isFinite(indices[index]))) return null;
+
+    const neutral = Object.keys(indices).filter(index => indices[index] === null || !isFinite(indices[index]));
+    neutral.forEach(index => { indices[index] = index === 'TATA' ? 0 : 1; });
+
+    const score = -4.84 + 0.92 * indices.DSRI + 0.528 * indices.GMI + 0.404 * indices.AQI + 0.892 * indices.SGI
+        + 0.115 * indices.DEPI - 0.172 * indices.SGAI + 4.679 * indices.TATA - 0.327 * indices.LVGI;
+
+    return {
+        score: round(score),
+        indices: Object.fromEntries(Object.entries(indices).map(([index, value]) => [index, round(value, 3)])),
+        neutral
+    };
+}
+
+/**
+ * Earnings-manipulation likelihood from the Beneish M-score
+ */
+export function checkBeneish(data, { year, previous }, thresholds = ANOMALY_THRESHOLDS.beneish) {
+    const result = beneishMScore(data, year, previous);
+    if (!result) return [];
+
+    const severity = result.score > thresholds.high ? 'high' : result.score > thresholds.medium ? 'medium' : null;
+    if (!severity) return [];
+
+    const drivers = Object.entries(result.indices)
+        .filter(([index, value]) => !result.neutral.includes(index) && (index === 'TATA' ? value > 0.05 : value > 1.1))
+        .map(([index, value]) => `${index} ${value}`);
+
+    return [{
+        check: 'beneish',
+        metric: 'Beneish M-score',
+        year,
+        value: result.score,
+        severity,
+        description: `M-score of ${result.score.toFixed(2)} in FY ${year} is above ${thresholds[severity]}, the level associated with earnings manipulation`
+            + `${drivers.length ? `; highest indices: ${drivers.join(', ')}` : ''}.`
+            + `${result.neutral.length ? ` ${result.neutral.join(', ')} not computable and set to neutral.` : ''}`,
+        recommendation: 'Treat as a screening signal, not a finding: review revenue recognition, receivables and capitalisation policies in the notes.'
+    }];
+}
+
+/**
+ * Altman Z''-score (non-manufacturing model, book values) of a year
+ * Retained earnings are not among the stored line items; shareholders' equity stands in for them,
+ * which overstates X2, so a low score is, if anything, understated.
+ * @returns {{ score: number, factors: Object }|null}
+ */
+export function altmanZScore(data, year) {
+    const values = Object.fromEntries(['currentAssets', 'currentLiabilities', 'totalAssets', 'totalLiabilities', 'shareholderEquity', 'operatingProfit']
+        .map(field => [field, figureOf(data, field, year)]));
+    if (Object.values(values).some(value => value === null) || !values.totalAssets || !values.totalLiabilities) return null;
+
+    const factors = {
+        X1: (values.currentAssets - values.currentLiabilities) / values.totalAssets,
+        X2: values.shareholderEquity / values.totalAssets,
+        X3: values.operatingProfit / values.totalAssets,
+        X4: values.shareholderEquity / values.totalLiabilities
+    };
+    const score = 6.56 * factors.X1 + 3.26 * factors.X2 + 6.72 * factors.X3 + 1.05 * factors.X4;
+
+    return {
+        score: round(score),
+        factors: Object.fromEntries(Object.entries(factors).map(([factor, value]) => [factor, round(value, 3)]))
+    };
+}
+
+/**
+ * Financial distress from the Altman Z''-score
+ */
+export function checkAltman(data, { year }, thresholds = ANOMALY_THRESHOLDS.altman) {
+    const result = altmanZScore(data, year);
+    if (!result) return [];
+
+    const severity = result.score < thresholds.high ? 'high' : result.score < thresholds.medium ? 'medium' : null;
+    if (!severity) return [];
+
+    return [{
+        check: 'altman',
+        metric: 'Altman Z\'\'-score',
+        year,
+        value: result.score,
+        severity,
+        description: `Z''-score of ${result.score.toFixed(2)} in FY ${year} is in the ${severity === 'high' ? 'distress zone (below 1.1)' : 'grey zone (1.1 to 2.6)'}.`,
+        recommendation: 'Review debt maturities, covenant headroom and the cash runway against committed spending.'
+    }];
+}
+
+export const CHECKS = {
+    yoyJump: checkYoyJumps,
+    marginCompression: checkMarginCompression,
+    workingCapital: checkWorkingCapital,
+    accruals: checkAccruals,
+    beneish: checkBeneish,
+    altman: checkAltman
+};
+
+const THRESHOLD_KEYS = {
+    yoyJump: 'yoyJump',
+    marginCompression: 'marginCompression',
+    workingCapital: 'workingCapitalSwing',
+    accruals: 'accrualRatio',
+    beneish: 'beneish',
+    altman: 'altman'
+};
+
+/**
+ * Run every check on a fiscal year
+ * @param {Object} data - Dashboard data
+ * @param {Object} [options]
+ * @param {string} [options.year] - Fiscal year checked, the latest by default
+ * @param {Object} [options.thresholds] - Overrides of ANOMALY_THRESHOLDS, by key
+ * @returns {Array<{ check, metric, year, value, severity, description, recommendation }>} - Most severe first,
+ *          then in check order
+ */
+export function detectAnomalies(data, { year = null, thresholds = {} } = {}) {
+    if (!data) return [];
+
+    const period = periodOf(data, year);
+    if (!period.year) return [];
+
+    const anomalies = Object.entries(CHECKS).flatMap(([check, run]) => {
+        const key = THRESHOLD_KEYS[check];
+        return run(data, period, { ...ANOMALY_THRESHOLDS[key], ...thresholds[key] });
+    });
+
+    return anomalies
+        .map((anomaly, order) => ({ anomaly, order }))
+        .sort((a, b) => SEVERITIES.indexOf(a.anomaly.severity) - SEVERITIES.indexOf(b.anomaly.severity) || a.order - b.order)
+        .map(({ anomaly }) => anomaly);
+}
+
+export default {
+    SEVERITIES,
+    ANOMALY_THRESHOLDS,
+    JUMP_FIELDS,
+    CHECKS,
+    checkYoyJumps,
+    checkMarginCompression,
+    checkWorkingCapital,
+    accrualRatio,
+    checkAccruals,
+    beneishMScore,
+    checkBeneish,
+    altmanZScore,
+    checkAltman,
+    detectAnomalies
+};
@@ -0,0 +1,140 @@
+/**
+ * Tests for the Anomaly detector
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+    detectAnomalies,
+    checkYoyJumps,
+    checkMarginCompression,
+    checkWorkingCapital,
+    accrualRatio,
+    checkAccruals,
+    beneishMScore,
+    altmanZScore
+} from './anomalies.js';
+
+// Steady 5% growth: every ratio unchanged
+const steady = {
+    years: ['2022', '2023'],
+    revenue: [8000, 8400],
+    costOfSales: [5000, 5250],
+    grossProfit: [3000, 3150],
+    sgaExpenses: [1500, 1575],
+    depreciationAmortization: [300, 315],
+    operatingProfit: [1200, 1260],
+    netProfit: [900, 945],
+    receivables: [800, 840],
+    inventories: [1000, 1050],
+    payables: [700, 735],
+    borrowings: [1000, 1050],
+    currentAssets: [3000, 3150],
+    totalAssets: [8000, 8400],
+    currentLiabilities: [2000, 2100],
+    totalLiabilities: [4000, 4200],
+    totalEquity: [4000, 4200],
+    operatingCashFlow: [1200, 1260],
+    capex: [400, 420]
+};
+
+// Revenue up 25% on receivables, with margins down and profits not turning into cash
+const stressed = {
+    ...steady,
+    revenue: [8000, 10000],
+    costOfSales: [5000, 7000],
+    grossProfit: [3000, 3000],
+    receivables: [800, 1800],
+    currentAssets: [3000, 4110],
+    totalAssets: [8000, 9360],
+    operatingCashFlow: [1200, -100]
+};
+
+const period = { year: '2023', previous: '2022' };
+
+describe('detectAnomalies', () => {
+    it('should find nothing when the business grows steadily', () => {
+        expect(detectAnomalies(steady)).toEqual([]);
+    });
+
+    it('should return the rendered anomaly shape, most severe first', () => {
+        const anomalies = detectAnomalies(stressed);
+        expect(anomalies.length).toBeGreaterThan(0);
+        for (const anomaly of anomalies) {
+            expect(anomaly).toMatchObject({ year: '2023' });
+            expect(['low', 'medium', 'high']).toContain(anomaly.severity);
+            expect(anomaly.metric && anomaly.description && anomaly.recommendation).toBeTruthy();
+        }
+        const ranks = anomalies.map(anomaly => ['high', 'medium', 'low'].indexOf(anomaly.severity));
+        expect(ranks).toEqual([...ranks].sort((a, b) => a - b));
+    });
+
+    it('should be reproducible and honour threshold overrides', () => {
+        expect(detectAnomalies(stressed)).toEqual(detectAnomalies(stressed));
+        const strict = detectAnomalies(stressed, { thresholds: { yoyJump: { low: 10 } } });
+        expect(strict.some(anomaly => anomaly.check === 'yoyJump' && anomaly.metric === 'Total assets')).toBe(true);
+    });
+
+    it('should check a given year and skip comparisons without a prior year', () => {
+        expect(detectAnomalies(stressed, { year: '2022' })).toEqual([]);
+        expect(detectAnomalies(null)).toEqual([]);
+    });
+});
+
+describe('checks', () => {
+    it('should grade year-on-year jumps by size', () => {
+        const jumps = checkYoyJumps(stressed, period);
+        expect(jumps.find(a => a.metric === 'Revenue')).toMatchObject({ value: 25, severity: 'low' });
+        expect(jumps.find(a => a.metric === 'Cost of sales')).toMatchObject({ value: 40, severity: 'medium' });
+        expect(jumps.find(a => a.metric === 'Trade receivables')).toMatchObject({ value: 125, severity: 'high' });
+    });
+
+    it('should flag margins that fell, in percentage points', () => {
+        const compression = checkMarginCompression(stressed, period);
+        expect(compression.find(a => a.metric === 'Gross margin')).toMatchObject({ value: -7.5, severity: 'high' });
+        expect(checkMarginCompression({ ...steady, costOfSales: [5000, 4000], grossProfit: [3000, 4400] }, period)).toEqual([]);
+    });
+
+    it('should flag swings in working-capital days either way', () => {
+        const swings = checkWorkingCapital(stressed, period);
+        expect(swings.find(a => a.metric === 'Receivable days')).toMatchObject({ value: 29.2, severity: 'medium' });
+        expect(swings.find(a => a.metric === 'Inventory days')).toMatchObject({ value: -18.25, severity: 'low' });
+    });
+
+    it('should measure accruals on average total assets and flag profits with cash outflows', () => {
+        expect(accrualRatio(steady, '2023', '2022')).toBe(-3.84);
+        expect(accrualRatio(steady, '2023')).toBe(-3.75);
+        expect(checkAccruals(steady, period)).toEqual([]);
+        expect(checkAccruals(stressed, period)[0]).toMatchObject({ metric: 'Accrual ratio', value: 12.04, severity: 'high' });
+    });
+});
+
+describe('beneishMScore', () => {
+    it('should compute the eight indices against the prior year', () => {
+        const { score, indices, neutral } = beneishMScore(steady, '2023', '2022');
+        expect(indices).toMatchObject({ DSRI: 1, GMI: 1, AQI: 1, SGI: 1.05, DEPI: 1, SGAI: 1, LVGI: 1 });
+        expect(neutral).toEqual([]);
+        expect(score).toBe(-2.61);
+        expect(beneishMScore(stressed, '2023', '2022').score).toBeGreaterThan(-1.78);
+    });
+
+    it('should set missing optional indices to neutral and need the core ones', () => {
+        const { neutral } = beneishMScore({ ...steady, sgaExpenses: undefined, depreciationAmortization: undefined }, '2023', '2022');
+        expect(neutral).toEqual(['DEPI', 'SGAI']);
+        expect(beneishMScore({ ...steady, receivables: undefined }, '2023', '2022')).toBeNull();
+        expect(beneishMScore(steady, '2023', null)).toBeNull();
+    });
+});
+
+describe('altmanZScore', () => {
+    it('should compute the Z\'\'-score from book values', () => {
+        const { score, factors } = altmanZScore(steady, '2023');
+        expect(factors).toEqual({ X1: 0.125, X2: 0.5, X3: 0.15, X4: 1 });
+        expect(score).toBe(4.51);
+    });
+
+    it('should flag the distress zone', () => {
+        const distressed = { ...steady, currentAssets: [3000, 1500], totalLiabilities: [4000, 7600], totalEquity: [4000, 800], operatingProfit: [1200, 100] };
+        expect(altmanZScore(distressed, '2023').score).toBeLessThan(1.1);
+        expect(detectAnomalies(distressed).find(a => a.check === 'altman')).toMatchObject({ severity: 'high' });
+    });
+});
@@ -0,0 +1,86 @@
+/**
+ * Benchmark Dataset Module
+ * Bundled sector quartiles used until the user edits or imports their own, in the CSV import format
+ *
+ * The figures are sample data: illustrative quartiles for listed GCC companies, not taken from a
+ * published source and without an as-of date. The scoring UI labels them as such; replace them with a
+ * dataset from your own research provider for investment decisions.
+ * Metric ids are those of the KPI library; margins and returns in percent, the others as multiples.
+ */
+
+export const SAMPLE_BENCHMARK_NOTICE = 'Sample data: the bundled sector quartiles are illustrative, with no published source or as-of date.';
+
+export const DEFAULT_BENCHMARK_CSV = `sector,region,year,metric,p25,median,p75
+Health Care,GCC,2023,grossMargin,28,35,45
+Health Care,GCC,2023,operatingMargin,8,12,18
+Health Care,GCC,2023,netMargin,6,10,15
+Health Care,GCC,2023,roe,8,14,22
+Health Care,GCC,2023,roa,4,7,11
+Health Care,GCC,2023,currentRatio,1.1,1.5,2.2
+Health Care,GCC,2023,quickRatio,0.7,1,1.5
+Health Care,GCC,2023,debtToEquity,0.6,1.1,1.8
+Health Care,GCC,2023,netDebtToEbitda,-0.5,0.8,2
+Health Care,GCC,2023,interestCoverage,4,9,20
+Health Care,GCC,2022,grossMargin,29,36,46
+Health Care,GCC,2022,operatingMargin,9,13,19
+Health Care,GCC,2022,netMargin,7,11,16
+Health Care,GCC,2022,roe,9,15,23
+Health Care,GCC,2022,roa,4,7.5,12
+Health Care,GCC,2022,currentRatio,1.1,1.5,2.1
+Health Care,GCC,2022,quickRatio,0.7,1,1.4
+Health Care,GCC,2022,debtToEquity,0.6,1,1.7
+Health Care,GCC,2022,netDebtToEbitda,-0.4,0.7,1.9
+Health Care,GCC,2022,interestCoverage,5,10,22
+Consumer Staples,GCC,2023,grossMargin,22,30,38
+Consumer Staples,GCC,2023,operatingMargin,6,9,14
+Consumer Staples,GCC,2023,netMargin,4,7,11
+Consumer Staples,GCC,2023,roe,8,13,20
+Consumer Staples,GCC,2023,roa,3,6,9
+Consumer Staples,GCC,2023,currentRatio,1,1.3,1.8
+Consumer Staples,GCC,2023,quickRatio,0.6,0.9,1.2
+Consumer Staples,GCC,2023,debtToEquity,0.7,1.2,2
+Consumer Staples,GCC,2023,netDebtToEbitda,0.3,1.5,2.8
+Consumer Staples,GCC,2023,interestCoverage,3,6,12
+Consumer Staples,GCC,2022,grossMargin,23,31,39
+Consumer Staples,GCC,2022,operatingMargin,6,10,15
+Consumer Staples,GCC,2022,netMargin,4,7.5,12
+Consumer Staples,GCC,2022,roe,8,13,21
+Consumer Staples,GCC,2022,roa,3,6,9
+Consumer Staples,GCC,2022,currentRatio,1,1.3,1.8
+Consumer Staples,GCC,2022,quickRatio,0.6,0.9,1.2
+Consumer Staples,GCC,2022,debtToEquity,0.7,1.1,1.9
+Consumer Staples,GCC,2022,netDebtToEbitda,0.2,1.4,2.7
+Consumer Staples,GCC,2022,interestCoverage,4,7,14
+Consumer Discretionary,GCC,2023,grossMargin,25,33,42
+Consumer Discretionary,GCC,2023,operatingMargin,5,9,14
+Consumer Discretionary,GCC,2023,netMargin,3,7,11
+Consumer Discretionary,GCC,2023,roe,6,12,19
+Consumer Discretionary,GCC,2023,roa,3,5,9
+Consumer Discretionary,GCC,2023,currentRatio,1,1.4,2
+Consumer Discretionary,GCC,2023,quickRatio,0.5,0.8,1.2
+Consumer Discretionary,GCC,2023,debtToEquity,0.6,1.1,1.9
+Consumer Discretionary,GCC,2023,netDebtToEbitda,0.2,1.2,2.6
+Consumer Discretionary,GCC,2023,interestCoverage,2.5,5,11
+Industrials,GCC,2023,grossMargin,15,22,30
+Industrials,GCC,2023,operatingMargin,5,9,13
+Industrials,GCC,2023,netMargin,3,6,10
+Industrials,GCC,2023,roe,5,10,16
+Industrials,GCC,2023,roa,2,4,7
+Industrials,GCC,2023,currentRatio,1,1.4,1.9
+Industrials,GCC,2023,quickRatio,0.7,1,1.4
+Industrials,GCC,2023,debtToEquity,0.8,1.4,2.3
+Industrials,GCC,2023,netDebtToEbitda,0.5,1.8,3.2
+Industrials,GCC,2023,interestCoverage,2,4.5,9
+Materials,GCC,2023,grossMargin,18,27,38
+Materials,GCC,2023,operatingMargin,8,15,24
+Materials,GCC,2023,netMargin,5,11,19
+Materials,GCC,2023,roe,5,11,18
+Materials,GCC,2023,roa,3,6,10
+Materials,GCC,2023,currentRatio,1.1,1.7,2.6
+Materials,GCC,2023,quickRatio,0.7,1.1,1.8
+Materials,GCC,2023,debtToEquity,0.4,0.8,1.4
+Materials,GCC,2023,netDebtToEbitda,0.2,1.3,2.7
+Materials,GCC,2023,interestCoverage,3,7,15
+`;
+
+export default { DEFAULT_BENCHMARK_CSV };
@@ -0,0 +1,286 @@
+/**
+ * Benchmarks Module
+ * Local sector benchmark dataset (quartiles per sector, region, year and metric), its CSV
+ * import and export, and the scoring of a company's KPIs within the sector distribution
+ */
+
+import { KPIS, evaluateKpi } from './kpis.js';
+import { DEFAULT_BENCHMARK_CSV } from './benchmarkDataset.js';
+
+const STORAGE_KEY = 'wagdy_benchmarks';
+
+export const DEFAULT_REGION = 'GCC';
+
+// KPIs scored against the sector: margins, returns, liquidity and leverage
+export const BENCHMARK_METRICS = [
+    'grossMargin',
+    'operatingMargin',
+    'netMargin',
+    'roe',
+    'roa',
+    'currentRatio',
+    'quickRatio',
+    'debtToEquity',
+    'netDebtToEbitda',
+    'interestCoverage'
+];
+
+export const CSV_COLUMNS = ['sector', 'region', 'year', 'metric', 'p25', 'median', 'p75'];
+
+export const BANDS = [
+    { min: 75, label: 'Top quartile' },
+    { min: 50, label: 'Second quartile' },
+    { min: 25, label: 'Third quartile' },
+    { min: 0, label: 'Bottom quartile' }
+];
+
+/**
+ * Split one CSV line, honouring double-quoted fields
+ */
+function splitCSVLine(line) {
+    const fields = [];
+    let field = '';
+    let quoted = false;
+
+    for (let i = 0; i < line.length; i++) {
+        const ch = line[i];
+        if (quoted) {
+            if (ch === '"' && line[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (ch === '"') {
+                quoted = false;
+            } else {
+                field += ch;
+            }
+        } else if (ch === '"') {
+            quoted = true;
+        } else if (ch === ',') {
+            fields.push(field.trim());
+            field = '';
+        } else {
+            field += ch;
+        }
+    }
+    fields.push(field.trim());
+    return fields;
+}
+
+/**
+ * Metric id of a CSV cell: a KPI id or label, in any case
+ */
+function metricOf(cell) {
+    const key = cell.toLowerCase();
+    return BENCHMARK_METRICS.find(id => id.toLowerCase() === key || KPIS[id].label.toLowerCase() === key) || null;
+}
+
+/**
+ * Validate benchmark rows
+ * @returns {string[]} - Error messages, empty when valid
+ */
+export function validateBenchmarks(rows) {
+    const errors = [];
+    rows.forEach((row, i) => {
+        const where = `Row ${i + 1}`;
+        if (!row.sector) errors.push(`${where}: sector is required`);
+        if (!row.region) errors.push(`${where}: region is required`);
+        if (!/^\d{4}$/.test(row.year)) errors.push(`${where}: year must be a four-digit year`);
+        if (!BENCHMARK_METRICS.includes(row.metric)) errors.push(`${where}: unknown metric "${row.metric}"`);
+        if (![row.p25, row.median, row.p75].every(Number.isFinite)) {
+            errors.push(`${where}: p25, median and p75 must be numbers`);
+        } else if (row.p25 > row.median || row.median > row.p75) {
+            errors.push(`${where}: quartiles must be in order (p25 ≤ median ≤ p75)`);
+        }
+    });
+    return errors;
+}
+
+/**
+ * Parse a benchmark CSV
+ * The header names the columns (sector, region, year, metric, p25, median, p75) in any order.
+ * @param {string} text
+ * @returns {{ rows: Array<Object>, errors: string[] }}
+ */
+export function parseBenchmarkCSV(text) {
+    const lines = String(text || '').split(/\r?\n/).filter(line => line.trim());
+    if (lines.length === 0) return { rows: [], errors: ['The file is empty'] };
+
+    const header = splitCSVLine(lines[0]).map(cell => cell.toLowerCase());
+    const missing = CSV_COLUMNS.filter(column => !header.includes(column));
+    if (missing.length) return { rows: [], errors: [`Missing column${missing.length > 1 ? 's' : ''}: ${missing.join(', ')}`] };
+
+    const rows = lines.slice(1).map(line => {
+        const cells = splitCSVLine(line);
+        const cell = column => cells[header.indexOf(column)] ?? '';
+        const number = column => {
+            const text = cell(column).replace(/[,%x]/gi, '');
+            return text === '' ? NaN : Number(text);
+        };
+        return {
+            sector: cell('sector'),
+            region: cell('region'),
+            year: cell('year'),
+            metric: metricOf(cell('metric')) || cell('metric'),
+            p25: number('p25'),
+            median: number('median'),
+            p75: number('p75')
+        };
+    });
+
+    return { rows, errors: validateBenchmarks(rows) };
+}
+
+/**
+ * Write benchmark rows as CSV, in the import format
+ */
+export function toBenchmarkCSV(rows) {
+    const quote = value => (/[",]/.test(String(value)) ? `"${String(value).replace(/"/g, '""')}"` : value);
+    return [CSV_COLUMNS.join(','), ...rows.map(row => CSV_COLUMNS.map(column => quote(row[column])).join(','))].join('\n') + '\n';
+}
+
+const rowKey = row => [row.sector, row.region, row.year, row.metric].join('|').toLowerCase();
+
+/**
+ * Merge imported rows into a dataset; imported rows replace rows with the same sector, region, year and metric
+ */
+export function mergeBenchmarks(existing, imported) {
+    const keys = new Set(imported.map(rowKey));
+    return [...existing.filter(row => !keys.has(rowKey(row))), ...imported];
+}
+
+/**
+ * Sectors and regions of a dataset, A–Z
+ */
+export function listSectors(rows) {
+    return [...new Set(rows.map(row => row.sector))].sort();
+}
+
+export function listRegions(rows, sector) {
+    return [...new Set(rows.filter(row => !sector || row.sector === sector).map(row => row.region))].sort();
+}
+
+/**
+ * Quartiles of a metric for a sector and region in a year
+ * Uses the year itself, else the latest earlier year, else the earliest later year.
+ * @returns {Object|null} - Benchmark row
+ */
+export function findBenchmark(rows, { sector, region, year, metric }) {
+    const same = (a, b) => String(a).toLowerCase() === String(b).toLowerCase();
+    const candidates = rows
+        .filter(row => same(row.sector, sector) && same(row.region, region) && row.metric === metric)
+        .sort((a, b) => a.year.localeCompare(b.year));
+    if (candidates.length === 0) return null;
+
+    const target = String(year);
+    return candidates.find(row => row.year === target)
+        || candidates.filter(row => row.year < target).pop()
+        || candidates[0];
+}
+
+/**
+ * Approximate percentile of a value in a distribution known by its quartiles
+ * Interpolates linearly between the quartiles and extrapolates beyond them, clamped to 1–99.
+ */
+export function percentileOf(value, { p25, median, p75 }) {
+    const interpolate = (x0, y0, x1, y1) => (x1 === x0 ? (value >= x1 ? y1 : y0) : y0 + ((value - x0) * (y1 - y0)) / (x1 - x0));
+    const percentile = value <= median
+        ? interpolate(p25, 25, median, 50)
+        : interpolate(median, 50, p75, 75);
+    return Math.round(Math.min(99, Math.max(1, percentile)));
+}
+
+/**
+ * Quartile band of a score (100 is best)
+ */
+export function bandOf(score) {
+    return BANDS.find(band => score >= band.min).label;
+}
+
+/**
+ * Score a company's latest KPIs against a sector
+ * The score is the percentile, reversed for metrics where lower is better, so 100 is always best.
+ * @param {Object} data - Dashboard data
+ * @param {Array<Object>} rows - Benchmark dataset
+ * @param {{ sector: string, region?: string }} peerGroup
+ * @returns {{ sector, region, year, scores: Array<Object>, overall: number|null }}
+ *          scores: [{ metric, label, unit, value, benchmark, percentile, score, band }]
+ */
+export function scoreAgainstBenchmarks(data, rows, { sector, region = DEFAULT_REGION }) {
+    const scores = BENCHMARK_METRICS.map(metric => {
+        const { label, unit, value, year } = evaluateKpi(data, metric, null);
+        const benchmark = findBenchmark(rows, { sector, region, year, metric });
+        if (value === null || !benchmark) {
+            return { metric, label, unit, value, benchmark, percentile: null, score: null, band: null };
+        }
+
+        const percentile = percentileOf(value, benchmark);
+        const score = KPIS[metric].higherIsBetter ? percentile : 100 - percentile;
+        return { metric, label, unit, value, benchmark, percentile, score, band: bandOf(score) };
+    });
+
+    const scored = scores.filter(entry => entry.score !== null);
+    const years = Array.isArray(data.years) ? data.years : [data.fiscalYear];
+
+    return {
+        sector,
+        region,
+        year: String(years[years.length - 1]),
+        scores,
+        overall: scored.length ? Math.round(scored.reduce((sum, entry) => sum + entry.score, 0) / scored.length) : null
+    };
+}
+
+/**
+ * Load the benchmark dataset: the user's, or the bundled one
+ */
+export function loadBenchmarks() {
+    try {
+        const stored = JSON.parse(localStorage.getItem(STORAGE_KEY));
+        if (Array.isArray(stored)) return stored;
+    } catch (e) {
+        console.error('Failed to load benchmarks:', e);
+    }
+    return parseBenchmarkCSV(DEFAULT_BENCHMARK_CSV).rows;
+}
+
+/**
+ * Save the benchmark dataset
+ * @throws {Error} - When a row is invalid
+ */
+export function saveBenchmarks(rows) {
+    const errors = validateBenchmarks(rows);
+    if (errors.length > 0) throw new Error(errors.join('\n'));
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(rows));
+}
+
+export function resetBenchmarks() {
+    localStorage.removeItem(STORAGE_KEY);
+}
+
+/**
+ * Whether scores use the bundled sample dataset, i.e. the user has not saved or imported their own
+ */
+export function usingSampleBenchmarks() {
+    return localStorage.getItem(STORAGE_KEY) === null;
+}
+
+export default {
+    DEFAULT_REGION,
+    BENCHMARK_METRICS,
+    CSV_COLUMNS,
+    BANDS,
+    validateBenchmarks,
+    parseBenchmarkCSV,
+    toBenchmarkCSV,
+    mergeBenchmarks,
+    listSectors,
+    listRegions,
+    findBenchmark,
+    percentileOf,
+    bandOf,
+    scoreAgainstBenchmarks,
+    loadBenchmarks,
+    saveBenchmarks,
+    resetBenchmarks,
+    usingSampleBenchmarks
+};
@@ -0,0 +1,123 @@
+/**
+ * Tests for the Benchmark dataset and scoring
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+    BENCHMARK_METRICS,
+    parseBenchmarkCSV,
+    toBenchmarkCSV,
+    mergeBenchmarks,
+    listSectors,
+    findBenchmark,
+    percentileOf,
+    bandOf,
+    scoreAgainstBenchmarks
+} from './benchmarks.js';
+import { DEFAULT_BENCHMARK_CSV } from './benchmarkDataset.js';
+
+const rows = [
+    { sector: 'Health Care', region: 'GCC', year: '2022', metric: 'netMargin', p25: 7, median: 11, p75: 16 },
+    { sector: 'Health Care', region: 'GCC', year: '2023', metric: 'netMargin', p25: 6, median: 10, p75: 15 },
+    { sector: 'Health Care', region: 'GCC', year: '2023', metric: 'debtToEquity', p25: 0.6, median: 1.1, p75: 1.8 },
+    { sector: 'Health Care', region: 'GCC', year: '2023', metric: 'roe', p25: 8, median: 14, p75: 22 }
+];
+
+describe('parseBenchmarkCSV', () => {
+    it('should parse the bundled dataset without errors', () => {
+        const { rows: parsed, errors } = parseBenchmarkCSV(DEFAULT_BENCHMARK_CSV);
+        expect(errors).toEqual([]);
+        expect(parsed.length).toBeGreaterThan(0);
+        expect(new Set(parsed.map(row => row.metric))).toEqual(new Set(BENCHMARK_METRICS));
+    });
+
+    it('should read columns in any order, quoted fields and KPI labels', () => {
+        const { rows: parsed, errors } = parseBenchmarkCSV(
+            'Metric,Sector,Region,Year,P25,Median,P75\n"Net Profit Margin","Food, Beverages",GCC,2023,3,6,9\n'
+        );
+        expect(errors).toEqual([]);
+        expect(parsed[0]).toEqual({ sector: 'Food, Beverages', region: 'GCC', year: '2023', metric: 'netMargin', p25: 3, median: 6, p75: 9 });
+    });
+
+    it('should report missing columns and invalid rows', () => {
+        expect(parseBenchmarkCSV('sector,region,year\n').errors[0]).toBe('Missing columns: metric, p25, median, p75');
+        const { errors } = parseBenchmarkCSV('sector,region,year,metric,p25,median,p75\nHealth Care,GCC,23,beta,5,4,x\n');
+        expect(errors).toEqual([
+            'Row 1: year must be a four-digit year',
+            'Row 1: unknown metric "beta"',
+            'Row 1: p25, median and p75 must be numbers'
+        ]);
+        expect(parseBenchmarkCSV('sector,region,year,metric,p25,median,p75\nHealth Care,GCC,2023,roe,9,8,10\n').errors[0])
+            .toMatch('quartiles must be in order');
+    });
+
+    it('should round-trip through CSV export', () => {
+        expect(parseBenchmarkCSV(toBenchmarkCSV(rows)).rows).toEqual(rows);
+    });
+});
+
+describe('dataset helpers', () => {
+    it('should replace rows with the same sector, region, year and metric on merge', () => {
+        const merged = mergeBenchmarks(rows, [{ ...rows[1], median: 9 }]);
+        expect(merged).toHaveLength(rows.length);
+        expect(merged.find(row => row.year === '2023' && row.metric === 'netMargin').median).toBe(9);
+        expect(listSectors(merged)).toEqual(['Health Care']);
+    });
+
+    it('should find the year, else the latest earlier year, else the earliest', () => {
+        const find = year => findBenchmark(rows, { sector: 'health care', region: 'GCC', year, metric: 'netMargin' })?.year;
+        expect(find('2023')).toBe('2023');
+        expect(find('2025')).toBe('2023');
+        expect(find('2020')).toBe('2022');
+        expect(findBenchmark(rows, { sector: 'Energy', region: 'GCC', year: '2023', metric: 'roe' })).toBeNull();
+    });
+});
+
+describe('percentileOf', () => {
+    const quartiles = { p25: 6, median: 10, p75: 15 };
+
+    it('should interpolate between the quartiles', () => {
+        expect(percentileOf(10, quartiles)).toBe(50);
+        expect(percentileOf(8, quartiles)).toBe(38);
+        expect(percentileOf(12.5, quartiles)).toBe(63);
+    });
+
+    it('should extrapolate beyond the quartiles within 1–99', () => {
+        expect(percentileOf(17, quartiles)).toBe(85);
+        expect(percentileOf(100, quartiles)).toBe(99);
+        expect(percentileOf(-50, quartiles)).toBe(1);
+    });
+
+    it('should band scores by quartile', () => {
+        expect(bandOf(80)).toBe('Top quartile');
+        expect(bandOf(50)).toBe('Second quartile');
+        expect(bandOf(10)).toBe('Bottom quartile');
+    });
+});
+
+describe('scoreAgainstBenchmarks', () => {
+    const data = {
+        years: ['2022', '2023'],
+        revenue: [8616.2, 8713.7],
+        netProfit: [887.8, 892.6],
+        totalEquity: [2243.4, 2462.8],
+        debtToEquity: [1.2, 1.8]
+    };
+
+    it('should score each metric so that 100 is best', () => {
+        const result = scoreAgainstBenchmarks(data, rows, { sector: 'Health Care' });
+        const score = metric => result.scores.find(entry => entry.metric === metric);
+
+        expect(result).toMatchObject({ sector: 'Health Care', region: 'GCC', year: '2023' });
+        expect(score('netMargin')).toMatchObject({ value: 10.24, percentile: 51, score: 51, band: 'Second quartile' });
+        expect(score('debtToEquity')).toMatchObject({ percentile: 75, score: 25, band: 'Third quartile' });
+        expect(score('roe')).toMatchObject({ percentile: 99, band: 'Top quartile' });
+        expect(result.overall).toBe(58);
+    });
+
+    it('should leave metrics without value or benchmark unscored', () => {
+        const result = scoreAgainstBenchmarks(data, rows, { sector: 'Health Care' });
+        expect(result.scores.find(entry => entry.metric === 'quickRatio')).toMatchObject({ score: null, benchmark: null });
+        expect(scoreAgainstBenchmarks(data, rows, { sector: 'Energy' }).overall).toBeNull();
+    });
+});
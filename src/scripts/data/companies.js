@@ -0,0 +1,137 @@
+/**
+ * Company Registry Module
+ * Canonical issuers that reports are linked to, matched by name, alias or ticker
+ */
+
+// Legal forms dropped when comparing names, longest first
+const LEGAL_SUFFIXES = [
+    'saudi joint stock company', 'joint stock company', 'holding company',
+    'company', 'co', 'corporation', 'corp', 'limited', 'ltd', 'inc', 'plc', 'pjsc', 'sjsc', 'llc'
+];
+
+// Registry name of a report that does not name its issuer
+export const UNIDENTIFIED_NAME = 'Unidentified company';
+
+// Names stored when extraction finds none; they do not identify an issuer
+const PLACEHOLDER_NAMES = ['Unknown Company', 'Company', UNIDENTIFIED_NAME];
+
+/**
+ * Display name of a company as extracted, e.g. "AL NAHDI MEDICAL COMPANY" → "Nahdi Medical Company"
+ */
+export function normalizeCompanyName(name) {
+    if (!name) return 'Company';
+    // Remove common prefixes/suffixes and normalize
+    return name
+        .replace(/^(AL\s+)/i, '')           // Remove "AL " prefix
+        .replace(/\s+(COMPANY|CO\.?|LTD\.?|INC\.?)$/i, ' Company')
+        .replace(/\s+/g, ' ')
+        .trim()
+        .split(' ')
+        .map(word => word.charAt(0).toUpperCase() + word.slice(1).toLowerCase())
+        .join(' ');
+}
+
+/**
+ * Comparison key of a company name: lower case, without "Al"/"The", legal form, parentheses or punctuation
+ * "AL NAHDI MEDICAL COMPANY", "Nahdi Medical Co." and "Al-Nahdi Medical" share the key "nahdi medical".
+ */
+export function companyKey(name) {
+    let key = String(name || '')
+        .toLowerCase()
+        .replace(/\(.*?\)/g, ' ')           // "(A Saudi Joint Stock Company)"
+        .replace(/[.,'’&]/g, ' ')
+        .replace(/^(al|the)[\s-]+/, '')
+        .replace(/-/g, ' ')
+        .replace(/\s+/g, ' ')
+        .trim();
+
+    let stripped = true;
+    while (stripped) {
+        stripped = false;
+        for (const suffix of LEGAL_SUFFIXES) {
+            if (key.endsWith(` ${suffix}`)) {
+                key = key.slice(0, -suffix.length - 1).trim();
+                stripped = true;
+                break;
+            }
+        }
+    }
+    return key;
+}
+
+/**
+ * Whether a name identifies an issuer: missing names and placeholders do not
+ */
+export function identifiesCompany(name) {
+    const key = companyKey(name);
+    return key !== '' && !PLACEHOLDER_NAMES.some(placeholder => companyKey(placeholder) === key);
+}
+
+export function normalizeTicker(ticker) {
+    return String(ticker || '').trim().toUpperCase() || null;
+}
+
+/**
+ * Create a registry entry
+ * Without an identifying name the entry is marked unidentified, for the user to name or merge.
+ * @param {Object} fields - name, ticker, sector, currency
+ */
+export function createCompany({ name, ticker = null, sector = null, currency = null }) {
+    const identified = identifiesCompany(name);
+    const canonical = identified ? normalizeCompanyName(name) : UNIDENTIFIED_NAME;
+    return {
+        id: `c${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`,
+        name: canonical,
+        aliases: identified && name !== canonical ? [name] : [],
+        ticker: normalizeTicker(ticker),
+        sector: sector || null,
+        currency: currency || null,
+        unidentified: !identified,
+        createdAt: new Date().toISOString()
+    };
+}
+
+/**
+ * Find the company a report belongs to
+ * A ticker match wins over a name match; names match on the canonical name or any alias.
+ * Placeholder names match nothing, so reports that do not name their issuer are never merged.
+ * @param {Array<Object>} companies - Registry entries
+ * @param {Object} identity - name and/or ticker from the report
+ * @returns {Object|null}
+ */
+export function matchCompany(companies, { name, ticker } = {}) {
+    const symbol = normalizeTicker(ticker);
+    if (symbol) {
+        const byTicker = companies.find(company => company.ticker === symbol);
+        if (byTicker) return byTicker;
+    }
+
+    if (!identifiesCompany(name)) return null;
+    const key = companyKey(name);
+    return companies.find(company =>
+        !company.unidentified &&
+        [company.name, ...(company.aliases || [])].some(alias => companyKey(alias) === key)
+    ) || null;
+}
+
+/**
+ * Add a name to a company's aliases, unless it is already known or a placeholder
+ * @returns {Object} - The same company, or an updated copy
+ */
+export function addAlias(company, name) {
+    const alias = String(name || '').trim();
+    if (!identifiesCompany(alias)) return company;
+    const known = [company.name, ...(company.aliases || [])];
+    if (known.some(existing => existing.toLowerCase() === alias.toLowerCase())) return company;
+    return { ...company, aliases: [...(company.aliases || []), alias] };
+}
+
+export default {
+    normalizeCompanyName,
+    companyKey,
+    identifiesCompany,
+    normalizeTicker,
+    createCompany,
+    matchCompany,
+    addAlias
+};
@@ -0,0 +1,114 @@
+/**
+ * Tests for the Company Registry
+ */
+
+import { describe, it, expect } from 'vitest';
+import { UNIDENTIFIED_NAME, companyKey, identifiesCompany, createCompany, matchCompany, addAlias } from './companies.js';
+
+describe('companyKey', () => {
+    it('should ignore the Al prefix, legal form, case and punctuation', () => {
+        const key = companyKey('AL NAHDI MEDICAL COMPANY');
+        expect(key).toBe('nahdi medical');
+        expect(companyKey('Nahdi Medical Co.')).toBe(key);
+        expect(companyKey('Al-Nahdi Medical')).toBe(key);
+        expect(companyKey('Nahdi Medical Company (A Saudi Joint Stock Company)')).toBe(key);
+    });
+
+    it('should keep names that only start with "al"', () => {
+        expect(companyKey('Almarai Company')).toBe('almarai');
+    });
+
+    it('should return an empty key for missing names', () => {
+        expect(companyKey(null)).toBe('');
+    });
+});
+
+describe('identifiesCompany', () => {
+    it('should reject missing names and the placeholders stored for them', () => {
+        expect(identifiesCompany('Nahdi Medical Company')).toBe(true);
+        expect(identifiesCompany(null)).toBe(false);
+        expect(identifiesCompany('  ')).toBe(false);
+        expect(identifiesCompany('Unknown Company')).toBe(false);
+        expect(identifiesCompany('Company')).toBe(false);
+        expect(identifiesCompany(UNIDENTIFIED_NAME)).toBe(false);
+    });
+});
+
+describe('createCompany', () => {
+    it('should use the display name and keep the extracted name as an alias', () => {
+        const company = createCompany({ name: 'AL NAHDI MEDICAL COMPANY', ticker: ' 4164 ', currency: 'SAR' });
+        expect(company).toMatchObject({
+            name: 'Nahdi Medical Company',
+            aliases: ['AL NAHDI MEDICAL COMPANY'],
+            ticker: '4164',
+            sector: null,
+            currency: 'SAR'
+        });
+        expect(company.id).toMatch(/^c/);
+    });
+
+    it('should mark a company registered without a name as unidentified', () => {
+        expect(createCompany({ name: null, currency: 'SAR' })).toMatchObject({
+            name: UNIDENTIFIED_NAME,
+            aliases: [],
+            currency: 'SAR',
+            unidentified: true
+        });
+        expect(createCompany({ name: 'Unknown Company' })).toMatchObject({ name: UNIDENTIFIED_NAME, aliases: [], unidentified: true });
+        expect(createCompany({ name: 'Almarai' }).unidentified).toBe(false);
+    });
+});
+
+describe('matchCompany', () => {
+    const nahdi = { id: 'c1', name: 'Nahdi Medical Company', aliases: ['NMC Group'], ticker: '4164' };
+    const almarai = { id: 'c2', name: 'Almarai Company', aliases: [], ticker: '2280' };
+    const companies = [nahdi, almarai];
+
+    it('should match on the canonical name', () => {
+        expect(matchCompany(companies, { name: 'AL NAHDI MEDICAL COMPANY' })).toBe(nahdi);
+    });
+
+    it('should match on an alias', () => {
+        expect(matchCompany(companies, { name: 'NMC Group Ltd' })).toBe(nahdi);
+    });
+
+    it('should prefer the ticker over the name', () => {
+        expect(matchCompany(companies, { name: 'Nahdi Medical', ticker: '2280' })).toBe(almarai);
+    });
+
+    it('should not link reports without a name to any company', () => {
+        const unknown = { id: 'c3', name: 'Unknown Company', aliases: [], ticker: null };
+        const unidentified = { id: 'c4', name: UNIDENTIFIED_NAME, aliases: [], ticker: null, unidentified: true };
+        const registry = [...companies, unknown, unidentified];
+
+        expect(matchCompany(registry, { name: null })).toBeNull();
+        expect(matchCompany(registry, { name: '' })).toBeNull();
+        expect(matchCompany(registry, { name: 'Unknown Company' })).toBeNull();
+        expect(matchCompany(registry, { name: 'Company' })).toBeNull();
+        expect(matchCompany(registry, { name: UNIDENTIFIED_NAME })).toBeNull();
+    });
+
+    it('should still link a report without a name by its ticker', () => {
+        expect(matchCompany(companies, { name: 'Unknown Company', ticker: '4164' })).toBe(nahdi);
+    });
+
+    it('should return null for unknown companies', () => {
+        expect(matchCompany(companies, { name: 'Jarir Marketing' })).toBeNull();
+        expect(matchCompany(companies, {})).toBeNull();
+    });
+});
+
+describe('addAlias', () => {
+    const company = { id: 'c1', name: 'Nahdi Medical Company', aliases: ['AL NAHDI MEDICAL COMPANY'] };
+
+    it('should add new spellings', () => {
+        expect(addAlias(company, 'Nahdi Medical Co.').aliases).toEqual(['AL NAHDI MEDICAL COMPANY', 'Nahdi Medical Co.']);
+    });
+
+    it('should return the same company for known names', () => {
+        expect(addAlias(company, 'al nahdi medical company')).toBe(company);
+        expect(addAlias(company, 'Nahdi Medical Company')).toBe(company);
+        expect(addAlias(company, '  ')).toBe(company);
+        expect(addAlias(company, 'Unknown Company')).toBe(company);
+    });
+});
@@ -0,0 +1,244 @@
+/**
+ * Currency Module
+ * Report currencies, the user's display currency and a local, dated FX-rate table
+ * used to convert financial data before it is formatted or charted
+ */
+
+import { AMOUNT_FIELDS } from '../extraction/units.js';
+
+const RATES_KEY = 'wagdy_fx_rates';
+const DISPLAY_KEY = 'wagdy_display_currency';
+
+// Reports extracted before currencies were captured were all Saudi
+export const DEFAULT_CURRENCY = 'SAR';
+
+export const CURRENCIES = {
+    SAR: 'Saudi Riyal',
+    AED: 'UAE Dirham',
+    KWD: 'Kuwaiti Dinar',
+    QAR: 'Qatari Riyal',
+    BHD: 'Bahraini Dinar',
+    OMR: 'Omani Rial',
+    EGP: 'Egyptian Pound',
+    USD: 'US Dollar',
+    EUR: 'Euro',
+    GBP: 'Pound Sterling'
+};
+
+/**
+ * Default FX table: units of each currency per US dollar
+ * GCC currencies are pegged; the others are indicative year-end rates the user can edit
+ */
+export const DEFAULT_RATES = [
+    { currency: 'SAR', rate: 3.75, date: '2020-01-01' },
+    { currency: 'AED', rate: 3.6725, date: '2020-01-01' },
+    { currency: 'QAR', rate: 3.64, date: '2020-01-01' },
+    { currency: 'BHD', rate: 0.376, date: '2020-01-01' },
+    { currency: 'OMR', rate: 0.3845, date: '2020-01-01' },
+    { currency: 'KWD', rate: 0.3075, date: '2024-12-31' },
+    { currency: 'EGP', rate: 50.8, date: '2024-12-31' },
+    { currency: 'EUR', rate: 0.96, date: '2024-12-31' },
+    { currency: 'GBP', rate: 0.8, date: '2024-12-31' }
+];
+
+// Per-share fields converted alongside the amount fields (which are in millions)
+const PER_SHARE_FIELDS = ['eps'];
+const CONVERTED_FIELDS = [...AMOUNT_FIELDS, 'ebitda', 'totalEquity', ...PER_SHARE_FIELDS];
+
+// Figures of a fiscal year are converted at the rate in force at its year end
+const yearEnd = year => `${parseInt(year) || new Date().getFullYear()}-12-31`;
+
+/**
+ * Currency of a dataset, defaulting to SAR for reports extracted before currencies were captured
+ */
+export function currencyOf(data) {
+    return data?.currency || DEFAULT_CURRENCY;
+}
+
+/**
+ * Units of a currency per US dollar on a date
+ * Uses the latest rate dated on or before the date, or the earliest rate for older dates
+ * @param {string} currency - ISO code
+ * @param {string} date - YYYY-MM-DD
+ * @param {Array<{currency: string, rate: number, date: string}>} rates
+ * @returns {{ rate: number, date: string|null }|null} - null when the table has no rate for the currency
+ */
+export function getRate(currency, date, rates) {
+    if (currency === 'USD') return { rate: 1, date: null };
+
+    const entries = rates
+        .filter(entry => entry.currency === currency && entry.rate > 0)
+        .sort((a, b) => a.date.localeCompare(b.date));
+    if (entries.length === 0) return null;
+
+    const effective = entries.filter(entry => entry.date <= date).pop() || entries[0];
+    return { rate: effective.rate, date: effective.date };
+}
+
+/**
+ * Conversion factor from one currency to another on a date
+ * @returns {number|null} - null when either currency has no rate
+ */
+export function getFactor(from, to, date, rates) {
+    if (from === to) return 1;
+    const fromRate = getRate(from, date, rates);
+    const toRate = getRate(to, date, rates);
+    if (!fromRate || !toRate) return null;
+    return toRate.rate / fromRate.rate;
+}
+
+/**
+ * Convert an amount between currencies on a date
+ * @returns {number|null} - null when the amount is missing or a rate is unknown
+ */
+export function convert(amount, from, to, date, rates) {
+    if (amount === null || amount === undefined || isNaN(amount)) return null;
+    const factor = getFactor(from, to, date, rates);
+    return factor === null ? null : amount * factor;
+}
+
+/**
+ * Convert financial data (single year or merged) to a display currency
+ * Amount and per-share fields are converted year by year at each fiscal year-end rate;
+ * ratios and margins are currency-neutral and left unchanged.
+ * @param {Object} data - Financial data in its report currency
+ * @param {string|null} target - Display currency, or null to keep the report currency
+ * @param {Array} rates - FX table
+ * @returns {Object} - Data with `currency` set to the display currency, `reportCurrency`
+ *          to the original one and `_fx` to { from, to, factors: { year: factor } } when converted
+ */
+export function convertFinancialData(data, target, rates) {
+    const from = currencyOf(data);
+    const unchanged = { ...data, currency: from, reportCurrency: from, _fx: null };
+    if (!target || target === from) return unchanged;
+
+    const years = Array.isArray(data.years) ? data.years : [data.fiscalYear];
+    const factors = {};
+    for (const year of years) {
+        const factor = getFactor(from, target, yearEnd(year), rates);
+        // Never show a mix of currencies: without every rate the data stays in its own
+        if (factor === null) return unchanged;
+        factors[year] = factor;
+    }
+
+    const latestYear = years[years.length - 1];
+    const factorOf = year => factors[year] ?? getFactor(from, target, yearEnd(year), rates) ?? factors[latestYear];
+    const scale = (value, year) => (typeof value === 'number' ? value * factorOf(year) : value);
+
+    const result = { ...data, currency: target, reportCurrency: from, _fx: { from, to: target, factors } };
+
+    CONVERTED_FIELDS.forEach(field => {
+        const value = data[field];
+        if (Array.isArray(value)) {
+            result[field] = value.map((v, i) => scale(v, years[i]));
+        } else if (typeof value === 'number') {
+            result[field] = scale(value, latestYear);
+        }
+    });
+
+    // Year-keyed figures
+    ['dividends', 'cashEquivalents'].forEach(field => {
+        if (!data[field]) return;
+        result[field] = Object.fromEntries(
+            Object.entries(data[field]).map(([year, value]) => [year, scale(value, year)])
+        );
+    });
+
+    if (Array.isArray(data.qualitativeEvents)) {
+        result.qualitativeEvents = data.qualitativeEvents.map(event => ({
+            ...event,
+            amount: scale(event.amount, event.year || latestYear)
+        }));
+    }
+
+    return result;
+}
+
+/**
+ * Format an amount in millions, e.g. "SAR 892.6M", "USD 1.24B"
+ * @param {number} millions
+ * @param {string} currency
+ * @param {Object} options - short: switch to billions from 1,000M with two decimals
+ */
+export function formatMoney(millions, currency, { short = false } = {}) {
+    if (millions === null || millions === undefined || isNaN(millions)) return '-';
+    if (short && Math.abs(millions) >= 1000) return `${currency} ${(millions / 1000).toFixed(2)}B`;
+    if (short) return `${currency} ${Number(millions).toFixed(1)}M`;
+    return `${currency} ${new Intl.NumberFormat('en-US', { maximumFractionDigits: 1 }).format(millions)}M`;
+}
+
+/**
+ * Validate FX-table rows as edited by the user
+ * @returns {string[]} - Error messages, empty when valid
+ */
+export function validateRates(rates) {
+    const errors = [];
+    const seen = new Set();
+    rates.forEach((entry, i) => {
+        const row = `Row ${i + 1}`;
+        if (!/^[A-Z]{3}$/.test(entry.currency || '')) errors.push(`${row}: currency must be a 3-letter code`);
+        if (entry.currency === 'USD') errors.push(`${row}: rates are per US dollar, USD needs no rate`);
+        if (!(entry.rate > 0)) errors.push(`${row}: rate must be a positive number`);
+        if (!/^\d{4}-\d{2}-\d{2}$/.test(entry.date || '')) errors.push(`${row}: date must be YYYY-MM-DD`);
+
+        const key = `${entry.currency}|${entry.date}`;
+        if (seen.has(key)) errors.push(`${row}: duplicate rate for ${entry.currency} on ${entry.date}`);
+        seen.add(key);
+    });
+    return errors;
+}
+
+/**
+ * Load the FX table, falling back to the default rates
+ */
+export function loadRates() {
+    try {
+        const stored = JSON.parse(localStorage.getItem(RATES_KEY));
+        return Array.isArray(stored) ? stored : DEFAULT_RATES;
+    } catch (e) {
+        console.error('Failed to load FX rates:', e);
+        return DEFAULT_RATES;
+    }
+}
+
+/**
+ * Save the FX table
+ * @throws {Error} - When a row is invalid
+ */
+export function saveRates(rates) {
+    const errors = validateRates(rates);
+    if (errors.length > 0) throw new Error(errors.join('\n'));
+    localStorage.setItem(RATES_KEY, JSON.stringify(rates));
+}
+
+/**
+ * Display currency chosen by the user, or null to show each report in its own currency
+ */
+export function getDisplayCurrency() {
+    return localStorage.getItem(DISPLAY_KEY) || null;
+}
+
+export function setDisplayCurrency(currency) {
+    if (currency) {
+        localStorage.setItem(DISPLAY_KEY, currency);
+    } else {
+        localStorage.removeItem(DISPLAY_KEY);
+    }
+}
+
+export default {
+    DEFAULT_CURRENCY,
+    CURRENCIES,
+    DEFAULT_RATES,
+    currencyOf,
+    getRate,
+    getFactor,
+    convert,
+    convertFinancialData,
+    formatMoney,
+    validateRates,
+    loadRates,
+    saveRates,
+    getDisplayCurrency,
+    setDisplayCurrency
+};
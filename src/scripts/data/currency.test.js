@@ -0,0 +1,117 @@
+/**
+ * Tests for Currency Conversion
+ */
+
+import { describe, it, expect } from 'vitest';
+import { getRate, getFactor, convert, convertFinancialData, formatMoney, validateRates, currencyOf } from './currency.js';
+
+const RATES = [
+    { currency: 'SAR', rate: 3.75, date: '2020-01-01' },
+    { currency: 'AED', rate: 3.6725, date: '2020-01-01' },
+    { currency: 'EGP', rate: 15.7, date: '2021-01-01' },
+    { currency: 'EGP', rate: 30.9, date: '2023-06-30' },
+    { currency: 'EGP', rate: 50.8, date: '2024-12-31' }
+];
+
+describe('getRate', () => {
+    it('should use the latest rate dated on or before the date', () => {
+        expect(getRate('EGP', '2022-12-31', RATES)).toEqual({ rate: 15.7, date: '2021-01-01' });
+        expect(getRate('EGP', '2023-12-31', RATES)).toEqual({ rate: 30.9, date: '2023-06-30' });
+        expect(getRate('EGP', '2024-12-31', RATES)).toEqual({ rate: 50.8, date: '2024-12-31' });
+    });
+
+    it('should fall back to the earliest rate for older dates', () => {
+        expect(getRate('EGP', '2019-12-31', RATES).rate).toBe(15.7);
+    });
+
+    it('should treat USD as the base and unknown currencies as missing', () => {
+        expect(getRate('USD', '2024-12-31', RATES).rate).toBe(1);
+        expect(getRate('KWD', '2024-12-31', RATES)).toBeNull();
+    });
+});
+
+describe('convert', () => {
+    it('should convert through the US dollar', () => {
+        expect(convert(375, 'SAR', 'USD', '2024-12-31', RATES)).toBeCloseTo(100, 6);
+        expect(convert(100, 'SAR', 'AED', '2024-12-31', RATES)).toBeCloseTo(97.933, 3);
+        expect(getFactor('SAR', 'SAR', '2024-12-31', [])).toBe(1);
+    });
+
+    it('should return null for missing amounts or rates', () => {
+        expect(convert(null, 'SAR', 'USD', '2024-12-31', RATES)).toBeNull();
+        expect(convert(100, 'KWD', 'USD', '2024-12-31', RATES)).toBeNull();
+    });
+});
+
+describe('convertFinancialData', () => {
+    const data = {
+        companyName: 'Example Pharma',
+        currency: 'EGP',
+        years: ['2022', '2023', '2024'],
+        revenue: [1570, 3090, 5080],
+        netMargin: [10, 11, 12],
+        currentRatio: [1.5, 1.6, 1.7],
+        eps: [1.57, 3.09, 5.08],
+        dividends: { 2024: 2.54 },
+        qualitativeEvents: [{ description: 'FX loss', amount: -30900000, year: '2023' }]
+    };
+
+    it('should convert each year at its year-end rate', () => {
+        const result = convertFinancialData(data, 'USD', RATES);
+        expect(result.revenue.map(v => Math.round(v))).toEqual([100, 100, 100]);
+        expect(result.eps[2]).toBeCloseTo(0.1, 6);
+        expect(result.dividends[2024]).toBeCloseTo(0.05, 6);
+        expect(result.qualitativeEvents[0].amount).toBeCloseTo(-1000000, 0);
+    });
+
+    it('should leave ratios and margins unchanged', () => {
+        const result = convertFinancialData(data, 'USD', RATES);
+        expect(result.netMargin).toEqual(data.netMargin);
+        expect(result.currentRatio).toEqual(data.currentRatio);
+    });
+
+    it('should record the report currency and conversion factors', () => {
+        const result = convertFinancialData(data, 'USD', RATES);
+        expect(result.currency).toBe('USD');
+        expect(result.reportCurrency).toBe('EGP');
+        expect(result._fx.factors['2022']).toBeCloseTo(1 / 15.7, 6);
+    });
+
+    it('should keep the report currency without a target or a rate', () => {
+        expect(convertFinancialData(data, null, RATES)).toMatchObject({ currency: 'EGP', revenue: data.revenue, _fx: null });
+        expect(convertFinancialData(data, 'KWD', RATES)).toMatchObject({ currency: 'EGP', revenue: data.revenue });
+    });
+
+    it('should default legacy reports to SAR', () => {
+        expect(currencyOf({})).toBe('SAR');
+        const result = convertFinancialData({ years: ['2024'], revenue: [3750] }, 'USD', RATES);
+        expect(result.revenue[0]).toBeCloseTo(1000, 6);
+    });
+});
+
+describe('formatMoney', () => {
+    it('should format millions with the currency code', () => {
+        expect(formatMoney(892.64, 'SAR')).toBe('SAR 892.6M');
+        expect(formatMoney(984.2, 'USD', { short: true })).toBe('USD 984.2M');
+        expect(formatMoney(1240, 'AED', { short: true })).toBe('AED 1.24B');
+        expect(formatMoney(null, 'SAR')).toBe('-');
+    });
+});
+
+describe('validateRates', () => {
+    it('should accept a valid table', () => {
+        expect(validateRates(RATES)).toEqual([]);
+    });
+
+    it('should reject malformed rows and duplicates', () => {
+        const errors = validateRates([
+            { currency: 'sar', rate: 3.75, date: '2024-01-01' },
+            { currency: 'KWD', rate: 0, date: '2024-01-01' },
+            { currency: 'EGP', rate: 50, date: '31/12/2024' },
+            { currency: 'AED', rate: 3.67, date: '2024-01-01' },
+            { currency: 'AED', rate: 3.68, date: '2024-01-01' }
+        ]);
+        expect(errors).toHaveLength(4);
+        expect(errors[3]).toContain('duplicate');
+    });
+});
@@ -4,70 +4,83 @@
  * Data sources: 2022-2023 from annual reports, 2021 simulated
  */
 
-import { getCurrentReport } from '../components/reportStore.js';
+import { getCurrentReport, getCompanyReports } from '../components/reportStore.js';
+import { getCompany } from '../components/companyStore.js';
+import { convertFinancialData, getDisplayCurrency, loadRates } from './currency.js';
+import { normalizeCompanyName } from './companies.js';
+import { buildHistory } from './history.js';
+import { findRestatements } from './restatements.js';
+import { LINE_ITEM_FIELDS, completeStatements } from './statementModel.js';
+import { applyEstimatePolicy } from './provenance.js';
 
 /**
- * Get current financial data (from report or demo)
+ * Get current financial data (from report or demo), converted to the display currency
+ * When the current report's company has other reports, its whole history is shown.
+ * Estimates are labelled in `_estimates`, or removed when the user hides them.
  */
 export function getFinancialData() {
     const report = getCurrentReport();
+    const data = report && report.extractedData
+        ? transformExtractedData(getReportHistory(report))
+        : demoFinancialData;
 
-    if (report && report.extractedData) {
-        return transformExtractedData(report.extractedData);
-    }
+    return convertFinancialData(applyEstimatePolicy(data), getDisplayCurrency(), loadRates());
+}
+
+/**
+ * Financial data of a stored company over its whole history, e.g. to compare it with peers
+ * @param {string} companyId
+ * @param {string|null} [currency] - Currency to convert to; the display currency by default
+ * @returns {Object|null} - null when no report of the company has extracted data
+ */
+export function getCompanyFinancialData(companyId, currency = getDisplayCurrency()) {
+    const report = getCompanyReports(companyId).find(r => r.extractedData);
+    if (!report) return null;
 
-    return demoFinancialData;
+    const data = transformExtractedData(getReportHistory(report));
+    return convertFinancialData(applyEstimatePolicy(data), currency, loadRates());
 }
 
 /**
- * Normalize company name for comparison
+ * Extracted data of a report, merged with the other reports of its company
+ * Years covered twice come from the source chosen for the company, or the latest upload.
+ * Figures later reports restated are listed in `_restatements`.
  */
-function normalizeCompanyName(name) {
-    if (!name) return 'Company';
-    // Remove common prefixes/suffixes and normalize
-    return name
-        .replace(/^(AL\s+)/i, '')           // Remove "AL " prefix
-        .replace(/\s+(COMPANY|CO\.?|LTD\.?|INC\.?)$/i, ' Company')
-        .replace(/\s+/g, ' ')
-        .trim()
-        .split(' ')
-        .map(word => word.charAt(0).toUpperCase() + word.slice(1).toLowerCase())
-        .join(' ');
+function getReportHistory(report) {
+    const companyReports = report.companyId ? getCompanyReports(report.companyId) : [];
+    if (companyReports.length < 2) return report.extractedData;
+
+    const yearSources = getCompany(report.companyId)?.yearSources;
+    return {
+        ...buildHistory(companyReports, yearSources),
+        _restatements: findRestatements(companyReports, yearSources)
+    };
 }
 
 /**
  * Helper to extract value from AI data (handles both { value: X } and raw X formats)
+ * Figures the report does not state stay null, so they show as not available rather than 0.
  */
-function getValue(field, defaultVal = 0) {
-    if (field === null || field === undefined) return defaultVal;
+export function getValue(field) {
+    if (field === null || field === undefined) return null;
     if (typeof field === 'number') return field;
     if (typeof field === 'object' && field.value !== undefined) {
-        return typeof field.value === 'number' ? field.value : defaultVal;
+        return typeof field.value === 'number' ? field.value : null;
     }
     if (typeof field === 'string') {
         const parsed = parseFloat(field.replace(/[^0-9.-]/g, ''));
-        return isNaN(parsed) ? defaultVal : parsed;
+        return isNaN(parsed) ? null : parsed;
     }
-    return defaultVal;
-}
-
-/**
- * Helper to normalize values to millions SAR
- * If value > 100,000, assume it's in raw SAR and convert to millions
- */
-function toMillions(value) {
-    if (!value || value === 0) return 0;
-    // If > 100,000, likely in raw SAR, convert to millions
-    if (Math.abs(value) > 100000) return value / 1000000;
-    return value;
+    return null;
 }
 
 /**
  * Transform AI-extracted data to chart format
  */
-function transformExtractedData(data) {
+export function transformExtractedData(extracted) {
     // Check if this is already merged/transformed data (has arrays)
-    if (data.years && Array.isArray(data.years) && data.years.length > 0 && Array.isArray(data.revenue)) {
+    if (extracted.years && Array.isArray(extracted.years) && extracted.years.length > 0 && Array.isArray(extracted.revenue)) {
+        const data = extracted;
         console.log('Data is already in merged format, passing through:', data);
         // Normalize company name and return as-is
         return {
@@ -81,49 +94,55 @@ function transformExtractedData(data) {
     }
 
     // Debug: log raw extracted data
-    console.log('Raw extracted data:', JSON.stringify(data, null, 2));
+    console.log('Raw extracted data:', JSON.stringify(extracted, null, 2));
 
-    // Extract values with helpers that handle both formats
-    const revenue = toMillions(getValue(data.revenue));
-    const netProfit = toMillions(getValue(data.netProfit));
-    const grossMargin = getValue(data.grossMargin);
-    const totalLiabilities = toMillions(getValue(data.totalLiabilities));
-    const shareholderEquity = toMillions(getValue(data.shareholderEquity));
-    const currentAssets = toMillions(getValue(data.currentAssets));
-    const currentLiabilities = toMillions(getValue(data.currentLiabilities));
+    // Free cash flow, gross profit and EBITDA are derived from reported line items when not printed
+    const data = completeStatements(extracted);
 
-    // Calculate derived metrics with fallbacks
+    // Extraction amounts are already in millions: extraction normalises them from the unit
+    // each statement declares (see extraction/units.js)
+    const revenue = getValue(data.revenue);
+    const netProfit = getValue(data.netProfit);
+    const grossMargin = getValue(data.grossMargin);
+    const totalLiabilities = getValue(data.totalLiabilities);
+    const shareholderEquity = getValue(data.shareholderEquity);
+    const currentAssets = getValue(data.currentAssets);
+    const currentLiabilities = getValue(data.currentLiabilities);
+    const dividends = getValue(data.dividends);
+    const cash = getValue(data.cashEquivalents ?? data.cash);
+
+    // Calculate derived metrics with fallbacks, only from figures the report states
     let netMargin = getValue(data.netMargin);
-    if (!netMargin && revenue > 0) {
+    if (netMargin === null && netProfit !== null && revenue > 0) {
         netMargin = (netProfit / revenue) * 100;
     }
 
     let currentRatio = getValue(data.currentRatio);
-    if (!currentRatio && currentLiabilities > 0) {
+    if (currentRatio === null && currentAssets !== null && currentLiabilities > 0) {
         currentRatio = currentAssets / currentLiabilities;
     }
 
     let debtToEquity = getValue(data.debtToEquity);
-    if (!debtToEquity && shareholderEquity > 0) {
+    if (debtToEquity === null && totalLiabilities !== null && shareholderEquity > 0) {
         debtToEquity = totalLiabilities / shareholderEquity;
     }
 
     let roe = getValue(data.roe);
-    if (!roe && shareholderEquity > 0) {
+    if (roe === null && netProfit !== null && shareholderEquity > 0) {
         roe = (netProfit / shareholderEquity) * 100;
     }
 
     // Debug: log calculated values with explicit formatting
     console.log(`Transformed values for ${data.companyName} (${data.fiscalYear}):
-    - revenue: ${revenue}M SAR
-    - netProfit: ${netProfit}M SAR
+    - revenue: ${revenue}M ${data.currency || ''}
+    - netProfit: ${netProfit}M ${data.currency || ''}
     - grossMargin: ${grossMargin}%
     - netMargin: ${netMargin?.toFixed(2)}%
     - currentRatio: ${currentRatio?.toFixed(2)}x
     - debtToEquity: ${debtToEquity?.toFixed(2)}x
     - ROE: ${roe?.toFixed(2)}%
-    - totalLiabilities: ${totalLiabilities}M SAR
-    - shareholderEquity: ${shareholderEquity}M SAR`);
+    - totalLiabilities: ${totalLiabilities}M ${data.currency || ''}
+    - shareholderEquity: ${shareholderEquity}M ${data.currency || ''}`);
 
     // Create single-year data arrays (for charts that expect arrays)
     const year = data.fiscalYear || 'N/A';
@@ -133,42 +152,38 @@ function transformExtractedData(data) {
         companyName: companyName,
         fiscalYear: year,
         years: [year],
+        currency: data.currency || null,
 
-        // Revenue in millions SAR
+        // Statement line items (millions), null when the report does not print them
+        ...Object.fromEntries([...LINE_ITEM_FIELDS, 'ebitda'].map(field => [field, [getValue(data[field])]])),
+
+        // Revenue in millions of the report currency
         revenue: [revenue],
 
         // Profitability Margins (%)
         grossMargin: [grossMargin],
         netMargin: [netMargin],
 
-        // Net Profit in millions SAR
+        // Net Profit in millions of the report currency
         netProfit: [netProfit],
 
         // Liquidity Ratios
         currentRatio: [currentRatio],
         debtToEquity: [debtToEquity],
 
-        // Balance Sheet Items (millions SAR)
+        // Balance Sheet Items (millions)
         totalLiabilities: [totalLiabilities],
         totalEquity: [shareholderEquity],
 
-        // Cash Flow - use estimates if not available
-        operatingCashFlow: [data.operatingCashFlow?.value || netProfit * 1.2],
-        investingCashFlow: [data.investingCashFlow?.value || -netProfit * 0.3],
-        financingCashFlow: [data.financingCashFlow?.value || -netProfit * 0.5],
-
-        // Free Cash Flow
-        fcf: [data.fcf?.value || netProfit * 0.9],
-
-        // Revenue Segments (%)
-        segmentPharma: data.segmentPharma || 65,
-        segmentFrontShop: data.segmentFrontShop || 35,
+        // Revenue Segments (%), only when the report breaks revenue down
+        segmentPharma: getValue(data.segmentPharma),
+        segmentFrontShop: getValue(data.segmentFrontShop),
 
         // Additional metrics
         roe: roe,
-        eps: data.eps?.value || 0,
-        dividends: data.dividends ? { [year]: getValue(data.dividends) } : null,
-        cashEquivalents: data.cashEquivalents ? { [year]: toMillions(getValue(data.cashEquivalents)) } : null,
+        eps: getValue(data.eps),
+        dividends: dividends !== null ? { [year]: dividends } : null,
+        cashEquivalents: cash !== null ? { [year]: cash } : null,
 
         // Raw extracted data for reference
         _extracted: data
@@ -182,6 +197,7 @@ const demoFinancialData = {
     companyName: 'Nahdi Medical Company',
     fiscalYear: '2023',
     years: ['2021', '2022', '2023'],
+    currency: 'SAR',
 
     // Revenue in millions SAR
     revenue: [8250, 8616.2, 8713.7],
@@ -204,7 +220,7 @@ const demoFinancialData = {
     // Cash Flow (millions SAR)
     operatingCashFlow: [1450, 1667.9, 1368.7],
     investingCashFlow: [-280, -275.2, -384.5],
-    financingCashFlow: [-720, -650, -700], // Estimated
+    financingCashFlow: [-720, -650, -700],
 
     // Free Cash Flow (millions SAR)
     fcf: [1180, 1392.6, 984.2],
@@ -224,62 +240,17 @@ const demoFinancialData = {
         2021: 5.00,
         2022: 5.50,
         2023: 6.00
-    }
-};
-
-/**
- * KPI Configuration with labels and trends
- */
-export const kpiConfig = [
-    {
-        id: 'netProfitMargin',
-        label: 'Net Profit Margin',
-        value: '10.24%',
-        trend: 'negative',
-        trendValue: '-0.06% vs 2022',
-        subtitle: 'Stable profitability'
-    },
-    {
-        id: 'roe',
-        label: 'Return on Equity (ROE)',
-        value: '36.24%',
-        trend: 'negative',
-        trendValue: '-3.33% vs 2022',
-        subtitle: 'Still strong performance'
-    },
-    {
-        id: 'currentRatio',
-        label: 'Current Ratio',
-        value: '1.69x',
-        trend: 'negative',
-        trendValue: '-0.01 vs 2022',
-        subtitle: 'Healthy liquidity position'
     },
-    {
-        id: 'debtToEquity',
-        label: 'Debt-to-Equity Ratio',
-        value: '1.18x',
-        trend: 'positive',
-        trendValue: '-0.02 vs 2022',
-        subtitle: 'Improving capital structure'
-    },
-    {
-        id: 'revenueCagr',
-        label: 'Revenue CAGR (YoY)',
-        value: '1.13%',
-        trend: 'positive',
-        trendValue: 'Growth maintained',
-        subtitle: 'Modest revenue expansion'
-    },
-    {
-        id: 'fcf',
-        label: 'Free Cash Flow (Est.)',
-        value: '984.2M',
-        trend: 'negative',
-        trendValue: '-29.3% vs 2022',
-        subtitle: 'SAR • Increased CapEx'
+
+    // Figures not taken from the annual reports
+    _estimates: {
+        financingCashFlow: {
+            2021: 'Simulated year',
+            2022: 'Estimated for the demo dataset',
+            2023: 'Estimated for the demo dataset'
+        }
     }
-];
+};
 
 /**
  * Qualitative events data
@@ -318,4 +289,4 @@ export const qualitativeEvents = [
 // Backward compatibility - static reference
 export const financialData = demoFinancialData;
 
-export default { getFinancialData, financialData: demoFinancialData };
+export default { getFinancialData, getCompanyFinancialData, transformExtractedData, financialData: demoFinancialData };
@@ -0,0 +1,290 @@
+/**
+ * Forecast Module
+ * Three- to five-year projections of revenue, net margin, net profit and free cash flow by linear
+ * trend, historical CAGR or the user's drivers, under base, bull and bear scenarios
+ *
+ * Every method projects revenue and a net margin; net profit is revenue × margin and free cash flow
+ * is net profit × the cash conversion (FCF ÷ Net profit), so the three charts stay consistent.
+ */
+
+import { figureOf } from './statements.js';
+
+export const FORECAST_METHODS = {
+    trend: {
+        label: 'Linear trend',
+        description: 'Extends the least-squares line through historical revenue and net margin.'
+    },
+    cagr: {
+        label: 'Historical CAGR',
+        description: 'Grows revenue at its compound annual growth rate and holds the average net margin.'
+    },
+    driver: {
+        label: 'Driver-based',
+        description: 'Applies your revenue growth, net margin and cash conversion assumptions.'
+    }
+};
+
+export const FORECAST_HORIZON = { min: 3, max: 5 };
+
+export const SCENARIOS = {
+    base: 'Base',
+    bull: 'Bull',
+    bear: 'Bear'
+};
+
+/**
+ * Default assumptions
+ * Driver inputs left null are taken from history (CAGR, latest net margin, average cash conversion).
+ * Scenario shifts are percentage points added to the yearly revenue growth and to the net margin.
+ */
+export const DEFAULT_FORECAST_ASSUMPTIONS = {
+    method: 'cagr',
+    horizon: 5,
+    scenario: 'base',
+    showOnCharts: true,
+    growth: null,
+    netMargin: null,
+    fcfConversion: null,
+    scenarios: {
+        bull: { growth: 3, margin: 1 },
+        bear: { growth: -3, margin: -1.5 }
+    }
+};
+
+// Bounds of the user's inputs, in percent
+const LIMITS = {
+    growth: { min: -50, max: 100 },
+    netMargin: { min: -100, max: 100 },
+    fcfConversion: { min: -200, max: 300 },
+    shift: { min: -50, max: 50 }
+};
+
+const round = (value, decimals = 2) => Math.round(value * 10 ** decimals) / 10 ** decimals;
+
+function yearsOf(data) {
+    return Array.isArray(data.years) ? data.years.map(String) : [String(data.fiscalYear)];
+}
+
+/**
+ * Historical revenue, net profit, free cash flow and net margin, aligned with the fiscal years
+ */
+function historyOf(data) {
+    const years = yearsOf(data);
+    const series = field => years.map(year => figureOf(data, field, year));
+    const revenue = series('revenue');
+    const netProfit = series('netProfit');
+    return {
+        years,
+        revenue,
+        netProfit,
+        fcf: series('fcf'),
+        netMargin: revenue.map((value, i) => (value && netProfit[i] !== null ? (netProfit[i] / value) * 100 : null))
+    };
+}
+
+/**
+ * Points of a series with a value, as [index, value]
+ */
+function pointsOf(series) {
+    return series.map((value, i) => [i, value]).filter(([, value]) => value !== null);
+}
+
+/**
+ * Least-squares line through [x, y] points
+ * @returns {{ slope: number, intercept: number }|null}
+ */
+export function linearTrend(points) {
+    if (points.length < 2) return null;
+    const n = points.length;
+    const meanX = points.reduce((sum, [x]) => sum + x, 0) / n;
+    const meanY = points.reduce((sum, [, y]) => sum + y, 0) / n;
+    const sxx = points.reduce((sum, [x]) => sum + (x - meanX) ** 2, 0);
+    const sxy = points.reduce((sum, [x, y]) => sum + (x - meanX) * (y - meanY), 0);
+    const slope = sxx ? sxy / sxx : 0;
+    return { slope, intercept: meanY - slope * meanX };
+}
+
+/**
+ * Compound annual growth rate between the first and last positive values, in percent
+ * @returns {number|null}
+ */
+export function cagr(series) {
+    const points = pointsOf(series).filter(([, value]) => value > 0);
+    if (points.length < 2) return null;
+    const [[firstIndex, first], [lastIndex, last]] = [points[0], points[points.length - 1]];
+    return round(((last / first) ** (1 / (lastIndex - firstIndex)) - 1) * 100);
+}
+
+/**
+ * Drivers implied by history: revenue CAGR, latest and average net margin, average cash conversion
+ * Cash conversion averages FCF ÷ Net profit over the years with a positive profit.
+ * @returns {{ growth, netMargin, averageMargin, fcfConversion }} - Percent, null when not available
+ */
+export function historicalDrivers(data) {
+    const history = historyOf(data);
+    const margins = history.netMargin.filter(value => value !== null);
+    const conversions = history.fcf
+        .map((fcf, i) => (fcf !== null && history.netProfit[i] > 0 ? (fcf / history.netProfit[i]) * 100 : null))
+        .filter(value => value !== null);
+    const average = values => (values.length ? round(values.reduce((sum, value) => sum + value, 0) / values.length) : null);
+
+    return {
+        growth: cagr(history.revenue),
+        netMargin: margins.length ? round(margins[margins.length - 1]) : null,
+        averageMargin: average(margins),
+        fcfConversion: average(conversions)
+    };
+}
+
+/**
+ * Methods a company's history supports: trend and CAGR need two years of revenue
+ */
+export function availableMethods(data) {
+    const revenueYears = pointsOf(historyOf(data).revenue).length;
+    return Object.keys(FORECAST_METHODS).filter(method => method === 'driver' || revenueYears >= 2);
+}
+
+/**
+ * Project one scenario
+ * @param {Object} data - Dashboard data
+ * @param {Object} [assumptions] - As DEFAULT_FORECAST_ASSUMPTIONS; `scenario` picks the shifts applied
+ * @returns {Object|null} - { method, scenario, baseYear, years, revenue, growth, netMargin, netProfit, fcf,
+ *          drivers: { growth, netMargin, fcfConversion } }, null without a revenue figure.
+ *          `method` is 'driver' when history does not support the method asked for. netMargin and netProfit
+ *          are null without a net margin, and fcf without a cash conversion, from history or the user.
+ */
+export function forecast(data, assumptions = {}) {
+    const settings = normalizeForecastAssumptions(assumptions);
+    const history = historyOf(data);
+    const last = pointsOf(history.revenue).pop();
+    if (!last) return null;
+
+    const method = availableMethods(data).includes(settings.method) ? settings.method : 'driver';
+    const drivers = historicalDrivers(data);
+    const shift = settings.scenario === 'base' ? { growth: 0, margin: 0 } : settings.scenarios[settings.scenario];
+
+    const [lastIndex, lastRevenue] = last;
+    const baseYear = Number(history.years[lastIndex]);
+    const steps = Array.from({ length: settings.horizon }, (_, i) => i + 1);
+
+    let revenue;
+    let netMargin = null;
+    let fcfConversion = drivers.fcfConversion;
+    let growth = null;
+
+    if (method === 'trend') {
+        const revenueLine = linearTrend(pointsOf(history.revenue));
+        const marginLine = linearTrend(pointsOf(history.netMargin));
+        revenue = steps.map(t => Math.max(0, revenueLine.intercept + revenueLine.slope * (lastIndex + t)) * (1 + shift.growth / 100) ** t);
+        if (marginLine || drivers.netMargin !== null) {
+            netMargin = steps.map(t => (marginLine
+                ? marginLine.intercept + marginLine.slope * (lastIndex + t)
+                : drivers.netMargin) + shift.margin);
+        }
+    } else {
+        growth = (method === 'cagr' ? drivers.growth : settings.growth ?? drivers.growth) ?? 0;
+        const margin = method === 'cagr' ? drivers.averageMargin : settings.netMargin ?? drivers.netMargin;
+        if (method === 'driver' && settings.fcfConversion !== null) fcfConversion = settings.fcfConversion;
+
+        revenue = steps.map(t => lastRevenue * (1 + (growth + shift.growth) / 100) ** t);
+        if (margin !== null) netMargin = steps.map(() => margin + shift.margin);
+    }
+
+    // Profit and FCF are not projected on margins or cash conversions nobody stated
+    const netProfit = netMargin && revenue.map((value, i) => (value * netMargin[i]) / 100);
+    const fcf = netProfit && fcfConversion !== null ? netProfit.map(value => (value * fcfConversion) / 100) : null;
+    const previous = [lastRevenue, ...revenue];
+
+    return {
+        method,
+        scenario: settings.scenario,
+        baseYear: String(baseYear),
+        years: steps.map(t => String(baseYear + t)),
+        revenue: revenue.map(value => round(value, 1)),
+        growth: revenue.map((value, i) => (previous[i] ? round(((value - previous[i]) / previous[i]) * 100) : null)),
+        netMargin: netMargin && netMargin.map(value => round(value)),
+        netProfit: netProfit && netProfit.map(value => round(value, 1)),
+        fcf: fcf && fcf.map(value => round(value, 1)),
+        drivers: {
+            growth: growth === null ? null : round(growth + shift.growth),
+            netMargin: netMargin && round(netMargin[0]),
+            fcfConversion: fcfConversion === null ? null : round(fcfConversion)
+        }
+    };
+}
+
+/**
+ * Project the base, bull and bear scenarios with the same method and horizon
+ * @returns {{ base, bull, bear }|null} - As returned by forecast
+ */
+export function forecastScenarios(data, assumptions = {}) {
+    const projections = Object.fromEntries(Object.keys(SCENARIOS).map(scenario => [
+        scenario,
+        forecast(data, { ...assumptions, scenario })
+    ]));
+    return projections.base ? projections : null;
+}
+
+/**
+ * Validate forecast assumptions
+ * @returns {string[]} - Error messages, empty when valid
+ */
+export function validateForecastAssumptions(assumptions) {
+    const errors = [];
+    const inRange = (value, { min, max }) => Number.isFinite(value) && value >= min && value <= max;
+
+    if (!FORECAST_METHODS[assumptions.method]) errors.push(`Unknown forecast method "${assumptions.method}"`);
+    if (!Number.isInteger(assumptions.horizon) || assumptions.horizon < FORECAST_HORIZON.min || assumptions.horizon > FORECAST_HORIZON.max) {
+        errors.push(`Horizon must be ${FORECAST_HORIZON.min} to ${FORECAST_HORIZON.max} years`);
+    }
+    if (!SCENARIOS[assumptions.scenario]) errors.push(`Unknown scenario "${assumptions.scenario}"`);
+
+    const labels = { growth: 'Revenue growth', netMargin: 'Net margin', fcfConversion: 'Cash conversion' };
+    Object.entries(labels).forEach(([key, label]) => {
+        const value = assumptions[key];
+        if (value !== null && value !== undefined && !inRange(value, LIMITS[key])) {
+            errors.push(`${label} must be between ${LIMITS[key].min}% and ${LIMITS[key].max}%`);
+        }
+    });
+
+    ['bull', 'bear'].forEach(scenario => {
+        const shift = assumptions.scenarios?.[scenario] || {};
+        if (!inRange(shift.growth, LIMITS.shift) || !inRange(shift.margin, LIMITS.shift)) {
+            errors.push(`${SCENARIOS[scenario]} shifts must be between ${LIMITS.shift.min} and ${LIMITS.shift.max} points`);
+        }
+    });
+
+    return errors;
+}
+
+/**
+ * Complete stored assumptions with the defaults
+ */
+export function normalizeForecastAssumptions(assumptions) {
+    const stored = assumptions && typeof assumptions === 'object' ? assumptions : {};
+    const defaults = DEFAULT_FORECAST_ASSUMPTIONS;
+    const merged = {
+        ...defaults,
+        ...stored,
+        scenarios: {
+            bull: { ...defaults.scenarios.bull, ...stored.scenarios?.bull },
+            bear: { ...defaults.scenarios.bear, ...stored.scenarios?.bear }
+        }
+    };
+    return validateForecastAssumptions(merged).length === 0 ? merged : { ...defaults, scenarios: { ...defaults.scenarios } };
+}
+
+export default {
+    FORECAST_METHODS,
+    FORECAST_HORIZON,
+    SCENARIOS,
+    DEFAULT_FORECAST_ASSUMPTIONS,
+    linearTrend,
+    cagr,
+    historicalDrivers,
+    availableMethods,
+    forecast,
+    forecastScenarios,
+    validateForecastAssumptions,
+    normalizeForecastAssumptions
+};
@@ -0,0 +1,119 @@
+/**
+ * Tests for the Forecast module
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+    DEFAULT_FORECAST_ASSUMPTIONS,
+    linearTrend,
+    cagr,
+    historicalDrivers,
+    availableMethods,
+    forecast,
+    forecastScenarios,
+    validateForecastAssumptions,
+    normalizeForecastAssumptions
+} from './forecast.js';
+
+// 10% growth, 10% net margin, 80% cash conversion
+const data = {
+    years: ['2021', '2022', '2023'],
+    revenue: [1000, 1100, 1210],
+    netProfit: [100, 110, 121],
+    fcf: [80, 88, 96.8]
+};
+
+describe('helpers', () => {
+    it('should fit a least-squares line', () => {
+        expect(linearTrend([[0, 1], [1, 3], [2, 5]])).toEqual({ slope: 2, intercept: 1 });
+        expect(linearTrend([[0, 1]])).toBeNull();
+    });
+
+    it('should compute the CAGR between the first and last positive values', () => {
+        expect(cagr([1000, null, 1210])).toBe(10);
+        expect(cagr([null, 1000])).toBeNull();
+    });
+
+    it('should derive the historical drivers', () => {
+        expect(historicalDrivers(data)).toEqual({ growth: 10, netMargin: 10, averageMargin: 10, fcfConversion: 80 });
+    });
+
+    it('should only offer trend and CAGR with two years of revenue', () => {
+        expect(availableMethods(data)).toEqual(['trend', 'cagr', 'driver']);
+        expect(availableMethods({ years: ['2023'], revenue: [1210] })).toEqual(['driver']);
+    });
+});
+
+describe('forecast', () => {
+    it('should grow revenue at the historical CAGR by default', () => {
+        const result = forecast(data);
+        expect(result).toMatchObject({ method: 'cagr', scenario: 'base', baseYear: '2023' });
+        expect(result.years).toEqual(['2024', '2025', '2026', '2027', '2028']);
+        expect(result.revenue.slice(0, 3)).toEqual([1331, 1464.1, 1610.5]);
+        expect(result.growth[0]).toBe(10);
+        expect(result.netProfit[0]).toBe(133.1);
+        expect(result.fcf[0]).toBe(106.5);
+    });
+
+    it('should extend the linear trend', () => {
+        const result = forecast(data, { method: 'trend', horizon: 3 });
+        expect(result.revenue).toEqual([1313.3, 1418.3, 1523.3]);
+        expect(result.netMargin).toEqual([10, 10, 10]);
+    });
+
+    it('should apply the user drivers', () => {
+        const result = forecast(data, { method: 'driver', horizon: 3, growth: 5, netMargin: 12, fcfConversion: 50 });
+        expect(result.revenue[0]).toBe(1270.5);
+        expect(result.netProfit[0]).toBe(152.5);
+        expect(result.fcf[0]).toBe(76.2);
+        expect(result.drivers).toEqual({ growth: 5, netMargin: 12, fcfConversion: 50 });
+    });
+
+    it('should fall back to drivers without enough history', () => {
+        const result = forecast({ years: ['2023'], revenue: [1210], netProfit: [121] }, { method: 'trend' });
+        expect(result.method).toBe('driver');
+        expect(result.revenue[0]).toBe(1210);
+        expect(forecast({ years: ['2023'], revenue: [null] })).toBeNull();
+    });
+
+    it('should not project profit or FCF without a margin or cash conversion', () => {
+        const revenueOnly = forecast({ years: ['2022', '2023'], revenue: [1100, 1210] });
+        expect(revenueOnly.revenue[0]).toBe(1331);
+        expect(revenueOnly).toMatchObject({ netMargin: null, netProfit: null, fcf: null });
+
+        const noCashFlow = forecast({ years: ['2022', '2023'], revenue: [1100, 1210], netProfit: [110, 121] });
+        expect(noCashFlow.netProfit[0]).toBe(133.1);
+        expect(noCashFlow.fcf).toBeNull();
+        expect(noCashFlow.drivers.fcfConversion).toBeNull();
+
+        const stated = forecast({ years: ['2023'], revenue: [1210] }, { method: 'driver', netMargin: 10, fcfConversion: 100 });
+        expect(stated.fcf[0]).toBe(121);
+    });
+});
+
+describe('forecastScenarios', () => {
+    it('should shift growth and margin for the bull and bear cases', () => {
+        const { base, bull, bear } = forecastScenarios(data, { horizon: 3 });
+        expect(bull.revenue[0]).toBe(1367.3);
+        expect(bull.netMargin[0]).toBe(11);
+        expect(bear.drivers).toMatchObject({ growth: 7, netMargin: 8.5 });
+        expect(bear.revenue[2]).toBeLessThan(base.revenue[2]);
+        expect(bull.fcf[2]).toBeGreaterThan(base.fcf[2]);
+    });
+});
+
+describe('assumptions', () => {
+    it('should validate method, horizon and inputs', () => {
+        expect(validateForecastAssumptions(DEFAULT_FORECAST_ASSUMPTIONS)).toEqual([]);
+        expect(validateForecastAssumptions({ ...DEFAULT_FORECAST_ASSUMPTIONS, horizon: 7, growth: 150 })).toEqual([
+            'Horizon must be 3 to 5 years',
+            'Revenue growth must be between -50% and 100%'
+        ]);
+    });
+
+    it('should complete stored assumptions and drop invalid ones', () => {
+        const normalized = normalizeForecastAssumptions({ method: 'driver', scenarios: { bull: { growth: 5 } } });
+        expect(normalized).toMatchObject({ method: 'driver', horizon: 5, scenarios: { bull: { growth: 5, margin: 1 } } });
+        expect(normalizeForecastAssumptions({ method: 'magic' })).toEqual(DEFAULT_FORECAST_ASSUMPTIONS);
+    });
+});
@@ -0,0 +1,245 @@
+/**
+ * Company History Module
+ * Merges per-year extractions into the multi-year format the dashboard charts,
+ * and rebuilds a company's history from every report linked to it
+ */
+
+import { LINE_ITEM_FIELDS, completeStatements } from './statementModel.js';
+
+// Figures compared to tell a duplicate upload of a year from a restatement
+export const COMPARED_FIELDS = [
+    'revenue', 'grossProfit', 'netProfit',
+    'totalAssets', 'totalLiabilities', 'shareholderEquity',
+    'operatingCashFlow', 'eps'
+];
+
+// Relative difference below which two reports agree on a figure (rounding in the printed statements)
+export const RESTATEMENT_TOLERANCE = 0.005;
+
+// Ratios kept per year next to the statement line items
+const RATIO_FIELDS = ['grossMargin', 'netMargin', 'roe', 'currentRatio', 'debtToEquity'];
+
+// Per-year array fields of merged data
+const YEAR_FIELDS = [...LINE_ITEM_FIELDS, 'ebitda', ...RATIO_FIELDS, 'eps'];
+
+/**
+ * Merge extracted data from multiple PDFs
+ * Combines data from multiple years into a single dataset
+ * Line items a year's statements do not report are null, never estimated; derivable metrics
+ * (free cash flow, gross profit, EBITDA) are computed from the reported ones.
+ */
+export function mergeExtractedData(extractions) {
+    const dataArray = extractions.map(completeStatements);
+
+    // Sort by fiscal year
+    dataArray.sort((a, b) => {
+        const yearA = parseInt(a.fiscalYear) || 0;
+        const yearB = parseInt(b.fiscalYear) || 0;
+        return yearA - yearB;
+    });
+
+    // Use the most recent company name
+    const companyName = dataArray[dataArray.length - 1].companyName || 'Company';
+
+    // Initialize merged data structure
+    const merged = {
+        companyName,
+        fiscalYear: dataArray[dataArray.length - 1].fiscalYear,
+        currency: [...dataArray].reverse().find(d => d.currency)?.currency || null,
+        years: [],
+        ...Object.fromEntries(YEAR_FIELDS.map(field => [field, []])),
+        dividends: {},
+        cashEquivalents: {},
+        qualitativeEvents: [],
+        _sources: dataArray.map(d => ({ year: d.fiscalYear, file: d._fileName })),
+        _citations: Object.assign({}, ...dataArray.map(d => d._citations || {})),
+        _overrides: Object.assign({}, ...dataArray.map(d => d._overrides || {})),
+        // Prior-year column printed in each year's report, keyed by the reporting year
+        _comparatives: Object.fromEntries(dataArray.filter(d => d._comparatives).map(d => [d.fiscalYear || 'N/A', d._comparatives]))
+    };
+
+    // Helper to get numeric value
+    const getVal = (obj, key) => {
+        const val = obj[key];
+        if (val === null || val === undefined) return null;
+        if (typeof val === 'number') return val;
+        if (typeof val === 'object' && val.value !== undefined) return val.value;
+        return null;
+    };
+
+    // Merge data from each year
+    dataArray.forEach(data => {
+        const year = data.fiscalYear || 'N/A';
+        merged.years.push(year);
+
+        // Statement line items, null when not reported
+        [...LINE_ITEM_FIELDS, 'ebitda'].forEach(field => {
+            merged[field].push(getVal(data, field));
+        });
+
+        // Ratios and per-share figures, null when not reported
+        [...RATIO_FIELDS, 'eps'].forEach(field => {
+            merged[field].push(getVal(data, field) ?? null);
+        });
+
+        // Dividends and cash, only for years that report them
+        const dividends = data.dividends ? getVal(data, 'dividends') ?? getVal(data.dividends, year) : null;
+        if (dividends !== null) merged.dividends[year] = dividends;
+
+        const cash = getVal(data, 'cashEquivalents') ?? getVal(data, 'cash');
+        if (cash !== null) merged.cashEquivalents[year] = cash;
+
+        // Collect qualitative events
+        if (data.qualitativeEvents && data.qualitativeEvents.length > 0) {
+            merged.qualitativeEvents.push(...data.qualitativeEvents);
+        }
+    });
+
+    // Sort qualitative events by year
+    merged.qualitativeEvents.sort((a, b) => {
+        const yearA = parseInt(a.year) || 0;
+        const yearB = parseInt(b.year) || 0;
+        return yearB - yearA; // Most recent first
+    });
+
+    console.log('Merged data from', dataArray.length, 'files:', merged);
+    return merged;
+}
+
+/**
+ * Split a report's extracted data into one flat record per fiscal year
+ * Single-year extractions are returned as they are.
+ * @param {Object} extractedData - Single-year or merged extraction
+ * @returns {Array<Object>}
+ */
+export function splitYears(extractedData) {
+    if (!extractedData) return [];
+    if (!Array.isArray(extractedData.years)) return [extractedData];
+
+    return extractedData.years.map((year, i) => {
+        const record = {
+            companyName: extractedData.companyName,
+            fiscalYear: year,
+            currency: extractedData.currency || null,
+            _fileName: extractedData._sources?.find(source => source.year === year)?.file || null
+        };
+
+        YEAR_FIELDS.forEach(field => {
+            if (Array.isArray(extractedData[field])) record[field] = extractedData[field][i] ?? null;
+        });
+        if (extractedData.dividends?.[year] !== undefined) record.dividends = extractedData.dividends[year];
+        if (extractedData.cashEquivalents?.[year] !== undefined) record.cashEquivalents = extractedData.cashEquivalents[year];
+        if (extractedData._citations?.[year]) record._citations = { [year]: extractedData._citations[year] };
+        if (extractedData._overrides?.[year]) record._overrides = { [year]: extractedData._overrides[year] };
+        if (extractedData._comparatives?.[year]) record._comparatives = extractedData._comparatives[year];
+        record.qualitativeEvents = (extractedData.qualitativeEvents || []).filter(event => event.year === year);
+
+        return record;
+    });
+}
+
+/**
+ * Numeric value of an extracted field ({ value } objects or plain numbers)
+ */
+export function numberOf(field) {
+    if (typeof field === 'number') return field;
+    if (field && typeof field === 'object' && typeof field.value === 'number') return field.value;
+    return null;
+}
+
+/**
+ * Every per-year record of a company's reports, oldest upload first
+ * @returns {Map<string, Array<{ report: Object, record: Object }>>} - By fiscal year
+ */
+function recordsByYear(reports) {
+    const byYear = new Map();
+    [...reports]
+        .sort((a, b) => (a.uploadedAt || '').localeCompare(b.uploadedAt || ''))
+        .forEach(report => {
+            splitYears(report.extractedData).forEach(record => {
+                const year = record.fiscalYear || 'N/A';
+                if (!byYear.has(year)) byYear.set(year, []);
+                byYear.get(year).push({ report, record });
+            });
+        });
+    return byYear;
+}
+
+/**
+ * Whether two figures disagree beyond rounding (missing figures never do)
+ */
+export function differs(a, b) {
+    if (a === null || b === null) return false;
+    const scale = Math.max(Math.abs(a), Math.abs(b));
+    return scale > 0 && Math.abs(a - b) / scale > RESTATEMENT_TOLERANCE;
+}
+
+/**
+ * Find fiscal years covered by more than one report
+ * A year is a duplicate when every figure both reports give agrees, and restated otherwise.
+ * @param {Array<Object>} reports - Store reports of one company
+ * @returns {Array<{ year: string, kind: 'duplicate'|'restatement', sources: Array<Object>, differences: Array<Object> }>}
+ *          sources: reportId, fileName, uploadedAt, oldest upload first;
+ *          differences: field and its value in each source
+ */
+export function findYearConflicts(reports) {
+    return [...recordsByYear(reports).entries()]
+        .filter(([, entries]) => entries.length > 1)
+        .map(([year, entries]) => {
+            const differences = COMPARED_FIELDS
+                .map(field => ({ field, values: entries.map(({ record }) => numberOf(record[field])) }))
+                .filter(({ values }) => values.some(a => values.some(b => differs(a, b))));
+
+            return {
+                year,
+                kind: differences.length > 0 ? 'restatement' : 'duplicate',
+                sources: entries.map(({ report, record }) => ({
+                    reportId: report.id,
+                    fileName: record._fileName || report.fileName,
+                    uploadedAt: report.uploadedAt
+                })),
+                differences
+            };
+        })
+        .sort((a, b) => String(a.year).localeCompare(String(b.year)));
+}
+
+/**
+ * Build a company's multi-year history from its reports
+ * When several reports cover the same fiscal year, the chosen source is used,
+ * or else the most recently uploaded one.
+ * @param {Array<Object>} reports - Store reports of one company
+ * @param {Object} yearSources - Chosen report id by fiscal year
+ * @returns {Object} - Merged data
+ */
+export function buildHistory(reports, yearSources = {}) {
+    return mergeExtractedData(selectYearRecords(reports, yearSources));
+}
+
+/**
+ * The record each fiscal year of a company's history is taken from, oldest year first
+ * @param {Array<Object>} reports - Store reports of one company
+ * @param {Object} yearSources - Chosen report id by fiscal year
+ * @returns {Array<Object>} - Per-year records with `_fileName` and `_reportId`
+ */
+export function selectYearRecords(reports, yearSources = {}) {
+    return [...recordsByYear(reports).entries()]
+        .map(([year, entries]) => {
+            const { report, record } = entries.find(entry => entry.report.id === yearSources[year])
+                || entries[entries.length - 1];
+            return { ...record, _fileName: record._fileName || report.fileName, _reportId: report.id };
+        })
+        .sort((a, b) => (parseInt(a.fiscalYear) || 0) - (parseInt(b.fiscalYear) || 0));
+}
+
+export default {
+    COMPARED_FIELDS,
+    RESTATEMENT_TOLERANCE,
+    numberOf,
+    differs,
+    mergeExtractedData,
+    splitYears,
+    findYearConflicts,
+    buildHistory,
+    selectYearRecords
+};
@@ -0,0 +1,158 @@
+/**
+ * Tests for Company History
+ */
+
+import { describe, it, expect } from 'vitest';
+import { mergeExtractedData, splitYears, findYearConflicts, buildHistory } from './history.js';
+
+const extraction = (year, revenue, extra = {}) => ({
+    companyName: 'AL NAHDI MEDICAL COMPANY',
+    fiscalYear: year,
+    currency: 'SAR',
+    revenue,
+    netProfit: revenue / 10,
+    _fileName: `nahdi-${year}.pdf`,
+    ...extra
+});
+
+const report = (id, uploadedAt, extractedData) => ({ id, uploadedAt, fileName: extractedData._fileName, extractedData });
+
+describe('mergeExtractedData', () => {
+    it('should order years and keep their sources', () => {
+        const merged = mergeExtractedData([extraction('2023', 9000), extraction('2022', 8000)]);
+        expect(merged.years).toEqual(['2022', '2023']);
+        expect(merged.revenue).toEqual([8000, 9000]);
+        expect(merged._sources).toEqual([
+            { year: '2022', file: 'nahdi-2022.pdf' },
+            { year: '2023', file: 'nahdi-2023.pdf' }
+        ]);
+    });
+
+    it('should leave unreported line items null instead of estimating them', () => {
+        const merged = mergeExtractedData([
+            extraction('2022', 8000),
+            extraction('2023', 9000, { operatingCashFlow: 1400, capex: 300, leasePayments: 100 })
+        ]);
+        expect(merged.operatingCashFlow).toEqual([null, 1400]);
+        expect(merged.capex).toEqual([null, 300]);
+        expect(merged.fcf).toEqual([null, 1000]);
+        expect(merged._citations['2023'].fcf.formula).toMatch(/Operating cash flow/);
+    });
+
+    it('should leave unreported ratios, EPS and cash null but keep reported zeros', () => {
+        const merged = mergeExtractedData([
+            extraction('2022', 8000, { roe: 0, cashEquivalents: 0 }),
+            extraction('2023', 9000, { eps: { value: 1.2 } })
+        ]);
+        expect(merged.roe).toEqual([0, null]);
+        expect(merged.eps).toEqual([null, 1.2]);
+        expect(merged.cashEquivalents).toEqual({ 2022: 0 });
+    });
+});
+
+describe('splitYears', () => {
+    it('should return single-year extractions as they are', () => {
+        const single = extraction('2023', 9000);
+        expect(splitYears(single)).toEqual([single]);
+    });
+
+    it('should turn merged data back into one record per year', () => {
+        const merged = mergeExtractedData([
+            extraction('2022', 8000, { _citations: { 2022: { revenue: { page: 4 } } } }),
+            extraction('2023', 9000)
+        ]);
+        const records = splitYears(merged);
+
+        expect(records).toHaveLength(2);
+        expect(records[0]).toMatchObject({
+            fiscalYear: '2022',
+            revenue: 8000,
+            netProfit: 800,
+            currency: 'SAR',
+            _fileName: 'nahdi-2022.pdf',
+            _citations: { 2022: { revenue: { page: 4 } } }
+        });
+        expect(records[1]._citations).toBeUndefined();
+    });
+
+    it('should round-trip through a merge', () => {
+        const merged = mergeExtractedData([extraction('2022', 8000), extraction('2023', 9000)]);
+        expect(mergeExtractedData(splitYears(merged)).revenue).toEqual(merged.revenue);
+    });
+});
+
+describe('buildHistory', () => {
+    it('should combine separate uploads into one multi-year history', () => {
+        const history = buildHistory([
+            report('2', '2024-03-01T00:00:00.000Z', extraction('2023', 9000)),
+            report('1', '2024-01-01T00:00:00.000Z', extraction('2022', 8000))
+        ]);
+        expect(history.years).toEqual(['2022', '2023']);
+        expect(history.revenue).toEqual([8000, 9000]);
+    });
+
+    it('should add years from merged uploads', () => {
+        const merged = mergeExtractedData([extraction('2020', 6000), extraction('2021', 7000)]);
+        const history = buildHistory([
+            report('1', '2024-01-01T00:00:00.000Z', merged),
+            report('2', '2024-03-01T00:00:00.000Z', extraction('2022', 8000))
+        ]);
+        expect(history.years).toEqual(['2020', '2021', '2022']);
+    });
+
+    it('should use the latest upload of a year covered twice', () => {
+        const history = buildHistory([
+            report('1', '2024-01-01T00:00:00.000Z', extraction('2023', 9000)),
+            report('2', '2024-03-01T00:00:00.000Z', extraction('2023', 9100, { _fileName: 'nahdi-2023-restated.pdf' }))
+        ]);
+        expect(history.years).toEqual(['2023']);
+        expect(history.revenue).toEqual([9100]);
+        expect(history._sources).toEqual([{ year: '2023', file: 'nahdi-2023-restated.pdf' }]);
+    });
+
+    it('should use the source chosen for a year', () => {
+        const history = buildHistory([
+            report('1', '2024-01-01T00:00:00.000Z', extraction('2023', 9000)),
+            report('2', '2024-03-01T00:00:00.000Z', extraction('2023', 9100))
+        ], { 2023: '1' });
+        expect(history.revenue).toEqual([9000]);
+    });
+
+    it('should fall back to the latest upload when the chosen source is gone', () => {
+        const history = buildHistory([
+            report('2', '2024-03-01T00:00:00.000Z', extraction('2023', 9100))
+        ], { 2023: '1' });
+        expect(history.revenue).toEqual([9100]);
+    });
+});
+
+describe('findYearConflicts', () => {
+    it('should ignore years covered once', () => {
+        expect(findYearConflicts([
+            report('1', '2024-01-01T00:00:00.000Z', extraction('2022', 8000)),
+            report('2', '2024-03-01T00:00:00.000Z', extraction('2023', 9000))
+        ])).toEqual([]);
+    });
+
+    it('should report identical re-uploads as duplicates', () => {
+        const [conflict] = findYearConflicts([
+            report('1', '2024-01-01T00:00:00.000Z', extraction('2023', 9000)),
+            report('2', '2024-03-01T00:00:00.000Z', extraction('2023', 9000.4))
+        ]);
+        expect(conflict).toMatchObject({ year: '2023', kind: 'duplicate', differences: [] });
+        expect(conflict.sources.map(source => source.reportId)).toEqual(['1', '2']);
+    });
+
+    it('should report differing figures as a restatement', () => {
+        const merged = mergeExtractedData([extraction('2022', 8000), extraction('2023', 9000)]);
+        const [conflict] = findYearConflicts([
+            report('2', '2024-03-01T00:00:00.000Z', extraction('2022', 8200)),
+            report('1', '2024-01-01T00:00:00.000Z', merged)
+        ]);
+        expect(conflict.kind).toBe('restatement');
+        expect(conflict.differences).toEqual([
+            { field: 'revenue', values: [8000, 8200] },
+            { field: 'netProfit', values: [800, 820] }
+        ]);
+    });
+});
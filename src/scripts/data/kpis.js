@@ -0,0 +1,432 @@
+/**
+ * KPIs Module
+ * Library of the KPIs the summary grid can show, their year-on-year trend and threshold status,
+ * and the user's saved grid layout (which KPIs, in which order, with which thresholds)
+ */
+
+import { RATIOS, computeRatio } from './ratios.js';
+import { sourceField, figureOf, yoyChange } from './statements.js';
+import { provenanceOf, estimateMethod, PROVENANCE } from './provenance.js';
+import { formatMoney } from './currency.js';
+
+const LAYOUT_KEY = 'wagdy_kpi_layout';
+
+/**
+ * KPI definitions
+ * Each KPI reads either a line item (`field`), the YoY growth of a line item (`growth`) or a ratio
+ * of the ratio library (`ratio`). Thresholds are the default `good` and `warning` levels: a value
+ * at least as good as `good` is good, at least as good as `warning` is a warning, anything else is bad.
+ */
+export const KPIS = {
+    netMargin: {
+        label: 'Net Profit Margin',
+        subtitle: 'Profitability',
+        unit: '%',
+        ratio: 'netMargin',
+        higherIsBetter: true,
+        thresholds: { good: 10, warning: 5 }
+    },
+    grossMargin: {
+        label: 'Gross Margin',
+        subtitle: 'Pricing power',
+        unit: '%',
+        ratio: 'grossMargin',
+        higherIsBetter: true,
+        thresholds: { good: 30, warning: 20 }
+    },
+    operatingMargin: {
+        label: 'Operating Margin',
+        subtitle: 'Operating efficiency',
+        unit: '%',
+        ratio: 'operatingMargin',
+        higherIsBetter: true,
+        thresholds: { good: 15, warning: 8 }
+    },
+    roe: {
+        label: 'Return on Equity (ROE)',
+        subtitle: 'Shareholder returns',
+        unit: '%',
+        ratio: 'roe',
+        higherIsBetter: true,
+        thresholds: { good: 15, warning: 8 }
+    },
+    roa: {
+        label: 'Return on Assets (ROA)',
+        subtitle: 'Asset productivity',
+        unit: '%',
+        ratio: 'roa',
+        higherIsBetter: true,
+        thresholds: { good: 8, warning: 4 }
+    },
+    roic: {
+        label: 'Return on Invested Capital (ROIC)',
+        subtitle: 'Capital efficiency',
+        unit: '%',
+        ratio: 'roic',
+        higherIsBetter: true,
+        thresholds: { good: 12, warning: 8 }
+    },
+    currentRatio: {
+        label: 'Current Ratio',
+        subtitle: 'Liquidity',
+        unit: 'x',
+        ratio: 'currentRatio',
+        higherIsBetter: true,
+        thresholds: { good: 1.5, warning: 1 }
+    },
+    quickRatio: {
+        label: 'Quick Ratio',
+        subtitle: 'Liquidity excluding inventories',
+        unit: 'x',
+        ratio: 'quickRatio',
+        higherIsBetter: true,
+        thresholds: { good: 1, warning: 0.7 }
+    },
+    debtToEquity: {
+        label: 'Debt-to-Equity Ratio',
+        subtitle: 'Solvency',
+        unit: 'x',
+        ratio: 'debtToEquity',
+        higherIsBetter: false,
+        thresholds: { good: 1, warning: 2 }
+    },
+    netDebtToEbitda: {
+        label: 'Net Debt / EBITDA',
+        subtitle: 'Leverage',
+        unit: 'x',
+        ratio: 'netDebtToEbitda',
+        higherIsBetter: false,
+        thresholds: { good: 1.5, warning: 3 }
+    },
+    interestCoverage: {
+        label: 'Interest Coverage',
+        subtitle: 'Debt service',
+        unit: 'x',
+        ratio: 'interestCoverage',
+        higherIsBetter: true,
+        thresholds: { good: 5, warning: 2 }
+    },
+    cashConversionCycle: {
+        label: 'Cash Conversion Cycle',
+        subtitle: 'Working capital',
+        unit: 'days',
+        ratio: 'cashConversionCycle',
+        higherIsBetter: false,
+        thresholds: { good: 30, warning: 90 }
+    },
+    revenueGrowth: {
+        label: 'Revenue Growth (YoY)',
+        subtitle: 'Top-line momentum',
+        unit: '%',
+        growth: 'revenue',
+        higherIsBetter: true,
+        thresholds: { good: 5, warning: 0 }
+    },
+    revenue: {
+        label: 'Revenue',
+        subtitle: 'Scale',
+        unit: 'money',
+        field: 'revenue',
+        higherIsBetter: true,
+        thresholds: null
+    },
+    netProfit: {
+        label: 'Net Profit',
+        subtitle: 'Earnings',
+        unit: 'money',
+        field: 'netProfit',
+        higherIsBetter: true,
+        thresholds: null
+    },
+    operatingCashFlow: {
+        label: 'Operating Cash Flow',
+        subtitle: 'Cash from operations',
+        unit: 'money',
+        field: 'operatingCashFlow',
+        higherIsBetter: true,
+        thresholds: null
+    },
+    fcf: {
+        label: 'Free Cash Flow',
+        subtitle: 'Cash generation',
+        unit: 'money',
+        field: 'fcf',
+        higherIsBetter: true,
+        thresholds: { good: 0, warning: 0 }
+    },
+    eps: {
+        label: 'Earnings per Share',
+        subtitle: 'Per-share earnings',
+        unit: 'perShare',
+        field: 'eps',
+        higherIsBetter: true,
+        thresholds: null
+    },
+    payoutRatio: {
+        label: 'Payout Ratio',
+        subtitle: 'Dividend policy',
+        unit: '%',
+        ratio: 'payoutRatio',
+        higherIsBetter: true,
+        thresholds: null
+    }
+};
+
+export const DEFAULT_KPI_LAYOUT = {
+    kpis: ['netMargin', 'roe', 'currentRatio', 'debtToEquity', 'revenueGrowth', 'fcf'],
+    thresholds: {}
+};
+
+function yearsOf(data) {
+    return Array.isArray(data.years) ? data.years.map(String) : [String(data.fiscalYear)];
+}
+
+function definitionOf(id) {
+    const kpi = KPIS[id];
+    if (!kpi) throw new Error(`Unknown KPI "${id}"`);
+    return kpi;
+}
+
+/**
+ * Ratio stored on the dashboard data, for datasets without the underlying line items
+ */
+function storedRatio(data, id, year) {
+    return Array.isArray(data[id]) ? figureOf(data, id, year) : null;
+}
+
+/**
+ * Field a KPI's citation and provenance refer to
+ */
+export function kpiField(id) {
+    const kpi = definitionOf(id);
+    return kpi.field || kpi.growth || kpi.ratio;
+}
+
+/**
+ * Per-year values of a KPI, aligned with `data.years`
+ * @returns {Array<number|null>}
+ */
+export function kpiSeries(data, id) {
+    const kpi = definitionOf(id);
+    const years = yearsOf(data);
+
+    if (kpi.field) return years.map(year => figureOf(data, kpi.field, year));
+
+    if (kpi.growth) {
+        const values = years.map(year => figureOf(data, kpi.growth, year));
+        return values.map((value, i) => (i > 0 ? yoyChange(value, values[i - 1]) : null));
+    }
+
+    return years.map(year => computeRatio(data, kpi.ratio, year) ?? storedRatio(data, kpi.ratio, year));
+}
+
+/**
+ * Provenance of a KPI value: estimated when any input is, otherwise as the field (line items)
+ * or derived (calculated KPIs)
+ * @returns {{ provenance: string, method: string|null }}
+ */
+function kpiProvenance(data, id, year, value) {
+    const kpi = definitionOf(id);
+    if (value === null) return { provenance: 'missing', method: null };
+
+    const stored = kpi.ratio && computeRatio(data, kpi.ratio, year) === null;
+    const inputs = kpi.ratio && !stored ? RATIOS[kpi.ratio].inputs : [kpiField(id)];
+
+    for (const input of inputs) {
+        const field = sourceField(data, input, year);
+        if (provenanceOf(data, field, year) === 'estimated') {
+            return { provenance: 'estimated', method: estimateMethod(data, field, year) };
+        }
+    }
+
+    const provenance = kpi.field || stored ? provenanceOf(data, kpiField(id), year) : 'derived';
+    return { provenance, method: null };
+}
+
+/**
+ * Status of a value against thresholds
+ * @param {number|null} value
+ * @param {{ good: number, warning: number }|null} thresholds
+ * @param {boolean} higherIsBetter
+ * @returns {'good'|'warning'|'bad'|null} - null without value or thresholds
+ */
+export function kpiStatus(value, thresholds, higherIsBetter = true) {
+    if (value === null || !thresholds) return null;
+    const atLeast = level => (higherIsBetter ? value >= level : value <= level);
+    if (atLeast(thresholds.good)) return 'good';
+    if (atLeast(thresholds.warning)) return 'warning';
+    return 'bad';
+}
+
+/**
+ * Change of a KPI from the prior year: percentage points for percentages,
+ * percent for amounts, and the plain difference for multiples, days and per-share values
+ */
+function kpiDelta(unit, value, previous) {
+    if (value === null || previous === null) return null;
+    if (unit === 'money') return yoyChange(value, previous);
+    return Math.round((value - previous) * 100) / 100;
+}
+
+export const DELTA_UNITS = {
+    '%': 'pp',
+    money: '%',
+    x: 'x',
+    days: ' days',
+    perShare: ''
+};
+
+/**
+ * Evaluate a KPI for the latest fiscal year
+ * @param {Object} data - Dashboard data
+ * @param {string} id - Key of KPIS
+ * @param {{ good: number, warning: number }|null} [thresholds] - Defaults to the KPI's own
+ * @returns {Object} - { id, label, subtitle, unit, field, year, value, previousYear, previous,
+ *          delta, deltaUnit, trend ('up'|'down'|'flat'|null), favourable, status, provenance, method }
+ */
+export function evaluateKpi(data, id, thresholds = definitionOf(id).thresholds) {
+    const kpi = definitionOf(id);
+    const years = yearsOf(data);
+    const series = kpiSeries(data, id);
+    const last = years.length - 1;
+
+    const value = series[last];
+    const previous = last > 0 ? series[last - 1] : null;
+    const delta = kpiDelta(kpi.unit, value, previous);
+    const trend = delta === null ? null : delta > 0 ? 'up' : delta < 0 ? 'down' : 'flat';
+
+    return {
+        id,
+        label: kpi.label,
+        subtitle: kpi.subtitle,
+        unit: kpi.unit,
+        field: kpiField(id),
+        year: years[last],
+        value,
+        previousYear: last > 0 ? years[last - 1] : null,
+        previous,
+        delta,
+        deltaUnit: DELTA_UNITS[kpi.unit],
+        trend,
+        favourable: trend === null || trend === 'flat' ? null : (trend === 'up') === kpi.higherIsBetter,
+        status: kpiStatus(value, thresholds, kpi.higherIsBetter),
+        ...kpiProvenance(data, id, years[last], value)
+    };
+}
+
+/**
+ * Format a KPI value in its unit, 'Not available' when missing
+ * @param {number|null} value
+ * @param {string} unit - Unit of a KPI definition
+ * @param {string} currency - Currency of amounts and per-share values
+ */
+export function formatKpiValue(value, unit, currency) {
+    if (value === null) return PROVENANCE.missing.label;
+    switch (unit) {
+        case 'money': return formatMoney(value, currency, { short: true });
+        case 'perShare': return `${currency} ${value.toFixed(2)}`;
+        case 'days': return `${Math.round(value)} days`;
+        case 'x': return `${value.toFixed(2)}x`;
+        default: return `${value.toFixed(2)}%`;
+    }
+}
+
+/**
+ * Thresholds of a KPI in a layout: the user's when set (null switches colouring off), else the default
+ */
+export function thresholdsOf(layout, id) {
+    const custom = layout?.thresholds || {};
+    return id in custom ? custom[id] : definitionOf(id).thresholds;
+}
+
+/**
+ * Evaluate the KPIs of a layout, in order
+ * @returns {Array<Object>} - As returned by evaluateKpi
+ */
+export function evaluateKpis(data, layout = DEFAULT_KPI_LAYOUT) {
+    return layout.kpis.map(id => evaluateKpi(data, id, thresholdsOf(layout, id)));
+}
+
+/**
+ * Validate a layout as edited by the user
+ * @returns {string[]} - Error messages, empty when valid
+ */
+export function validateKpiLayout(layout) {
+    const errors = [];
+    if (!Array.isArray(layout?.kpis) || layout.kpis.length === 0) {
+        return ['Choose at least one KPI'];
+    }
+
+    layout.kpis.filter(id => !KPIS[id]).forEach(id => errors.push(`Unknown KPI "${id}"`));
+
+    Object.entries(layout.thresholds || {}).forEach(([id, thresholds]) => {
+        const kpi = KPIS[id];
+        if (!kpi || thresholds === null) return;
+        if (!isFinite(thresholds.good) || !isFinite(thresholds.warning)) {
+            errors.push(`${kpi.label}: enter both thresholds, or neither`);
+        } else if (kpi.higherIsBetter ? thresholds.good < thresholds.warning : thresholds.good > thresholds.warning) {
+            errors.push(`${kpi.label}: the good threshold must be ${kpi.higherIsBetter ? 'at least' : 'at most'} the warning threshold`);
+        }
+    });
+
+    return errors;
+}
+
+/**
+ * Drop unknown and repeated KPIs from a stored layout, falling back to the default when none is left
+ */
+export function normalizeKpiLayout(layout) {
+    const kpis = Array.isArray(layout?.kpis)
+        ? layout.kpis.filter((id, i, all) => KPIS[id] && all.indexOf(id) === i)
+        : [];
+    if (kpis.length === 0) return DEFAULT_KPI_LAYOUT;
+
+    const thresholds = Object.fromEntries(
+        Object.entries(layout.thresholds || {}).filter(([id]) => KPIS[id])
+    );
+    return { kpis, thresholds };
+}
+
+/**
+ * Load the user's KPI layout
+ */
+export function loadKpiLayout() {
+    try {
+        return normalizeKpiLayout(JSON.parse(localStorage.getItem(LAYOUT_KEY)));
+    } catch (e) {
+        console.error('Failed to load KPI layout:', e);
+        return DEFAULT_KPI_LAYOUT;
+    }
+}
+
+/**
+ * Save the user's KPI layout
+ * @throws {Error} - When the layout is invalid
+ */
+export function saveKpiLayout(layout) {
+    const errors = validateKpiLayout(layout);
+    if (errors.length > 0) throw new Error(errors.join('\n'));
+    localStorage.setItem(LAYOUT_KEY, JSON.stringify(normalizeKpiLayout(layout)));
+}
+
+export function resetKpiLayout() {
+    localStorage.removeItem(LAYOUT_KEY);
+}
+
+export default {
+    KPIS,
+    DEFAULT_KPI_LAYOUT,
+    DELTA_UNITS,
+    kpiField,
+    kpiSeries,
+    kpiStatus,
+    evaluateKpi,
+    evaluateKpis,
+    formatKpiValue,
+    thresholdsOf,
+    validateKpiLayout,
+    normalizeKpiLayout,
+    loadKpiLayout,
+    saveKpiLayout,
+    resetKpiLayout
+};
@@ -0,0 +1,136 @@
+/**
+ * Tests for the KPI library and layout
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+    KPIS,
+    DEFAULT_KPI_LAYOUT,
+    kpiSeries,
+    kpiStatus,
+    evaluateKpi,
+    evaluateKpis,
+    formatKpiValue,
+    thresholdsOf,
+    validateKpiLayout,
+    normalizeKpiLayout
+} from './kpis.js';
+
+const data = {
+    years: ['2022', '2023'],
+    revenue: [8616.2, 8713.7],
+    netProfit: [887.8, 892.6],
+    totalEquity: [2243.4, 2462.8],
+    currentRatio: [1.7, 1.69],
+    debtToEquity: [1.2, 1.18],
+    borrowings: [500, 400],
+    ebitda: [1300, 1400],
+    cashEquivalents: { 2022: 892, 2023: 1240 },
+    fcf: [1392.6, 984.2],
+    _estimates: { cashEquivalents: { 2023: '10% of revenue' } }
+};
+
+describe('kpiSeries', () => {
+    it('should compute ratios from line items and fall back to stored ratios', () => {
+        expect(kpiSeries(data, 'roe')).toEqual([39.57, 36.24]);
+        expect(kpiSeries(data, 'currentRatio')).toEqual([1.7, 1.69]);
+    });
+
+    it('should compute growth against the prior year', () => {
+        expect(kpiSeries(data, 'revenueGrowth')).toEqual([null, 1.1]);
+    });
+
+    it('should keep stored zero ratios and leave unreported ones missing', () => {
+        expect(kpiSeries({ ...data, currentRatio: [0, null] }, 'currentRatio')).toEqual([0, null]);
+    });
+});
+
+describe('kpiStatus', () => {
+    it('should grade values where higher is better', () => {
+        expect(kpiStatus(12, { good: 10, warning: 5 })).toBe('good');
+        expect(kpiStatus(5, { good: 10, warning: 5 })).toBe('warning');
+        expect(kpiStatus(4, { good: 10, warning: 5 })).toBe('bad');
+    });
+
+    it('should grade values where lower is better', () => {
+        expect(kpiStatus(0.8, { good: 1, warning: 2 }, false)).toBe('good');
+        expect(kpiStatus(1.5, { good: 1, warning: 2 }, false)).toBe('warning');
+        expect(kpiStatus(2.5, { good: 1, warning: 2 }, false)).toBe('bad');
+    });
+
+    it('should not grade without a value or thresholds', () => {
+        expect(kpiStatus(null, { good: 1, warning: 0 })).toBeNull();
+        expect(kpiStatus(10, null)).toBeNull();
+    });
+});
+
+describe('evaluateKpi', () => {
+    it('should compute the YoY delta in percentage points for percentages', () => {
+        const roe = evaluateKpi(data, 'roe');
+        expect(roe).toMatchObject({ value: 36.24, previous: 39.57, previousYear: '2022', delta: -3.33, deltaUnit: 'pp' });
+        expect(roe).toMatchObject({ trend: 'down', favourable: false, status: 'good', provenance: 'derived' });
+    });
+
+    it('should judge a falling ratio as favourable when lower is better', () => {
+        expect(evaluateKpi(data, 'debtToEquity')).toMatchObject({ delta: -0.02, trend: 'down', favourable: true, status: 'warning' });
+    });
+
+    it('should compute the YoY delta in percent for amounts', () => {
+        expect(evaluateKpi(data, 'fcf')).toMatchObject({ delta: -29.3, deltaUnit: '%', provenance: 'derived' });
+    });
+
+    it('should flag KPIs computed from an estimate', () => {
+        expect(evaluateKpi(data, 'netDebtToEbitda')).toMatchObject({ provenance: 'estimated', method: '10% of revenue' });
+    });
+
+    it('should report missing KPIs without trend or status', () => {
+        expect(evaluateKpi(data, 'interestCoverage')).toMatchObject({
+            value: null, trend: null, status: null, provenance: 'missing'
+        });
+    });
+
+    it('should apply custom thresholds', () => {
+        expect(evaluateKpi(data, 'roe', { good: 40, warning: 30 }).status).toBe('warning');
+        expect(evaluateKpi(data, 'roe', null).status).toBeNull();
+    });
+
+    it('should reject unknown KPIs', () => {
+        expect(() => evaluateKpi(data, 'beta')).toThrow('Unknown KPI "beta"');
+    });
+});
+
+describe('formatKpiValue', () => {
+    it('should format values in their unit', () => {
+        expect(formatKpiValue(36.244, '%', 'SAR')).toBe('36.24%');
+        expect(formatKpiValue(1.694, 'x', 'SAR')).toBe('1.69x');
+        expect(formatKpiValue(984.2, 'money', 'SAR')).toBe('SAR 984.2M');
+        expect(formatKpiValue(62.4, 'days', 'SAR')).toBe('62 days');
+        expect(formatKpiValue(null, '%', 'SAR')).toBe('Not available');
+    });
+});
+
+describe('layout', () => {
+    it('should evaluate the KPIs of a layout in order', () => {
+        const layout = { kpis: ['fcf', 'roe'], thresholds: { roe: null } };
+        const kpis = evaluateKpis(data, layout);
+        expect(kpis.map(k => k.id)).toEqual(['fcf', 'roe']);
+        expect(kpis[1].status).toBeNull();
+        expect(thresholdsOf(layout, 'fcf')).toEqual(KPIS.fcf.thresholds);
+    });
+
+    it('should validate selections and threshold order', () => {
+        expect(validateKpiLayout({ kpis: [] })).toEqual(['Choose at least one KPI']);
+        expect(validateKpiLayout({ kpis: ['roe'], thresholds: { roe: { good: 5, warning: 10 } } })[0])
+            .toMatch('good threshold must be at least');
+        expect(validateKpiLayout({ kpis: ['debtToEquity'], thresholds: { debtToEquity: { good: 3, warning: 2 } } })[0])
+            .toMatch('good threshold must be at most');
+        expect(validateKpiLayout({ kpis: ['roe'], thresholds: { roe: { good: 5, warning: NaN } } })).toHaveLength(1);
+        expect(validateKpiLayout(DEFAULT_KPI_LAYOUT)).toEqual([]);
+    });
+
+    it('should drop unknown and repeated KPIs from stored layouts', () => {
+        expect(normalizeKpiLayout({ kpis: ['roe', 'beta', 'roe'], thresholds: { beta: {} } }))
+            .toEqual({ kpis: ['roe'], thresholds: {} });
+        expect(normalizeKpiLayout(null)).toBe(DEFAULT_KPI_LAYOUT);
+    });
+});
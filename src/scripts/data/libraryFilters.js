@@ -0,0 +1,118 @@
+/**
+ * Library Filters Module
+ * Search, filtering, sorting and folder grouping of saved reports for the library browser
+ */
+
+// Tags offered on every report
+export const PRESET_TAGS = ['watchlist', 'portfolio'];
+
+export const UNFILED = 'Unfiled';
+
+export const SORT_OPTIONS = {
+    uploaded: { label: 'Recently uploaded', compare: (a, b) => (b.uploadedAt || '').localeCompare(a.uploadedAt || '') },
+    company: { label: 'Company A–Z', compare: (a, b) => (a.companyName || '').localeCompare(b.companyName || '') },
+    fiscalYear: { label: 'Latest fiscal year', compare: (a, b) => latestYear(b) - latestYear(a) },
+    folder: { label: 'Folder', compare: (a, b) => folderOf(a).localeCompare(folderOf(b)) }
+};
+
+/**
+ * Fiscal years covered by a report
+ */
+export function reportYears(report) {
+    if (Array.isArray(report.fiscalYears) && report.fiscalYears.length > 0) return report.fiscalYears;
+    if (Array.isArray(report.extractedData?.years)) return report.extractedData.years;
+    return report.fiscalYear ? [report.fiscalYear] : [];
+}
+
+function latestYear(report) {
+    return Math.max(0, ...reportYears(report).map(year => parseInt(year) || 0));
+}
+
+/**
+ * Source PDF names of a report
+ */
+export function reportFiles(report) {
+    const sources = report.extractedData?._sources;
+    if (Array.isArray(sources) && sources.length > 0) return sources.map(source => source.file).filter(Boolean);
+    return report.fileName ? report.fileName.split(', ') : [];
+}
+
+export function folderOf(report) {
+    return report.folder || UNFILED;
+}
+
+/**
+ * Normalise a user-typed tag: trimmed, lower case, single spaces
+ * @returns {string} - Empty when the tag is blank
+ */
+export function normalizeTag(tag) {
+    return String(tag || '').trim().toLowerCase().replace(/\s+/g, ' ').slice(0, 30);
+}
+
+/**
+ * Every tag in use, presets first
+ */
+export function collectTags(reports) {
+    const used = new Set(reports.flatMap(report => report.tags || []));
+    return [...PRESET_TAGS, ...[...used].filter(tag => !PRESET_TAGS.includes(tag)).sort()];
+}
+
+/**
+ * Folders in use with their report counts, Unfiled last
+ * @returns {Array<{ name: string, count: number }>}
+ */
+export function collectFolders(reports) {
+    const counts = new Map();
+    reports.forEach(report => counts.set(folderOf(report), (counts.get(folderOf(report)) || 0) + 1));
+    return [...counts.entries()]
+        .map(([name, count]) => ({ name, count }))
+        .sort((a, b) => (a.name === UNFILED) - (b.name === UNFILED) || a.name.localeCompare(b.name));
+}
+
+/**
+ * Text a report is searched by
+ */
+function searchText(report) {
+    return [
+        report.companyName,
+        ...reportYears(report),
+        ...reportFiles(report),
+        ...(report.tags || []),
+        report.folder
+    ].filter(Boolean).join(' ').toLowerCase();
+}
+
+/**
+ * Filter and sort reports
+ * @param {Array<Object>} reports - Store reports
+ * @param {Object} options - query: free text, every word must match;
+ *                           tag, folder: exact match (folder may be UNFILED); sort: key of SORT_OPTIONS
+ * @returns {Array<Object>}
+ */
+export function queryReports(reports, { query = '', tag = null, folder = null, sort = 'uploaded' } = {}) {
+    const words = query.toLowerCase().split(/\s+/).filter(Boolean);
+    const compare = (SORT_OPTIONS[sort] || SORT_OPTIONS.uploaded).compare;
+
+    return reports
+        .filter(report => !tag || (report.tags || []).includes(tag))
+        .filter(report => !folder || folderOf(report) === folder)
+        .filter(report => {
+            if (words.length === 0) return true;
+            const text = searchText(report);
+            return words.every(word => text.includes(word));
+        })
+        .sort((a, b) => compare(a, b) || SORT_OPTIONS.uploaded.compare(a, b));
+}
+
+export default {
+    PRESET_TAGS,
+    UNFILED,
+    SORT_OPTIONS,
+    reportYears,
+    reportFiles,
+    folderOf,
+    normalizeTag,
+    collectTags,
+    collectFolders,
+    queryReports
+};
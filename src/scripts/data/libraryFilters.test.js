@@ -0,0 +1,75 @@
+/**
+ * Tests for Library Filters
+ */
+
+import { describe, it, expect } from 'vitest';
+import { queryReports, collectTags, collectFolders, normalizeTag, reportYears, reportFiles, UNFILED } from './libraryFilters.js';
+
+const reports = [
+    {
+        id: '1', companyName: 'Nahdi Medical Company', fiscalYear: '2023', fileName: 'nahdi-2023.pdf',
+        uploadedAt: '2024-03-01T10:00:00Z', tags: ['watchlist'], folder: 'Healthcare'
+    },
+    {
+        id: '2', companyName: 'Almarai', fiscalYear: '2021-2023', fiscalYears: ['2021', '2022', '2023'],
+        fileName: 'almarai-2021.pdf, almarai-2023.pdf', uploadedAt: '2024-05-01T10:00:00Z',
+        tags: ['portfolio', 'dividends'], folder: 'Consumer Staples',
+        extractedData: { _sources: [{ year: '2021', file: 'almarai-2021.pdf' }, { year: '2023', file: 'almarai-2023.pdf' }] }
+    },
+    {
+        id: '3', companyName: 'Mouwasat Medical Services', fiscalYear: '2024', fileName: 'mouwasat.pdf',
+        uploadedAt: '2024-01-15T10:00:00Z', tags: [], folder: null
+    }
+];
+
+describe('queryReports', () => {
+    it('should sort by upload date, newest first, by default', () => {
+        expect(queryReports(reports).map(r => r.id)).toEqual(['2', '1', '3']);
+    });
+
+    it('should match every search word against company, years, files and tags', () => {
+        expect(queryReports(reports, { query: 'medical' }).map(r => r.id)).toEqual(['1', '3']);
+        expect(queryReports(reports, { query: 'medical 2024' }).map(r => r.id)).toEqual(['3']);
+        expect(queryReports(reports, { query: 'almarai-2021' }).map(r => r.id)).toEqual(['2']);
+        expect(queryReports(reports, { query: 'dividends' }).map(r => r.id)).toEqual(['2']);
+        expect(queryReports(reports, { query: 'tadawul' })).toEqual([]);
+    });
+
+    it('should filter by tag and folder', () => {
+        expect(queryReports(reports, { tag: 'watchlist' }).map(r => r.id)).toEqual(['1']);
+        expect(queryReports(reports, { folder: 'Consumer Staples' }).map(r => r.id)).toEqual(['2']);
+        expect(queryReports(reports, { folder: UNFILED }).map(r => r.id)).toEqual(['3']);
+    });
+
+    it('should sort by company, latest fiscal year or folder', () => {
+        expect(queryReports(reports, { sort: 'company' }).map(r => r.id)).toEqual(['2', '3', '1']);
+        expect(queryReports(reports, { sort: 'fiscalYear' }).map(r => r.id)).toEqual(['3', '2', '1']);
+        expect(queryReports(reports, { sort: 'folder' }).map(r => r.id)).toEqual(['2', '1', '3']);
+    });
+});
+
+describe('library metadata', () => {
+    it('should list tags with presets first', () => {
+        expect(collectTags(reports)).toEqual(['watchlist', 'portfolio', 'dividends']);
+    });
+
+    it('should count reports per folder with Unfiled last', () => {
+        expect(collectFolders(reports)).toEqual([
+            { name: 'Consumer Staples', count: 1 },
+            { name: 'Healthcare', count: 1 },
+            { name: UNFILED, count: 1 }
+        ]);
+    });
+
+    it('should normalise typed tags', () => {
+        expect(normalizeTag('  High   Yield ')).toBe('high yield');
+        expect(normalizeTag('   ')).toBe('');
+    });
+
+    it('should read years and source files of single and merged reports', () => {
+        expect(reportYears(reports[0])).toEqual(['2023']);
+        expect(reportYears(reports[1])).toEqual(['2021', '2022', '2023']);
+        expect(reportFiles(reports[1])).toEqual(['almarai-2021.pdf', 'almarai-2023.pdf']);
+        expect(reportFiles(reports[2])).toEqual(['mouwasat.pdf']);
+    });
+});
@@ -0,0 +1,153 @@
+/**
+ * Overrides Module
+ * Applies user corrections to an extraction and records them against the extracted values
+ */
+
+import { validateData } from './validation.js';
+
+/**
+ * Fields shown in the review editor, in statement order
+ */
+export const REVIEW_FIELDS = [
+    { field: 'companyName', label: 'Company name', type: 'text' },
+    { field: 'fiscalYear', label: 'Fiscal year', type: 'text' },
+    { field: 'revenue', label: 'Revenue', unit: 'M' },
+    { field: 'costOfSales', label: 'Cost of sales', unit: 'M' },
+    { field: 'grossProfit', label: 'Gross profit', unit: 'M' },
+    { field: 'sgaExpenses', label: 'SG&A expenses', unit: 'M' },
+    { field: 'depreciationAmortization', label: 'Depreciation and amortisation', unit: 'M' },
+    { field: 'operatingProfit', label: 'Operating profit', unit: 'M' },
+    { field: 'financeCosts', label: 'Finance costs', unit: 'M' },
+    { field: 'zakat', label: 'Zakat and income tax', unit: 'M' },
+    { field: 'netProfit', label: 'Net profit', unit: 'M' },
+    { field: 'eps', label: 'EPS', unit: 'per share' },
+    { field: 'totalAssets', label: 'Total assets', unit: 'M' },
+    { field: 'currentAssets', label: 'Current assets', unit: 'M' },
+    { field: 'cash', label: 'Cash and equivalents', unit: 'M' },
+    { field: 'receivables', label: 'Trade receivables', unit: 'M' },
+    { field: 'inventories', label: 'Inventories', unit: 'M' },
+    { field: 'totalLiabilities', label: 'Total liabilities', unit: 'M' },
+    { field: 'currentLiabilities', label: 'Current liabilities', unit: 'M' },
+    { field: 'payables', label: 'Trade payables', unit: 'M' },
+    { field: 'borrowings', label: 'Borrowings', unit: 'M' },
+    { field: 'shareholderEquity', label: 'Shareholders\' equity', unit: 'M' },
+    { field: 'operatingCashFlow', label: 'Operating cash flow', unit: 'M' },
+    { field: 'capex', label: 'Capital expenditure', unit: 'M' },
+    { field: 'leasePayments', label: 'Lease payments', unit: 'M' },
+    { field: 'investingCashFlow', label: 'Investing cash flow', unit: 'M' },
+    { field: 'financingCashFlow', label: 'Financing cash flow', unit: 'M' },
+    { field: 'grossMargin', label: 'Gross margin', unit: '%' },
+    { field: 'operatingMargin', label: 'Operating margin', unit: '%' },
+    { field: 'netMargin', label: 'Net margin', unit: '%' },
+    { field: 'roe', label: 'ROE', unit: '%' },
+    { field: 'currentRatio', label: 'Current ratio', unit: 'x' },
+    { field: 'debtToEquity', label: 'Debt-to-equity', unit: 'x' }
+];
+
+// Calculated metrics, recomputed when the user corrects one of their inputs
+const DERIVED = {
+    grossMargin: v => v.revenue ? (v.grossProfit / v.revenue) * 100 : null,
+    operatingMargin: v => v.revenue ? (v.operatingProfit / v.revenue) * 100 : null,
+    netMargin: v => v.revenue ? (v.netProfit / v.revenue) * 100 : null,
+    roe: v => v.shareholderEquity ? (v.netProfit / v.shareholderEquity) * 100 : null,
+    currentRatio: v => v.currentLiabilities ? v.currentAssets / v.currentLiabilities : null,
+    debtToEquity: v => v.shareholderEquity ? v.totalLiabilities / v.shareholderEquity : null
+};
+
+const DERIVED_INPUTS = {
+    grossMargin: ['grossProfit', 'revenue'],
+    operatingMargin: ['operatingProfit', 'revenue'],
+    netMargin: ['netProfit', 'revenue'],
+    roe: ['netProfit', 'shareholderEquity'],
+    currentRatio: ['currentAssets', 'currentLiabilities'],
+    debtToEquity: ['totalLiabilities', 'shareholderEquity']
+};
+
+const round = (value, decimals = 2) => Math.round(value * 10 ** decimals) / 10 ** decimals;
+
+/**
+ * Parse an editor input: '' clears the value, numbers accept separators and brackets
+ * @returns {number|string|null|undefined} - undefined when the input is not a number
+ */
+export function parseInput(text, type = 'number') {
+    const trimmed = String(text ?? '').trim();
+    if (trimmed === '') return null;
+    if (type === 'text') return trimmed;
+
+    const negative = /^\(.*\)$/.test(trimmed) || trimmed.startsWith('-');
+    const value = parseFloat(trimmed.replace(/[^0-9.]/g, ''));
+    if (isNaN(value)) return undefined;
+    return negative ? -value : value;
+}
+
+/**
+ * Fields to highlight in the editor
+ * @returns {{ missing: string[], suspicious: Object<string, string[]> }} - suspicious maps field to issue messages
+ */
+export function reviewFlags(data) {
+    const missing = REVIEW_FIELDS
+        .filter(({ field }) => data[field] === null || data[field] === undefined || data[field] === '')
+        .map(({ field }) => field);
+
+    const suspicious = {};
+    validateData(data)
+        .filter(issue => issue.severity !== 'low')
+        .forEach(issue => {
+            (issue.fields || []).forEach(field => {
+                suspicious[field] = [...(suspicious[field] || []), issue.message];
+            });
+        });
+
+    return { missing, suspicious };
+}
+
+/**
+ * Apply user edits to one extraction
+ * Edited values are recorded in `_overrides[year][field]` as { extracted, value, at };
+ * calculated metrics the user did not edit are recomputed from corrected inputs.
+ * @param {Object} data - Extraction (single year)
+ * @param {Object} edits - { field: value } as parsed by parseInput
+ * @returns {Object} - New extraction
+ */
+export function applyOverrides(data, edits) {
+    const result = { ...data };
+    const overrides = {};
+    const at = new Date().toISOString();
+
+    Object.entries(edits).forEach(([field, value]) => {
+        if (value === undefined || value === data[field] || (value === null && data[field] === undefined)) return;
+        result[field] = value;
+        overrides[field] = { extracted: data[field] ?? null, value, at };
+    });
+
+    Object.entries(DERIVED_INPUTS).forEach(([field, inputs]) => {
+        if (overrides[field] || !inputs.some(input => overrides[input])) return;
+        const computed = DERIVED[field](result);
+        result[field] = computed === null || !isFinite(computed) ? null : round(computed);
+    });
+
+    // A corrected fiscal year moves earlier overrides and citations to the new year
+    const year = result.fiscalYear || 'N/A';
+    const extractedYear = data.fiscalYear || 'N/A';
+    const { [extractedYear]: earlier = {}, ...rest } = data._overrides || {};
+
+    if (Object.keys(overrides).length > 0 || Object.keys(earlier).length > 0) {
+        result._overrides = { ...rest, [year]: { ...earlier, ...overrides } };
+    }
+    if (overrides.fiscalYear && data._citations?.[extractedYear]) {
+        const { [extractedYear]: citations, ...otherYears } = data._citations;
+        result._citations = { ...otherYears, [year]: citations };
+    }
+    return result;
+}
+
+/**
+ * Check whether a field of a year holds a user-corrected value
+ */
+export function isOverridden(data, field, year) {
+    const overrides = data?._overrides || data?._extracted?._overrides;
+    const targetYear = year ?? (Array.isArray(data?.years) ? data.years[data.years.length - 1] : data?.fiscalYear);
+    return Boolean(overrides?.[targetYear]?.[field]);
+}
+
+export default { REVIEW_FIELDS, parseInput, reviewFlags, applyOverrides, isOverridden };
@@ -0,0 +1,79 @@
+/**
+ * Tests for User Overrides
+ */
+
+import { describe, it, expect } from 'vitest';
+import { parseInput, reviewFlags, applyOverrides, isOverridden } from './overrides.js';
+
+const extraction = {
+    companyName: 'Nahdi Medical Company',
+    fiscalYear: '2024',
+    revenue: 9446.4,
+    grossProfit: 3062.5,
+    netProfit: 820.7,
+    netMargin: 8.69,
+    totalAssets: 6173.3,
+    totalLiabilities: 3587.2,
+    shareholderEquity: 2586.1,
+    roe: 31.73,
+    cash: null,
+    _citations: { 2024: { revenue: { page: 41 } } }
+};
+
+describe('parseInput', () => {
+    it('should parse separators, brackets and empty inputs', () => {
+        expect(parseInput('9,446.4')).toBe(9446.4);
+        expect(parseInput('(120.5)')).toBe(-120.5);
+        expect(parseInput('  ')).toBeNull();
+        expect(parseInput('n/a')).toBeUndefined();
+        expect(parseInput(' Nahdi ', 'text')).toBe('Nahdi');
+    });
+});
+
+describe('reviewFlags', () => {
+    it('should list missing fields and fields involved in failed checks', () => {
+        const { missing, suspicious } = reviewFlags({ ...extraction, totalAssets: 7500 });
+        expect(missing).toContain('cash');
+        expect(missing).not.toContain('revenue');
+        expect(suspicious.totalAssets[0]).toContain('Total assets do not equal');
+        expect(suspicious.shareholderEquity).toBeDefined();
+    });
+});
+
+describe('applyOverrides', () => {
+    it('should record edited values against the extracted ones', () => {
+        const result = applyOverrides(extraction, { revenue: 9446.4, cash: 1240.5 });
+        expect(result.cash).toBe(1240.5);
+        expect(Object.keys(result._overrides['2024'])).toEqual(['cash']);
+        expect(result._overrides['2024'].cash).toMatchObject({ extracted: null, value: 1240.5 });
+    });
+
+    it('should recompute calculated metrics from corrected inputs', () => {
+        const result = applyOverrides(extraction, { netProfit: 944.6 });
+        expect(result.netMargin).toBe(10);
+        expect(result.roe).toBeCloseTo(36.53, 2);
+    });
+
+    it('should keep a calculated metric the user corrected', () => {
+        const result = applyOverrides(extraction, { netProfit: 944.6, netMargin: 9.5 });
+        expect(result.netMargin).toBe(9.5);
+    });
+
+    it('should move overrides and citations when the fiscal year is corrected', () => {
+        const result = applyOverrides(extraction, { fiscalYear: '2023' });
+        expect(result._overrides['2023'].fiscalYear.extracted).toBe('2024');
+        expect(result._citations).toEqual({ 2023: { revenue: { page: 41 } } });
+    });
+
+    it('should leave untouched extractions without overrides', () => {
+        expect(applyOverrides(extraction, { revenue: 9446.4, cash: null })._overrides).toBeUndefined();
+    });
+});
+
+describe('isOverridden', () => {
+    it('should look up single and merged reports', () => {
+        const single = applyOverrides(extraction, { cash: 1240.5 });
+        expect(isOverridden({ _extracted: single, fiscalYear: '2024' }, 'cash')).toBe(true);
+        expect(isOverridden({ years: ['2023', '2024'], _overrides: single._overrides }, 'revenue')).toBe(false);
+    });
+});
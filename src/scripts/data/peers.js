@@ -0,0 +1,160 @@
+/**
+ * Peers Module
+ * Aligns the histories of several companies by fiscal year and ranks them on the KPI library
+ */
+
+import { KPIS, kpiSeries } from './kpis.js';
+
+const SELECTION_KEY = 'wagdy_peer_selection';
+
+export const PEER_LIMITS = { min: 2, max: 6 };
+
+// KPIs compared side by side and ranked, in display order
+export const PEER_METRICS = [
+    'revenue',
+    'revenueGrowth',
+    'grossMargin',
+    'operatingMargin',
+    'netMargin',
+    'roe',
+    'roa',
+    'currentRatio',
+    'debtToEquity',
+    'fcf'
+];
+
+// KPIs overlaid on the comparison charts
+export const PEER_CHART_METRICS = ['revenue', 'netMargin', 'roe'];
+
+/**
+ * Validate a peer selection
+ * @param {string[]} ids - Company ids
+ * @returns {string[]} - Error messages, empty when valid
+ */
+export function validatePeerSelection(ids) {
+    if (ids.length < PEER_LIMITS.min) return [`Select at least ${PEER_LIMITS.min} companies`];
+    if (ids.length > PEER_LIMITS.max) return [`Select at most ${PEER_LIMITS.max} companies`];
+    return [];
+}
+
+function yearsOf(data) {
+    return Array.isArray(data.years) ? data.years.map(String) : [String(data.fiscalYear)];
+}
+
+/**
+ * Align companies by fiscal year
+ * Each peer's KPI series are spread over the union of all fiscal years, null where it has no report.
+ * @param {Array<{ id: string, name: string, data: Object }>} peers - Dashboard data of each company,
+ *        in one currency
+ * @param {string[]} [metrics] - Keys of KPIS
+ * @returns {{ years: string[], currency: string|null, peers: Array<{ id, name, years, values }> }}
+ *          `values[metric]` is aligned with `years`
+ */
+export function alignPeers(peers, metrics = PEER_METRICS) {
+    const years = [...new Set(peers.flatMap(peer => yearsOf(peer.data)))].sort();
+
+    return {
+        years,
+        currency: peers[0]?.data.currency || null,
+        peers: peers.map(({ id, name, data }) => {
+            const own = yearsOf(data);
+            const values = Object.fromEntries(metrics.map(metric => {
+                const series = kpiSeries(data, metric);
+                return [metric, years.map(year => (own.includes(year) ? series[own.indexOf(year)] : null))];
+            }));
+            return { id, name, years: own, values };
+        })
+    };
+}
+
+/**
+ * Fiscal year to compare on: the latest every peer reports, or the latest any peer reports
+ */
+export function comparisonYear(comparison) {
+    const common = comparison.years.filter(year => comparison.peers.every(peer => peer.years.includes(year)));
+    return common[common.length - 1] ?? comparison.years[comparison.years.length - 1] ?? null;
+}
+
+/**
+ * Competition ranking ("1, 1, 3"): ties share a rank, peers without a value are unranked
+ * @returns {Array<number|null>} - Rank of each value
+ */
+export function rankValues(values, higherIsBetter = true) {
+    return values.map(value => {
+        if (value === null) return null;
+        const better = values.filter(other => other !== null && (higherIsBetter ? other > value : other < value));
+        return better.length + 1;
+    });
+}
+
+/**
+ * Rank the peers on each metric for a fiscal year, and overall by their average rank
+ * @param {Object} comparison - As returned by alignPeers
+ * @param {string} [year] - Defaults to comparisonYear
+ * @param {string[]} [metrics] - Keys of KPIS, aligned by alignPeers
+ * @returns {{ year: string, metrics: Array<Object>, overall: Array<Object> }}
+ *          metrics: [{ metric, label, unit, higherIsBetter, entries: [{ id, name, value, rank }] }]
+ *          overall: [{ id, name, averageRank, metricsRanked, rank }], best first
+ */
+export function rankPeers(comparison, year = comparisonYear(comparison), metrics = PEER_METRICS) {
+    const index = comparison.years.indexOf(year);
+
+    const ranked = metrics.map(metric => {
+        const { label, unit, higherIsBetter } = KPIS[metric];
+        const values = comparison.peers.map(peer => (index >= 0 ? peer.values[metric][index] : null));
+        const ranks = rankValues(values, higherIsBetter);
+        return {
+            metric,
+            label,
+            unit,
+            higherIsBetter,
+            entries: comparison.peers.map((peer, i) => ({ id: peer.id, name: peer.name, value: values[i], rank: ranks[i] }))
+        };
+    });
+
+    const averages = comparison.peers.map(({ id, name }, i) => {
+        const ranks = ranked.map(m => m.entries[i].rank).filter(rank => rank !== null);
+        return {
+            id,
+            name,
+            averageRank: ranks.length ? Math.round((ranks.reduce((a, b) => a + b, 0) / ranks.length) * 100) / 100 : null,
+            metricsRanked: ranks.length
+        };
+    });
+    const overallRanks = rankValues(averages.map(a => a.averageRank), false);
+    const overall = averages
+        .map((entry, i) => ({ ...entry, rank: overallRanks[i] }))
+        .sort((a, b) => (a.rank ?? Infinity) - (b.rank ?? Infinity));
+
+    return { year, metrics: ranked, overall };
+}
+
+/**
+ * Companies last compared, to restore the selection
+ */
+export function loadPeerSelection() {
+    try {
+        const stored = JSON.parse(localStorage.getItem(SELECTION_KEY));
+        return Array.isArray(stored) ? stored : [];
+    } catch (e) {
+        console.error('Failed to load peer selection:', e);
+        return [];
+    }
+}
+
+export function savePeerSelection(ids) {
+    localStorage.setItem(SELECTION_KEY, JSON.stringify(ids));
+}
+
+export default {
+    PEER_LIMITS,
+    PEER_METRICS,
+    PEER_CHART_METRICS,
+    validatePeerSelection,
+    alignPeers,
+    comparisonYear,
+    rankValues,
+    rankPeers,
+    loadPeerSelection,
+    savePeerSelection
+};
@@ -0,0 +1,102 @@
+/**
+ * Tests for the Peer comparison
+ */
+
+import { describe, it, expect } from 'vitest';
+import { validatePeerSelection, alignPeers, comparisonYear, rankValues, rankPeers } from './peers.js';
+
+const nahdi = {
+    id: 'c1',
+    name: 'Nahdi Medical Company',
+    data: {
+        years: ['2022', '2023'],
+        currency: 'SAR',
+        revenue: [8616.2, 8713.7],
+        netProfit: [887.8, 892.6],
+        totalEquity: [2243.4, 2462.8]
+    }
+};
+
+const dawaa = {
+    id: 'c2',
+    name: 'Al-Dawaa Medical Services',
+    data: {
+        years: ['2021', '2022', '2023'],
+        currency: 'SAR',
+        revenue: [4800, 5200, 5500],
+        netProfit: [250, 280, 300],
+        totalEquity: [1400, 1500, 1600]
+    }
+};
+
+const chain = {
+    id: 'c3',
+    name: 'Regional Pharmacy Chain',
+    data: {
+        years: ['2021', '2022'],
+        currency: 'SAR',
+        revenue: [2000, 2100],
+        netProfit: [210, 220],
+        totalEquity: [900, 1000]
+    }
+};
+
+describe('validatePeerSelection', () => {
+    it('should accept two to six companies', () => {
+        expect(validatePeerSelection(['c1'])).toEqual(['Select at least 2 companies']);
+        expect(validatePeerSelection(['c1', 'c2'])).toEqual([]);
+        expect(validatePeerSelection(['1', '2', '3', '4', '5', '6', '7'])).toEqual(['Select at most 6 companies']);
+    });
+});
+
+describe('alignPeers', () => {
+    it('should spread each series over the union of fiscal years', () => {
+        const comparison = alignPeers([nahdi, dawaa]);
+        expect(comparison.years).toEqual(['2021', '2022', '2023']);
+        expect(comparison.currency).toBe('SAR');
+        expect(comparison.peers[0].values.revenue).toEqual([null, 8616.2, 8713.7]);
+        expect(comparison.peers[1].values.netMargin).toEqual([5.21, 5.38, 5.45]);
+    });
+});
+
+describe('comparisonYear', () => {
+    it('should pick the latest year every peer reports', () => {
+        expect(comparisonYear(alignPeers([nahdi, dawaa]))).toBe('2023');
+        expect(comparisonYear(alignPeers([nahdi, dawaa, chain]))).toBe('2022');
+    });
+
+    it('should fall back to the latest year without a common one', () => {
+        const early = { ...chain, data: { ...chain.data, years: ['2020'], revenue: [1900], netProfit: [200], totalEquity: [850] } };
+        expect(comparisonYear(alignPeers([nahdi, early]))).toBe('2023');
+    });
+});
+
+describe('rankValues', () => {
+    it('should share ranks on ties and leave missing values unranked', () => {
+        expect(rankValues([10, 20, 20, null])).toEqual([3, 1, 1, null]);
+        expect(rankValues([1.2, 0.8], false)).toEqual([2, 1]);
+    });
+});
+
+describe('rankPeers', () => {
+    it('should rank each metric and overall by average rank', () => {
+        const ranking = rankPeers(alignPeers([nahdi, dawaa, chain]));
+        expect(ranking.year).toBe('2022');
+
+        const margin = ranking.metrics.find(m => m.metric === 'netMargin');
+        expect(margin.entries.map(e => e.rank)).toEqual([2, 3, 1]);
+
+        const revenue = ranking.metrics.find(m => m.metric === 'revenue');
+        expect(revenue.entries.map(e => e.rank)).toEqual([1, 2, 3]);
+
+        expect(ranking.overall[0]).toMatchObject({ id: 'c1', rank: 1 });
+        expect(ranking.overall.every(entry => entry.metricsRanked > 0)).toBe(true);
+    });
+
+    it('should leave peers without the year unranked', () => {
+        const ranking = rankPeers(alignPeers([nahdi, chain]), '2023');
+        const revenue = ranking.metrics.find(m => m.metric === 'revenue');
+        expect(revenue.entries.map(e => e.rank)).toEqual([1, null]);
+        expect(ranking.overall[1]).toMatchObject({ id: 'c3', averageRank: null, rank: null });
+    });
+});
@@ -0,0 +1,192 @@
+/**
+ * Provenance Module
+ * Tells, for every dashboard value, whether it was reported in a statement, derived from reported
+ * figures, estimated, or is missing — and applies the user's choice to hide estimates
+ */
+
+import { DERIVATIONS } from './statementModel.js';
+
+const HIDE_ESTIMATES_KEY = 'wagdy_hide_estimates';
+
+export const PROVENANCE = {
+    reported: { label: 'Reported', description: 'Printed in the annual report' },
+    derived: { label: 'Derived', description: 'Calculated from reported figures' },
+    estimated: { label: 'Estimated', description: 'Approximated, not taken from the report' },
+    missing: { label: 'Not available', description: 'Not found in the report' }
+};
+
+// Metrics always calculated from other figures, even when the model returned them
+const CALCULATED_FIELDS = [
+    'grossMargin', 'operatingMargin', 'netMargin', 'roe', 'currentRatio', 'debtToEquity',
+    ...Object.keys(DERIVATIONS)
+];
+
+// Figures approximated when a report does not print them, and how
+const ESTIMATES = {
+    cashEquivalents: {
+        method: '10% of revenue',
+        estimate: (data, i) => (typeof data.revenue?.[i] === 'number' ? Math.round(data.revenue[i] * 0.1 * 10) / 10 : null)
+    }
+};
+
+const isNumber = value => typeof value === 'number' && !isNaN(value);
+
+/**
+ * Value of a field for a fiscal year: series are indexed by year, year-keyed objects by year
+ */
+export function valueOf(data, field, year) {
+    const value = data?.[field];
+    if (Array.isArray(value)) {
+        const years = Array.isArray(data.years) ? data.years : [data.fiscalYear];
+        const index = year === undefined ? value.length - 1 : years.indexOf(String(year));
+        return index >= 0 ? value[index] ?? null : null;
+    }
+    if (value && typeof value === 'object') {
+        return year === undefined ? null : value[year] ?? null;
+    }
+    return value ?? null;
+}
+
+/**
+ * Citations of a fiscal year (merged reports keep them at the top level, single ones on `_extracted`)
+ */
+function citationsOf(data, year) {
+    const byYear = data?._citations || data?._extracted?._citations;
+    return byYear?.[year] || {};
+}
+
+function latestYear(data) {
+    return Array.isArray(data?.years) ? data.years[data.years.length - 1] : data?.fiscalYear;
+}
+
+/**
+ * Provenance of a value
+ * @param {Object} data - Dashboard data
+ * @param {string} field
+ * @param {string} [year] - Fiscal year; the latest when omitted
+ * @returns {'reported'|'derived'|'estimated'|'missing'}
+ */
+export function provenanceOf(data, field, year) {
+    const targetYear = year ?? latestYear(data);
+    if (!isNumber(valueOf(data, field, targetYear))) return 'missing';
+
+    if (data._estimates?.[field]?.[targetYear]) return 'estimated';
+
+    const citation = citationsOf(data, targetYear)[field];
+    if (citation?.formula) return 'derived';
+    if (CALCULATED_FIELDS.includes(field) && !citation?.page) return 'derived';
+    return 'reported';
+}
+
+/**
+ * How an estimated value was approximated, or null when it is not an estimate
+ */
+export function estimateMethod(data, field, year) {
+    return data?._estimates?.[field]?.[year ?? latestYear(data)] || null;
+}
+
+/**
+ * Provenance of a field for every fiscal year
+ * @returns {string[]} - One flag per entry of `data.years`
+ */
+export function provenanceSeries(data, field) {
+    const years = Array.isArray(data?.years) ? data.years : [data?.fiscalYear];
+    return years.map(year => provenanceOf(data, field, year));
+}
+
+/**
+ * Count values per provenance
+ * @param {Object} data - Dashboard data
+ * @param {string[]} fields - Fields to count, every fiscal year each
+ * @returns {{ reported: number, derived: number, estimated: number, missing: number }}
+ */
+export function summarizeProvenance(data, fields) {
+    const counts = Object.fromEntries(Object.keys(PROVENANCE).map(flag => [flag, 0]));
+    fields.forEach(field => provenanceSeries(data, field).forEach(flag => counts[flag]++));
+    return counts;
+}
+
+/**
+ * Fill figures a report does not print with labelled estimates
+ * Estimated years are listed in `_estimates[field][year]` with the method used.
+ * @param {Object} data - Dashboard data
+ * @returns {Object}
+ */
+export function addEstimates(data) {
+    const years = Array.isArray(data.years) ? data.years : [data.fiscalYear];
+    const result = { ...data, _estimates: { ...data._estimates } };
+
+    Object.entries(ESTIMATES).forEach(([field, { method, estimate }]) => {
+        const values = { ...data[field] };
+        years.forEach((year, i) => {
+            if (isNumber(values[year])) return;
+            const value = estimate(data, i);
+            if (!isNumber(value)) return;
+            values[year] = value;
+            result._estimates[field] = { ...result._estimates[field], [year]: method };
+        });
+        result[field] = values;
+    });
+
+    return result;
+}
+
+/**
+ * Remove every estimated value, leaving it missing
+ * @param {Object} data - Dashboard data with `_estimates`
+ * @returns {Object}
+ */
+export function removeEstimates(data) {
+    const years = Array.isArray(data.years) ? data.years : [data.fiscalYear];
+    const result = { ...data, _estimates: {} };
+
+    Object.entries(data._estimates || {}).forEach(([field, estimated]) => {
+        const value = data[field];
+        if (Array.isArray(value)) {
+            result[field] = value.map((v, i) => (estimated[years[i]] ? null : v));
+        } else if (value && typeof value === 'object') {
+            result[field] = Object.fromEntries(Object.entries(value).filter(([year]) => !estimated[year]));
+        } else if (estimated[latestYear(data)]) {
+            result[field] = null;
+        }
+    });
+
+    return result;
+}
+
+/**
+ * Apply the user's estimate setting to dashboard data
+ */
+export function applyEstimatePolicy(data, hide = getHideEstimates()) {
+    const estimated = addEstimates(data);
+    return hide ? removeEstimates(estimated) : estimated;
+}
+
+/**
+ * Whether estimates are hidden (investment-committee mode)
+ */
+export function getHideEstimates() {
+    return localStorage.getItem(HIDE_ESTIMATES_KEY) === 'true';
+}
+
+export function setHideEstimates(hide) {
+    if (hide) {
+        localStorage.setItem(HIDE_ESTIMATES_KEY, 'true');
+    } else {
+        localStorage.removeItem(HIDE_ESTIMATES_KEY);
+    }
+}
+
+export default {
+    PROVENANCE,
+    valueOf,
+    provenanceOf,
+    estimateMethod,
+    provenanceSeries,
+    summarizeProvenance,
+    addEstimates,
+    removeEstimates,
+    applyEstimatePolicy,
+    getHideEstimates,
+    setHideEstimates
+};
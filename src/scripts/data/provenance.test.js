@@ -0,0 +1,69 @@
+/**
+ * Tests for Provenance
+ */
+
+import { describe, it, expect } from 'vitest';
+import { provenanceOf, provenanceSeries, summarizeProvenance, addEstimates, removeEstimates, applyEstimatePolicy } from './provenance.js';
+
+const data = {
+    years: ['2022', '2023'],
+    fiscalYear: '2023',
+    revenue: [8616.2, 8713.7],
+    netMargin: [10.3, 10.24],
+    operatingCashFlow: [null, 1368.7],
+    fcf: [null, 984.2],
+    cashEquivalents: { 2023: 1240 },
+    _citations: {
+        2023: {
+            revenue: { page: 12, raw: '8,713,700' },
+            fcf: { formula: 'Operating cash flow − Capital expenditure − Lease payments', inputs: [] }
+        }
+    }
+};
+
+describe('provenanceOf', () => {
+    it('should tell reported, derived and missing values apart', () => {
+        expect(provenanceOf(data, 'revenue', '2023')).toBe('reported');
+        expect(provenanceOf(data, 'fcf', '2023')).toBe('derived');
+        expect(provenanceOf(data, 'netMargin', '2023')).toBe('derived');
+        expect(provenanceOf(data, 'operatingCashFlow', '2022')).toBe('missing');
+        expect(provenanceOf(data, 'capex', '2023')).toBe('missing');
+    });
+
+    it('should default to the latest year and read year-keyed figures', () => {
+        expect(provenanceOf(data, 'operatingCashFlow')).toBe('reported');
+        expect(provenanceSeries(data, 'cashEquivalents')).toEqual(['missing', 'reported']);
+    });
+});
+
+describe('estimates', () => {
+    it('should label estimated cash and keep reported cash', () => {
+        const estimated = addEstimates(data);
+        expect(estimated.cashEquivalents).toEqual({ 2022: 861.6, 2023: 1240 });
+        expect(provenanceOf(estimated, 'cashEquivalents', '2022')).toBe('estimated');
+        expect(provenanceOf(estimated, 'cashEquivalents', '2023')).toBe('reported');
+        expect(estimated._estimates.cashEquivalents).toEqual({ 2022: '10% of revenue' });
+    });
+
+    it('should remove estimated series points and year-keyed figures when hidden', () => {
+        const hidden = removeEstimates({
+            ...addEstimates(data),
+            financingCashFlow: [-650, -700],
+            _estimates: { financingCashFlow: { 2022: 'Estimated' }, cashEquivalents: { 2022: '10% of revenue' } }
+        });
+        expect(hidden.financingCashFlow).toEqual([null, -700]);
+        expect(hidden.cashEquivalents).toEqual({ 2023: 1240 });
+        expect(provenanceOf(hidden, 'financingCashFlow', '2022')).toBe('missing');
+    });
+
+    it('should apply the hide setting', () => {
+        expect(applyEstimatePolicy(data, false).cashEquivalents['2022']).toBe(861.6);
+        expect(applyEstimatePolicy(data, true).cashEquivalents['2022']).toBeUndefined();
+    });
+});
+
+describe('summarizeProvenance', () => {
+    it('should count every year of every field', () => {
+        expect(summarizeProvenance(data, ['revenue', 'fcf'])).toEqual({ reported: 2, derived: 1, estimated: 0, missing: 1 });
+    });
+});
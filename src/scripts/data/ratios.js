@@ -0,0 +1,309 @@
+/**
+ * Ratios Module
+ * Library of financial ratios computed per fiscal year from the stored line items,
+ * with the definition and formula of each, and the DuPont decomposition of ROE
+ *
+ * Balance-sheet figures are taken at year end. A ratio is null for a year when one of its
+ * inputs is not reported or its denominator is zero; it is never estimated.
+ */
+
+import { figureOf } from './statements.js';
+
+const DAYS_IN_YEAR = 365;
+
+const divide = (numerator, denominator, scale = 1) => (denominator ? (numerator / denominator) * scale : null);
+
+/**
+ * Pre-tax profit: net profit before zakat and income tax
+ */
+const profitBeforeTax = v => v.netProfit + (v.zakat ?? 0);
+
+export const RATIO_CATEGORIES = {
+    profitability: 'Profitability',
+    efficiency: 'Efficiency',
+    liquidity: 'Liquidity',
+    leverage: 'Leverage and coverage',
+    shareholder: 'Shareholder returns'
+};
+
+/**
+ * Ratio definitions
+ * `inputs` must all be reported for the ratio to be computed; `optional` inputs default to zero.
+ */
+export const RATIOS = {
+    grossMargin: {
+        label: 'Gross margin',
+        category: 'profitability',
+        unit: '%',
+        definition: 'Share of revenue left after the cost of the goods and services sold.',
+        formula: 'Gross profit ÷ Revenue × 100',
+        inputs: ['grossProfit', 'revenue'],
+        compute: v => divide(v.grossProfit, v.revenue, 100)
+    },
+    operatingMargin: {
+        label: 'Operating margin',
+        category: 'profitability',
+        unit: '%',
+        definition: 'Share of revenue left after all operating costs.',
+        formula: 'Operating profit ÷ Revenue × 100',
+        inputs: ['operatingProfit', 'revenue'],
+        compute: v => divide(v.operatingProfit, v.revenue, 100)
+    },
+    netMargin: {
+        label: 'Net margin',
+        category: 'profitability',
+        unit: '%',
+        definition: 'Share of revenue kept as profit for the year.',
+        formula: 'Net profit ÷ Revenue × 100',
+        inputs: ['netProfit', 'revenue'],
+        compute: v => divide(v.netProfit, v.revenue, 100)
+    },
+    roa: {
+        label: 'Return on assets (ROA)',
+        category: 'profitability',
+        unit: '%',
+        definition: 'Profit generated per unit of assets employed.',
+        formula: 'Net profit ÷ Total assets × 100',
+        inputs: ['netProfit', 'totalAssets'],
+        compute: v => divide(v.netProfit, v.totalAssets, 100)
+    },
+    roe: {
+        label: 'Return on equity (ROE)',
+        category: 'profitability',
+        unit: '%',
+        definition: 'Profit generated per unit of shareholders\' equity.',
+        formula: 'Net profit ÷ Shareholders\' equity × 100',
+        inputs: ['netProfit', 'shareholderEquity'],
+        compute: v => divide(v.netProfit, v.shareholderEquity, 100)
+    },
+    roic: {
+        label: 'Return on invested capital (ROIC)',
+        category: 'profitability',
+        unit: '%',
+        definition: 'After-tax operating profit per unit of capital provided by shareholders and lenders, net of cash.',
+        formula: 'Operating profit × (1 − Zakat and tax ÷ Profit before tax) ÷ (Equity + Borrowings − Cash) × 100',
+        inputs: ['operatingProfit', 'netProfit', 'shareholderEquity', 'borrowings', 'cash'],
+        optional: ['zakat'],
+        compute: v => {
+            const taxRate = divide(v.zakat ?? 0, profitBeforeTax(v)) ?? 0;
+            return divide(v.operatingProfit * (1 - taxRate), v.shareholderEquity + v.borrowings - v.cash, 100);
+        }
+    },
+    assetTurnover: {
+        label: 'Asset turnover',
+        category: 'efficiency',
+        unit: 'x',
+        definition: 'Revenue generated per unit of assets.',
+        formula: 'Revenue ÷ Total assets',
+        inputs: ['revenue', 'totalAssets'],
+        compute: v => divide(v.revenue, v.totalAssets)
+    },
+    inventoryDays: {
+        label: 'Inventory days',
+        category: 'efficiency',
+        unit: 'days',
+        definition: 'Days of cost of sales held as inventory.',
+        formula: 'Inventories ÷ Cost of sales × 365',
+        inputs: ['inventories', 'costOfSales'],
+        compute: v => divide(v.inventories, v.costOfSales, DAYS_IN_YEAR)
+    },
+    receivableDays: {
+        label: 'Receivable days',
+        category: 'efficiency',
+        unit: 'days',
+        definition: 'Days of revenue not yet collected from customers.',
+        formula: 'Trade receivables ÷ Revenue × 365',
+        inputs: ['receivables', 'revenue'],
+        compute: v => divide(v.receivables, v.revenue, DAYS_IN_YEAR)
+    },
+    payableDays: {
+        label: 'Payable days',
+        category: 'efficiency',
+        unit: 'days',
+        definition: 'Days of cost of sales not yet paid to suppliers.',
+        formula: 'Trade payables ÷ Cost of sales × 365',
+        inputs: ['payables', 'costOfSales'],
+        compute: v => divide(v.payables, v.costOfSales, DAYS_IN_YEAR)
+    },
+    cashConversionCycle: {
+        label: 'Cash conversion cycle',
+        category: 'efficiency',
+        unit: 'days',
+        definition: 'Days between paying suppliers and collecting from customers.',
+        formula: 'Inventory days + Receivable days − Payable days',
+        inputs: ['inventories', 'receivables', 'payables', 'revenue', 'costOfSales'],
+        compute: v => {
+            const days = ['inventoryDays', 'receivableDays', 'payableDays'].map(id => RATIOS[id].compute(v));
+            return days.includes(null) ? null : days[0] + days[1] - days[2];
+        }
+    },
+    currentRatio: {
+        label: 'Current ratio',
+        category: 'liquidity',
+        unit: 'x',
+        definition: 'Current assets available per unit of liabilities due within a year.',
+        formula: 'Current assets ÷ Current liabilities',
+        inputs: ['currentAssets', 'currentLiabilities'],
+        compute: v => divide(v.currentAssets, v.currentLiabilities)
+    },
+    quickRatio: {
+        label: 'Quick ratio',
+        category: 'liquidity',
+        unit: 'x',
+        definition: 'Current assets other than inventories per unit of current liabilities.',
+        formula: '(Current assets − Inventories) ÷ Current liabilities',
+        inputs: ['currentAssets', 'inventories', 'currentLiabilities'],
+        compute: v => divide(v.currentAssets - v.inventories, v.currentLiabilities)
+    },
+    debtToEquity: {
+        label: 'Debt-to-equity',
+        category: 'leverage',
+        unit: 'x',
+        definition: 'Total liabilities per unit of shareholders\' equity.',
+        formula: 'Total liabilities ÷ Shareholders\' equity',
+        inputs: ['totalLiabilities', 'shareholderEquity'],
+        compute: v => divide(v.totalLiabilities, v.shareholderEquity)
+    },
+    interestCoverage: {
+        label: 'Interest coverage',
+        category: 'leverage',
+        unit: 'x',
+        definition: 'Times operating profit covers finance costs.',
+        formula: 'Operating profit ÷ Finance costs',
+        inputs: ['operatingProfit', 'financeCosts'],
+        compute: v => divide(v.operatingProfit, v.financeCosts)
+    },
+    netDebtToEbitda: {
+        label: 'Net debt / EBITDA',
+        category: 'leverage',
+        unit: 'x',
+        definition: 'Years of EBITDA needed to repay borrowings net of cash; negative when cash exceeds borrowings.',
+        formula: '(Borrowings − Cash) ÷ EBITDA',
+        inputs: ['borrowings', 'cash', 'ebitda'],
+        compute: v => divide(v.borrowings - v.cash, v.ebitda)
+    },
+    payoutRatio: {
+        label: 'Payout ratio',
+        category: 'shareholder',
+        unit: '%',
+        definition: 'Share of earnings per share distributed as dividends.',
+        formula: 'Dividends per share ÷ EPS × 100',
+        inputs: ['dividends', 'eps'],
+        compute: v => divide(v.dividends, v.eps, 100)
+    }
+};
+
+const round = (value, decimals = 2) => Math.round(value * 10 ** decimals) / 10 ** decimals;
+
+function yearsOf(data) {
+    return Array.isArray(data.years) ? data.years.map(String) : [String(data.fiscalYear)];
+}
+
+/**
+ * Inputs of a set of ratios for one year
+ */
+function inputsFor(data, fields, year) {
+    return Object.fromEntries(fields.map(field => [field, figureOf(data, field, year)]));
+}
+
+/**
+ * Compute one ratio for one fiscal year
+ * @returns {number|null}
+ */
+export function computeRatio(data, id, year) {
+    const ratio = RATIOS[id];
+    if (!ratio) throw new Error(`Unknown ratio "${id}"`);
+
+    const values = inputsFor(data, [...ratio.inputs, ...(ratio.optional || [])], year);
+    if (ratio.inputs.some(input => values[input] === null)) return null;
+
+    const result = ratio.compute(values);
+    return typeof result === 'number' && isFinite(result) ? round(result) : null;
+}
+
+/**
+ * Per-year series of a ratio, aligned with `data.years`
+ * @returns {Array<number|null>}
+ */
+export function ratioSeries(data, id) {
+    return yearsOf(data).map(year => computeRatio(data, id, year));
+}
+
+/**
+ * Every ratio of the library with its definition and series
+ * @returns {Array<{ id, label, category, unit, definition, formula, series }>}
+ */
+export function computeRatios(data) {
+    return Object.entries(RATIOS).map(([id, { label, category, unit, definition, formula }]) => ({
+        id, label, category, unit, definition, formula, series: ratioSeries(data, id)
+    }));
+}
+
+export const DUPONT_FACTORS = {
+    threeStep: [
+        { id: 'netMargin', label: 'Net margin', formula: 'Net profit ÷ Revenue' },
+        { id: 'assetTurnover', label: 'Asset turnover', formula: 'Revenue ÷ Total assets' },
+        { id: 'equityMultiplier', label: 'Equity multiplier', formula: 'Total assets ÷ Shareholders\' equity' }
+    ],
+    fiveStep: [
+        { id: 'taxBurden', label: 'Tax burden', formula: 'Net profit ÷ Profit before tax' },
+        { id: 'interestBurden', label: 'Interest burden', formula: 'Profit before tax ÷ Operating profit' },
+        { id: 'operatingMargin', label: 'Operating margin', formula: 'Operating profit ÷ Revenue' },
+        { id: 'assetTurnover', label: 'Asset turnover', formula: 'Revenue ÷ Total assets' },
+        { id: 'equityMultiplier', label: 'Equity multiplier', formula: 'Total assets ÷ Shareholders\' equity' }
+    ]
+};
+
+/**
+ * DuPont decomposition of ROE for one fiscal year
+ * The product of the factors of each breakdown equals ROE (as a fraction, × 100 for percent).
+ * Profit before tax is net profit plus zakat and income tax; operating profit stands in for EBIT.
+ * @returns {{ roe: number|null, threeStep: Object|null, fiveStep: Object|null }} - Factors as fractions
+ *          and multiples, null when an input is not reported
+ */
+export function dupont(data, year) {
+    const v = inputsFor(data, ['netProfit', 'zakat', 'operatingProfit', 'revenue', 'totalAssets', 'shareholderEquity'], year);
+    const roe = v.netProfit !== null && v.shareholderEquity ? round((v.netProfit / v.shareholderEquity) * 100) : null;
+
+    const common = {
+        assetTurnover: divide(v.revenue, v.totalAssets),
+        equityMultiplier: divide(v.totalAssets, v.shareholderEquity)
+    };
+    const complete = factors => (Object.values(factors).every(f => typeof f === 'number' && isFinite(f))
+        ? Object.fromEntries(Object.entries(factors).map(([id, f]) => [id, round(f, 4)]))
+        : null);
+
+    const threeStep = v.netProfit === null ? null : complete({
+        netMargin: divide(v.netProfit, v.revenue),
+        ...common
+    });
+
+    const ebt = v.netProfit === null ? null : profitBeforeTax(v);
+    const fiveStep = ebt === null || v.operatingProfit === null ? null : complete({
+        taxBurden: divide(v.netProfit, ebt),
+        interestBurden: divide(ebt, v.operatingProfit),
+        operatingMargin: divide(v.operatingProfit, v.revenue),
+        ...common
+    });
+
+    return { roe, threeStep, fiveStep };
+}
+
+/**
+ * DuPont decomposition for every fiscal year
+ * @returns {Array<{ year: string, roe, threeStep, fiveStep }>}
+ */
+export function dupontSeries(data) {
+    return yearsOf(data).map(year => ({ year, ...dupont(data, year) }));
+}
+
+export default {
+    RATIO_CATEGORIES,
+    RATIOS,
+    DUPONT_FACTORS,
+    computeRatio,
+    ratioSeries,
+    computeRatios,
+    dupont,
+    dupontSeries
+};
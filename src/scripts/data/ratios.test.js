@@ -0,0 +1,118 @@
+/**
+ * Tests for the Ratio library
+ */
+
+import { describe, it, expect } from 'vitest';
+import { RATIOS, computeRatio, ratioSeries, computeRatios, dupont, dupontSeries } from './ratios.js';
+
+const data = {
+    years: ['2022', '2023'],
+    revenue: [8000, 10000],
+    costOfSales: [5000, 6000],
+    grossProfit: [3000, 4000],
+    operatingProfit: [1000, 1200],
+    financeCosts: [null, 100],
+    zakat: [100, 100],
+    netProfit: [900, 1000],
+    depreciationAmortization: [null, 300],
+    ebitda: [null, 1500],
+    totalAssets: [8000, 10000],
+    currentAssets: [3000, 4000],
+    currentLiabilities: [2000, 2500],
+    inventories: [1000, 1200],
+    receivables: [1600, 2000],
+    payables: [800, 900],
+    borrowings: [1000, 2000],
+    totalLiabilities: [4000, 5000],
+    totalEquity: [4000, 5000],
+    cashEquivalents: { 2022: 500, 2023: 1000 },
+    eps: [1.8, 2],
+    dividends: { 2023: 1 }
+};
+
+describe('RATIOS', () => {
+    it('should define every ratio with a formula and its inputs', () => {
+        for (const ratio of Object.values(RATIOS)) {
+            expect(ratio.definition).toBeTruthy();
+            expect(ratio.formula).toBeTruthy();
+            expect(ratio.inputs.length).toBeGreaterThan(0);
+            expect(['%', 'x', 'days']).toContain(ratio.unit);
+        }
+    });
+});
+
+describe('computeRatio', () => {
+    it('should compute returns and turnover on year-end balances', () => {
+        expect(computeRatio(data, 'roa', '2023')).toBe(10);
+        expect(computeRatio(data, 'roe', '2023')).toBe(20);
+        expect(computeRatio(data, 'assetTurnover', '2023')).toBe(1);
+    });
+
+    it('should compute ROIC on after-zakat operating profit and net invested capital', () => {
+        // 1,200 × (1 − 100 / 1,100) ÷ (5,000 + 2,000 − 1,000)
+        expect(computeRatio(data, 'roic', '2023')).toBe(18.18);
+    });
+
+    it('should compute working-capital days and the cash conversion cycle', () => {
+        expect(computeRatio(data, 'inventoryDays', '2023')).toBe(73);
+        expect(computeRatio(data, 'receivableDays', '2023')).toBe(73);
+        expect(computeRatio(data, 'payableDays', '2023')).toBe(54.75);
+        expect(computeRatio(data, 'cashConversionCycle', '2023')).toBe(91.25);
+    });
+
+    it('should compute liquidity, coverage, leverage and payout', () => {
+        expect(computeRatio(data, 'quickRatio', '2023')).toBe(1.12);
+        expect(computeRatio(data, 'interestCoverage', '2023')).toBe(12);
+        expect(computeRatio(data, 'netDebtToEbitda', '2023')).toBe(0.67);
+        expect(computeRatio(data, 'payoutRatio', '2023')).toBe(50);
+    });
+
+    it('should return null when an input is missing or a denominator is zero', () => {
+        expect(computeRatio(data, 'interestCoverage', '2022')).toBeNull();
+        expect(computeRatio(data, 'payoutRatio', '2022')).toBeNull();
+        expect(computeRatio({ ...data, totalAssets: [0, 0] }, 'roa', '2023')).toBeNull();
+    });
+
+    it('should reject unknown ratios', () => {
+        expect(() => computeRatio(data, 'pe', '2023')).toThrow('Unknown ratio "pe"');
+    });
+});
+
+describe('ratioSeries and computeRatios', () => {
+    it('should align series with the fiscal years', () => {
+        expect(ratioSeries(data, 'netMargin')).toEqual([11.25, 10]);
+        expect(ratioSeries(data, 'netDebtToEbitda')).toEqual([null, 0.67]);
+    });
+
+    it('should compute the whole library', () => {
+        const ratios = computeRatios(data);
+        expect(ratios).toHaveLength(Object.keys(RATIOS).length);
+        expect(ratios.find(r => r.id === 'currentRatio')).toMatchObject({ unit: 'x', series: [1.5, 1.6] });
+    });
+});
+
+describe('dupont', () => {
+    it('should decompose ROE into factors whose product equals ROE', () => {
+        const { roe, threeStep, fiveStep } = dupont(data, '2023');
+        expect(roe).toBe(20);
+        expect(threeStep).toEqual({ netMargin: 0.1, assetTurnover: 1, equityMultiplier: 2 });
+        expect(fiveStep).toEqual({
+            taxBurden: 0.9091,
+            interestBurden: 0.9167,
+            operatingMargin: 0.12,
+            assetTurnover: 1,
+            equityMultiplier: 2
+        });
+
+        const product = factors => Object.values(factors).reduce((a, b) => a * b, 1) * 100;
+        expect(product(threeStep)).toBeCloseTo(roe, 1);
+        expect(product(fiveStep)).toBeCloseTo(roe, 1);
+    });
+
+    it('should leave a breakdown out when its inputs are not reported', () => {
+        const { threeStep, fiveStep } = dupont({ ...data, operatingProfit: [null, null] }, '2023');
+        expect(threeStep).not.toBeNull();
+        expect(fiveStep).toBeNull();
+        expect(dupontSeries(data).map(d => d.year)).toEqual(['2022', '2023']);
+    });
+});
@@ -0,0 +1,309 @@
+/**
+ * Report Library Module
+ * IndexedDB persistence for saved reports, their source PDFs and extracted page text,
+ * and the registry of companies the reports belong to.
+ * Replaces the single `wagdy_reports` localStorage blob, which is migrated on first load.
+ */
+
+const DB_NAME = 'wagdy_library';
+const LEGACY_KEY = 'wagdy_reports';
+const CURRENT_KEY = 'currentReportId';
+
+/**
+ * Database version: bump it and add an entry to DB_UPGRADES to change object stores
+ */
+export const DB_VERSION = 2;
+
+/**
+ * Report record version: bump it and add an entry to RECORD_MIGRATIONS to change the record shape
+ * Version 0 is the shape stored in localStorage before the library existed.
+ */
+export const RECORD_VERSION = 3;
+
+// Object store changes, run once each when the database is upgraded past their version
+const DB_UPGRADES = {
+    1: db => {
+        const reports = db.createObjectStore('reports', { keyPath: 'id' });
+        reports.createIndex('uploadedAt', 'uploadedAt');
+        reports.createIndex('companyName', 'companyName');
+
+        // Source PDFs and their extracted pages, kept apart so listing reports never loads them
+        const files = db.createObjectStore('files', { keyPath: 'id' });
+        files.createIndex('reportId', 'reportId');
+
+        db.createObjectStore('meta');
+    },
+    2: db => {
+        const companies = db.createObjectStore('companies', { keyPath: 'id' });
+        companies.createIndex('ticker', 'ticker');
+    }
+};
+
+// Report record changes, applied in order to records older than RECORD_VERSION
+const RECORD_MIGRATIONS = {
+    1: record => ({
+        ...record,
+        id: String(record.id || Date.now()),
+        uploadedAt: record.uploadedAt || new Date(Number(record.id) || Date.now()).toISOString(),
+        fileIds: record.fileIds || []
+    }),
+    // Library browser: user tags and a folder (typically the sector)
+    2: record => ({
+        ...record,
+        tags: record.tags || [],
+        folder: record.folder || null
+    }),
+    // Company registry: linked by the report store on load
+    3: record => ({
+        ...record,
+        companyId: record.companyId || null
+    })
+};
+
+let dbPromise = null;
+
+/**
+ * Bring a report record up to RECORD_VERSION
+ */
+export function upgradeRecord(record) {
+    let upgraded = record;
+    for (let version = (record.schemaVersion || 0) + 1; version <= RECORD_VERSION; version++) {
+        upgraded = { ...RECORD_MIGRATIONS[version](upgraded), schemaVersion: version };
+    }
+    return upgraded;
+}
+
+/**
+ * Convert the legacy localStorage store to library records
+ * @param {string|null} json - Value of `wagdy_reports`
+ * @returns {{ reports: Array<Object>, currentId: string|null }}
+ */
+export function migrateLegacyStore(json) {
+    if (!json) return { reports: [], currentId: null };
+
+    let legacy;
+    try {
+        legacy = JSON.parse(json);
+    } catch (e) {
+        console.warn('Discarding unreadable legacy report store:', e);
+        return { reports: [], currentId: null };
+    }
+
+    // currentIndex points into the unfiltered list, so resolve it before dropping reports without data
+    const legacyReports = legacy.reports || [];
+    const legacyCurrent = legacyReports[legacy.currentIndex ?? -1];
+    const kept = legacyReports.filter(report => report?.extractedData);
+    const reports = kept.map(upgradeRecord);
+    const current = reports[kept.indexOf(legacyCurrent)];
+    return { reports, currentId: current ? current.id : null };
+}
+
+/**
+ * Newest first, as the store navigates them
+ */
+export function sortReports(reports) {
+    return [...reports].sort((a, b) => (b.uploadedAt || '').localeCompare(a.uploadedAt || ''));
+}
+
+/**
+ * Wrap an IDBRequest in a promise
+ */
+function request(req) {
+    return new Promise((resolve, reject) => {
+        req.onsuccess = () => resolve(req.result);
+        req.onerror = () => reject(req.error);
+    });
+}
+
+/**
+ * Resolve when a transaction commits
+ */
+function committed(tx) {
+    return new Promise((resolve, reject) => {
+        tx.oncomplete = () => resolve();
+        tx.onerror = () => reject(tx.error);
+        tx.onabort = () => reject(tx.error || new Error('Transaction aborted'));
+    });
+}
+
+/**
+ * Open the library, creating or upgrading object stores as needed
+ */
+function openLibrary() {
+    if (dbPromise) return dbPromise;
+
+    dbPromise = new Promise((resolve, reject) => {
+        if (typeof indexedDB === 'undefined') {
+            reject(new Error('IndexedDB is not available'));
+            return;
+        }
+
+        const req = indexedDB.open(DB_NAME, DB_VERSION);
+        req.onupgradeneeded = (e) => {
+            for (let version = e.oldVersion + 1; version <= DB_VERSION; version++) {
+                DB_UPGRADES[version](req.result, req.transaction);
+            }
+        };
+        req.onsuccess = () => resolve(req.result);
+        req.onerror = () => reject(req.error);
+        req.onblocked = () => reject(new Error('Report library is open in another tab with an older version'));
+    });
+
+    dbPromise.catch(() => {
+        dbPromise = null;
+    });
+    return dbPromise;
+}
+
+/**
+ * Load every report, migrating the legacy localStorage store and outdated records
+ * @returns {Promise<{ reports: Array<Object>, currentId: string|null }>} - Reports newest first
+ */
+export async function loadLibrary() {
+    const db = await openLibrary();
+
+    const legacyJSON = localStorage.getItem(LEGACY_KEY);
+    if (legacyJSON) {
+        const legacy = migrateLegacyStore(legacyJSON);
+        const tx = db.transaction(['reports', 'meta'], 'readwrite');
+        legacy.reports.forEach(report => tx.objectStore('reports').put(report));
+        if (legacy.currentId) tx.objectStore('meta').put(legacy.currentId, CURRENT_KEY);
+        await committed(tx);
+
+        // Only drop the old store once its reports are safely in the library
+        localStorage.removeItem(LEGACY_KEY);
+        console.log(`Migrated ${legacy.reports.length} report(s) from localStorage to the report library`);
+    }
+
+    const tx = db.transaction(['reports', 'meta'], 'readonly');
+    const [stored, currentId] = await Promise.all([
+        request(tx.objectStore('reports').getAll()),
+        request(tx.objectStore('meta').get(CURRENT_KEY))
+    ]);
+
+    const outdated = stored.filter(report => (report.schemaVersion || 0) < RECORD_VERSION);
+    const reports = stored.map(report => (report.schemaVersion || 0) < RECORD_VERSION ? upgradeRecord(report) : report);
+
+    if (outdated.length > 0) {
+        const writeTx = db.transaction('reports', 'readwrite');
+        reports.forEach(report => writeTx.objectStore('reports').put(report));
+        await committed(writeTx);
+    }
+
+    return { reports: sortReports(reports), currentId: currentId ?? null };
+}
+
+/**
+ * Save a report with its source files
+ * @param {Object} report - Report record (without files)
+ * @param {Array<{ id: string, fileName: string, blob: Blob, pages: Array }>} files
+ */
+export async function saveReport(report, files = []) {
+    const db = await openLibrary();
+    const tx = db.transaction(['reports', 'files'], 'readwrite');
+    tx.objectStore('reports').put(report);
+    files.forEach(file => tx.objectStore('files').put({ ...file, reportId: report.id }));
+    await committed(tx);
+}
+
+/**
+ * Delete reports and their source files
+ * @param {string[]} ids
+ */
+export async function deleteReports(ids) {
+    const db = await openLibrary();
+    const tx = db.transaction(['reports', 'files'], 'readwrite');
+    const files = tx.objectStore('files');
+
+    ids.forEach(id => {
+        tx.objectStore('reports').delete(id);
+        files.index('reportId').getAllKeys(id).onsuccess = (e) => {
+            e.target.result.forEach(key => files.delete(key));
+        };
+    });
+    await committed(tx);
+}
+
+/**
+ * Delete every report, file and company
+ */
+export async function clearLibrary() {
+    const db = await openLibrary();
+    const stores = ['reports', 'files', 'meta', 'companies'];
+    const tx = db.transaction(stores, 'readwrite');
+    stores.forEach(name => tx.objectStore(name).clear());
+    await committed(tx);
+}
+
+/**
+ * Remember the report shown on the dashboard
+ */
+export async function setCurrentReportId(id) {
+    const db = await openLibrary();
+    const tx = db.transaction('meta', 'readwrite');
+    if (id) {
+        tx.objectStore('meta').put(id, CURRENT_KEY);
+    } else {
+        tx.objectStore('meta').delete(CURRENT_KEY);
+    }
+    await committed(tx);
+}
+
+/**
+ * Get the source PDFs and extracted pages of a report
+ * @returns {Promise<Array<{ id: string, fileName: string, blob: Blob, pages: Array }>>}
+ */
+export async function getReportFiles(reportId) {
+    const db = await openLibrary();
+    const tx = db.transaction('files', 'readonly');
+    return request(tx.objectStore('files').index('reportId').getAll(reportId));
+}
+
+/**
+ * Load the company registry
+ * @returns {Promise<Array<Object>>}
+ */
+export async function loadCompanies() {
+    const db = await openLibrary();
+    const tx = db.transaction('companies', 'readonly');
+    return request(tx.objectStore('companies').getAll());
+}
+
+/**
+ * Save companies of the registry
+ * @param {Array<Object>} companies
+ */
+export async function saveCompanies(companies) {
+    const db = await openLibrary();
+    const tx = db.transaction('companies', 'readwrite');
+    companies.forEach(company => tx.objectStore('companies').put(company));
+    await committed(tx);
+}
+
+/**
+ * Delete companies of the registry
+ * @param {string[]} ids
+ */
+export async function deleteCompanies(ids) {
+    const db = await openLibrary();
+    const tx = db.transaction('companies', 'readwrite');
+    ids.forEach(id => tx.objectStore('companies').delete(id));
+    await committed(tx);
+}
+
+export default {
+    DB_VERSION,
+    RECORD_VERSION,
+    upgradeRecord,
+    migrateLegacyStore,
+    sortReports,
+    loadLibrary,
+    saveReport,
+    deleteReports,
+    clearLibrary,
+    setCurrentReportId,
+    getReportFiles,
+    loadCompanies,
+    saveCompanies,
+    deleteCompanies
+};
@@ -0,0 +1,69 @@
+/**
+ * Tests for Report Library Migrations
+ */
+
+import { describe, it, expect } from 'vitest';
+import { RECORD_VERSION, upgradeRecord, migrateLegacyStore, sortReports } from './reportLibrary.js';
+
+const legacyReport = (id, year) => ({
+    id,
+    fileName: `nahdi-${year}.pdf`,
+    companyName: 'Nahdi Medical Company',
+    fiscalYear: year,
+    extractedData: { companyName: 'Nahdi Medical Company', fiscalYear: year, revenue: 8713.7 },
+    uploadedAt: new Date(Number(id)).toISOString()
+});
+
+describe('upgradeRecord', () => {
+    it('should bring legacy records to the current version', () => {
+        const record = upgradeRecord(legacyReport('1704067200000', '2023'));
+        expect(record.schemaVersion).toBe(RECORD_VERSION);
+        expect(record.fileIds).toEqual([]);
+        expect(record).toMatchObject({ tags: [], folder: null, companyId: null });
+        expect(record.extractedData.revenue).toBe(8713.7);
+    });
+
+    it('should fill in ids and upload dates missing from old records', () => {
+        const record = upgradeRecord({ id: 1704067200000, extractedData: {} });
+        expect(record.id).toBe('1704067200000');
+        expect(record.uploadedAt).toBe('2024-01-01T00:00:00.000Z');
+    });
+
+    it('should leave current records unchanged', () => {
+        const current = { ...upgradeRecord(legacyReport('1', '2023')), fileIds: ['1-0'] };
+        expect(upgradeRecord(current)).toEqual(current);
+    });
+});
+
+describe('migrateLegacyStore', () => {
+    it('should import every report and keep the current selection', () => {
+        const json = JSON.stringify({
+            reports: [legacyReport('1704067200002', '2023'), legacyReport('1704067200001', '2022')],
+            currentIndex: 1
+        });
+        const { reports, currentId } = migrateLegacyStore(json);
+        expect(reports).toHaveLength(2);
+        expect(reports.every(r => r.schemaVersion === RECORD_VERSION)).toBe(true);
+        expect(currentId).toBe('1704067200001');
+    });
+
+    it('should skip reports without data and survive corrupt or missing stores', () => {
+        const json = JSON.stringify({ reports: [legacyReport('1', '2023'), { id: '2' }], currentIndex: -1 });
+        expect(migrateLegacyStore(json)).toMatchObject({ currentId: null });
+        expect(migrateLegacyStore(json).reports).toHaveLength(1);
+
+        const afterDropped = JSON.stringify({ reports: [{ id: '2' }, legacyReport('3', '2022'), legacyReport('4', '2023')], currentIndex: 2 });
+        expect(migrateLegacyStore(afterDropped).currentId).toBe('4');
+        const dropped = JSON.stringify({ reports: [legacyReport('3', '2022'), { id: '2' }], currentIndex: 1 });
+        expect(migrateLegacyStore(dropped).currentId).toBeNull();
+        expect(migrateLegacyStore('{not json')).toEqual({ reports: [], currentId: null });
+        expect(migrateLegacyStore(null)).toEqual({ reports: [], currentId: null });
+    });
+});
+
+describe('sortReports', () => {
+    it('should order reports newest first', () => {
+        const sorted = sortReports([legacyReport('1000', '2021'), legacyReport('3000', '2023'), legacyReport('2000', '2022')]);
+        expect(sorted.map(r => r.fiscalYear)).toEqual(['2023', '2022', '2021']);
+    });
+});
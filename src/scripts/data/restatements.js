@@ -0,0 +1,96 @@
+/**
+ * Restatements Module
+ * Compares the prior-year column every report reprints with the figures stored for that year,
+ * and logs each revised figure per metric
+ */
+
+import { splitYears, selectYearRecords, numberOf, differs } from './history.js';
+
+// Fields kept under another name in the history (single extractions say `cash`)
+const STORED_AS = {
+    cash: ['cash', 'cashEquivalents']
+};
+
+/**
+ * Stored figure of a field in a per-year record
+ */
+function storedFigure(record, field) {
+    for (const name of STORED_AS[field] || [field]) {
+        const value = numberOf(record[name]);
+        if (value !== null) return value;
+    }
+    return null;
+}
+
+/**
+ * Find figures a later report restated
+ * Each comparative column is checked against the record the company's history uses for that year.
+ * @param {Array<Object>} reports - Store reports of one company
+ * @param {Object} yearSources - Chosen report id by fiscal year, as for buildHistory
+ * @returns {Array<Object>} - { year, field, original, restated, change (%), flagged (column headed "Restated"),
+ *                             originalSource { reportId, fileName }, restatedSource { reportId, fileName, fiscalYear, page } }
+ */
+export function findRestatements(reports, yearSources = {}) {
+    const stored = new Map(selectYearRecords(reports, yearSources).map(record => [record.fiscalYear, record]));
+    const found = new Map();
+
+    reports.forEach(report => {
+        splitYears(report.extractedData).forEach(record => {
+            const comparatives = record._comparatives;
+            const original = comparatives && stored.get(comparatives.year);
+            if (!original) return;
+
+            Object.entries(comparatives.values).forEach(([field, restated]) => {
+                const value = storedFigure(original, field);
+                if (!differs(value, restated)) return;
+
+                // The same report uploaded twice restates a figure once
+                const key = `${comparatives.year}|${field}|${record.fiscalYear}`;
+                if (found.has(key)) return;
+
+                found.set(key, {
+                    year: comparatives.year,
+                    field,
+                    original: value,
+                    restated,
+                    change: value === 0 ? null : Math.round(((restated - value) / Math.abs(value)) * 10000) / 100,
+                    flagged: Boolean(comparatives.restated),
+                    originalSource: { reportId: original._reportId, fileName: original._fileName },
+                    restatedSource: {
+                        reportId: report.id,
+                        fileName: record._fileName || report.fileName,
+                        fiscalYear: record.fiscalYear,
+                        page: comparatives.sources?.[field]?.page ?? null
+                    }
+                });
+            });
+        });
+    });
+
+    return [...found.values()].sort((a, b) =>
+        (parseInt(a.year) || 0) - (parseInt(b.year) || 0) || String(a.restatedSource.fiscalYear).localeCompare(String(b.restatedSource.fiscalYear))
+    );
+}
+
+/**
+ * Group restatements per metric, in the order the fields are given
+ * @param {Array<Object>} restatements - As returned by findRestatements
+ * @param {string[]} fields - Metric order
+ * @returns {Array<{ field: string, entries: Array<Object> }>}
+ */
+export function groupByMetric(restatements, fields) {
+    const order = [...fields, ...restatements.map(entry => entry.field).filter(field => !fields.includes(field))];
+    return [...new Set(order)]
+        .map(field => ({ field, entries: restatements.filter(entry => entry.field === field) }))
+        .filter(group => group.entries.length > 0);
+}
+
+/**
+ * Latest restatement of a plotted value, if any
+ */
+export function findRestatement(restatements, field, year) {
+    const matches = (restatements || []).filter(entry => entry.field === field && String(entry.year) === String(year));
+    return matches[matches.length - 1] || null;
+}
+
+export default { findRestatements, groupByMetric, findRestatement };
@@ -0,0 +1,98 @@
+/**
+ * Tests for Restatement Tracking
+ */
+
+import { describe, it, expect } from 'vitest';
+import { findRestatements, groupByMetric, findRestatement } from './restatements.js';
+import { mergeExtractedData } from './history.js';
+
+const extraction = (year, revenue, netProfit, comparatives = null) => ({
+    companyName: 'Nahdi Medical Company',
+    fiscalYear: year,
+    revenue,
+    netProfit,
+    _fileName: `nahdi-${year}.pdf`,
+    ...(comparatives ? { _comparatives: comparatives } : {})
+});
+
+const report = (id, uploadedAt, extractedData) => ({ id, uploadedAt, fileName: extractedData._fileName, extractedData });
+
+const comparatives2023 = (values, restated = false) => ({
+    year: '2023',
+    restated,
+    values,
+    sources: { revenue: { page: 41, raw: '8,713,700' } }
+});
+
+describe('findRestatements', () => {
+    it('should log comparatives that differ from the stored figure', () => {
+        const restatements = findRestatements([
+            report('1', '2024-01-01T00:00:00.000Z', extraction('2023', 8713.7, 892.6)),
+            report('2', '2025-03-01T00:00:00.000Z', extraction('2024', 9446.4, 820.7, comparatives2023({ revenue: 8800, netProfit: 892.6 }, true)))
+        ]);
+
+        expect(restatements).toEqual([{
+            year: '2023',
+            field: 'revenue',
+            original: 8713.7,
+            restated: 8800,
+            change: 0.99,
+            flagged: true,
+            originalSource: { reportId: '1', fileName: 'nahdi-2023.pdf' },
+            restatedSource: { reportId: '2', fileName: 'nahdi-2024.pdf', fiscalYear: '2024', page: 41 }
+        }]);
+    });
+
+    it('should ignore comparatives that agree within rounding', () => {
+        expect(findRestatements([
+            report('1', '2024-01-01T00:00:00.000Z', extraction('2023', 8713.7, 892.6)),
+            report('2', '2025-03-01T00:00:00.000Z', extraction('2024', 9446.4, 820.7, comparatives2023({ revenue: 8713.712 })))
+        ])).toEqual([]);
+    });
+
+    it('should ignore comparatives of years not in the history', () => {
+        expect(findRestatements([
+            report('2', '2025-03-01T00:00:00.000Z', extraction('2024', 9446.4, 820.7, comparatives2023({ revenue: 8800 })))
+        ])).toEqual([]);
+    });
+
+    it('should read comparatives kept in merged uploads', () => {
+        const merged = mergeExtractedData([
+            extraction('2023', 8713.7, 892.6),
+            extraction('2024', 9446.4, 820.7, comparatives2023({ netProfit: 850 }))
+        ]);
+        const [entry] = findRestatements([report('1', '2025-03-01T00:00:00.000Z', merged)]);
+        expect(entry).toMatchObject({ year: '2023', field: 'netProfit', original: 892.6, restated: 850 });
+    });
+
+    it('should log a figure once when the restating report is uploaded twice', () => {
+        const later = extraction('2024', 9446.4, 820.7, comparatives2023({ revenue: 8800 }));
+        expect(findRestatements([
+            report('1', '2024-01-01T00:00:00.000Z', extraction('2023', 8713.7, 892.6)),
+            report('2', '2025-03-01T00:00:00.000Z', later),
+            report('3', '2025-04-01T00:00:00.000Z', later)
+        ])).toHaveLength(1);
+    });
+});
+
+describe('groupByMetric', () => {
+    it('should group entries in the given field order', () => {
+        const entries = [
+            { field: 'netProfit', year: '2022' },
+            { field: 'revenue', year: '2022' },
+            { field: 'revenue', year: '2023' }
+        ];
+        const groups = groupByMetric(entries, ['revenue', 'grossProfit', 'netProfit']);
+        expect(groups.map(group => group.field)).toEqual(['revenue', 'netProfit']);
+        expect(groups[0].entries).toHaveLength(2);
+    });
+});
+
+describe('findRestatement', () => {
+    it('should find the restatement of a plotted value', () => {
+        const entries = [{ field: 'revenue', year: '2023', restated: 8800 }];
+        expect(findRestatement(entries, 'revenue', 2023)).toBe(entries[0]);
+        expect(findRestatement(entries, 'netProfit', '2023')).toBeNull();
+        expect(findRestatement(undefined, 'revenue', '2023')).toBeNull();
+    });
+});
@@ -0,0 +1,156 @@
+/**
+ * Statement Model Module
+ * Line items of the income statement, balance sheet and cash-flow statement stored per fiscal year,
+ * and the metrics derived from them
+ *
+ * Amounts are in millions of the reporting currency. Costs and cash outflows (`outflow: true`)
+ * are stored as positive magnitudes, as most statements print them in brackets.
+ */
+
+export const STATEMENTS = {
+    incomeStatement: {
+        label: 'Income statement',
+        items: [
+            { field: 'revenue', label: 'Revenue' },
+            { field: 'costOfSales', label: 'Cost of sales', outflow: true },
+            { field: 'grossProfit', label: 'Gross profit', subtotal: true },
+            { field: 'sgaExpenses', label: 'Selling, general and administrative expenses', outflow: true },
+            { field: 'depreciationAmortization', label: 'Depreciation and amortisation', outflow: true },
+            { field: 'operatingProfit', label: 'Operating profit', subtotal: true },
+            { field: 'financeCosts', label: 'Finance costs', outflow: true },
+            { field: 'zakat', label: 'Zakat and income tax', outflow: true },
+            { field: 'netProfit', label: 'Net profit', subtotal: true }
+        ]
+    },
+    financialPosition: {
+        label: 'Balance sheet',
+        items: [
+            { field: 'cash', label: 'Cash and cash equivalents' },
+            { field: 'receivables', label: 'Trade receivables' },
+            { field: 'inventories', label: 'Inventories' },
+            { field: 'currentAssets', label: 'Total current assets', subtotal: true },
+            { field: 'totalAssets', label: 'Total assets', subtotal: true },
+            { field: 'payables', label: 'Trade payables' },
+            { field: 'borrowings', label: 'Borrowings' },
+            { field: 'currentLiabilities', label: 'Total current liabilities', subtotal: true },
+            { field: 'totalLiabilities', label: 'Total liabilities', subtotal: true },
+            { field: 'shareholderEquity', label: 'Shareholders\' equity', subtotal: true }
+        ]
+    },
+    cashFlow: {
+        label: 'Cash-flow statement',
+        items: [
+            { field: 'operatingCashFlow', label: 'Net cash from operating activities', subtotal: true },
+            { field: 'capex', label: 'Capital expenditure', outflow: true },
+            { field: 'investingCashFlow', label: 'Net cash used in investing activities', subtotal: true },
+            { field: 'leasePayments', label: 'Lease payments', outflow: true },
+            { field: 'financingCashFlow', label: 'Net cash used in financing activities', subtotal: true },
+            { field: 'fcf', label: 'Free cash flow', subtotal: true }
+        ]
+    }
+};
+
+/**
+ * Every line item amount, in statement order
+ */
+export const LINE_ITEM_FIELDS = Object.values(STATEMENTS).flatMap(statement => statement.items.map(item => item.field));
+
+/**
+ * Line items reported as positive magnitudes of costs or cash outflows
+ */
+export const OUTFLOW_FIELDS = Object.values(STATEMENTS)
+    .flatMap(statement => statement.items)
+    .filter(item => item.outflow)
+    .map(item => item.field);
+
+/**
+ * Metrics computed from reported line items, never estimated
+ * Each is only derived when the statement does not print it and every input is reported.
+ */
+export const DERIVATIONS = {
+    grossProfit: {
+        formula: 'Revenue − Cost of sales',
+        inputs: ['revenue', 'costOfSales'],
+        compute: v => v.revenue - v.costOfSales
+    },
+    fcf: {
+        formula: 'Operating cash flow − Capital expenditure − Lease payments',
+        inputs: ['operatingCashFlow', 'capex'],
+        // Lease payments are only subtracted when the report discloses them (IFRS 16 lessees)
+        optional: ['leasePayments'],
+        compute: v => v.operatingCashFlow - v.capex - (v.leasePayments ?? 0)
+    },
+    ebitda: {
+        formula: 'Operating profit + Depreciation and amortisation',
+        inputs: ['operatingProfit', 'depreciationAmortization'],
+        compute: v => v.operatingProfit + v.depreciationAmortization
+    }
+};
+
+/**
+ * Numeric value of an extracted field ({ value } objects or plain numbers)
+ */
+function numberOf(field) {
+    if (typeof field === 'number') return Number.isFinite(field) ? field : null;
+    if (field && typeof field === 'object' && typeof field.value === 'number') return field.value;
+    return null;
+}
+
+const round = value => Math.round(value * 1000) / 1000;
+
+/**
+ * Fill in derivable metrics of one fiscal year
+ * @param {Object} record - Flat single-year extraction
+ * @returns {{ record: Object, derived: string[] }} - Record with derived metrics, and the fields derived
+ */
+export function deriveLineItems(record) {
+    const values = {};
+    LINE_ITEM_FIELDS.forEach(field => {
+        values[field] = numberOf(record[field]);
+    });
+
+    const result = { ...record };
+    const derived = [];
+    Object.entries(DERIVATIONS).forEach(([field, derivation]) => {
+        if (numberOf(record[field]) !== null) return;
+        if (derivation.inputs.some(input => values[input] === null)) return;
+
+        result[field] = round(derivation.compute(values));
+        values[field] = result[field];
+        derived.push(field);
+    });
+
+    return { record: result, derived };
+}
+
+/**
+ * Complete an extraction with its derived metrics, citing each by its formula
+ * Fields already present, reported or corrected, are kept as they are.
+ * @param {Object} record - Single-year extraction with `_citations` keyed by fiscal year
+ * @returns {Object} - Extraction with derived metrics and their formula citations
+ */
+export function completeStatements(record) {
+    const { record: result, derived } = deriveLineItems(record);
+    if (derived.length === 0) return result;
+
+    const year = record.fiscalYear || 'N/A';
+    const citations = record._citations?.[year] || {};
+    const formulas = Object.fromEntries(derived.map(field => [field, {
+        formula: DERIVATIONS[field].formula,
+        inputs: [...DERIVATIONS[field].inputs, ...(DERIVATIONS[field].optional || [])].filter(input => citations[input])
+    }]));
+
+    return {
+        ...result,
+        _citations: { ...record._citations, [year]: { ...citations, ...formulas } }
+    };
+}
+
+export default {
+    STATEMENTS,
+    LINE_ITEM_FIELDS,
+    OUTFLOW_FIELDS,
+    DERIVATIONS,
+    deriveLineItems,
+    completeStatements
+};
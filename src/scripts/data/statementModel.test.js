@@ -0,0 +1,62 @@
+/**
+ * Tests for the Statement Model
+ */
+
+import { describe, it, expect } from 'vitest';
+import { LINE_ITEM_FIELDS, OUTFLOW_FIELDS, deriveLineItems, completeStatements } from './statementModel.js';
+
+describe('statement model', () => {
+    it('should list every line item once, in statement order', () => {
+        expect(new Set(LINE_ITEM_FIELDS).size).toBe(LINE_ITEM_FIELDS.length);
+        expect(LINE_ITEM_FIELDS.indexOf('revenue')).toBeLessThan(LINE_ITEM_FIELDS.indexOf('netProfit'));
+        expect(LINE_ITEM_FIELDS).toContain('borrowings');
+        expect(OUTFLOW_FIELDS).toEqual(expect.arrayContaining(['costOfSales', 'capex', 'leasePayments', 'zakat']));
+    });
+});
+
+describe('deriveLineItems', () => {
+    it('should derive free cash flow net of capex and lease payments', () => {
+        const { record, derived } = deriveLineItems({ operatingCashFlow: 1415.3, capex: 286.4, leasePayments: 402.7 });
+        expect(record.fcf).toBe(726.2);
+        expect(derived).toEqual(['fcf']);
+    });
+
+    it('should not require lease payments', () => {
+        expect(deriveLineItems({ operatingCashFlow: 1000, capex: 250 }).record.fcf).toBe(750);
+    });
+
+    it('should derive gross profit and EBITDA from reported items', () => {
+        const { record } = deriveLineItems({ revenue: { value: 9446.4 }, costOfSales: 6383.9, operatingProfit: 1094.2, depreciationAmortization: 512.6 });
+        expect(record.grossProfit).toBe(3062.5);
+        expect(record.ebitda).toBe(1606.8);
+    });
+
+    it('should keep reported figures and never estimate from unrelated items', () => {
+        const { record, derived } = deriveLineItems({ netProfit: 820, operatingCashFlow: 1400, fcf: 950 });
+        expect(record.fcf).toBe(950);
+        expect(record.capex).toBeUndefined();
+        expect(derived).toEqual([]);
+    });
+});
+
+describe('completeStatements', () => {
+    it('should cite derived metrics by formula and their cited inputs', () => {
+        const complete = completeStatements({
+            fiscalYear: '2024',
+            operatingCashFlow: 1400,
+            capex: 300,
+            _citations: { 2024: { operatingCashFlow: { page: 43 }, capex: { page: 43 } } }
+        });
+        expect(complete.fcf).toBe(1100);
+        expect(complete._citations['2024'].fcf).toEqual({
+            formula: 'Operating cash flow − Capital expenditure − Lease payments',
+            inputs: ['operatingCashFlow', 'capex']
+        });
+        expect(complete._citations['2024'].operatingCashFlow).toEqual({ page: 43 });
+    });
+
+    it('should return records without derivable metrics unchanged', () => {
+        const record = { fiscalYear: '2024', revenue: 100 };
+        expect(completeStatements(record)).toEqual(record);
+    });
+});
@@ -0,0 +1,99 @@
+/**
+ * Statements Module
+ * Lays out the stored line items as multi-year statements with common-size and year-on-year columns
+ */
+
+import { STATEMENTS } from './statementModel.js';
+import { valueOf, provenanceOf } from './provenance.js';
+
+// Common-size base of each statement: income and cash flows per revenue, the balance sheet per total assets
+export const COMMON_SIZE_BASE = {
+    incomeStatement: 'revenue',
+    financialPosition: 'totalAssets',
+    cashFlow: 'revenue'
+};
+
+// Dashboard fields holding a line item under another name (demo data and older reports)
+const FALLBACK_FIELDS = {
+    shareholderEquity: 'totalEquity',
+    cash: 'cashEquivalents'
+};
+
+const round = (value, decimals = 1) => Math.round(value * 10 ** decimals) / 10 ** decimals;
+
+/**
+ * Field holding a line item's figure for a year
+ */
+export function sourceField(data, field, year) {
+    const fallback = FALLBACK_FIELDS[field];
+    return fallback && typeof valueOf(data, field, year) !== 'number' ? fallback : field;
+}
+
+/**
+ * Figure of a line item for a year, null when not available
+ */
+export function figureOf(data, field, year) {
+    const value = valueOf(data, sourceField(data, field, year), year);
+    return typeof value === 'number' && !isNaN(value) ? value : null;
+}
+
+/**
+ * Change from the prior year in percent, null when either year is missing or the prior is zero
+ */
+export function yoyChange(current, previous) {
+    if (typeof current !== 'number' || typeof previous !== 'number' || previous === 0) return null;
+    return round(((current - previous) / Math.abs(previous)) * 100);
+}
+
+/**
+ * Share of the common-size base in percent
+ */
+export function commonSize(value, base) {
+    if (typeof value !== 'number' || typeof base !== 'number' || base === 0) return null;
+    return round((value / base) * 100);
+}
+
+/**
+ * Build one statement table
+ * @param {Object} data - Dashboard data
+ * @param {string} key - incomeStatement, financialPosition or cashFlow
+ * @returns {{ key: string, label: string, base: string, years: string[], rows: Array<Object> }}
+ *          Each row: { field, label, subtotal, outflow, cells: [{ year, value, provenance, commonSize, yoy }] }
+ */
+export function buildStatement(data, key) {
+    const statement = STATEMENTS[key];
+    if (!statement) throw new Error(`Unknown statement "${key}"`);
+
+    const years = Array.isArray(data.years) ? data.years.map(String) : [String(data.fiscalYear)];
+    const base = COMMON_SIZE_BASE[key];
+    const figure = (field, year) => figureOf(data, field, year);
+
+    const rows = statement.items.map(({ field, label, subtotal = false, outflow = false }) => ({
+        field,
+        label,
+        subtotal,
+        outflow,
+        cells: years.map((year, i) => {
+            const value = figure(field, year);
+            return {
+                year,
+                value,
+                provenance: provenanceOf(data, sourceField(data, field, year), year),
+                commonSize: commonSize(value, figure(base, year)),
+                yoy: i > 0 ? yoyChange(value, figure(field, years[i - 1])) : null
+            };
+        })
+    }));
+
+    return { key, label: statement.label, base, years, rows };
+}
+
+/**
+ * Build every statement; line items no year reports are kept as missing rows
+ * @returns {Array<Object>} - As returned by buildStatement
+ */
+export function buildStatements(data) {
+    return Object.keys(STATEMENTS).map(key => buildStatement(data, key));
+}
+
+export default { COMMON_SIZE_BASE, sourceField, figureOf, yoyChange, commonSize, buildStatement, buildStatements };
@@ -0,0 +1,71 @@
+/**
+ * Tests for the Statements layout
+ */
+
+import { describe, it, expect } from 'vitest';
+import { yoyChange, commonSize, buildStatement, buildStatements } from './statements.js';
+
+const data = {
+    years: ['2022', '2023'],
+    revenue: [8616.2, 8713.7],
+    costOfSales: [5790, 5890.5],
+    grossProfit: [2826.2, 2823.2],
+    netProfit: [887.8, 892.6],
+    totalAssets: [5000, 5371.4],
+    totalEquity: [2243.4, 2462.8],
+    cashEquivalents: { 2023: 1240 },
+    fcf: [null, 984.2],
+    _citations: { 2023: { fcf: { formula: 'Operating cash flow − Capital expenditure − Lease payments', inputs: [] } } }
+};
+
+const row = (statement, field) => statement.rows.find(r => r.field === field);
+
+describe('yoyChange and commonSize', () => {
+    it('should measure changes against the absolute prior value', () => {
+        expect(yoyChange(110, 100)).toBe(10);
+        expect(yoyChange(-50, -100)).toBe(50);
+        expect(yoyChange(10, 0)).toBeNull();
+        expect(yoyChange(null, 100)).toBeNull();
+    });
+
+    it('should express a value as a share of its base', () => {
+        expect(commonSize(5890.5, 8713.7)).toBe(67.6);
+        expect(commonSize(100, null)).toBeNull();
+    });
+});
+
+describe('buildStatement', () => {
+    it('should lay out the income statement per revenue with YoY changes', () => {
+        const income = buildStatement(data, 'incomeStatement');
+        expect(income.base).toBe('revenue');
+        expect(income.years).toEqual(['2022', '2023']);
+
+        const cost = row(income, 'costOfSales');
+        expect(cost.outflow).toBe(true);
+        expect(cost.cells[1]).toMatchObject({ year: '2023', value: 5890.5, commonSize: 67.6, yoy: 1.7, provenance: 'reported' });
+        expect(cost.cells[0].yoy).toBeNull();
+        expect(row(income, 'revenue').cells[1].commonSize).toBe(100);
+    });
+
+    it('should lay out the balance sheet per total assets and read older field names', () => {
+        const balance = buildStatement(data, 'financialPosition');
+        expect(row(balance, 'shareholderEquity').cells[1]).toMatchObject({ value: 2462.8, commonSize: 45.9 });
+        expect(row(balance, 'cash').cells.map(cell => cell.value)).toEqual([null, 1240]);
+    });
+
+    it('should flag derived and missing figures', () => {
+        const cashFlow = buildStatement(data, 'cashFlow');
+        expect(row(cashFlow, 'fcf').cells.map(cell => cell.provenance)).toEqual(['missing', 'derived']);
+        expect(row(cashFlow, 'capex').cells.every(cell => cell.value === null)).toBe(true);
+    });
+
+    it('should reject unknown statements', () => {
+        expect(() => buildStatement(data, 'equity')).toThrow('Unknown statement');
+    });
+});
+
+describe('buildStatements', () => {
+    it('should build the three statements in order', () => {
+        expect(buildStatements(data).map(statement => statement.key)).toEqual(['incomeStatement', 'financialPosition', 'cashFlow']);
+    });
+});
@@ -0,0 +1,289 @@
+/**
+ * Validation Module
+ * Checks extracted figures against accounting identities before the dashboard trusts them
+ */
+
+export const SEVERITY = {
+    HIGH: 'high',
+    MEDIUM: 'medium',
+    LOW: 'low'
+};
+
+// Relative gaps for identities (A = L + E, GP = Revenue - COGS)
+const IDENTITY_TOLERANCE = { medium: 0.01, high: 0.05 };
+
+// Absolute gaps for reported vs computed values
+const MARGIN_TOLERANCE = { medium: 0.5, high: 2 };      // percentage points
+const RATIO_TOLERANCE = { medium: 0.05, high: 0.2 };    // multiples
+
+const LABELS = {
+    revenue: 'Revenue',
+    grossProfit: 'Gross profit',
+    netProfit: 'Net profit',
+    grossMargin: 'Gross margin',
+    operatingMargin: 'Operating margin',
+    netMargin: 'Net margin',
+    totalAssets: 'Total assets',
+    currentAssets: 'Current assets',
+    totalLiabilities: 'Total liabilities',
+    currentLiabilities: 'Current liabilities',
+    shareholderEquity: 'Shareholders\' equity',
+    currentRatio: 'Current ratio',
+    debtToEquity: 'Debt-to-equity',
+    roe: 'ROE'
+};
+
+/**
+ * Read a number from raw extraction values (number, { value: X } or numeric string)
+ */
+function num(value) {
+    if (value === null || value === undefined || value === '') return null;
+    if (typeof value === 'number') return isFinite(value) ? value : null;
+    if (typeof value === 'object' && value.value !== undefined) return num(value.value);
+    if (typeof value === 'string') {
+        const parsed = parseFloat(value.replace(/[^0-9.-]/g, ''));
+        return isNaN(parsed) ? null : parsed;
+    }
+    return null;
+}
+
+/**
+ * Split extracted data into one record per fiscal year
+ * Handles single-year extractions (flat values) and merged reports (arrays per field)
+ * @returns {Array<{year: string, values: Object}>}
+ */
+export function toYearRecords(data) {
+    if (!data) return [];
+
+    if (Array.isArray(data.years)) {
+        return data.years.map((year, i) => {
+            const values = {};
+            Object.entries(data).forEach(([field, series]) => {
+                if (Array.isArray(series) && field !== 'years') values[field] = num(series[i]);
+            });
+            // Merged reports store equity as shareholderEquity, transformed data as totalEquity
+            if (values.shareholderEquity === undefined && values.totalEquity !== undefined) {
+                values.shareholderEquity = values.totalEquity;
+            }
+            return { year: String(year), values };
+        });
+    }
+
+    const values = {};
+    Object.entries(data).forEach(([field, value]) => {
+        if (!field.startsWith('_')) values[field] = num(value);
+    });
+    return [{ year: String(data.fiscalYear || 'N/A'), values }];
+}
+
+/**
+ * Grade a gap against medium/high thresholds
+ */
+function grade(gap, tolerance) {
+    if (gap > tolerance.high) return SEVERITY.HIGH;
+    if (gap > tolerance.medium) return SEVERITY.MEDIUM;
+    return null;
+}
+
+/**
+ * A value counts as present when it was reported (missing figures are null);
+ * a reported 0 is a real figure
+ */
+const has = (...values) => values.every(v => v !== null && v !== undefined);
+
+const round = (value, decimals = 2) => Math.round(value * 10 ** decimals) / 10 ** decimals;
+
+/**
+ * Check an identity where expected and actual are amounts
+ */
+function checkIdentity(issues, { id, year, fields, message, expected, actual }) {
+    const gap = Math.abs(expected - actual) / Math.max(Math.abs(expected), Math.abs(actual), 1);
+    const severity = grade(gap, IDENTITY_TOLERANCE);
+    if (severity) {
+        issues.push({ id, year, fields, severity, message, expected: round(expected), actual: round(actual) });
+    }
+}
+
+/**
+ * Check a reported value against the value computed from its components
+ */
+function checkReported(issues, { field, inputs, year, reported, computed, tolerance, unit }) {
+    const severity = grade(Math.abs(reported - computed), tolerance);
+    if (severity) {
+        issues.push({
+            id: `${field}-consistency`,
+            year,
+            fields: [field, ...inputs],
+            severity,
+            message: `${LABELS[field]} reported as ${round(reported)}${unit} but the components give ${round(computed)}${unit}`,
+            expected: round(computed),
+            actual: round(reported)
+        });
+    }
+}
+
+/**
+ * Validate one fiscal year
+ * @returns {Array<{id: string, year: string, fields: string[], severity: string, message: string, expected?: number, actual?: number}>}
+ */
+export function validateYear({ year, values }) {
+    const issues = [];
+    const v = values;
+
+    // Assets = Liabilities + Equity
+    if (has(v.totalAssets, v.totalLiabilities, v.shareholderEquity)) {
+        checkIdentity(issues, {
+            id: 'balance-sheet',
+            year,
+            fields: ['totalAssets', 'totalLiabilities', 'shareholderEquity'],
+            message: 'Total assets do not equal total liabilities plus equity',
+            expected: v.totalLiabilities + v.shareholderEquity,
+            actual: v.totalAssets
+        });
+    }
+
+    // Gross profit = Revenue - Cost of sales (cost of sales may be printed negative)
+    if (has(v.revenue, v.grossProfit, v.costOfSales)) {
+        checkIdentity(issues, {
+            id: 'gross-profit',
+            year,
+            fields: ['grossProfit', 'revenue', 'costOfSales'],
+            message: 'Gross profit does not equal revenue minus cost of sales',
+            expected: v.revenue - Math.abs(v.costOfSales),
+            actual: v.grossProfit
+        });
+    }
+
+    // Sub-totals cannot exceed totals
+    [['currentAssets', 'totalAssets'], ['currentLiabilities', 'totalLiabilities'], ['grossProfit', 'revenue']].forEach(([part, total]) => {
+        if (has(v[part], v[total]) && v[part] > v[total] * 1.001) {
+            issues.push({
+                id: `${part}-exceeds-${total}`,
+                year,
+                fields: [part, total],
+                severity: SEVERITY.HIGH,
+                message: `${LABELS[part]} (${round(v[part])}) exceed ${LABELS[total].toLowerCase()} (${round(v[total])})`,
+                expected: round(v[total]),
+                actual: round(v[part])
+            });
+        }
+    });
+
+    // Reported margins vs computed
+    [['grossMargin', 'grossProfit'], ['operatingMargin', 'operatingProfit'], ['netMargin', 'netProfit']].forEach(([margin, profit]) => {
+        if (has(v[margin], v[profit], v.revenue) && v.revenue !== 0) {
+            checkReported(issues, {
+                field: margin,
+                inputs: [profit, 'revenue'],
+                year,
+                reported: v[margin],
+                computed: (v[profit] / v.revenue) * 100,
+                tolerance: MARGIN_TOLERANCE,
+                unit: '%'
+            });
+        }
+    });
+
+    if (has(v.roe, v.netProfit, v.shareholderEquity) && v.shareholderEquity !== 0) {
+        checkReported(issues, {
+            field: 'roe',
+            inputs: ['netProfit', 'shareholderEquity'],
+            year,
+            reported: v.roe,
+            computed: (v.netProfit / v.shareholderEquity) * 100,
+            tolerance: MARGIN_TOLERANCE,
+            unit: '%'
+        });
+    }
+
+    // Reported ratios vs computed
+    if (has(v.currentRatio, v.currentAssets, v.currentLiabilities) && v.currentLiabilities !== 0) {
+        checkReported(issues, {
+            field: 'currentRatio',
+            inputs: ['currentAssets', 'currentLiabilities'],
+            year,
+            reported: v.currentRatio,
+            computed: v.currentAssets / v.currentLiabilities,
+            tolerance: RATIO_TOLERANCE,
+            unit: 'x'
+        });
+    }
+
+    if (has(v.debtToEquity, v.totalLiabilities, v.shareholderEquity) && v.shareholderEquity !== 0) {
+        checkReported(issues, {
+            field: 'debtToEquity',
+            inputs: ['totalLiabilities', 'shareholderEquity'],
+            year,
+            reported: v.debtToEquity,
+            computed: v.totalLiabilities / v.shareholderEquity,
+            tolerance: RATIO_TOLERANCE,
+            unit: 'x'
+        });
+    }
+
+    // Net profit above gross profit is possible (large other income) but unusual
+    if (has(v.netProfit, v.grossProfit) && v.netProfit > v.grossProfit) {
+        issues.push({
+            id: 'net-above-gross',
+            year,
+            fields: ['netProfit', 'grossProfit'],
+            severity: SEVERITY.LOW,
+            message: 'Net profit exceeds gross profit - check for large non-operating income'
+        });
+    }
+
+    // Core figures that could not be extracted
+    const missing = ['revenue', 'netProfit', 'totalAssets', 'totalLiabilities', 'shareholderEquity']
+        .filter(field => !has(v[field]));
+    if (missing.length > 0) {
+        issues.push({
+            id: 'missing-figures',
+            year,
+            fields: missing,
+            severity: SEVERITY.LOW,
+            message: `Not reported: ${missing.map(field => LABELS[field]).join(', ')}`
+        });
+    }
+
+    return issues;
+}
+
+/**
+ * Validate extracted data for every fiscal year
+ * Disagreements found by the rule-based cross-check are included as medium issues
+ */
+export function validateData(data) {
+    const issues = toYearRecords(data).flatMap(validateYear);
+
+    (data?._crossCheck || []).forEach(entry => {
+        issues.push({
+            id: `${entry.field}-cross-check`,
+            year: String(data.fiscalYear || 'N/A'),
+            fields: [entry.field],
+            severity: SEVERITY.MEDIUM,
+            message: `${LABELS[entry.field] || entry.field}: AI read ${entry.ai}, the statement table reads ${entry.rules}`,
+            expected: entry.rules,
+            actual: entry.ai
+        });
+    });
+
+    const order = { high: 0, medium: 1, low: 2 };
+    return issues.sort((a, b) => order[a.severity] - order[b.severity] || String(b.year).localeCompare(String(a.year)));
+}
+
+/**
+ * Summarize issues into a trust status
+ * fail: at least one high-severity issue, review: medium issues only, pass otherwise
+ */
+export function summarizeIssues(issues) {
+    const counts = { high: 0, medium: 0, low: 0 };
+    issues.forEach(issue => { counts[issue.severity]++; });
+
+    let status = 'pass';
+    if (counts.high > 0) status = 'fail';
+    else if (counts.medium > 0) status = 'review';
+
+    return { status, counts, total: issues.length };
+}
+
+export default { SEVERITY, toYearRecords, validateYear, validateData, summarizeIssues };
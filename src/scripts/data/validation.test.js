@@ -0,0 +1,118 @@
+/**
+ * Tests for Accounting Identity Validation
+ */
+
+import { describe, it, expect } from 'vitest';
+import { toYearRecords, validateYear, validateData, summarizeIssues } from './validation.js';
+
+const consistent = {
+    companyName: 'Nahdi Medical Company',
+    fiscalYear: '2023',
+    revenue: 8713.7,
+    costOfSales: 5064.8,
+    grossProfit: 3648.9,
+    operatingProfit: 1046.6,
+    netProfit: 892.6,
+    totalAssets: 6512.4,
+    currentAssets: 3311.2,
+    totalLiabilities: 4190.1,
+    currentLiabilities: 3087.5,
+    shareholderEquity: 2322.3,
+    grossMargin: 41.88,
+    operatingMargin: 12.01,
+    netMargin: 10.24,
+    roe: 38.44,
+    currentRatio: 1.07,
+    debtToEquity: 1.8
+};
+
+describe('toYearRecords', () => {
+    it('should return one record for a single-year extraction', () => {
+        const records = toYearRecords(consistent);
+        expect(records).toHaveLength(1);
+        expect(records[0].year).toBe('2023');
+        expect(records[0].values.revenue).toBe(8713.7);
+    });
+
+    it('should split merged reports by year and map totalEquity', () => {
+        const records = toYearRecords({ years: ['2022', '2023'], revenue: [100, 120], totalEquity: [50, 60] });
+        expect(records.map(r => r.year)).toEqual(['2022', '2023']);
+        expect(records[1].values).toMatchObject({ revenue: 120, shareholderEquity: 60 });
+    });
+});
+
+describe('validateYear', () => {
+    it('should pass consistent figures', () => {
+        expect(validateYear(toYearRecords(consistent)[0])).toEqual([]);
+    });
+
+    it('should flag a broken balance sheet as high severity', () => {
+        const [record] = toYearRecords({ ...consistent, totalAssets: 7500 });
+        const issue = validateYear(record).find(i => i.id === 'balance-sheet');
+        expect(issue.severity).toBe('high');
+        expect(issue.expected).toBe(6512.4);
+    });
+
+    it('should grade small identity gaps as medium', () => {
+        const [record] = toYearRecords({ ...consistent, grossProfit: 3700, grossMargin: 42.46 });
+        expect(validateYear(record).find(i => i.id === 'gross-profit').severity).toBe('medium');
+    });
+
+    it('should flag reported margins that disagree with their components', () => {
+        const [record] = toYearRecords({ ...consistent, netMargin: 15 });
+        const issue = validateYear(record).find(i => i.id === 'netMargin-consistency');
+        expect(issue.severity).toBe('high');
+    });
+
+    it('should flag sub-totals above totals', () => {
+        const [record] = toYearRecords({ ...consistent, currentAssets: 7000, currentRatio: 2.27 });
+        expect(validateYear(record).some(i => i.id === 'currentAssets-exceeds-totalAssets')).toBe(true);
+    });
+
+    it('should check identities that include a reported zero', () => {
+        const noCostOfSales = { ...consistent, costOfSales: 0, grossProfit: 8713.7, grossMargin: 100 };
+        expect(validateYear(toYearRecords(noCostOfSales)[0])).toEqual([]);
+
+        const [record] = toYearRecords({ ...consistent, costOfSales: 0 });
+        const issue = validateYear(record).find(i => i.id === 'gross-profit');
+        expect(issue.severity).toBe('high');
+        expect(issue.expected).toBe(8713.7);
+    });
+
+    it('should not divide by a reported zero', () => {
+        const [record] = toYearRecords({ ...consistent, currentLiabilities: 0 });
+        expect(validateYear(record).some(i => i.id === 'currentRatio-consistency')).toBe(false);
+    });
+
+    it('should report missing core figures as low severity', () => {
+        const [record] = toYearRecords({ ...consistent, totalAssets: null });
+        const issue = validateYear(record).find(i => i.id === 'missing-figures');
+        expect(issue.severity).toBe('low');
+        expect(issue.message).toContain('Total assets');
+    });
+});
+
+describe('validateData', () => {
+    it('should include cross-check disagreements and sort by severity', () => {
+        const issues = validateData({
+            ...consistent,
+            totalAssets: 7500,
+            _crossCheck: [{ field: 'revenue', ai: 8713.7, rules: 9446.4, difference: 0.0776 }]
+        });
+        expect(issues[0].severity).toBe('high');
+        expect(issues.find(i => i.id === 'revenue-cross-check').severity).toBe('medium');
+    });
+});
+
+describe('summarizeIssues', () => {
+    it('should derive the status from the worst severity', () => {
+        expect(summarizeIssues([]).status).toBe('pass');
+        expect(summarizeIssues([{ severity: 'low' }]).status).toBe('pass');
+        expect(summarizeIssues([{ severity: 'medium' }]).status).toBe('review');
+        expect(summarizeIssues([{ severity: 'medium' }, { severity: 'high' }])).toEqual({
+            status: 'fail',
+            counts: { high: 1, medium: 1, low: 0 },
+            total: 2
+        });
+    });
+});
@@ -0,0 +1,331 @@
+/**
+ * Valuation Module
+ * Discounted cash flow valuation on the forecast free cash flow: WACC from CAPM and the cost of debt,
+ * a perpetuity-growth or exit-multiple terminal value, the equity value per share after net debt,
+ * and the sensitivity of that value to WACC and the terminal assumption
+ *
+ * Amounts are in millions of the reporting currency, so equity value ÷ shares (millions) is per share.
+ * Cash flows are discounted from the end of each forecast year.
+ */
+
+import { figureOf } from './statements.js';
+import { forecast, historicalDrivers } from './forecast.js';
+
+export const TERMINAL_METHODS = {
+    growth: 'Perpetuity growth',
+    multiple: 'Exit multiple (EV/EBITDA)'
+};
+
+/**
+ * Default assumptions, rates in percent
+ * Null inputs are derived from the stored figures: the tax rate from zakat and tax over profit before
+ * tax, the debt weight from book borrowings and equity, net debt from borrowings less cash and the
+ * share count from net profit ÷ EPS.
+ */
+export const DEFAULT_VALUATION_ASSUMPTIONS = {
+    riskFreeRate: 4.5,
+    beta: 1,
+    equityRiskPremium: 6,
+    costOfDebt: 6,
+    taxRate: null,
+    debtWeight: null,
+    terminalMethod: 'growth',
+    terminalGrowth: 2.5,
+    exitMultiple: 10,
+    scenario: 'base',
+    netDebt: null,
+    sharesOutstanding: null
+};
+
+// Steps of the sensitivity table around the chosen WACC and terminal assumption
+export const SENSITIVITY_STEPS = {
+    wacc: [-2, -1, 0, 1, 2],
+    growth: [-1, -0.5, 0, 0.5, 1],
+    multiple: [-2, -1, 0, 1, 2]
+};
+
+const LIMITS = {
+    riskFreeRate: { min: -2, max: 20, label: 'Risk-free rate', unit: '%' },
+    beta: { min: 0, max: 5, label: 'Beta', unit: '' },
+    equityRiskPremium: { min: 0, max: 20, label: 'Equity risk premium', unit: '%' },
+    costOfDebt: { min: 0, max: 30, label: 'Cost of debt', unit: '%' },
+    taxRate: { min: 0, max: 60, label: 'Tax rate', unit: '%' },
+    debtWeight: { min: 0, max: 90, label: 'Debt weight', unit: '%' },
+    terminalGrowth: { min: -5, max: 10, label: 'Terminal growth', unit: '%' },
+    exitMultiple: { min: 0, max: 50, label: 'Exit multiple', unit: 'x' },
+    sharesOutstanding: { min: 0.001, max: 1000000, label: 'Shares outstanding', unit: 'M' }
+};
+
+const round = (value, decimals = 2) => Math.round(value * 10 ** decimals) / 10 ** decimals;
+
+function latestYear(data) {
+    const years = Array.isArray(data.years) ? data.years.map(String) : [String(data.fiscalYear)];
+    return years[years.length - 1];
+}
+
+/**
+ * Capital structure of the latest fiscal year
+ * @returns {{ year, borrowings, cash, equity, netDebt, shares, taxRate, ebitdaMargin }} - Null where not reported
+ */
+export function capitalStructure(data) {
+    const year = latestYear(data);
+    const figure = field => figureOf(data, field, year);
+    const [borrowings, cash, equity, netProfit, zakat, eps, revenue] =
+        ['borrowings', 'cash', 'shareholderEquity', 'netProfit', 'zakat', 'eps', 'revenue'].map(figure);
+
+    const ebitda = figure('ebitda') ?? (figure('operatingProfit') !== null && figure('depreciationAmortization') !== null
+        ? figure('operatingProfit') + figure('depreciationAmortization')
+        : null);
+    const profitBeforeTax = netProfit !== null && zakat !== null ? netProfit + zakat : null;
+
+    return {
+        year,
+        borrowings,
+        cash,
+        equity,
+        netDebt: borrowings !== null && cash !== null ? round(borrowings - cash, 1) : null,
+        shares: netProfit !== null && eps ? round(netProfit / eps, 3) : null,
+        taxRate: profitBeforeTax > 0 ? round((zakat / profitBeforeTax) * 100) : null,
+        ebitdaMargin: ebitda !== null && revenue ? (ebitda / revenue) * 100 : null
+    };
+}
+
+/**
+ * Weighted average cost of capital
+ * Cost of equity = Risk-free rate + Beta × Equity risk premium; debt cost is after tax.
+ * @returns {{ costOfEquity, afterTaxCostOfDebt, taxRate, debtWeight, wacc }} - Percent
+ */
+export function computeWacc(data, assumptions) {
+    const a = normalizeValuationAssumptions(assumptions);
+    const structure = capitalStructure(data);
+
+    const taxRate = a.taxRate ?? structure.taxRate ?? 0;
+    const bookWeight = structure.borrowings !== null && structure.equity > 0
+        ? (structure.borrowings / (structure.borrowings + structure.equity)) * 100
+        : 0;
+    const debtWeight = a.debtWeight ?? bookWeight;
+
+    const costOfEquity = a.riskFreeRate + a.beta * a.equityRiskPremium;
+    const afterTaxCostOfDebt = a.costOfDebt * (1 - taxRate / 100);
+    const wacc = (1 - debtWeight / 100) * costOfEquity + (debtWeight / 100) * afterTaxCostOfDebt;
+
+    return {
+        costOfEquity: round(costOfEquity),
+        afterTaxCostOfDebt: round(afterTaxCostOfDebt),
+        taxRate: round(taxRate),
+        debtWeight: round(debtWeight),
+        wacc: round(wacc)
+    };
+}
+
+/**
+ * Reasons the valuation cannot be computed, empty when it can
+ */
+export function valuationIssues(data, assumptions, forecastAssumptions = {}) {
+    const a = normalizeValuationAssumptions(assumptions);
+    const structure = capitalStructure(data);
+    const issues = [];
+
+    const projection = forecast(data, { ...forecastAssumptions, scenario: a.scenario });
+    if (!projection) {
+        issues.push('No free cash flow forecast: the report has no revenue figure');
+    } else if (!projection.fcf) {
+        issues.push('No free cash flow forecast: the reports give no net margin or cash conversion to project it from; enter them in the driver-based forecast');
+    }
+    if (a.netDebt === null && structure.netDebt === null) {
+        issues.push('Net debt is not reported: enter it');
+    }
+    if (a.sharesOutstanding === null && structure.shares === null) {
+        issues.push('The share count cannot be derived from net profit and EPS: enter shares outstanding');
+    }
+    if (a.terminalMethod === 'growth' && computeWacc(data, a).wacc <= a.terminalGrowth) {
+        issues.push('WACC must exceed the terminal growth rate');
+    }
+    if (a.terminalMethod === 'multiple' && structure.ebitdaMargin === null) {
+        issues.push('EBITDA is not reported: use the perpetuity-growth method');
+    }
+    return issues;
+}
+
+/**
+ * Enterprise value of forecast cash flows and a terminal value at a discount rate
+ */
+function presentValue(fcf, terminalValue, rate) {
+    const factors = fcf.map((_, i) => 1 / (1 + rate / 100) ** (i + 1));
+    const presentValues = fcf.map((value, i) => value * factors[i]);
+    const presentTerminal = terminalValue * factors[factors.length - 1];
+    return {
+        factors,
+        presentValues,
+        presentTerminal,
+        enterpriseValue: presentValues.reduce((sum, value) => sum + value, 0) + presentTerminal
+    };
+}
+
+/**
+ * Terminal value at the end of the forecast
+ */
+function terminalValueOf(projection, method, { rate, growth, multiple, ebitdaMargin }) {
+    const lastFcf = projection.fcf[projection.fcf.length - 1];
+    if (method === 'multiple') {
+        return (projection.revenue[projection.revenue.length - 1] * ebitdaMargin / 100) * multiple;
+    }
+    return (lastFcf * (1 + growth / 100)) / ((rate - growth) / 100);
+}
+
+/**
+ * Discounted cash flow valuation
+ * @param {Object} data - Dashboard data
+ * @param {Object} assumptions - As DEFAULT_VALUATION_ASSUMPTIONS
+ * @param {Object} [forecastAssumptions] - Forecast of the free cash flows; its scenario is replaced by the valuation's
+ * @returns {Object|null} - { years, fcf, discountFactors, presentValues, terminalValue, presentTerminal,
+ *          terminalShare, enterpriseValue, netDebt, equityValue, shares, perShare, wacc: computeWacc(),
+ *          terminalMethod, terminalGrowth, exitMultiple, scenario, method, baseYear, cashConversion, conversionBasis },
+ *          null when valuationIssues reports any. conversionBasis is 'assumption' when the reports have no
+ *          FCF history, so the cash conversion of the forecast is the user's alone.
+ */
+export function valueCompany(data, assumptions, forecastAssumptions = {}) {
+    const a = normalizeValuationAssumptions(assumptions);
+    if (valuationIssues(data, a, forecastAssumptions).length > 0) return null;
+
+    const structure = capitalStructure(data);
+    const projection = forecast(data, { ...forecastAssumptions, scenario: a.scenario });
+    const wacc = computeWacc(data, a);
+
+    const terminalValue = terminalValueOf(projection, a.terminalMethod, {
+        rate: wacc.wacc,
+        growth: a.terminalGrowth,
+        multiple: a.exitMultiple,
+        ebitdaMargin: structure.ebitdaMargin
+    });
+    const pv = presentValue(projection.fcf, terminalValue, wacc.wacc);
+    const netDebt = a.netDebt ?? structure.netDebt;
+    const shares = a.sharesOutstanding ?? structure.shares;
+    const equityValue = pv.enterpriseValue - netDebt;
+
+    return {
+        baseYear: projection.baseYear,
+        method: projection.method,
+        cashConversion: projection.drivers.fcfConversion,
+        conversionBasis: historicalDrivers(data).fcfConversion === null ? 'assumption' : 'history',
+        scenario: a.scenario,
+        years: projection.years,
+        fcf: projection.fcf,
+        discountFactors: pv.factors.map(factor => round(factor, 4)),
+        presentValues: pv.presentValues.map(value => round(value, 1)),
+        terminalMethod: a.terminalMethod,
+        terminalGrowth: a.terminalGrowth,
+        exitMultiple: a.exitMultiple,
+        terminalValue: round(terminalValue, 1),
+        presentTerminal: round(pv.presentTerminal, 1),
+        terminalShare: pv.enterpriseValue ? round((pv.presentTerminal / pv.enterpriseValue) * 100, 1) : null,
+        enterpriseValue: round(pv.enterpriseValue, 1),
+        netDebt: round(netDebt, 1),
+        equityValue: round(equityValue, 1),
+        shares: round(shares, 3),
+        perShare: round(equityValue / shares),
+        wacc
+    };
+}
+
+/**
+ * Per-share value for WACC steps × terminal-growth (or exit-multiple) steps around the assumptions
+ * @returns {{ waccs: number[], terminals: number[], terminalMethod, values: Array<Array<number|null>> }|null}
+ *          values[i][j] at waccs[i] and terminals[j]; null where WACC does not exceed growth
+ */
+export function sensitivityTable(data, assumptions, forecastAssumptions = {}) {
+    const base = valueCompany(data, assumptions, forecastAssumptions);
+    if (!base) return null;
+
+    const a = normalizeValuationAssumptions(assumptions);
+    const structure = capitalStructure(data);
+    const projection = forecast(data, { ...forecastAssumptions, scenario: a.scenario });
+    const isMultiple = a.terminalMethod === 'multiple';
+
+    const waccs = SENSITIVITY_STEPS.wacc.map(step => round(base.wacc.wacc + step)).filter(rate => rate > 0);
+    const terminals = (isMultiple ? SENSITIVITY_STEPS.multiple : SENSITIVITY_STEPS.growth)
+        .map(step => round((isMultiple ? a.exitMultiple : a.terminalGrowth) + step))
+        .filter(value => !isMultiple || value > 0);
+
+    const values = waccs.map(rate => terminals.map(terminal => {
+        if (!isMultiple && rate <= terminal) return null;
+        const terminalValue = terminalValueOf(projection, a.terminalMethod, {
+            rate,
+            growth: terminal,
+            multiple: terminal,
+            ebitdaMargin: structure.ebitdaMargin
+        });
+        const { enterpriseValue } = presentValue(projection.fcf, terminalValue, rate);
+        return round((enterpriseValue - base.netDebt) / base.shares);
+    }));
+
+    return { waccs, terminals, terminalMethod: a.terminalMethod, values };
+}
+
+/**
+ * One-sentence citation of a valuation and its assumptions, for the executive summary
+ */
+export function describeValuation(result, currency) {
+    const terminal = result.terminalMethod === 'multiple'
+        ? `a ${result.exitMultiple.toFixed(1)}x EV/EBITDA exit multiple`
+        : `${result.terminalGrowth.toFixed(1)}% terminal growth`;
+    return `DCF intrinsic value of ${currency} ${result.perShare.toFixed(2)} per share `
+        + `(${result.years.length}-year ${result.scenario}-case free cash flow forecast from FY ${result.baseYear}, `
+        + `WACC ${result.wacc.wacc.toFixed(1)}% with cost of equity ${result.wacc.costOfEquity.toFixed(1)}% and ${result.wacc.debtWeight.toFixed(0)}% debt, `
+        + `${terminal}, net debt of ${currency} ${result.netDebt.toFixed(1)}M and ${result.shares.toFixed(1)}M shares).`
+        + (result.conversionBasis === 'assumption'
+            ? ` The reports give no free cash flow history: the ${result.cashConversion.toFixed(0)}% cash conversion is an assumption.`
+            : '');
+}
+
+/**
+ * Validate valuation assumptions
+ * @returns {string[]} - Error messages, empty when valid
+ */
+export function validateValuationAssumptions(assumptions) {
+    const errors = [];
+
+    Object.entries(LIMITS).forEach(([key, { min, max, label, unit }]) => {
+        const value = assumptions[key];
+        const optional = DEFAULT_VALUATION_ASSUMPTIONS[key] === null;
+        if (optional && (value === null || value === undefined)) return;
+        if (!Number.isFinite(value) || value < min || value > max) {
+            errors.push(`${label} must be between ${min}${unit} and ${max}${unit}`);
+        }
+    });
+
+    if (assumptions.netDebt !== null && assumptions.netDebt !== undefined && !Number.isFinite(assumptions.netDebt)) {
+        errors.push('Net debt must be a number');
+    }
+    if (!TERMINAL_METHODS[assumptions.terminalMethod]) errors.push(`Unknown terminal method "${assumptions.terminalMethod}"`);
+    if (!['base', 'bull', 'bear'].includes(assumptions.scenario)) errors.push(`Unknown scenario "${assumptions.scenario}"`);
+
+    return errors;
+}
+
+/**
+ * Complete stored assumptions with the defaults, replacing each invalid one with its default
+ */
+export function normalizeValuationAssumptions(assumptions) {
+    const stored = assumptions && typeof assumptions === 'object' ? assumptions : {};
+    return Object.fromEntries(Object.entries(DEFAULT_VALUATION_ASSUMPTIONS).map(([key, fallback]) => {
+        if (!(key in stored)) return [key, fallback];
+        // The defaults are valid, so any error is the stored key's
+        const valid = validateValuationAssumptions({ ...DEFAULT_VALUATION_ASSUMPTIONS, [key]: stored[key] }).length === 0;
+        return [key, valid ? stored[key] : fallback];
+    }));
+}
+
+export default {
+    TERMINAL_METHODS,
+    DEFAULT_VALUATION_ASSUMPTIONS,
+    SENSITIVITY_STEPS,
+    capitalStructure,
+    computeWacc,
+    valuationIssues,
+    valueCompany,
+    sensitivityTable,
+    describeValuation,
+    validateValuationAssumptions,
+    normalizeValuationAssumptions
+};
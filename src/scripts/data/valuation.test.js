@@ -0,0 +1,166 @@
+/**
+ * Tests for the Valuation module
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+    DEFAULT_VALUATION_ASSUMPTIONS,
+    capitalStructure,
+    computeWacc,
+    valuationIssues,
+    valueCompany,
+    sensitivityTable,
+    describeValuation,
+    validateValuationAssumptions,
+    normalizeValuationAssumptions
+} from './valuation.js';
+
+// 10% growth and margin, 80% cash conversion, 20% tax, 20% book debt weight, 20% EBITDA margin
+const data = {
+    years: ['2021', '2022', '2023'],
+    revenue: [1000, 1100, 1210],
+    netProfit: [100, 110, 121],
+    fcf: [80, 88, 96.8],
+    zakat: [25, 27.5, 30.25],
+    operatingProfit: [150, 165, 181.5],
+    depreciationAmortization: [50, 55, 60.5],
+    eps: [1, 1.1, 1.21],
+    borrowings: [200, 200, 200],
+    cashEquivalents: { 2021: 40, 2022: 45, 2023: 50 },
+    shareholderEquity: [700, 750, 800]
+};
+
+describe('capitalStructure', () => {
+    it('should derive net debt, shares, tax rate and EBITDA margin from the latest year', () => {
+        expect(capitalStructure(data)).toEqual({
+            year: '2023',
+            borrowings: 200,
+            cash: 50,
+            equity: 800,
+            netDebt: 150,
+            shares: 100,
+            taxRate: 20,
+            ebitdaMargin: 20
+        });
+    });
+
+    it('should leave unreported figures null', () => {
+        const structure = capitalStructure({ years: ['2023'], revenue: [1210], netProfit: [121] });
+        expect(structure).toMatchObject({ netDebt: null, shares: null, taxRate: null, ebitdaMargin: null });
+    });
+});
+
+describe('computeWacc', () => {
+    it('should weight CAPM cost of equity and after-tax cost of debt', () => {
+        expect(computeWacc(data, DEFAULT_VALUATION_ASSUMPTIONS)).toEqual({
+            costOfEquity: 10.5,
+            afterTaxCostOfDebt: 4.8,
+            taxRate: 20,
+            debtWeight: 20,
+            wacc: 9.36
+        });
+    });
+
+    it('should prefer the user tax rate and debt weight', () => {
+        const result = computeWacc(data, { beta: 1.5, taxRate: 0, debtWeight: 0 });
+        expect(result).toMatchObject({ costOfEquity: 13.5, debtWeight: 0, wacc: 13.5 });
+    });
+});
+
+describe('valueCompany', () => {
+    it('should discount the forecast free cash flow and a perpetuity-growth terminal value', () => {
+        const result = valueCompany(data, DEFAULT_VALUATION_ASSUMPTIONS);
+        const last = result.fcf[result.fcf.length - 1];
+
+        expect(result.years).toEqual(['2024', '2025', '2026', '2027', '2028']);
+        expect(result.discountFactors[0]).toBeCloseTo(1 / 1.0936, 4);
+        expect(result.terminalValue).toBeCloseTo((last * 1.025) / (0.0936 - 0.025), 0);
+        expect(result.enterpriseValue).toBeCloseTo(
+            result.presentValues.reduce((sum, value) => sum + value, 0) + result.presentTerminal, 0);
+        expect(result.equityValue).toBeCloseTo(result.enterpriseValue - 150, 1);
+        expect(result.perShare).toBeCloseTo(result.equityValue / 100, 2);
+    });
+
+    it('should value the terminal year at an EV/EBITDA multiple', () => {
+        const result = valueCompany(data, { terminalMethod: 'multiple', exitMultiple: 8 }, { horizon: 3 });
+        expect(result.years).toHaveLength(3);
+        expect(result.terminalValue).toBeCloseTo(1610.5 * 0.2 * 8, 0);
+    });
+
+    it('should apply the user net debt, shares and scenario', () => {
+        const base = valueCompany(data, {});
+        const bull = valueCompany(data, { scenario: 'bull', netDebt: 0, sharesOutstanding: 50 });
+        expect(bull.scenario).toBe('bull');
+        expect(bull.netDebt).toBe(0);
+        expect(bull.perShare).toBeGreaterThan(base.perShare * 2);
+    });
+
+    it('should report why a valuation is not possible', () => {
+        const sparse = { years: ['2023'], revenue: [1210], netProfit: [121] };
+        expect(valueCompany(sparse, {})).toBeNull();
+        expect(valuationIssues(sparse, { terminalMethod: 'multiple' })).toEqual([
+            'No free cash flow forecast: the reports give no net margin or cash conversion to project it from; enter them in the driver-based forecast',
+            'Net debt is not reported: enter it',
+            'The share count cannot be derived from net profit and EPS: enter shares outstanding',
+            'EBITDA is not reported: use the perpetuity-growth method'
+        ]);
+        expect(valuationIssues(data, { terminalGrowth: 9.5 })).toEqual(['WACC must exceed the terminal growth rate']);
+    });
+
+    it('should not value free cash flow without a cash conversion, and flag an assumed one', () => {
+        const noCashFlow = { ...data, fcf: undefined };
+        expect(valueCompany(noCashFlow, {})).toBeNull();
+        expect(valuationIssues(noCashFlow, {})[0]).toMatch(/no net margin or cash conversion/);
+
+        const assumed = valueCompany(noCashFlow, {}, { method: 'driver', fcfConversion: 90 });
+        expect(assumed).toMatchObject({ cashConversion: 90, conversionBasis: 'assumption' });
+        expect(describeValuation(assumed, 'SAR')).toContain('the 90% cash conversion is an assumption');
+        expect(valueCompany(data, {}).conversionBasis).toBe('history');
+    });
+});
+
+describe('sensitivityTable', () => {
+    it('should revalue per share across WACC and terminal growth', () => {
+        const base = valueCompany(data, {});
+        const table = sensitivityTable(data, {});
+
+        expect(table.waccs).toEqual([7.36, 8.36, 9.36, 10.36, 11.36]);
+        expect(table.terminals).toEqual([1.5, 2, 2.5, 3, 3.5]);
+        expect(table.values[2][2]).toBeCloseTo(base.perShare, 1);
+        expect(table.values[0][4]).toBeGreaterThan(table.values[4][0]);
+    });
+
+    it('should leave cells without a spread between WACC and growth empty', () => {
+        const table = sensitivityTable(data, { terminalGrowth: 6, debtWeight: 0, beta: 0.5 });
+        expect(table.waccs[0]).toBe(5.5);
+        expect(table.values[0][0]).not.toBeNull();
+        expect(table.values[0][4]).toBeNull();
+    });
+});
+
+describe('describeValuation', () => {
+    it('should cite the value and its assumptions', () => {
+        const text = describeValuation(valueCompany(data, {}), 'SAR');
+        expect(text).toMatch(/^DCF intrinsic value of SAR \d+\.\d{2} per share/);
+        expect(text).toContain('5-year base-case free cash flow forecast from FY 2023');
+        expect(text).toContain('WACC 9.4%');
+        expect(text).toContain('2.5% terminal growth');
+        expect(text).toContain('net debt of SAR 150.0M and 100.0M shares');
+    });
+});
+
+describe('assumptions', () => {
+    it('should validate rates and methods', () => {
+        expect(validateValuationAssumptions(DEFAULT_VALUATION_ASSUMPTIONS)).toEqual([]);
+        expect(validateValuationAssumptions({ ...DEFAULT_VALUATION_ASSUMPTIONS, beta: 7, terminalMethod: 'dividend' })).toEqual([
+            'Beta must be between 0 and 5',
+            'Unknown terminal method "dividend"'
+        ]);
+    });
+
+    it('should complete stored assumptions and drop only the invalid ones', () => {
+        expect(normalizeValuationAssumptions({ beta: 1.2 })).toEqual({ ...DEFAULT_VALUATION_ASSUMPTIONS, beta: 1.2 });
+        expect(normalizeValuationAssumptions({ costOfDebt: -1, beta: 1.2 })).toEqual({ ...DEFAULT_VALUATION_ASSUMPTIONS, beta: 1.2 });
+        expect(normalizeValuationAssumptions({ terminalMethod: 'dividend', netDebt: 150 })).toEqual({ ...DEFAULT_VALUATION_ASSUMPTIONS, netDebt: 150 });
+    });
+});
@@ -0,0 +1,101 @@
+/**
+ * Citations Module
+ * Ties every extracted figure to the page, line and printed value it was read from
+ *
+ * A citation is { page, raw, unit, snippet, label, method, verified } where method
+ * is 'ai' or 'rules'. Calculated metrics carry { formula, inputs } instead of a page.
+ */
+
+// Metrics computed from other figures rather than read from the report
+export const DERIVED_FIELDS = {
+    grossMargin: { label: 'Gross margin', formula: 'Gross profit ÷ Revenue × 100', inputs: ['grossProfit', 'revenue'] },
+    operatingMargin: { label: 'Operating margin', formula: 'Operating profit ÷ Revenue × 100', inputs: ['operatingProfit', 'revenue'] },
+    netMargin: { label: 'Net margin', formula: 'Net profit ÷ Revenue × 100', inputs: ['netProfit', 'revenue'] },
+    roe: { label: 'ROE', formula: 'Net profit ÷ Shareholders\' equity × 100', inputs: ['netProfit', 'shareholderEquity'] },
+    currentRatio: { label: 'Current ratio', formula: 'Current assets ÷ Current liabilities', inputs: ['currentAssets', 'currentLiabilities'] },
+    debtToEquity: { label: 'Debt-to-equity', formula: 'Total liabilities ÷ Shareholders\' equity', inputs: ['totalLiabilities', 'shareholderEquity'] }
+};
+
+// Agreement needed to borrow the rule-based citation for an AI value
+const RULE_AGREEMENT = 0.02;
+
+/**
+ * Strip separators so "9,446,412" and "9 446 412" compare equal
+ */
+const digitsOf = raw => String(raw).replace(/[^0-9.]/g, '');
+
+/**
+ * Find the line of a page that prints the given figure
+ * @returns {string|null}
+ */
+export function findSnippet(pageText, raw) {
+    if (!pageText || raw === null || raw === undefined) return null;
+    const wanted = digitsOf(raw);
+    if (!wanted) return null;
+
+    const line = pageText.split('\n').find(text =>
+        text.split(/[\s|]+/).some(token => digitsOf(token) === wanted)
+    );
+    return line ? line.replace(/\s*\|\s*/g, ' ').replace(/\s+/g, ' ').trim() : null;
+}
+
+/**
+ * Check an AI citation against the pages, moving it to the page that actually prints the figure
+ */
+function verifyAISource(source, pages) {
+    const cited = pages.find(page => page.number === source.page);
+    const snippet = cited && findSnippet(cited.text, source.raw);
+    if (snippet) {
+        return { ...source, snippet: source.snippet || snippet, method: 'ai', verified: true };
+    }
+
+    for (const page of pages) {
+        const found = findSnippet(page.text, source.raw);
+        if (found) return { ...source, page: page.number, snippet: found, method: 'ai', verified: true };
+    }
+
+    return { ...source, method: 'ai', verified: false };
+}
+
+const agrees = (a, b) => typeof a === 'number' && typeof b === 'number'
+    && Math.abs(a - b) <= Math.max(Math.abs(a), Math.abs(b)) * RULE_AGREEMENT;
+
+/**
+ * Build citations for one extraction
+ * @param {Object} data - Extraction with the model's `sources`
+ * @param {Array<{number: number, text: string}>} pages - Laid-out report pages
+ * @param {Object} ruleData - Rule-based extraction with its own `sources`
+ * @param {Object} options - fileName: source PDF, used to open the page later
+ * @returns {Object} - { field: citation }
+ */
+export function buildCitations(data, pages, ruleData = null, { fileName = null } = {}) {
+    const citations = {};
+    const aiSources = data.sources || {};
+    const ruleSources = ruleData?.sources || {};
+
+    Object.entries(data).forEach(([field, value]) => {
+        if (typeof value !== 'number' || DERIVED_FIELDS[field]) return;
+
+        let citation = null;
+        if (aiSources[field]) {
+            citation = verifyAISource(aiSources[field], pages);
+        }
+        // Prefer the deterministic reading when the model's citation cannot be found
+        if ((!citation || !citation.verified) && ruleSources[field] && agrees(value, ruleData[field])) {
+            citation = { ...ruleSources[field], method: 'rules', verified: true };
+        }
+        if (citation) citations[field] = { ...citation, file: fileName };
+    });
+
+    Object.entries(DERIVED_FIELDS).forEach(([field, definition]) => {
+        if (typeof data[field] !== 'number') return;
+        citations[field] = {
+            formula: definition.formula,
+            inputs: definition.inputs.filter(input => citations[input])
+        };
+    });
+
+    return citations;
+}
+
+export default { DERIVED_FIELDS, findSnippet, buildCitations };
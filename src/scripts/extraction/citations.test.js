@@ -0,0 +1,63 @@
+/**
+ * Tests for Figure Citations
+ */
+
+import { describe, it, expect } from 'vitest';
+import { findSnippet, buildCitations } from './citations.js';
+
+const pages = [
+    { number: 12, text: 'Contents\nFinancial statements 40' },
+    { number: 41, text: "Statement of Profit or Loss (SAR '000)\nLine item | 2024 | 2023\nRevenue | 9,446,412 | 8,713,700\nNet profit for the year | 820,700 | 892,600" }
+];
+
+describe('findSnippet', () => {
+    it('should return the line printing the figure', () => {
+        expect(findSnippet(pages[1].text, '9,446,412')).toBe('Revenue 9,446,412 8,713,700');
+    });
+
+    it('should not match a figure that is only a prefix of another', () => {
+        expect(findSnippet(pages[1].text, '9,446')).toBeNull();
+    });
+});
+
+describe('buildCitations', () => {
+    const ruleData = {
+        revenue: 9446.4,
+        netProfit: 820.7,
+        sources: {
+            revenue: { page: 41, raw: '9,446,412', unit: "SAR '000", snippet: 'Revenue 9,446,412 8,713,700' },
+            netProfit: { page: 41, raw: '820,700', unit: "SAR '000", snippet: 'Net profit for the year 820,700 892,600' }
+        }
+    };
+
+    it('should keep verified model citations and attach the file', () => {
+        const data = { revenue: 9446.4, sources: { revenue: { page: 41, raw: '9,446,412', unit: "SAR '000" } } };
+        const citations = buildCitations(data, pages, null, { fileName: 'nahdi-2024.pdf' });
+        expect(citations.revenue).toMatchObject({
+            page: 41,
+            method: 'ai',
+            verified: true,
+            snippet: 'Revenue 9,446,412 8,713,700',
+            file: 'nahdi-2024.pdf'
+        });
+    });
+
+    it('should move a model citation to the page that prints the figure', () => {
+        const data = { revenue: 9446.4, sources: { revenue: { page: 12, raw: '9,446,412' } } };
+        expect(buildCitations(data, pages).revenue.page).toBe(41);
+    });
+
+    it('should fall back to the rule-based citation when the values agree', () => {
+        const data = { revenue: 9446.4, netProfit: 900, sources: { revenue: { page: 3, raw: '1' } } };
+        const citations = buildCitations(data, pages, ruleData);
+        expect(citations.revenue).toMatchObject({ page: 41, method: 'rules' });
+        // 900 vs 820.7 is not the same figure, so no citation is borrowed
+        expect(citations.netProfit).toBeUndefined();
+    });
+
+    it('should cite calculated metrics by formula and inputs', () => {
+        const data = { revenue: 9446.4, netProfit: 820.7, netMargin: 8.69 };
+        const citations = buildCitations(data, pages, ruleData);
+        expect(citations.netMargin).toEqual({ formula: 'Net profit ÷ Revenue × 100', inputs: ['netProfit', 'revenue'] });
+    });
+});
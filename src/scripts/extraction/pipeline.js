@@ -0,0 +1,255 @@
+/**
+ * Extraction Pipeline Module
+ * Sends only the relevant pages of an annual report to the AI and merges the per-chunk results
+ */
+
+import { SECTIONS, STATEMENT_SECTIONS, locateSections, hasStatements } from './sectionLocator.js';
+import { detectLatestYear } from './tableLayout.js';
+import { ExtractionError } from '../../services/openaiService.js';
+
+// Character budget per request (~15k tokens)
+export const MAX_CHUNK_CHARS = 60000;
+
+// Fields each statement is authoritative for when chunks disagree
+const SECTION_FIELDS = {
+    incomeStatement: ['revenue', 'costOfSales', 'grossProfit', 'sgaExpenses', 'operatingProfit', 'financeCosts', 'zakat', 'netProfit', 'eps', 'grossMargin', 'operatingMargin', 'netMargin'],
+    financialPosition: ['totalAssets', 'currentAssets', 'totalLiabilities', 'currentLiabilities', 'shareholderEquity', 'cash', 'receivables', 'inventories', 'payables', 'borrowings', 'currentRatio', 'debtToEquity'],
+    cashFlow: ['operatingCashFlow', 'depreciationAmortization', 'capex', 'leasePayments', 'investingCashFlow', 'financingCashFlow', 'fcf']
+};
+
+// Keywords used to pick pages when no statement heading could be located
+const FALLBACK_KEYWORDS = [
+    /total\s+assets/i,
+    /total\s+liabilities/i,
+    /total\s+equity/i,
+    /revenue/i,
+    /gross\s+profit/i,
+    /(net\s+)?profit\s+for\s+the\s+year/i,
+    /cash\s+and\s+cash\s+equivalents/i
+];
+
+/**
+ * Format pages as text with page markers so the model can cite page numbers
+ */
+export function formatPages(pages) {
+    return pages.map(page => `--- Page ${page.number} ---\n${page.text}`).join('\n\n');
+}
+
+/**
+ * Split pages into chunks that fit the character budget
+ */
+export function splitIntoChunks(pages, maxChars = MAX_CHUNK_CHARS) {
+    const chunks = [];
+    let current = [];
+    let size = 0;
+
+    pages.forEach(page => {
+        const pageText = page.text.length > maxChars ? page.text.slice(0, maxChars) : page.text;
+        if (current.length > 0 && size + pageText.length > maxChars) {
+            chunks.push(current);
+            current = [];
+            size = 0;
+        }
+        current.push({ ...page, text: pageText });
+        size += pageText.length;
+    });
+
+    if (current.length > 0) chunks.push(current);
+    return chunks;
+}
+
+/**
+ * Pick the pages with the most statement keywords, in page order, within the budget
+ */
+function selectFallbackPages(pages, maxChars) {
+    const scored = pages
+        .map(page => ({ page, score: FALLBACK_KEYWORDS.filter(pattern => pattern.test(page.text)).length }))
+        .filter(entry => entry.score > 0)
+        .sort((a, b) => b.score - a.score);
+
+    const selected = [];
+    let size = 0;
+    for (const { page } of scored) {
+        if (size + page.text.length > maxChars) continue;
+        selected.push(page);
+        size += page.text.length;
+    }
+
+    return selected.sort((a, b) => a.number - b.number);
+}
+
+/**
+ * Plan the requests for statement extraction
+ * All statements go in one request when they fit, otherwise one request per statement
+ * @returns {Array<{section: string, pages: number[], text: string, fiscalYear: string|null}>}
+ */
+export function planStatementChunks(pages, located, maxChars = MAX_CHUNK_CHARS) {
+    const byNumber = new Map(pages.map(page => [page.number, page]));
+    const pagesFor = numbers => numbers.map(n => byNumber.get(n)).filter(Boolean);
+
+    const toChunk = (section, chunkPages) => ({
+        section,
+        pages: chunkPages.map(p => p.number),
+        text: formatPages(chunkPages),
+        fiscalYear: detectLatestYear(chunkPages)
+    });
+
+    if (!hasStatements(located)) {
+        const fallback = selectFallbackPages(pages, maxChars);
+        return [toChunk('statements', fallback.length > 0 ? fallback : splitIntoChunks(pages, maxChars)[0] || [])];
+    }
+
+    const statementPages = pagesFor(STATEMENT_SECTIONS.flatMap(section => located[section]));
+    if (formatPages(statementPages).length <= maxChars) {
+        return [toChunk('statements', statementPages)];
+    }
+
+    // Statements are split apart, so every chunk uses the year of the whole set
+    const fiscalYear = detectLatestYear(statementPages);
+    return STATEMENT_SECTIONS
+        .filter(section => located[section].length > 0)
+        .map(section => ({
+            ...toChunk(section, splitIntoChunks(pagesFor(located[section]), maxChars)[0]),
+            fiscalYear
+        }));
+}
+
+/**
+ * Plan the requests for qualitative extraction (notes, plus the income statement for context)
+ */
+export function planNotesChunks(pages, located, maxChars = MAX_CHUNK_CHARS) {
+    const numbers = [...new Set([...located.incomeStatement, ...located.notes])].sort((a, b) => a - b);
+    const selected = numbers.length > 0
+        ? pages.filter(page => numbers.includes(page.number))
+        : selectFallbackPages(pages, maxChars);
+
+    return splitIntoChunks(selected, maxChars).map(chunk => ({
+        section: 'notes',
+        pages: chunk.map(p => p.number),
+        text: formatPages(chunk)
+    }));
+}
+
+/**
+ * Merge per-chunk extractions into one
+ * Each statement wins for its own fields; other fields take the first non-null value
+ * @param {Array<{section: string, data: Object}>} results
+ */
+export function mergeChunkResults(results) {
+    const merged = {};
+    const valid = results.filter(result => result.data && typeof result.data === 'object');
+
+    valid.forEach(({ data }) => {
+        Object.entries(data).forEach(([field, value]) => {
+            if (merged[field] === null || merged[field] === undefined) {
+                merged[field] = value;
+            }
+        });
+    });
+
+    valid.forEach(({ section, data }) => {
+        (SECTION_FIELDS[section] || []).forEach(field => {
+            if (data[field] !== null && data[field] !== undefined) {
+                merged[field] = data[field];
+            }
+        });
+    });
+
+    // A citation belongs to the chunk whose value was kept
+    const sources = {};
+    Object.keys(merged).forEach(field => {
+        const owner = valid.find(({ data }) => data.sources?.[field] && data[field] === merged[field]);
+        if (owner) sources[field] = owner.data.sources[field];
+    });
+    delete merged.sources;
+    if (Object.keys(sources).length > 0) merged.sources = sources;
+
+    return merged;
+}
+
+/**
+ * Deduplicate qualitative events found in several chunks
+ */
+export function mergeQualitativeEvents(eventLists) {
+    const seen = new Set();
+    return eventLists.flat().filter(event => {
+        const key = `${(event.description || '').toLowerCase().trim()}|${event.year}|${event.amount}`;
+        if (seen.has(key)) return false;
+        seen.add(key);
+        return true;
+    });
+}
+
+/**
+ * Run section-aware extraction over report pages
+ * @param {Array<{number: number, text: string}>} pages
+ * @param {Object} api - { extract(text, options), extractQualitative(text) }
+ * @returns {Promise<{data: Object, qualitativeEvents: Array, sections: Object}>}
+ */
+export async function extractFromPages(pages, api, { maxChars = MAX_CHUNK_CHARS } = {}) {
+    const located = locateSections(pages);
+    console.log('Located report sections:', describeSections(located) || 'none');
+
+    const statementChunks = planStatementChunks(pages, located, maxChars);
+    const results = [];
+    let lastError = null;
+    for (const chunk of statementChunks) {
+        if (chunk.section === 'statements') {
+            const data = await api.extract(chunk.text, { pages: chunk.pages, fiscalYear: chunk.fiscalYear });
+            results.push({ section: chunk.section, data });
+            continue;
+        }
+        // Statements sent separately may fail on their own; keep the others
+        try {
+            const data = await api.extract(chunk.text, { section: chunk.section, pages: chunk.pages, fiscalYear: chunk.fiscalYear });
+            results.push({ section: chunk.section, data });
+        } catch (error) {
+            console.warn(`Extraction failed for ${SECTIONS[chunk.section].label}:`, error.message);
+            lastError = error;
+        }
+    }
+
+    if (results.length === 0 && lastError) throw lastError;
+
+    const data = mergeChunkResults(results);
+    const missing = ['revenue', 'netProfit'].filter(field => data[field] === null || data[field] === undefined);
+    if (missing.length > 0) {
+        throw new ExtractionError('Statements were found but key figures are missing', {
+            code: 'EXTRACTION_INCOMPLETE',
+            details: missing.map(field => ({ field, message: `${field} is required` }))
+        });
+    }
+
+    const eventLists = [];
+    for (const chunk of planNotesChunks(pages, located, maxChars)) {
+        eventLists.push(await api.extractQualitative(chunk.text));
+    }
+
+    return {
+        data,
+        qualitativeEvents: mergeQualitativeEvents(eventLists),
+        sections: located
+    };
+}
+
+/**
+ * Describe located sections for logs and prompts
+ */
+export function describeSections(located) {
+    return Object.entries(located)
+        .filter(([, numbers]) => numbers.length > 0)
+        .map(([section, numbers]) => `${SECTIONS[section].label}: pages ${numbers[0]}-${numbers[numbers.length - 1]}`)
+        .join('; ');
+}
+
+export default {
+    MAX_CHUNK_CHARS,
+    formatPages,
+    splitIntoChunks,
+    planStatementChunks,
+    planNotesChunks,
+    mergeChunkResults,
+    mergeQualitativeEvents,
+    extractFromPages,
+    describeSections
+};
@@ -0,0 +1,125 @@
+/**
+ * Tests for the Extraction Pipeline
+ */
+
+import { describe, it, expect, vi } from 'vitest';
+import {
+    splitIntoChunks,
+    planStatementChunks,
+    planNotesChunks,
+    mergeChunkResults,
+    mergeQualitativeEvents,
+    extractFromPages
+} from './pipeline.js';
+
+const located = {
+    incomeStatement: [41],
+    financialPosition: [40],
+    cashFlow: [43],
+    notes: [44, 45]
+};
+
+const pages = [40, 41, 42, 43, 44, 45].map(number => ({ number, text: `page ${number} `.repeat(10) }));
+
+describe('splitIntoChunks', () => {
+    it('should keep chunks within the character budget', () => {
+        const chunks = splitIntoChunks(pages, 250);
+        expect(chunks.length).toBe(2);
+        chunks.forEach(chunk => {
+            expect(chunk.reduce((size, page) => size + page.text.length, 0)).toBeLessThanOrEqual(250);
+        });
+    });
+});
+
+describe('planStatementChunks', () => {
+    it('should send all statements in one request when they fit', () => {
+        const chunks = planStatementChunks(pages, located);
+        expect(chunks).toHaveLength(1);
+        expect(chunks[0].section).toBe('statements');
+        expect(chunks[0].pages).toEqual([41, 40, 43]);
+        expect(chunks[0].text).toContain('--- Page 40 ---');
+        expect(chunks[0].text).not.toContain('page 44');
+    });
+
+    it('should split per statement when the combined text is too long', () => {
+        const chunks = planStatementChunks(pages, located, 250);
+        expect(chunks.map(c => c.section)).toEqual(['incomeStatement', 'financialPosition', 'cashFlow']);
+    });
+
+    it('should fall back to keyword pages when no statement was located', () => {
+        const keywordPages = [
+            { number: 1, text: 'Chairman letter' },
+            { number: 2, text: 'Total assets 100 Total liabilities 60 Total equity 40' }
+        ];
+        const empty = { incomeStatement: [], financialPosition: [], cashFlow: [], notes: [] };
+        expect(planStatementChunks(keywordPages, empty)[0].pages).toEqual([2]);
+    });
+});
+
+describe('planNotesChunks', () => {
+    it('should include the income statement and notes only', () => {
+        const chunks = planNotesChunks(pages, located);
+        expect(chunks[0].pages).toEqual([41, 44, 45]);
+    });
+});
+
+describe('mergeChunkResults', () => {
+    it('should prefer the owning statement for its fields', () => {
+        const merged = mergeChunkResults([
+            { section: 'financialPosition', data: { companyName: 'Nahdi', revenue: 1, totalAssets: 6173.3 } },
+            { section: 'incomeStatement', data: { companyName: null, revenue: 9446.4, totalAssets: 1 } }
+        ]);
+        expect(merged).toEqual({ companyName: 'Nahdi', revenue: 9446.4, totalAssets: 6173.3 });
+    });
+
+    it('should keep the citation of the chunk whose value was kept', () => {
+        const merged = mergeChunkResults([
+            { section: 'financialPosition', data: { revenue: 1, totalAssets: 6173.3, sources: { revenue: { page: 40 }, totalAssets: { page: 40 } } } },
+            { section: 'incomeStatement', data: { revenue: 9446.4, sources: { revenue: { page: 41 } } } }
+        ]);
+        expect(merged.sources).toEqual({ revenue: { page: 41 }, totalAssets: { page: 40 } });
+    });
+});
+
+describe('mergeQualitativeEvents', () => {
+    it('should drop events repeated across chunks', () => {
+        const event = { description: 'Finance income', year: '2024', amount: 10 };
+        expect(mergeQualitativeEvents([[event], [{ ...event, description: 'finance income ' }], []])).toHaveLength(1);
+    });
+});
+
+describe('extractFromPages', () => {
+    const figures = Array.from({ length: 20 }, (_, i) => `${i + 1},234,567`).join(' ');
+    const statementPages = [
+        { number: 40, text: `Statement of Financial Position ${figures}` },
+        { number: 41, text: `Statement of Profit or Loss ${figures}` },
+        { number: 43, text: `Statement of Cash Flows ${figures}` }
+    ];
+
+    it('should keep other statements when one statement request fails', async () => {
+        const api = {
+            extract: vi.fn(async (text, { section }) => {
+                if (section === 'cashFlow') throw new Error('timeout');
+                return section === 'incomeStatement'
+                    ? { fiscalYear: '2024', revenue: 9446.4, netProfit: 820.7 }
+                    : { totalAssets: 6173.3 };
+            }),
+            extractQualitative: vi.fn(async () => [])
+        };
+
+        // A small budget forces one request per statement
+        const result = await extractFromPages(statementPages, api, { maxChars: 400 });
+
+        expect(api.extract).toHaveBeenCalledTimes(3);
+        expect(result.data).toEqual({ fiscalYear: '2024', revenue: 9446.4, netProfit: 820.7, totalAssets: 6173.3 });
+    });
+
+    it('should fail when key figures are missing after merging', async () => {
+        const api = {
+            extract: vi.fn(async () => ({ totalAssets: 6173.3 })),
+            extractQualitative: vi.fn(async () => [])
+        };
+
+        await expect(extractFromPages(statementPages, api)).rejects.toMatchObject({ code: 'EXTRACTION_INCOMPLETE' });
+    });
+});
@@ -0,0 +1,247 @@
+/**
+ * Rule-Based Extractor Module
+ * Deterministic extraction of standard IFRS line items from laid-out PDF pages
+ * Produces the same shape as the AI `extract` action (amounts in millions)
+ */
+
+import { locateSections, STATEMENT_SECTIONS, hasStatements } from './sectionLocator.js';
+import { detectLatestYear } from './tableLayout.js';
+import { parseFigure, detectUnit, detectReportUnit, toMillions } from './units.js';
+
+/**
+ * Line item labels per field, most specific first
+ * Amount fields are converted to millions; per-share fields are kept as printed
+ */
+export const LINE_ITEMS = {
+    revenue: [/^(total\s+)?revenues?\b/i, /^(net\s+)?sales\b/i],
+    costOfSales: [/^cost\s+of\s+(sales|revenues?|goods\s+sold)\b/i],
+    grossProfit: [/^gross\s+profit\b/i],
+    sgaExpenses: [/^selling,?\s+general\s+and\s+administrative\s+expenses\b/i],
+    depreciationAmortization: [/^depreciation\s+and\s+amorti[sz]ation\b/i],
+    operatingProfit: [/^operating\s+(profit|income)\b/i, /^(profit|income)\s+from\s+operations\b/i],
+    financeCosts: [/^finance\s+costs?\b/i, /^interest\s+expenses?\b/i],
+    zakat: [/^zakat(\s+and\s+income\s+tax)?(\s+(expense|charge))?(\s+for\s+the\s+year)?$/i, /^income\s+tax(\s+expense)?$/i],
+    netProfit: [/^(net\s+)?profit\s+for\s+the\s+year\b/i, /^net\s+(profit|income)\b/i],
+    totalAssets: [/^total\s+assets\b/i],
+    currentAssets: [/^total\s+current\s+assets\b/i],
+    totalLiabilities: [/^total\s+liabilities$/i, /^total\s+liabilities\b(?!\s+and)/i],
+    currentLiabilities: [/^total\s+current\s+liabilities\b/i],
+    shareholderEquity: [/^total\s+equity\s+attributable\s+to/i, /^total\s+(shareholders['’]?\s+)?equity$/i],
+    cash: [/^cash\s+and\s+cash\s+equivalents\b/i],
+    receivables: [/^trade\s+(and\s+other\s+)?receivables\b/i, /^accounts\s+receivables?\b/i],
+    inventories: [/^inventor(y|ies)\b/i],
+    payables: [/^trade\s+(and\s+other\s+)?payables\b/i, /^accounts\s+payables?\b/i],
+    borrowings: [/^(total\s+)?(loans\s+and\s+)?borrowings\b/i, /^(bank\s+)?(loans|borrowings)$/i],
+    operatingCashFlow: [/^net\s+cash\b.*\boperating\s+activities\b/i],
+    capex: [/^(purchases?|acquisitions?|additions)\s+(of|to)\s+property,?\s+(plant\s+)?and\s+equipment\b/i],
+    leasePayments: [/^(payments?|repayments?)\s+of\s+(the\s+)?(principal\s+(portion|element)\s+of\s+)?lease\s+liabilit/i],
+    investingCashFlow: [/^net\s+cash\b.*\binvesting\s+activities\b/i],
+    financingCashFlow: [/^net\s+cash\b.*\bfinancing\s+activities\b/i],
+    eps: [/earnings\s+per\s+share/i]
+};
+
+const PER_SHARE_FIELDS = ['eps'];
+
+// Costs and cash outflows are stored as positive magnitudes, whether or not the statement brackets them
+const OUTFLOW_FIELDS = ['costOfSales', 'sgaExpenses', 'depreciationAmortization', 'financeCosts', 'zakat', 'capex', 'leasePayments'];
+
+/**
+ * Find the printed value of a field in laid-out tables
+ * Without `exact`, tables lacking the year column are read from their first column.
+ */
+function findInTables(pages, patterns, year, { exact = false } = {}) {
+    for (const pattern of patterns) {
+        for (const page of pages) {
+            for (const table of page.tables || []) {
+                const row = table.rows.find(r => pattern.test(r.label.trim()));
+                const column = year && table.years.includes(year) ? year : (exact ? null : table.years[0]);
+                if (row && column && row.values[column] !== undefined) {
+                    const snippet = [row.label, row.note, ...table.years.map(y => row.values[y])].filter(Boolean).join(' ');
+                    return {
+                        raw: row.values[column],
+                        page: page.number,
+                        label: row.label,
+                        snippet,
+                        restated: (table.restated || []).includes(column)
+                    };
+                }
+            }
+        }
+    }
+    return null;
+}
+
+/**
+ * Find the printed value of a field in plain text lines ("Revenue 5 9,446,412 8,713,700")
+ * The first figure after the label is taken as the current year
+ */
+function findInText(pages, patterns) {
+    for (const pattern of patterns) {
+        for (const page of pages) {
+            for (const line of page.text.split('\n')) {
+                const labelMatch = line.trim().match(/^([A-Za-z][A-Za-z\s'’,&()-]*?)\s+(?:\d{1,2}(?:\.\d+)?\s+)?(\(?[\d,]+(?:\.\d+)?\)?)(?:\s|$)/);
+                if (labelMatch && pattern.test(labelMatch[1].trim())) {
+                    return { raw: labelMatch[2], page: page.number, label: labelMatch[1].trim(), snippet: line.trim() };
+                }
+            }
+        }
+    }
+    return null;
+}
+
+/**
+ * Detect the company name from the statement headers
+ */
+function detectCompanyName(pages) {
+    for (const page of pages) {
+        for (const line of page.text.split('\n')) {
+            const match = line.match(/^\s*([A-Z][A-Za-z.&'\s-]{2,80}?\b(?:COMPANY|Company|CO\.|Co\.|LTD\.?|Ltd\.?|Group|GROUP))\b/);
+            if (match) return match[1].trim();
+        }
+    }
+    return null;
+}
+
+/**
+ * Detect the fiscal year from table headers, then from "year ended 31 December 2024"
+ */
+function detectFiscalYear(pages) {
+    const fromTables = detectLatestYear(pages);
+    if (fromTables) return fromTables;
+
+    const text = pages.map(page => page.text).join('\n');
+    const match = text.match(/year\s+ended\s+\d{1,2}\s+\w+\s+((?:19|20)\d{2})/i);
+    return match ? match[1] : null;
+}
+
+const round = (value, decimals = 2) => Math.round(value * 10 ** decimals) / 10 ** decimals;
+
+/**
+ * Statement pages of a report, or every page when no statement heading was found
+ */
+function selectStatementPages(pages) {
+    const located = locateSections(pages);
+    const statementNumbers = STATEMENT_SECTIONS.flatMap(section => located[section]);
+    return hasStatements(located)
+        ? pages.filter(page => statementNumbers.includes(page.number))
+        : pages;
+}
+
+/**
+ * Convert a printed figure to the field's unit, with its citation
+ * @returns {{ value: number, source: Object }|null} - null when the figure or its unit is unreadable
+ */
+function readFigure(field, found, pages, reportUnit) {
+    const printed = found ? parseFigure(found.raw) : null;
+    if (printed === null) return null;
+    const value = OUTFLOW_FIELDS.includes(field) ? Math.abs(printed) : printed;
+
+    if (PER_SHARE_FIELDS.includes(field)) {
+        return { value, source: { page: found.page, raw: found.raw, unit: reportUnit?.currency || null, snippet: found.snippet } };
+    }
+
+    // Each page is read in the unit its own header declares, falling back to the report's
+    const unit = detectUnit(pages.find(p => p.number === found.page)?.text) || reportUnit;
+    if (!unit) return null;
+
+    return {
+        value: round(toMillions(value, unit.scale), 6),
+        source: { page: found.page, raw: found.raw, unit: unit.label, snippet: found.snippet }
+    };
+}
+
+/**
+ * Extract standard line items without AI
+ * @param {Array<{number: number, text: string, tables?: Array}>} pages - Laid-out report pages
+ * @returns {Object} - Extraction in the `extract` action shape, with null for fields not found
+ *                     and a `sources` citation for every figure found
+ */
+export function extractWithRules(pages) {
+    const statementPages = selectStatementPages(pages);
+
+    const fiscalYear = detectFiscalYear(statementPages);
+    const reportUnit = detectReportUnit(statementPages) || detectReportUnit(pages);
+    const result = {
+        companyName: detectCompanyName(statementPages) || detectCompanyName(pages.slice(0, 5)),
+        fiscalYear,
+        currency: reportUnit?.currency || null
+    };
+    const sources = {};
+
+    Object.entries(LINE_ITEMS).forEach(([field, patterns]) => {
+        const found = findInTables(statementPages, patterns, fiscalYear) || findInText(statementPages, patterns);
+        const reading = readFigure(field, found, pages, reportUnit);
+        result[field] = reading ? reading.value : null;
+        if (reading) sources[field] = reading.source;
+    });
+
+    // Derived metrics, same rules as the AI prompt
+    const { revenue, grossProfit, operatingProfit, netProfit, shareholderEquity, currentAssets, currentLiabilities, totalLiabilities } = result;
+    result.grossMargin = revenue && grossProfit !== null ? round((grossProfit / revenue) * 100) : null;
+    result.operatingMargin = revenue && operatingProfit !== null ? round((operatingProfit / revenue) * 100) : null;
+    result.netMargin = revenue && netProfit !== null ? round((netProfit / revenue) * 100) : null;
+    result.roe = shareholderEquity && netProfit !== null ? round((netProfit / shareholderEquity) * 100) : null;
+    result.currentRatio = currentLiabilities && currentAssets !== null ? round(currentAssets / currentLiabilities) : null;
+    result.debtToEquity = shareholderEquity && totalLiabilities !== null ? round(totalLiabilities / shareholderEquity) : null;
+    result.sources = sources;
+
+    return result;
+}
+
+/**
+ * Extract the comparative (prior-year) column of the statements
+ * Annual reports reprint the prior year next to the current one, restated when accounting changed.
+ * @param {Array<{number: number, text: string, tables?: Array}>} pages - Laid-out report pages
+ * @param {string} fiscalYear - Year of the current column
+ * @returns {{ year: string, restated: boolean, values: Object, sources: Object }|null}
+ *          Amounts in millions, `restated` when the column is headed as restated; null without a prior-year column
+ */
+export function extractComparatives(pages, fiscalYear) {
+    if (!parseInt(fiscalYear)) return null;
+    const year = String(parseInt(fiscalYear) - 1);
+    const statementPages = selectStatementPages(pages);
+    const reportUnit = detectReportUnit(statementPages) || detectReportUnit(pages);
+
+    const values = {};
+    const sources = {};
+    let restated = false;
+    Object.entries(LINE_ITEMS).forEach(([field, patterns]) => {
+        const found = findInTables(statementPages, patterns, year, { exact: true });
+        const reading = readFigure(field, found, pages, reportUnit);
+        if (!reading) return;
+        values[field] = reading.value;
+        sources[field] = { ...reading.source, label: found.label, method: 'rules', verified: true };
+        restated = restated || found.restated;
+    });
+
+    return Object.keys(values).length > 0 ? { year, restated, values, sources } : null;
+}
+
+/**
+ * Check whether a rule-based extraction has enough to stand in for the AI result
+ */
+export function isUsableExtraction(data) {
+    return Boolean(data && data.revenue && data.netProfit !== null && data.netProfit !== undefined);
+}
+
+/**
+ * Compare AI-extracted figures with rule-based ones
+ * @param {number} tolerance - Relative difference allowed (0.02 = 2%)
+ * @returns {Array<{field: string, ai: number, rules: number, difference: number}>}
+ */
+export function crossCheck(aiData, ruleData, tolerance = 0.02) {
+    if (!aiData || !ruleData) return [];
+
+    return Object.keys(LINE_ITEMS)
+        .filter(field => typeof aiData[field] === 'number' && typeof ruleData[field] === 'number')
+        .map(field => {
+            const ai = aiData[field];
+            const rules = ruleData[field];
+            const base = Math.max(Math.abs(ai), Math.abs(rules));
+            return { field, ai, rules, difference: base === 0 ? 0 : Math.abs(ai - rules) / base };
+        })
+        .filter(entry => entry.difference > tolerance)
+        .map(entry => ({ ...entry, difference: round(entry.difference, 4) }));
+}
+
+export default { LINE_ITEMS, extractWithRules, extractComparatives, isUsableExtraction, crossCheck };
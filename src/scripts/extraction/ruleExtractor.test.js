@@ -0,0 +1,183 @@
+/**
+ * Tests for the Rule-Based Extractor
+ */
+
+import { describe, it, expect } from 'vitest';
+import { extractWithRules, extractComparatives, isUsableExtraction, crossCheck } from './ruleExtractor.js';
+
+const figures = Array.from({ length: 12 }, (_, i) => `${i + 1},000`).join(' ');
+
+// Laid-out pages as produced by tableLayout.layoutPage
+const pages = [
+    { number: 1, text: 'Annual Report 2024', tables: [] },
+    {
+        number: 40,
+        text: `NAHDI MEDICAL COMPANY\nStatement of Financial Position (SAR '000)\n${figures}`,
+        tables: [{
+            years: ['2024', '2023'],
+            rows: [
+                { label: 'Cash and cash equivalents', values: { 2024: '1,240,500', 2023: '892,000' } },
+                { label: 'Total current assets', values: { 2024: '3,200,500', 2023: '3,100,000' } },
+                { label: 'Total assets', values: { 2024: '6,173,300', 2023: '5,371,400' } },
+                { label: 'Total equity attributable to shareholders of the Company', values: { 2024: '2,586,100', 2023: '2,462,800' } },
+                { label: 'Total current liabilities', values: { 2024: '2,400,100', 2023: '2,485,000' } },
+                { label: 'Total liabilities', values: { 2024: '3,587,200', 2023: '2,908,600' } },
+                { label: 'Total liabilities and equity', values: { 2024: '6,173,300', 2023: '5,371,400' } }
+            ]
+        }]
+    },
+    {
+        number: 41,
+        text: `NAHDI MEDICAL COMPANY\nStatement of Profit or Loss (SAR '000)\n${figures}`,
+        tables: [{
+            years: ['2024', '2023'],
+            rows: [
+                { label: 'Revenue', values: { 2024: '9,446,412', 2023: '8,713,700' } },
+                { label: 'Cost of revenue', values: { 2024: '(6,383,914)', 2023: '(5,890,461)' } },
+                { label: 'Gross profit', values: { 2024: '3,062,498', 2023: '2,823,239' } },
+                { label: 'Operating profit', values: { 2024: '1,094,200', 2023: '1,005,400' } },
+                { label: 'Finance costs', values: { 2024: '(98,400)', 2023: '(87,100)' } },
+                { label: 'Zakat', values: { 2024: '(52,100)', 2023: '(48,300)' } },
+                { label: 'Net profit for the year', values: { 2024: '820,700', 2023: '892,600' } },
+                { label: 'Basic and diluted earnings per share (SAR)', values: { 2024: '6.31', 2023: '6.87' } }
+            ]
+        }]
+    },
+    {
+        number: 42,
+        text: `NAHDI MEDICAL COMPANY\nStatement of Cash Flows (SAR '000)\n${figures}`,
+        tables: [{
+            years: ['2024', '2023'],
+            rows: [
+                { label: 'Net cash generated from operating activities', values: { 2024: '1,415,300', 2023: '1,280,900' } },
+                { label: 'Purchase of property and equipment', values: { 2024: '(286,400)', 2023: '(240,700)' } },
+                { label: 'Net cash used in investing activities', values: { 2024: '(301,200)', 2023: '(255,000)' } },
+                { label: 'Payment of principal portion of lease liabilities', values: { 2024: '(402,700)', 2023: '(377,500)' } },
+                { label: 'Net cash used in financing activities', values: { 2024: '(1,108,900)', 2023: '(980,100)' } }
+            ]
+        }]
+    }
+];
+
+describe('extractWithRules', () => {
+    const result = extractWithRules(pages);
+
+    it('should read the latest column of standard line items in millions', () => {
+        expect(result.fiscalYear).toBe('2024');
+        expect(result.currency).toBe('SAR');
+        expect(result.revenue).toBe(9446.412);
+        expect(result.netProfit).toBe(820.7);
+        expect(result.totalAssets).toBe(6173.3);
+        expect(result.shareholderEquity).toBe(2586.1);
+        expect(result.cash).toBe(1240.5);
+    });
+
+    it('should store costs and cash outflows as positive amounts and keep net cash flows signed', () => {
+        expect(result.costOfSales).toBe(6383.914);
+        expect(result.financeCosts).toBe(98.4);
+        expect(result.zakat).toBe(52.1);
+        expect(result.capex).toBe(286.4);
+        expect(result.leasePayments).toBe(402.7);
+        expect(result.operatingCashFlow).toBe(1415.3);
+        expect(result.investingCashFlow).toBe(-301.2);
+        expect(result.financingCashFlow).toBe(-1108.9);
+    });
+
+    it('should leave line items the statements do not print null', () => {
+        expect(result.inventories).toBeNull();
+        expect(result.sgaExpenses).toBeNull();
+        expect(result.sources.inventories).toBeUndefined();
+    });
+
+    it('should not take "Total liabilities and equity" as total liabilities', () => {
+        expect(result.totalLiabilities).toBe(3587.2);
+    });
+
+    it('should keep per-share values as printed', () => {
+        expect(result.eps).toBe(6.31);
+    });
+
+    it('should derive ratios and detect the company', () => {
+        expect(result.companyName).toBe('NAHDI MEDICAL COMPANY');
+        expect(result.netMargin).toBeCloseTo(8.69, 2);
+        expect(result.currentRatio).toBeCloseTo(1.33, 2);
+        expect(isUsableExtraction(result)).toBe(true);
+    });
+
+    it('should cite the page, printed figure and unit of each line item', () => {
+        expect(result.sources.revenue).toEqual({
+            page: 41,
+            raw: '9,446,412',
+            unit: "SAR '000",
+            snippet: 'Revenue 9,446,412 8,713,700'
+        });
+        expect(result.sources.eps.unit).toBe('SAR');
+    });
+
+    it('should read each page in the unit its header declares', () => {
+        const mixed = [
+            { ...pages[1], text: pages[1].text.replace("(SAR '000)", '(Expressed in Saudi Riyals)'), tables: [{
+                years: ['2024', '2023'],
+                rows: [{ label: 'Total assets', values: { 2024: '6,173,300,000', 2023: '5,371,400,000' } }]
+            }] },
+            { ...pages[2], text: pages[2].text.replace("(SAR '000)", '(SAR millions)'), tables: [{
+                years: ['2024', '2023'],
+                rows: [
+                    { label: 'Revenue', values: { 2024: '9,446.4', 2023: '8,713.7' } },
+                    { label: 'Net profit for the year', values: { 2024: '820.7', 2023: '892.6' } }
+                ]
+            }] }
+        ];
+        const fromMixed = extractWithRules(mixed);
+        expect(fromMixed.totalAssets).toBe(6173.3);
+        expect(fromMixed.revenue).toBe(9446.4);
+        expect(fromMixed.sources.totalAssets.unit).toBe('SAR');
+        expect(fromMixed.sources.revenue.unit).toBe('SAR millions');
+    });
+
+    it('should leave amounts null when no page declares a unit', () => {
+        const undeclared = pages.map(page => ({ ...page, text: page.text.replace(" (SAR '000)", '') }));
+        expect(extractWithRules(undeclared).revenue).toBeNull();
+    });
+
+    it('should fall back to plain text lines without tables', () => {
+        const textPages = [{ number: 3, text: "Statement of Profit or Loss (SAR '000)\nRevenue 5 9,446,412 8,713,700\nNet profit for the year 820,700 892,600" }];
+        const fromText = extractWithRules(textPages);
+        expect(fromText.revenue).toBe(9446.412);
+        expect(fromText.netProfit).toBe(820.7);
+        expect(fromText.sources.revenue.snippet).toBe('Revenue 5 9,446,412 8,713,700');
+    });
+});
+
+describe('extractComparatives', () => {
+    it('should read the prior-year column in millions', () => {
+        const comparatives = extractComparatives(pages, '2024');
+        expect(comparatives.year).toBe('2023');
+        expect(comparatives.restated).toBe(false);
+        expect(comparatives.values).toMatchObject({ revenue: 8713.7, netProfit: 892.6, totalAssets: 5371.4, eps: 6.87 });
+        expect(comparatives.sources.revenue).toMatchObject({ page: 41, raw: '8,713,700', method: 'rules' });
+    });
+
+    it('should flag columns headed as restated', () => {
+        const restated = pages.map(page => ({
+            ...page,
+            tables: page.tables.map(table => ({ ...table, restated: ['2023'] }))
+        }));
+        expect(extractComparatives(restated, '2024').restated).toBe(true);
+    });
+
+    it('should return null without a prior-year column', () => {
+        expect(extractComparatives(pages, '2026')).toBeNull();
+        expect(extractComparatives(pages, null)).toBeNull();
+    });
+});
+
+describe('crossCheck', () => {
+    it('should list fields that differ beyond the tolerance', () => {
+        const discrepancies = crossCheck(
+            { revenue: 9446.4, netProfit: 900, totalAssets: null },
+            { revenue: 9446.4, netProfit: 820.7, totalAssets: 6173.3 }
+        );
+        expect(discrepancies).toEqual([{ field: 'netProfit', ai: 900, rules: 820.7, difference: 0.0881 }]);
+    });
+});
@@ -0,0 +1,124 @@
+/**
+ * Section Locator Module
+ * Finds the primary financial statements and notes in annual report pages
+ */
+
+/**
+ * Section definitions with the headings used in IFRS annual reports
+ */
+export const SECTIONS = {
+    incomeStatement: {
+        label: 'Statement of Profit or Loss',
+        headings: [
+            /statement\s+of\s+(consolidated\s+)?profit\s+or\s+loss/i,
+            /(consolidated\s+)?income\s+statement/i,
+            /statement\s+of\s+(consolidated\s+)?comprehensive\s+income/i
+        ]
+    },
+    financialPosition: {
+        label: 'Statement of Financial Position',
+        headings: [
+            /statement\s+of\s+(consolidated\s+)?financial\s+position/i,
+            /(consolidated\s+)?balance\s+sheet/i
+        ]
+    },
+    cashFlow: {
+        label: 'Cash Flow Statement',
+        headings: [
+            /statement\s+of\s+(consolidated\s+)?cash\s+flows?/i,
+            /cash\s+flow\s+statement/i
+        ]
+    },
+    notes: {
+        label: 'Notes to the Financial Statements',
+        headings: [
+            /notes\s+to\s+the\s+(consolidated\s+)?financial\s+statements/i
+        ]
+    }
+};
+
+export const STATEMENT_SECTIONS = ['incomeStatement', 'financialPosition', 'cashFlow'];
+
+// A statement page is a table: it needs a minimum number of figures like "1,234,567" or "(12,345)"
+const MIN_FIGURES_PER_STATEMENT_PAGE = 15;
+
+// Statements rarely span more than this many pages
+const MAX_STATEMENT_PAGES = 3;
+
+// Notes are capped so qualitative extraction stays within budget
+const MAX_NOTE_PAGES = 60;
+
+/**
+ * Count tabular figures on a page
+ */
+export function countFigures(text) {
+    const matches = text.match(/\(?\d{1,3}(?:,\d{3})+(?:\.\d+)?\)?/g);
+    return matches ? matches.length : 0;
+}
+
+/**
+ * Check whether a page carries one of the section headings
+ */
+function hasHeading(text, section) {
+    return SECTIONS[section].headings.some(pattern => pattern.test(text));
+}
+
+/**
+ * Count how many different sections a page names (tables of contents name them all)
+ */
+function countHeadings(text) {
+    return Object.keys(SECTIONS).filter(section => hasHeading(text, section)).length;
+}
+
+/**
+ * Locate statement and notes pages
+ * @param {Array<{number: number, text: string}>} pages - Page texts (1-based page numbers)
+ * @returns {Object} - { incomeStatement: [pageNumbers], financialPosition: [...], cashFlow: [...], notes: [...] }
+ */
+export function locateSections(pages) {
+    const located = { incomeStatement: [], financialPosition: [], cashFlow: [], notes: [] };
+
+    STATEMENT_SECTIONS.forEach(section => {
+        const startIndex = pages.findIndex(page =>
+            hasHeading(page.text, section) &&
+            countHeadings(page.text) <= 2 &&
+            countFigures(page.text) >= MIN_FIGURES_PER_STATEMENT_PAGE
+        );
+        if (startIndex === -1) return;
+
+        located[section].push(pages[startIndex].number);
+
+        // Continuation pages: tabular and not the start of another section
+        for (let i = startIndex + 1; i < pages.length && located[section].length < MAX_STATEMENT_PAGES; i++) {
+            const page = pages[i];
+            const startsOther = Object.keys(SECTIONS).some(other => other !== section && hasHeading(page.text, other));
+            if (startsOther || countFigures(page.text) < MIN_FIGURES_PER_STATEMENT_PAGE) break;
+            located[section].push(page.number);
+        }
+    });
+
+    // Notes start after the last statement page
+    const lastStatementPage = Math.max(0, ...STATEMENT_SECTIONS.flatMap(section => located[section]));
+    const notesStart = pages.find(page =>
+        page.number > lastStatementPage &&
+        hasHeading(page.text, 'notes') &&
+        countHeadings(page.text) <= 2
+    );
+    if (notesStart) {
+        located.notes = pages
+            .filter(page => page.number >= notesStart.number)
+            .slice(0, MAX_NOTE_PAGES)
+            .map(page => page.number);
+    }
+
+    return located;
+}
+
+/**
+ * Check whether any primary statement was found
+ */
+export function hasStatements(located) {
+    return STATEMENT_SECTIONS.some(section => located[section].length > 0);
+}
+
+export default { SECTIONS, STATEMENT_SECTIONS, locateSections, hasStatements, countFigures };
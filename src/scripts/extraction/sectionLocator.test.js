@@ -0,0 +1,54 @@
+/**
+ * Tests for the Section Locator
+ */
+
+import { describe, it, expect } from 'vitest';
+import { locateSections, countFigures, hasStatements } from './sectionLocator.js';
+
+// Page text with enough tabular figures to look like a statement
+function statementPage(number, heading) {
+    const figures = Array.from({ length: 20 }, (_, i) => `${i + 1},234,567`).join(' ');
+    return { number, text: `${heading} for the year ended 31 December 2024 ${figures}` };
+}
+
+function textPage(number, text = 'Chairman message about strategy and growth.') {
+    return { number, text };
+}
+
+describe('countFigures', () => {
+    it('should count thousands-separated and bracketed figures', () => {
+        expect(countFigures('Revenue 9,446,412 (1,234) 2024 12.5')).toBe(2);
+    });
+});
+
+describe('locateSections', () => {
+    const pages = [
+        textPage(1),
+        textPage(2, 'Contents: Statement of Financial Position 40, Statement of Profit or Loss 41, Statement of Cash Flows 43, Notes to the Financial Statements 44'),
+        textPage(3),
+        statementPage(40, 'Consolidated Statement of Financial Position'),
+        statementPage(41, 'Consolidated Statement of Profit or Loss'),
+        statementPage(42, 'Consolidated Statement of Changes in Equity'),
+        statementPage(43, 'Consolidated Statement of Cash Flows'),
+        textPage(44, 'Notes to the Consolidated Financial Statements 1. Corporate information'),
+        textPage(45, '2. Basis of preparation'),
+        textPage(46, '3. Finance income')
+    ];
+
+    it('should find each statement by heading and skip the table of contents', () => {
+        const located = locateSections(pages);
+        expect(located.financialPosition).toEqual([40]);
+        expect(located.incomeStatement[0]).toBe(41);
+        expect(located.cashFlow).toEqual([43]);
+    });
+
+    it('should collect notes pages after the statements', () => {
+        expect(locateSections(pages).notes).toEqual([44, 45, 46]);
+    });
+
+    it('should report when no statements are found', () => {
+        const located = locateSections([textPage(1), textPage(2)]);
+        expect(hasStatements(located)).toBe(false);
+        expect(located.notes).toEqual([]);
+    });
+});
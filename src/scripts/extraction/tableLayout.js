@@ -0,0 +1,173 @@
+/**
+ * Table Layout Module
+ * Rebuilds rows and columns of financial tables from pdf.js text item positions
+ *
+ * pdf.js text items carry a transform [a, b, c, d, x, y] where (x, y) is the
+ * baseline origin in PDF units (y grows upwards) and a width in the same units.
+ */
+
+// Items whose baselines differ by less than this belong to the same row
+const ROW_TOLERANCE = 3;
+
+// Items closer than this horizontally are parts of the same cell
+const CELL_GAP = 6;
+
+const YEAR_PATTERN = /\b((?:19|20)\d{2})\b/;
+const NUMBER_PATTERN = /^\(?-?[\d,]+(?:\.\d+)?\)?$|^[-–—]$/;
+
+/**
+ * Group pdf.js text items into rows of cells, top to bottom
+ * @param {Array} items - pdf.js TextContent items
+ * @returns {Array<{y: number, cells: Array<{text: string, x: number, right: number}>}>}
+ */
+export function groupRows(items, tolerance = ROW_TOLERANCE) {
+    const positioned = items
+        .filter(item => item.str && item.str.trim())
+        .map(item => ({
+            text: item.str.trim(),
+            x: item.transform[4],
+            y: item.transform[5],
+            right: item.transform[4] + (item.width || 0)
+        }))
+        .sort((a, b) => b.y - a.y || a.x - b.x);
+
+    const rows = [];
+    positioned.forEach(item => {
+        const row = rows.find(r => Math.abs(r.y - item.y) <= tolerance);
+        if (row) {
+            row.items.push(item);
+        } else {
+            rows.push({ y: item.y, items: [item] });
+        }
+    });
+
+    return rows
+        .sort((a, b) => b.y - a.y)
+        .map(row => ({ y: row.y, cells: mergeCells(row.items.sort((a, b) => a.x - b.x)) }));
+}
+
+/**
+ * Join neighbouring items of a row into cells
+ */
+function mergeCells(items) {
+    const cells = [];
+    items.forEach(item => {
+        const last = cells[cells.length - 1];
+        if (last && item.x - last.right < CELL_GAP) {
+            last.text += (item.x - last.right > 1 ? ' ' : '') + item.text;
+            last.right = Math.max(last.right, item.right);
+        } else {
+            cells.push({ text: item.text, x: item.x, right: item.right });
+        }
+    });
+    return cells;
+}
+
+/**
+ * Check whether a cell holds a figure such as "9,446,412", "(1,234)" or "-"
+ */
+export function isNumericCell(text) {
+    return NUMBER_PATTERN.test(text.replace(/\s/g, ''));
+}
+
+/**
+ * Detect a year header row (two or more cells naming distinct years)
+ * Columns headed "2023 (Restated)" are flagged as restated.
+ * @returns {Array<{year: string, center: number, restated: boolean}>|null}
+ */
+export function detectYearColumns(row) {
+    const columns = row.cells
+        .map(cell => {
+            const match = cell.text.match(YEAR_PATTERN);
+            // A header cell is short: "2024", "31 December 2024", "2023 (Restated)"
+            return match && cell.text.length <= 24
+                ? { year: match[1], center: (cell.x + cell.right) / 2, restated: /restated/i.test(cell.text) }
+                : null;
+        })
+        .filter(Boolean);
+
+    const distinct = new Set(columns.map(c => c.year));
+    return distinct.size >= 2 && distinct.size === columns.length ? columns : null;
+}
+
+/**
+ * Find the year column a cell sits under, if it is close enough to one
+ * Cells further than 60% of the column spacing (e.g. a "Note" column) belong to none
+ */
+function findColumn(cell, columns) {
+    const centers = columns.map(c => c.center).sort((a, b) => a - b);
+    const spacing = Math.min(...centers.slice(1).map((center, i) => center - centers[i]));
+    const tolerance = spacing * 0.6;
+
+    const center = (cell.x + cell.right) / 2;
+    const nearest = columns.reduce((best, column) =>
+        Math.abs(column.center - center) < Math.abs(best.center - center) ? column : best
+    );
+    return Math.abs(nearest.center - center) <= tolerance ? nearest : null;
+}
+
+/**
+ * Rebuild the tables of a page
+ * @param {Array} items - pdf.js TextContent items
+ * @returns {{ lines: string[], tables: Array<{years: string[], restated: string[], rows: Array<{label: string, note: string|null, values: Object}>}> }}
+ */
+export function layoutPage(items) {
+    const rows = groupRows(items);
+    const lines = [];
+    const tables = [];
+    let current = null;
+
+    rows.forEach(row => {
+        const columns = detectYearColumns(row);
+        if (columns) {
+            current = { years: columns.map(c => c.year), columns, rows: [] };
+            tables.push(current);
+            lines.push(['Line item', ...current.years].join(' | '));
+            return;
+        }
+
+        const values = {};
+        const labelCells = [];
+        row.cells.forEach(cell => {
+            const column = current && isNumericCell(cell.text) ? findColumn(cell, current.columns) : null;
+            if (column) {
+                values[column.year] = cell.text;
+            } else {
+                labelCells.push(cell);
+            }
+        });
+
+        if (Object.keys(values).length === 0) {
+            lines.push(row.cells.map(cell => cell.text).join(' '));
+            return;
+        }
+
+        // A short trailing integer before the figures is a note reference ("Revenue 5 9,446,412")
+        const last = labelCells[labelCells.length - 1];
+        const note = labelCells.length > 1 && /^\d{1,2}(\.\d+)?$/.test(last.text) ? labelCells.pop().text : null;
+        const label = labelCells.map(cell => cell.text).join(' ');
+
+        current.rows.push({ label, note, values });
+        lines.push([label, ...current.years.map(year => values[year] || '')].join(' | '));
+    });
+
+    return {
+        lines,
+        tables: tables.map(({ years, columns, rows: tableRows }) => ({
+            years,
+            restated: columns.filter(column => column.restated).map(column => column.year),
+            rows: tableRows
+        }))
+    };
+}
+
+/**
+ * Get the most recent year heading any table on the given pages
+ */
+export function detectLatestYear(pages) {
+    const years = pages.flatMap(page => (page.tables || []).flatMap(table => table.years));
+    if (years.length === 0) return null;
+    return String(Math.max(...years.map(Number)));
+}
+
+export default { groupRows, isNumericCell, detectYearColumns, layoutPage, detectLatestYear };
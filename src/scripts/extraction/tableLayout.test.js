@@ -0,0 +1,86 @@
+/**
+ * Tests for Table Layout reconstruction
+ */
+
+import { describe, it, expect } from 'vitest';
+import { groupRows, isNumericCell, layoutPage, detectLatestYear } from './tableLayout.js';
+
+// Build a pdf.js-like text item at (x, y)
+function item(str, x, y, width = str.length * 5) {
+    return { str, transform: [1, 0, 0, 1, x, y], width };
+}
+
+// Statement of profit or loss with a Note column and 2024/2023 columns
+const statementItems = [
+    item('Statement of Profit or Loss', 50, 800),
+    item('(SAR \'000)', 50, 785),
+    item('Note', 300, 760), item('2024', 400, 760, 20), item('2023', 480, 760, 20),
+    item('Revenue', 50, 740), item('5', 305, 740, 5), item('9,446,412', 385, 740, 45), item('8,713,700', 465, 740, 45),
+    item('Cost of', 50, 720, 30), item('sales', 82, 720, 25), item('(6,383,914)', 380, 721, 55), item('(5,890,461)', 460, 719, 55),
+    item('Gross profit', 50, 700), item('3,062,498', 385, 700, 45), item('2,823,239', 465, 700, 45)
+];
+
+describe('groupRows', () => {
+    it('should group items by baseline and order rows top to bottom', () => {
+        const rows = groupRows(statementItems);
+        expect(rows[0].cells[0].text).toBe('Statement of Profit or Loss');
+        expect(rows).toHaveLength(6);
+    });
+
+    it('should join neighbouring items into one cell', () => {
+        const costRow = groupRows(statementItems).find(row => row.cells[0].text.startsWith('Cost'));
+        expect(costRow.cells[0].text).toBe('Cost of sales');
+    });
+});
+
+describe('isNumericCell', () => {
+    it('should recognise figures, bracketed negatives and dashes', () => {
+        expect(isNumericCell('9,446,412')).toBe(true);
+        expect(isNumericCell('(6,383,914)')).toBe(true);
+        expect(isNumericCell('-')).toBe(true);
+        expect(isNumericCell('Revenue')).toBe(false);
+    });
+});
+
+describe('layoutPage', () => {
+    it('should detect the year columns', () => {
+        const { tables } = layoutPage(statementItems);
+        expect(tables).toHaveLength(1);
+        expect(tables[0].years).toEqual(['2024', '2023']);
+        expect(tables[0].restated).toEqual([]);
+    });
+
+    it('should flag comparative columns headed as restated', () => {
+        const restatedItems = statementItems.map(entry => entry.str === '2023'
+            ? item('2023 (Restated)', 465, 760, 50)
+            : entry);
+        const [table] = layoutPage(restatedItems).tables;
+        expect(table.years).toEqual(['2024', '2023']);
+        expect(table.restated).toEqual(['2023']);
+    });
+
+    it('should put each figure under its year and keep note references apart', () => {
+        const [table] = layoutPage(statementItems).tables;
+        expect(table.rows[0]).toEqual({
+            label: 'Revenue',
+            note: '5',
+            values: { 2024: '9,446,412', 2023: '8,713,700' }
+        });
+        expect(table.rows[1].values).toEqual({ 2024: '(6,383,914)', 2023: '(5,890,461)' });
+    });
+
+    it('should serialize tables as pipe-separated lines', () => {
+        const { lines } = layoutPage(statementItems);
+        expect(lines).toContain('Line item | 2024 | 2023');
+        expect(lines).toContain('Gross profit | 3,062,498 | 2,823,239');
+        expect(lines[1]).toBe('(SAR \'000)');
+    });
+});
+
+describe('detectLatestYear', () => {
+    it('should return the most recent header year across pages', () => {
+        const pages = [{ tables: [{ years: ['2023', '2022'] }] }, { tables: [{ years: ['2024', '2023'] }] }, {}];
+        expect(detectLatestYear(pages)).toBe('2024');
+        expect(detectLatestYear([{}])).toBeNull();
+    });
+});
@@ -0,0 +1,187 @@
+/**
+ * Units Module
+ * Detects the currency and scale a statement declares ("SAR '000", "SAR millions",
+ * "in Saudi Riyals") and converts printed figures to millions deterministically
+ */
+
+// Multiplier from a scale to currency units
+export const SCALES = {
+    units: 1,
+    thousands: 1000,
+    millions: 1000000,
+    billions: 1000000000
+};
+
+// Currency codes and the names statements spell out
+const CURRENCIES = [
+    { code: 'SAR', pattern: /\bSAR\b|\bSR\b|Saudi\s+Riyals?/i },
+    { code: 'USD', pattern: /\bUSD\b|US\s*\$|U\.S\.\s+dollars?|US\s+dollars?/i },
+    { code: 'AED', pattern: /\bAED\b|(?:UAE\s+)?Dirhams?/i },
+    { code: 'KWD', pattern: /\bKWD\b|Kuwaiti\s+Dinars?/i },
+    { code: 'QAR', pattern: /\bQAR\b|Qatari\s+Riyals?/i },
+    { code: 'BHD', pattern: /\bBHD\b|Bahraini\s+Dinars?/i },
+    { code: 'OMR', pattern: /\bOMR\b|Omani\s+Riyals?/i },
+    { code: 'EGP', pattern: /\bEGP\b|Egyptian\s+Pounds?/i },
+    { code: 'EUR', pattern: /\bEUR\b|€|\bEuros?\b/i },
+    { code: 'GBP', pattern: /\bGBP\b|£|Pounds?\s+sterling/i }
+];
+
+const CURRENCY_CODES = `(?:${CURRENCIES.map(c => c.code).join('|')}|SR|US\\$)`;
+const CURRENCY_NAMES = '(?:Saudi\\s+Riyals?|US\\s+dollars?|[A-Z][a-z]+\\s+(?:Riyals?|Dinars?|Dirhams?|Pounds?))';
+
+// Scale declarations, largest first; each is tied to a currency or an "in millions"-style phrase
+const SCALE_PATTERNS = [
+    {
+        scale: 'billions',
+        pattern: new RegExp(`\\bin\\s+billions\\b|\\bbillions\\s+of\\s+${CURRENCY_NAMES}|(?:${CURRENCY_CODES}|${CURRENCY_NAMES})\\s*(?:bn|billions?)\\b`, 'i')
+    },
+    {
+        scale: 'millions',
+        pattern: new RegExp(`\\bin\\s+millions\\b|\\bmillions\\s+of\\s+${CURRENCY_NAMES}|(?:${CURRENCY_CODES}|${CURRENCY_NAMES})\\s*(?:m|mn|millions?)\\b|['’]\\s*000\\s*,?\\s*000\\b`, 'i')
+    },
+    {
+        scale: 'thousands',
+        pattern: new RegExp(`\\bin\\s+thousands\\b|\\bthousands\\s+of\\s+${CURRENCY_NAMES}|(?:${CURRENCY_CODES}|${CURRENCY_NAMES})\\s*(?:k|thousands?)\\b|['’]\\s*000\\b|\\(\\s*000\\s*\\)|${CURRENCY_CODES}\\s+000\\b`, 'i')
+    }
+];
+
+// A bare currency declaration means figures are printed in full units
+const UNITS_PATTERN = new RegExp(`(?:expressed|presented|stated|amounts?)\\s+(?:are\\s+)?in\\s+(?:${CURRENCY_CODES}|${CURRENCY_NAMES})|\\(\\s*${CURRENCY_CODES}\\s*\\)`, 'i');
+
+// Amount fields of the extraction, converted to millions; per-share and ratio fields are not
+export const AMOUNT_FIELDS = [
+    'revenue', 'costOfSales', 'grossProfit', 'sgaExpenses', 'depreciationAmortization', 'operatingProfit',
+    'financeCosts', 'zakat', 'netProfit',
+    'totalAssets', 'currentAssets', 'totalLiabilities', 'currentLiabilities', 'shareholderEquity', 'cash',
+    'receivables', 'inventories', 'payables', 'borrowings',
+    'operatingCashFlow', 'capex', 'leasePayments', 'investingCashFlow', 'financingCashFlow', 'fcf'
+];
+
+/**
+ * Parse a printed figure: "9,446,412" -> 9446412, "(1,234)" -> -1234, "-" -> 0
+ */
+export function parseFigure(text) {
+    if (text === null || text === undefined) return null;
+    const clean = String(text).replace(/\s/g, '');
+    if (/^[-–—]$/.test(clean)) return 0;
+    const digits = clean.replace(/[^0-9.]/g, '');
+    if (!digits) return null;
+    const value = parseFloat(digits);
+    if (isNaN(value)) return null;
+    return /^\(.*\)$/.test(clean) || clean.startsWith('-') ? -value : value;
+}
+
+/**
+ * Detect the currency named in a text
+ * @returns {string|null} - ISO code
+ */
+export function detectCurrency(text) {
+    if (!text) return null;
+    const found = CURRENCIES
+        .map(({ code, pattern }) => ({ code, index: text.search(pattern) }))
+        .filter(match => match.index >= 0)
+        .sort((a, b) => a.index - b.index);
+    return found.length > 0 ? found[0].code : null;
+}
+
+/**
+ * Detect the unit a page or statement header declares
+ * @returns {{ currency: string|null, scale: string, label: string }|null} - null when no unit is declared
+ */
+export function detectUnit(text) {
+    if (!text) return null;
+    const currency = detectCurrency(text);
+
+    const declared = SCALE_PATTERNS.find(({ pattern }) => pattern.test(text));
+    if (declared) return { currency, scale: declared.scale, label: describeUnit({ currency, scale: declared.scale }) };
+
+    if (UNITS_PATTERN.test(text)) return { currency, scale: 'units', label: describeUnit({ currency, scale: 'units' }) };
+
+    return null;
+}
+
+/**
+ * Detect the unit most statement pages declare, used for pages without a header of their own
+ */
+export function detectReportUnit(pages) {
+    const counts = new Map();
+    pages.forEach(page => {
+        const unit = detectUnit(page.text);
+        if (!unit) return;
+        const key = `${unit.currency}|${unit.scale}`;
+        counts.set(key, { unit, count: (counts.get(key)?.count || 0) + 1 });
+    });
+    const best = [...counts.values()].sort((a, b) => b.count - a.count)[0];
+    return best ? best.unit : null;
+}
+
+/**
+ * Human-readable unit, e.g. "SAR '000", "SAR millions", "SAR"
+ */
+export function describeUnit(unit) {
+    if (!unit) return null;
+    const { currency, scale } = unit;
+    if (scale === 'thousands') return currency ? `${currency} '000` : 'thousands';
+    if (scale === 'units') return currency || 'units';
+    return [currency, scale].filter(Boolean).join(' ');
+}
+
+/**
+ * Convert a figure in the given scale to millions
+ * @param {number} value
+ * @param {string} scale - Key of SCALES; values already in millions are returned unchanged
+ */
+export function toMillions(value, scale = 'millions') {
+    if (value === null || value === undefined || isNaN(value)) return 0;
+    const factor = SCALES[scale];
+    if (!factor) throw new Error(`Unknown scale "${scale}"`);
+    return (value * factor) / SCALES.millions;
+}
+
+// Millions to six decimals keep every printed unit, so small companies do not round to zero
+const round = value => Math.round(value * 1e6) / 1e6;
+
+/**
+ * Re-derive amount fields from the printed figures and the unit of the page they were printed on
+ * The model's arithmetic is replaced whenever the figure could be verified on the page.
+ * @param {Object} data - Extraction (amounts in millions)
+ * @param {Object} citations - { field: citation } from buildCitations
+ * @param {Array<{number: number, text: string}>} pages
+ * @returns {{ data: Object, citations: Object, unit: Object|null }} - Normalised extraction, citations
+ *          annotated with the detected unit, and the unit most statements declare
+ */
+export function normalizeAmounts(data, citations, pages) {
+    const reportUnit = detectReportUnit(pages);
+    const result = { ...data };
+    const annotated = { ...citations };
+
+    AMOUNT_FIELDS.forEach(field => {
+        const citation = citations[field];
+        if (!citation?.page || citation.verified === false) return;
+
+        const printed = parseFigure(citation.raw);
+        const page = pages.find(p => p.number === citation.page);
+        const unit = detectUnit(page?.text) || reportUnit;
+        if (printed === null || !unit) return;
+
+        const magnitude = round(Math.abs(toMillions(printed, unit.scale)));
+        // Keep the model's sign: costs are often printed in brackets but extracted as positives
+        const sign = typeof data[field] === 'number' ? Math.sign(data[field]) || 1 : Math.sign(printed) || 1;
+        result[field] = sign * magnitude;
+        annotated[field] = { ...citation, unit: unit.label, scale: unit.scale, currency: unit.currency };
+    });
+
+    return { data: result, citations: annotated, unit: reportUnit };
+}
+
+export default {
+    SCALES,
+    AMOUNT_FIELDS,
+    parseFigure,
+    detectCurrency,
+    detectUnit,
+    detectReportUnit,
+    describeUnit,
+    toMillions,
+    normalizeAmounts
+};
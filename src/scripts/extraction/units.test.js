@@ -0,0 +1,118 @@
+/**
+ * Tests for Unit and Scale Detection
+ */
+
+import { describe, it, expect } from 'vitest';
+import { parseFigure, detectCurrency, detectUnit, detectReportUnit, describeUnit, normalizeAmounts } from './units.js';
+
+describe('parseFigure', () => {
+    it('should parse separators, brackets and dashes', () => {
+        expect(parseFigure('9,446,412')).toBe(9446412);
+        expect(parseFigure('(1,234.5)')).toBe(-1234.5);
+        expect(parseFigure('-')).toBe(0);
+        expect(parseFigure('n/a')).toBeNull();
+    });
+});
+
+describe('detectUnit', () => {
+    it.each([
+        ["Statement of Profit or Loss (SAR '000)", 'SAR', 'thousands'],
+        ['(All amounts in Saudi Riyals thousands unless otherwise stated)', 'SAR', 'thousands'],
+        ['In thousands of Saudi Riyals', 'SAR', 'thousands'],
+        ['SR 000', 'SAR', 'thousands'],
+        ['Amounts in SAR millions', 'SAR', 'millions'],
+        ["SAR '000,000", 'SAR', 'millions'],
+        ['US$ m', 'USD', 'millions'],
+        ['AED bn', 'AED', 'billions'],
+        ['(Expressed in Saudi Riyals)', 'SAR', 'units'],
+        ['(KWD)', 'KWD', 'units']
+    ])('should read "%s" as %s %s', (text, currency, scale) => {
+        expect(detectUnit(text)).toMatchObject({ currency, scale });
+    });
+
+    it('should not mistake narrative text for a unit declaration', () => {
+        expect(detectUnit('We serve millions of customers from every desk')).toBeNull();
+        expect(detectUnit('Statement of Financial Position')).toBeNull();
+    });
+
+    it('should describe units as statements print them', () => {
+        expect(describeUnit({ currency: 'SAR', scale: 'thousands' })).toBe("SAR '000");
+        expect(describeUnit({ currency: 'SAR', scale: 'units' })).toBe('SAR');
+        expect(describeUnit({ currency: null, scale: 'millions' })).toBe('millions');
+    });
+
+    it('should detect the currency named first', () => {
+        expect(detectCurrency('Kuwaiti Dinars, translated from US dollars')).toBe('KWD');
+        expect(detectCurrency('no currency here')).toBeNull();
+    });
+});
+
+describe('detectReportUnit', () => {
+    it('should pick the unit most pages declare', () => {
+        const pages = [
+            { number: 1, text: "(SAR '000)" },
+            { number: 2, text: "(SAR '000)" },
+            { number: 3, text: 'Amounts in SAR millions' },
+            { number: 4, text: 'No header' }
+        ];
+        expect(detectReportUnit(pages)).toMatchObject({ currency: 'SAR', scale: 'thousands' });
+    });
+});
+
+describe('normalizeAmounts', () => {
+    // Mixed-unit report: balance sheet in full riyals, income statement in thousands, a note in millions
+    const pages = [
+        { number: 40, text: '(Expressed in Saudi Riyals)\nTotal assets | 6,173,300,000 | 5,371,400,000' },
+        { number: 41, text: "(SAR '000)\nRevenue | 9,446,412 | 8,713,700\nCost of revenue | (6,383,914) | (5,890,461)" },
+        { number: 41.5, text: 'Segment note\nOperating cash flow 1,368.7' },
+        { number: 60, text: 'Amounts in SAR millions\nCash and cash equivalents 1,240.5' }
+    ];
+
+    const citations = {
+        totalAssets: { page: 40, raw: '6,173,300,000', verified: true },
+        revenue: { page: 41, raw: '9,446,412', verified: true },
+        costOfSales: { page: 41, raw: '(6,383,914)', verified: true },
+        operatingCashFlow: { page: 41.5, raw: '1,368.7', verified: true },
+        cash: { page: 60, raw: '1,240.5', verified: true },
+        netProfit: { page: 41, raw: '820,700', verified: false },
+        eps: { page: 41, raw: '6.31', verified: true }
+    };
+
+    const data = {
+        revenue: 9446412,          // model forgot to scale
+        costOfSales: 6383.9,
+        totalAssets: 6173.3,
+        operatingCashFlow: 1368.7,
+        cash: 1.2405,               // model scaled twice
+        netProfit: 820.7,
+        eps: 6.31
+    };
+
+    const result = normalizeAmounts(data, citations, pages);
+
+    it('should convert each figure with the unit of its own page', () => {
+        expect(result.data.totalAssets).toBe(6173.3);
+        expect(result.data.revenue).toBe(9446.412);
+        expect(result.data.cash).toBe(1240.5);
+    });
+
+    it('should fall back to the report unit for pages without a header', () => {
+        // Pages 40, 41 and 60 each declare a different unit; ties keep the first seen
+        expect(result.unit).toMatchObject({ scale: 'units' });
+        expect(result.data.operatingCashFlow).toBe(0.001369);
+    });
+
+    it('should keep the extracted sign of figures printed in brackets', () => {
+        expect(result.data.costOfSales).toBe(6383.914);
+    });
+
+    it('should not touch unverified citations or per-share values', () => {
+        expect(result.data.netProfit).toBe(820.7);
+        expect(result.data.eps).toBe(6.31);
+    });
+
+    it('should annotate citations with the detected unit', () => {
+        expect(result.citations.revenue).toMatchObject({ unit: "SAR '000", scale: 'thousands', currency: 'SAR' });
+        expect(result.citations.netProfit.unit).toBeUndefined();
+    });
+});
@@ -5,9 +5,20 @@
  * Supports multi-file upload and merging
  */
 
-import { extractFinancialData, extractQualitativeEvents } from '../services/openaiService.js';
+import { extractFinancialData, extractQualitativeEvents, ExtractionError } from '../services/openaiService.js';
 import { showLoading, updateLoadingStep, hideLoading } from './components/loadingOverlay.js';
-import { addReport, addMergedReport } from './components/reportStore.js';
+import { addReport, addMergedReport, getCompanyReports } from './components/reportStore.js';
+import { extractFromPages } from './extraction/pipeline.js';
+import { layoutPage } from './extraction/tableLayout.js';
+import { extractWithRules, extractComparatives, isUsableExtraction, crossCheck } from './extraction/ruleExtractor.js';
+import { buildCitations } from './extraction/citations.js';
+import { normalizeAmounts } from './extraction/units.js';
+import { registerSourceFile } from './components/sourceCitations.js';
+import { openReviewEditor } from './components/reviewEditor.js';
+import { getYearConflicts, openYearSources } from './components/yearSources.js';
+import { currencyOf, formatMoney } from './data/currency.js';
+import { mergeExtractedData } from './data/history.js';
+import { reportYears } from './data/libraryFilters.js';
 
 // Helper to update file status in onboarding UI (if visible)
 function updateFileStatusSafe(index, status) {
@@ -59,7 +70,7 @@ export function initFileUpload() {
         if (files.length === 1) {
             processFile(files[0]);
         } else if (files.length > 1) {
-            processMultipleFiles(files.slice(0, 3));
+            processMultipleFiles(files);
         }
     });
 
@@ -82,12 +93,13 @@ function handleFileUpload(event) {
     if (files.length === 1) {
         processFile(files[0]);
     } else if (files.length > 1) {
-        processMultipleFiles(files.slice(0, 3));
+        processMultipleFiles(files);
     }
 }
 
 /**
  * Extract text from PDF using pdf.js library
+ * @returns {Promise<Array<{number: number, text: string, tables: Array}>>} - Laid-out text and tables per page (1-based page numbers)
  */
 async function extractTextFromPDF(file) {
     // Dynamically import pdf.js
@@ -106,19 +118,18 @@ async function extractTextFromPDF(file) {
                 const typedArray = new Uint8Array(e.target.result);
                 const pdf = await pdfjsLib.getDocument({ data: typedArray }).promise;
 
-                let fullText = '';
+                const pages = [];
 
                 // Extract text from all pages
                 for (let i = 1; i <= pdf.numPages; i++) {
                     const page = await pdf.getPage(i);
                     const textContent = await page.getTextContent();
-                    const pageText = textContent.items
-                        .map(item => item.str)
-                        .join(' ');
-                    fullText += pageText + '\n';
+                    // Rebuild table rows/columns from item positions so year columns stay apart
+                    const { lines, tables } = layoutPage(textContent.items);
+                    pages.push({ number: i, text: lines.join('\n'), tables });
                 }
 
-                resolve(fullText);
+                resolve(pages);
             } catch (err) {
                 reject(err);
             }
@@ -128,6 +139,63 @@ async function extractTextFromPDF(file) {
     });
 }
 
+/**
+ * Run section-aware extraction on PDF pages
+ * Only the statement pages go to `extract` and only the notes to `extractQualitative`.
+ * The rule-based extractor stands in when the AI is unavailable and cross-checks it otherwise.
+ * Every figure is cited with its page, printed value and line, keyed by fiscal year in `_citations`.
+ * Amounts are normalised to millions from the unit each statement page declares.
+ * The prior-year comparative column is kept in `_comparatives` to detect restatements.
+ */
+async function extractReport(pages, fileName) {
+    const ruleData = extractWithRules(pages);
+    let data;
+    let qualitativeEvents = [];
+
+    try {
+        ({ data, qualitativeEvents } = await extractFromPages(pages, {
+            extract: (text, options) => extractFinancialData(text, options),
+            extractQualitative: text => extractQualitativeEvents(text)
+        }));
+    } catch (error) {
+        if (!isUsableExtraction(ruleData)) throw error;
+        console.warn('AI extraction failed, using rule-based extraction:', describeExtractionError(error));
+        data = { ...ruleData, sources: undefined, _extractionMethod: 'rules' };
+    }
+
+    // Amounts are re-derived from the printed figures in the unit each page declares
+    const normalized = normalizeAmounts(data, buildCitations(data, pages, ruleData, { fileName }), pages);
+    data = {
+        ...normalized.data,
+        currency: data.currency || normalized.unit?.currency || null,
+        _unit: normalized.unit,
+        _citations: { [data.fiscalYear || 'N/A']: normalized.citations }
+    };
+    delete data.sources;
+
+    const comparatives = extractComparatives(pages, data.fiscalYear);
+    if (comparatives) {
+        Object.values(comparatives.sources).forEach(source => {
+            source.file = fileName;
+        });
+        data._comparatives = comparatives;
+    }
+
+    if (data._extractionMethod !== 'rules') {
+        data._crossCheck = crossCheck(data, ruleData);
+        if (data._crossCheck.length > 0) {
+            console.warn('AI and rule-based extraction disagree:', data._crossCheck);
+        }
+    }
+
+    if (qualitativeEvents.length > 0) {
+        data.qualitativeEvents = qualitativeEvents;
+        console.log('Extracted qualitative events:', qualitativeEvents.length);
+    }
+
+    return data;
+}
+
 /**
  * Process multiple uploaded files
  * @param {File[]} files - Array of uploaded files
@@ -135,6 +203,7 @@ async function extractTextFromPDF(file) {
 async function processMultipleFiles(files) {
     const uploadZone = document.querySelector('.upload-zone');
     allExtractedData = [];
+    const sourceFiles = [];
 
     // Show loading
     showLoading('extracting');
@@ -147,21 +216,22 @@ async function processMultipleFiles(files) {
 
             // Extract text from PDF
             updateLoadingStep('extracting');
-            const textContent = await extractTextFromPDF(file);
+            const pages = await extractTextFromPDF(file);
+            registerSourceFile(file.name, file);
 
-            // Send to AI for data extraction
+            // Send relevant sections to AI for data extraction
             updateLoadingStep('analyzing');
-            const data = await extractFinancialData(textContent);
+            let data = null;
+            try {
+                data = await extractReport(pages, file.name);
+            } catch (error) {
+                console.warn(`Extraction failed for ${file.name}:`, describeExtractionError(error));
+            }
 
             if (data) {
-                // Extract qualitative events for this file
-                const qualEvents = await extractQualitativeEvents(textContent);
-                if (qualEvents && qualEvents.length > 0) {
-                    data.qualitativeEvents = qualEvents;
-                }
-
                 data._fileName = file.name;
                 allExtractedData.push(data);
+                sourceFiles.push({ fileName: file.name, blob: file, pages });
                 updateFileStatusSafe(i, 'Done');
             } else {
                 updateFileStatusSafe(i, 'Error');
@@ -169,8 +239,17 @@ async function processMultipleFiles(files) {
         }
 
         if (allExtractedData.length > 0) {
+            // Let the user review and correct every year before saving
+            hideLoading();
+            const reviewed = await openReviewEditor(allExtractedData);
+            if (!reviewed) {
+                if (uploadZone) showError(uploadZone, 'Upload discarded');
+                return;
+            }
+            allExtractedData = reviewed;
+
             // Merge all extracted data
-            updateLoadingStep('rendering');
+            showLoading('rendering');
             const mergedData = mergeExtractedData(allExtractedData);
 
             // Save merged report
@@ -179,11 +258,13 @@ async function processMultipleFiles(files) {
                 fileName: fileNames,
                 companyName: mergedData.companyName,
                 fiscalYears: mergedData.years,
-                extractedData: mergedData
+                extractedData: mergedData,
+                files: sourceFiles
             });
 
             await new Promise(resolve => setTimeout(resolve, 500));
             hideLoading();
+            const duplicates = await checkYearConflicts(report);
 
             if (uploadZone) {
                 showSuccess(uploadZone, `${allExtractedData.length} files processed`);
@@ -202,7 +283,7 @@ async function processMultipleFiles(files) {
             // Emit all files processed event
             window.dispatchEvent(new CustomEvent('allFilesProcessed'));
 
-            showDataNotification(mergedData);
+            showDataNotification(mergedData, report, duplicates);
         } else {
             hideLoading();
             if (uploadZone) {
@@ -218,117 +299,6 @@ async function processMultipleFiles(files) {
     }
 }
 
-/**
- * Merge extracted data from multiple PDFs
- * Combines data from multiple years into a single dataset
- */
-function mergeExtractedData(dataArray) {
-    // Sort by fiscal year
-    dataArray.sort((a, b) => {
-        const yearA = parseInt(a.fiscalYear) || 0;
-        const yearB = parseInt(b.fiscalYear) || 0;
-        return yearA - yearB;
-    });
-
-    // Use the most recent company name
-    const companyName = dataArray[dataArray.length - 1].companyName || 'Company';
-
-    // Initialize merged data structure
-    const merged = {
-        companyName,
-        fiscalYear: dataArray[dataArray.length - 1].fiscalYear,
-        years: [],
-        revenue: [],
-        grossProfit: [],
-        netProfit: [],
-        grossMargin: [],
-        netMargin: [],
-        totalAssets: [],
-        currentAssets: [],
-        totalLiabilities: [],
-        currentLiabilities: [],
-        shareholderEquity: [],
-        roe: [],
-        currentRatio: [],
-        debtToEquity: [],
-        eps: [],
-        operatingCashFlow: [],
-        investingCashFlow: [],
-        financingCashFlow: [],
-        fcf: [],
-        dividends: {},
-        cashEquivalents: {},
-        qualitativeEvents: [],
-        _sources: dataArray.map(d => ({ year: d.fiscalYear, file: d._fileName }))
-    };
-
-    // Helper to get numeric value
-    const getVal = (obj, key) => {
-        const val = obj[key];
-        if (val === null || val === undefined) return null;
-        if (typeof val === 'number') return val;
-        if (typeof val === 'object' && val.value !== undefined) return val.value;
-        return null;
-    };
-
-    // Merge data from each year
-    dataArray.forEach(data => {
-        const year = data.fiscalYear || 'N/A';
-        merged.years.push(year);
-
-        // Revenue and profit metrics
-        merged.revenue.push(getVal(data, 'revenue') || 0);
-        merged.grossProfit.push(getVal(data, 'grossProfit') || 0);
-        merged.netProfit.push(getVal(data, 'netProfit') || 0);
-
-        // Margins
-        merged.grossMargin.push(getVal(data, 'grossMargin') || 0);
-        merged.netMargin.push(getVal(data, 'netMargin') || 0);
-
-        // Balance sheet
-        merged.totalAssets.push(getVal(data, 'totalAssets') || 0);
-        merged.currentAssets.push(getVal(data, 'currentAssets') || 0);
-        merged.totalLiabilities.push(getVal(data, 'totalLiabilities') || 0);
-        merged.currentLiabilities.push(getVal(data, 'currentLiabilities') || 0);
-        merged.shareholderEquity.push(getVal(data, 'shareholderEquity') || 0);
-
-        // Ratios
-        merged.roe.push(getVal(data, 'roe') || 0);
-        merged.currentRatio.push(getVal(data, 'currentRatio') || 0);
-        merged.debtToEquity.push(getVal(data, 'debtToEquity') || 0);
-        merged.eps.push(getVal(data, 'eps') || 0);
-
-        // Cash flow
-        merged.operatingCashFlow.push(getVal(data, 'operatingCashFlow') || 0);
-        merged.investingCashFlow.push(getVal(data, 'investingCashFlow') || 0);
-        merged.financingCashFlow.push(getVal(data, 'financingCashFlow') || 0);
-        merged.fcf.push(getVal(data, 'fcf') || 0);
-
-        // Dividends and cash
-        if (data.dividends) {
-            merged.dividends[year] = getVal(data, 'dividends') || getVal(data.dividends, year);
-        }
-        if (data.cashEquivalents || data.cash) {
-            merged.cashEquivalents[year] = getVal(data, 'cashEquivalents') || getVal(data, 'cash') || 0;
-        }
-
-        // Collect qualitative events
-        if (data.qualitativeEvents && data.qualitativeEvents.length > 0) {
-            merged.qualitativeEvents.push(...data.qualitativeEvents);
-        }
-    });
-
-    // Sort qualitative events by year
-    merged.qualitativeEvents.sort((a, b) => {
-        const yearA = parseInt(a.year) || 0;
-        const yearB = parseInt(b.year) || 0;
-        return yearB - yearA; // Most recent first
-    });
-
-    console.log('Merged data from', dataArray.length, 'files:', merged);
-    return merged;
-}
-
 /**
  * Process uploaded file
  * @param {File} file - The uploaded file
@@ -349,29 +319,33 @@ async function processFile(file) {
     try {
         // Extract text from PDF
         updateLoadingStep('extracting');
-        const textContent = await extractTextFromPDF(file);
+        const pages = await extractTextFromPDF(file);
+        registerSourceFile(file.name, file);
 
-        // Send to AI for data extraction
+        // Send relevant sections to AI for data extraction
         updateLoadingStep('analyzing');
-        extractedData = await extractFinancialData(textContent);
+        extractedData = await extractReport(pages, file.name);
 
         if (extractedData) {
-            // Extract qualitative events (one-time vs recurring)
-            const qualEvents = await extractQualitativeEvents(textContent);
-            if (qualEvents && qualEvents.length > 0) {
-                extractedData.qualitativeEvents = qualEvents;
-                console.log('Extracted qualitative events:', qualEvents.length);
+            // Let the user review and correct the figures before saving
+            hideLoading();
+            const reviewed = await openReviewEditor([extractedData]);
+            if (!reviewed) {
+                showError(uploadZone, 'Upload discarded');
+                return;
             }
+            extractedData = reviewed[0];
 
             // Update to rendering step
-            updateLoadingStep('rendering');
+            showLoading('rendering');
 
             // Save report to store
             const report = addReport({
                 fileName: file.name,
                 companyName: extractedData.companyName,
                 fiscalYear: extractedData.fiscalYear,
-                extractedData
+                extractedData,
+                files: [{ fileName: file.name, blob: file, pages }]
             });
 
             // Small delay to show rendering step
@@ -379,6 +353,7 @@ async function processFile(file) {
 
             // Hide loading overlay
             hideLoading();
+            const duplicates = await checkYearConflicts(report);
             showSuccess(uploadZone, file.name);
 
             // Emit custom event for data update
@@ -395,7 +370,7 @@ async function processFile(file) {
             window.dispatchEvent(new CustomEvent('allFilesProcessed'));
 
             // Show notification about extracted data
-            showDataNotification(extractedData);
+            showDataNotification(extractedData, report, duplicates);
         } else {
             hideLoading();
             showError(uploadZone, 'Could not extract data from PDF');
@@ -403,11 +378,36 @@ async function processFile(file) {
 
     } catch (error) {
         hideLoading();
-        showError(uploadZone, error.message || 'Failed to process file');
+        showError(uploadZone, describeExtractionError(error) || 'Failed to process file');
         console.error('File processing error:', error);
     }
 }
 
+/**
+ * Check the years an upload shares with earlier reports of its company
+ * Restated years ask the user which report wins; duplicates are only reported.
+ * @returns {Promise<string[]>} - Fiscal years the upload duplicates
+ */
+async function checkYearConflicts(report) {
+    const conflicts = getYearConflicts(report.companyId, report.id);
+    if (conflicts.some(conflict => conflict.kind === 'restatement')) {
+        await openYearSources(report.companyId, { reportId: report.id });
+    }
+    return conflicts.filter(conflict => conflict.kind === 'duplicate').map(conflict => conflict.year);
+}
+
+/**
+ * Build a user-facing message for an extraction failure
+ * Schema validation errors list the first offending fields
+ */
+function describeExtractionError(error) {
+    if (error instanceof ExtractionError && error.details.length > 0) {
+        const fields = error.details.slice(0, 2).map(d => d.message).join('; ');
+        return `${error.message} (${fields})`;
+    }
+    return error.message;
+}
+
 /**
  * Show processing state
  */
@@ -461,10 +461,37 @@ function resetUploadZone(uploadZone) {
     `;
 }
 
+/**
+ * Describe the company history an upload was added to
+ */
+function describeHistory(report, duplicates) {
+    const years = [...new Set(getCompanyReports(report.companyId).flatMap(reportYears))]
+        .sort((a, b) => (parseInt(a) || 0) - (parseInt(b) || 0));
+    const lines = [];
+    if (years.length > reportYears(report).length) {
+        lines.push(`Added to history: ${years.length} fiscal years (${years[0]}–${years[years.length - 1]})`);
+    }
+    if (duplicates.length > 0) {
+        lines.push(`Already in the library: FY ${duplicates.join(', ')}`);
+    }
+    return lines.map(line => `<br>${line}`).join('');
+}
+
+/**
+ * Latest figure of a single-year (number) or merged (per-year array) field, null when not reported
+ */
+function latestFigure(value) {
+    const latest = Array.isArray(value) ? value[value.length - 1] : value;
+    return typeof latest === 'number' ? latest : null;
+}
+
 /**
  * Show notification about extracted data
  */
-function showDataNotification(data) {
+function showDataNotification(data, report, duplicates = []) {
+    const revenue = latestFigure(data.revenue);
+    const netProfit = latestFigure(data.netProfit);
+
     // Create notification element
     const notification = document.createElement('div');
     notification.className = 'data-notification';
@@ -482,12 +509,13 @@ function showDataNotification(data) {
             animation: slideUp 0.3s ease;
         ">
             <h4 style="color: var(--positive); font-size: 0.9rem; margin-bottom: 8px;">
-                ✓ Data Extracted
+                ✓ Data Extracted${data._extractionMethod === 'rules' ? ' (rule-based, AI unavailable)' : ''}
             </h4>
             <p style="color: var(--text-secondary); font-size: 0.8rem; line-height: 1.5;">
                 ${data.companyName || 'Company'} - ${data.fiscalYear || 'FY'}<br>
-                Revenue: ${data.revenue?.value ? `SAR ${data.revenue.value}M` : 'N/A'}<br>
-                Net Profit: ${data.netProfit?.value ? `SAR ${data.netProfit.value}M` : 'N/A'}
+                Revenue: ${revenue !== null ? formatMoney(revenue, currencyOf(data)) : 'N/A'}<br>
+                Net Profit: ${netProfit !== null ? formatMoney(netProfit, currencyOf(data)) : 'N/A'}
+                ${report ? describeHistory(report, duplicates) : ''}
             </p>
         </div>
     `;
@@ -11,25 +11,63 @@ import { initAIChat } from './components/aiChat.js';
 import { initAIInsights } from './components/aiInsights.js';
 import { initOnboarding } from './components/onboarding.js';
 import { initReportNavigation, updateNavigation } from './components/reportNavigation.js';
-import { getCurrentReport, getReportCount } from './components/reportStore.js';
+import { initCurrencySettings } from './components/currencySettings.js';
+import { initEstimateSettings } from './components/estimateSettings.js';
+import { initStatementsViewer } from './components/statementsViewer.js';
+import { initKpiGrid } from './components/kpiGrid.js';
+import { initForecastPanel } from './components/forecastPanel.js';
+import { initValuationPanel } from './components/valuationPanel.js';
+import { initPeerComparison } from './components/peerComparison.js';
+import { initBenchmarkScoring } from './components/benchmarkScoring.js';
+import { initLibraryBrowser } from './components/libraryBrowser.js';
+import { initReportStore, getCurrentReport, getReportCount, getCompanyReports } from './components/reportStore.js';
+import { restoreSourceFiles } from './components/sourceCitations.js';
 import { updateDashboardContent } from './components/dashboardUpdater.js';
 import { getFinancialData } from './data/financialData.js';
 import '../styles/index.css';
 
+/**
+ * Register the saved PDFs of every report of the report's company, as the dashboard shows its whole history
+ */
+function restoreCompanyFiles(report) {
+    const reports = report.companyId ? getCompanyReports(report.companyId) : [report];
+    reports.forEach(restoreSourceFiles);
+}
+
 /**
  * Initialize the dashboard application
  */
 async function initApp() {
     console.log('Wagdy Investment Dashboard - Initializing...');
 
+    // Load saved reports from the library before anything reads them
+    await initReportStore();
+
     // Initialize navigation
     initNavigation();
 
     // Initialize file upload
     initFileUpload();
 
-    // Initialize report navigation
+    // Initialize the KPI grid, the statements viewer, the forecast and the valuation
+    initKpiGrid();
+    initStatementsViewer();
+    initForecastPanel();
+    initValuationPanel();
+
+    // Initialize report navigation and library
     initReportNavigation();
+    initLibraryBrowser();
+
+    // Initialize the peer comparison of stored companies
+    initPeerComparison(Chart);
+
+    // Initialize the sector benchmark scoring
+    initBenchmarkScoring();
+
+    // Initialize display-currency and estimate switches
+    initCurrencySettings();
+    initEstimateSettings();
 
     // Check if we have cached reports
     const reportCount = getReportCount();
@@ -38,6 +76,7 @@ async function initApp() {
     if (reportCount > 0 && currentReport) {
         // We have cached reports - show dashboard
         localStorage.setItem('dashboardData', 'uploaded');
+        restoreCompanyFiles(currentReport);
         updateDashboardContent(getFinancialData());
         initializeCharts(Chart);
         initAIChat();
@@ -87,6 +126,8 @@ async function initApp() {
     window.addEventListener('reportChanged', (e) => {
         console.log('Report changed:', e.detail);
         if (e.detail.report) {
+            restoreCompanyFiles(e.detail.report);
+
             // Reinitialize charts and content with new data
             const currentData = getFinancialData();
             updateDashboardContent(currentData);
@@ -99,6 +140,30 @@ async function initApp() {
         }
     });
 
+    // Listen for display currency or FX rate changes
+    window.addEventListener('displayCurrencyChanged', (e) => {
+        console.log('Display currency changed:', e.detail.currency || 'as reported');
+        if (!localStorage.getItem('dashboardData')) return;
+
+        updateDashboardContent(getFinancialData());
+        initializeCharts(Chart);
+    });
+
+    // Listen for estimates being hidden or shown again
+    window.addEventListener('estimateSettingsChanged', (e) => {
+        console.log('Estimates', e.detail.hideEstimates ? 'hidden' : 'shown');
+        if (!localStorage.getItem('dashboardData')) return;
+
+        updateDashboardContent(getFinancialData());
+        initializeCharts(Chart);
+    });
+
+    // Listen for forecast assumptions changing the projections drawn on the charts
+    window.addEventListener('forecastChanged', () => {
+        if (!localStorage.getItem('dashboardData')) return;
+        initializeCharts(Chart);
+    });
+
     console.log('Dashboard initialized successfully');
 }
 
@@ -0,0 +1,15 @@
+/**
+ * HTML Utilities
+ * Helpers for building component markup from template strings
+ */
+
+const ENTITIES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+
+/**
+ * Escape text for use in HTML content and quoted attributes; null and undefined become empty
+ */
+export function escapeHTML(text) {
+    return String(text ?? '').replace(/[&<>"']/g, ch => ENTITIES[ch]);
+}
+
+export default { escapeHTML };
@@ -0,0 +1,19 @@
+/**
+ * Tests for the HTML utilities
+ */
+
+import { describe, it, expect } from 'vitest';
+import { escapeHTML } from './html.js';
+
+describe('escapeHTML', () => {
+    it('should escape markup and both quote characters', () => {
+        expect(escapeHTML(`<a href="x" title='y'>R&D</a>`))
+            .toBe('&lt;a href=&quot;x&quot; title=&#39;y&#39;&gt;R&amp;D&lt;/a&gt;');
+    });
+
+    it('should render null and undefined as empty text', () => {
+        expect(escapeHTML(null)).toBe('');
+        expect(escapeHTML(undefined)).toBe('');
+        expect(escapeHTML(0)).toBe('0');
+    });
+});
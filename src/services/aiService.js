@@ -9,6 +9,9 @@
  * - Anomaly detection in financial statements
  */
 
+import { DEFAULT_REGION, loadBenchmarks, scoreAgainstBenchmarks, usingSampleBenchmarks } from '../scripts/data/benchmarks.js';
+import { detectAnomalies as detectLocalAnomalies } from '../scripts/data/anomalies.js';
+
 // Configuration - Set your API keys in environment variables
 const AI_CONFIG = {
     provider: 'openai', // 'openai', 'anthropic', 'azure'
@@ -58,27 +61,25 @@ export async function queryFinancialData(query, context) {
 
 /**
  * Detect anomalies in financial statements
+ * Runs the local deterministic checks (no network call)
  * @param {Object} financialData - The financial data to analyze
  * @returns {Promise<Array>} - List of detected anomalies
  */
 export async function detectAnomalies(financialData) {
-    // TODO: Implement anomaly detection
-    // Look for unusual patterns, discrepancies, red flags
-
-    throw new Error('AI service not configured. Please set up your API credentials.');
+    return detectLocalAnomalies(financialData);
 }
 
 /**
  * Compare with industry benchmarks
+ * Scores the company against the local sector benchmark dataset (no network call)
  * @param {Object} financialData - Company financial data
- * @param {string} industry - Industry sector
- * @returns {Promise<Object>} - Comparison results
+ * @param {string} industry - Industry sector, as named in the benchmark dataset
+ * @param {string} [region] - Benchmark region
+ * @returns {Promise<Object>} - Comparison results, as returned by scoreAgainstBenchmarks, with `sample`
+ *          true when they come from the bundled sample dataset
  */
-export async function compareWithBenchmarks(financialData, industry) {
-    // TODO: Implement benchmark comparison
-    // Compare ratios and metrics with industry averages
-
-    throw new Error('AI service not configured. Please set up your API credentials.');
+export async function compareWithBenchmarks(financialData, industry, region = DEFAULT_REGION) {
+    return { ...scoreAgainstBenchmarks(financialData, loadBenchmarks(), { sector: industry, region }), sample: usingSampleBenchmarks() };
 }
 
 export default {
@@ -3,9 +3,40 @@
  * Handles all AI-powered features via secure serverless API
  */
 
+import { detectAnomalies as detectLocalAnomalies } from '../scripts/data/anomalies.js';
+
 // Use relative path for API - works in both dev and production
 const API_URL = '/api/chat';
 
+/**
+ * Error returned by the API endpoint
+ * Carries the machine-readable code and details sent by the server
+ */
+export class ApiError extends Error {
+    constructor(message, { status = 500, code = 'API_ERROR', details = [] } = {}) {
+        super(message);
+        this.name = 'ApiError';
+        this.status = status;
+        this.code = code;
+        this.details = details;
+    }
+}
+
+/**
+ * Error raised when financial data cannot be extracted from a report
+ * code: EXTRACTION_INVALID (failed schema validation), EXTRACTION_UNPARSEABLE
+ * (model returned no JSON) or EXTRACTION_FAILED (network/provider error)
+ * details: [{ field, message }] validation errors
+ */
+export class ExtractionError extends Error {
+    constructor(message, { code = 'EXTRACTION_FAILED', details = [] } = {}) {
+        super(message);
+        this.name = 'ExtractionError';
+        this.code = code;
+        this.details = details;
+    }
+}
+
 /**
  * Send a request to our secure API endpoint
  */
@@ -24,7 +55,11 @@ async function callAPI(action, data, messages = null) {
 
     if (!response.ok) {
         const error = await response.json();
-        throw new Error(error.error || 'API error');
+        throw new ApiError(error.error || 'API error', {
+            status: response.status,
+            code: error.code,
+            details: error.details
+        });
     }
 
     const result = await response.json();
@@ -33,13 +68,21 @@ async function callAPI(action, data, messages = null) {
 
 /**
  * Extract financial data from text content
+ * @param {string} textContent - Report text (or an excerpt of it)
+ * @param {Object} options - section: statement the excerpt is limited to (incomeStatement, financialPosition, cashFlow)
+ *                           fiscalYear: year column to read figures from, detected from table headers
+ * @throws {ExtractionError} - When the API fails or the extraction fails schema validation
  */
-export async function extractFinancialData(textContent) {
+export async function extractFinancialData(textContent, { section = null, fiscalYear = null } = {}) {
     try {
-        return await callAPI('extract', textContent);
+        const payload = section || fiscalYear ? { text: textContent, section, fiscalYear } : textContent;
+        return await callAPI('extract', payload);
     } catch (e) {
         console.error('Failed to extract financial data:', e);
-        return null;
+        throw new ExtractionError(e.message, {
+            code: e.code && e.code.startsWith('EXTRACTION_') ? e.code : 'EXTRACTION_FAILED',
+            details: e.details || []
+        });
     }
 }
 
@@ -59,14 +102,24 @@ export async function queryFinancialData(question, financialData) {
 
 /**
  * Detect anomalies in financial data
+ * Runs the local deterministic checks: the same data always gives the same anomalies.
+ * @param {Object} financialData - Dashboard data
+ * @param {Object} [options] - Fiscal year and threshold overrides, as for the local detector
+ * @returns {Promise<Array>} - [{ metric, description, severity, recommendation, check, year, value }]
  */
-export async function detectAnomalies(financialData, historicalData = null) {
-    try {
-        return await callAPI('anomalies', { current: financialData, historical: historicalData });
-    } catch (e) {
-        console.error('Failed to detect anomalies:', e);
-        return [];
-    }
+export async function detectAnomalies(financialData, options = {}) {
+    return detectLocalAnomalies(financialData, options);
+}
+
+/**
+ * Narrate detected anomalies for investors
+ * The model only explains the findings it is given; it does not add, drop or re-grade them.
+ */
+export async function narrateAnomalies(anomalies, financialData) {
+    return await callAPI('anomalies', {
+        companyName: financialData?.companyName,
+        anomalies: anomalies.map(({ metric, year, severity, description }) => ({ metric, year, severity, description }))
+    });
 }
 
 /**
@@ -106,6 +159,7 @@ export default {
     generateInsights,
     queryFinancialData,
     detectAnomalies,
+    narrateAnomalies,
     generateExecutiveSummary,
     generateRiskAnalysis,
     extractQualitativeEvents